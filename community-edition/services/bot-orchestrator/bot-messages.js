@@ -0,0 +1,206 @@
+const DEFAULT_BOT_LOCALE = "es";
+// Spanish and English commands were accepted in every room before locales
+// existed, so they stay available next to the room's own grammar.
+const BASE_COMMAND_LOCALES = Object.freeze(["es", "en"]);
+const WAYPOINT_NAME_PATTERN = "(spawbot-[a-z0-9_-]+)";
+const BOT_ID_PATTERN = "(bot-(?:10|[1-9]))";
+
+// Command text is lowercased and stripped of Latin combining marks before
+// matching. Grammar words go through the same folding so catalog entries can
+// be written naturally ("dirígete", "行って").
+function foldCommandText(value) {
+  return String(value)
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function alternation(words) {
+  return words.map(word => escapeRegExp(foldCommandText(word))).join("|");
+}
+
+function courtesyPrefix(courtesy) {
+  return courtesy.length ? `(?:(?:${alternation(courtesy)})\\s*[,;:]?\\s*)?` : "";
+}
+
+// "please, go to spawbot-x": optional courtesy prefix, verb, preposition,
+// target (a waypoint unless stated). Everything is anchored so prose around a
+// command never executes.
+function verbFirstCommand({ courtesy = [], verbs, prepositions, target = WAYPOINT_NAME_PATTERN }) {
+  const preposition = prepositions.length ? `(?:${alternation(prepositions)})\\s+` : "";
+  return new RegExp(
+    `^${courtesyPrefix(courtesy)}(?:${alternation(verbs)})\\s+${preposition}${target}[.!]*$`,
+    "u"
+  );
+}
+
+// "spawbot-x に行ってください": target, particle, verb, optional polite
+// suffix, for languages that put the verb last.
+function verbFinalCommand({ particles, verbs, suffixes = [], target = WAYPOINT_NAME_PATTERN }) {
+  const suffix = suffixes.length ? `(?:${alternation(suffixes)})?` : "";
+  return new RegExp(
+    `^${target}\\s*(?:${alternation(particles)})\\s*(?:${alternation(verbs)})${suffix}[.!。！]*$`,
+    "u"
+  );
+}
+
+// "please, follow me": a whole fixed phrase with an optional courtesy prefix
+// or polite suffix and no target.
+function phraseCommand({ courtesy = [], phrases, suffixes = [] }) {
+  const suffix = suffixes.length ? `(?:${alternation(suffixes)})?` : "";
+  return new RegExp(`^${courtesyPrefix(courtesy)}(?:${alternation(phrases)})${suffix}[.!。！]*$`, "u");
+}
+
+const BOT_MESSAGE_CATALOG = Object.freeze({
+  es: Object.freeze({
+    replyInstruction: "Responde en español, de forma breve, respetuosa y apropiada para público general.",
+    unavailable: botId => `${botId}: el asistente no está disponible temporalmente.`,
+    rateLimited: "Espera un momento antes de enviar otro mensaje.",
+    refusal: "No puedo ayudar con esa petición. Prueba con otra pregunta.",
+    mobility: Object.freeze({
+      static: "Estoy configurado como inmóvil y permaneceré en este punto.",
+      low: "Estoy en movilidad baja y permaneceré quieto la mayor parte del tiempo.",
+      medium: "Estoy en movilidad media y alternaré entre caminar y permanecer quieto.",
+      high: "Estoy en movilidad alta y me moveré con frecuencia."
+    }),
+    mobilityKeywords: Object.freeze(["movilidad"]),
+    waypointCommands: Object.freeze([
+      verbFirstCommand({
+        courtesy: ["por favor"],
+        verbs: ["ve", "vete", "vaya", "vayas", "anda", "camina", "dirígete", "muévete", "desplázate"],
+        prepositions: ["a", "al", "hacia", "hasta"]
+      })
+    ]),
+    followCommands: Object.freeze([
+      phraseCommand({ courtesy: ["por favor"], phrases: ["sígueme", "ven conmigo", "acompáñame"] })
+    ]),
+    followBotCommands: Object.freeze([
+      verbFirstCommand({ courtesy: ["por favor"], verbs: ["sigue"], prepositions: ["a"], target: BOT_ID_PATTERN })
+    ]),
+    stopFollowingCommands: Object.freeze([
+      phraseCommand({ courtesy: ["por favor"], phrases: ["deja de seguirme", "no me sigas", "deja de seguir"] })
+    ])
+  }),
+  en: Object.freeze({
+    replyInstruction: "Reply in English, briefly, respectfully and appropriately for a general audience.",
+    unavailable: botId => `${botId}: the assistant is temporarily unavailable.`,
+    rateLimited: "Please wait a moment before sending another message.",
+    refusal: "I can't help with that request. Please try another question.",
+    mobility: Object.freeze({
+      static: "I am configured to stay still and will remain at this spot.",
+      low: "I am on low mobility and will stay still most of the time.",
+      medium: "I am on medium mobility and will alternate between walking and standing still.",
+      high: "I am on high mobility and will move around often."
+    }),
+    mobilityKeywords: Object.freeze(["mobility"]),
+    waypointCommands: Object.freeze([
+      verbFirstCommand({
+        courtesy: ["please"],
+        verbs: ["go", "move", "walk"],
+        prepositions: ["to", "toward", "towards"]
+      })
+    ]),
+    followCommands: Object.freeze([phraseCommand({ courtesy: ["please"], phrases: ["follow me", "come with me"] })]),
+    followBotCommands: Object.freeze([
+      verbFirstCommand({ courtesy: ["please"], verbs: ["follow"], prepositions: [], target: BOT_ID_PATTERN })
+    ]),
+    stopFollowingCommands: Object.freeze([
+      phraseCommand({ courtesy: ["please"], phrases: ["stop following me", "stop following"] })
+    ])
+  }),
+  ja: Object.freeze({
+    replyInstruction: "日本語で、簡潔かつ丁寧に、一般の利用者にふさわしい内容で答えてください。",
+    unavailable: botId => `${botId}: アシスタントは一時的に利用できません。`,
+    rateLimited: "次のメッセージを送る前に少しお待ちください。",
+    refusal: "そのリクエストにはお応えできません。別の質問をお試しください。",
+    mobility: Object.freeze({
+      static: "静止するように設定されているので、この場所から動きません。",
+      low: "移動頻度は低めで、ほとんどの時間は立ち止まっています。",
+      medium: "移動頻度は中くらいで、歩いたり立ち止まったりします。",
+      high: "移動頻度は高めで、よく動き回ります。"
+    }),
+    mobilityKeywords: Object.freeze(["モビリティ", "移動頻度"]),
+    waypointCommands: Object.freeze([
+      verbFinalCommand({
+        particles: ["に", "へ", "まで"],
+        verbs: ["行って", "いって", "向かって", "むかって", "移動して", "歩いて"],
+        suffixes: ["ください", "下さい"]
+      })
+    ]),
+    followCommands: Object.freeze([
+      phraseCommand({ phrases: ["ついてきて", "ついて来て", "付いてきて"], suffixes: ["ください", "下さい"] })
+    ]),
+    followBotCommands: Object.freeze([
+      verbFinalCommand({
+        particles: ["に"],
+        verbs: ["ついていって", "ついて行って", "付いていって"],
+        suffixes: ["ください", "下さい"],
+        target: BOT_ID_PATTERN
+      })
+    ]),
+    stopFollowingCommands: Object.freeze([
+      phraseCommand({ phrases: ["ついてこないで", "ついて来ないで"], suffixes: ["ください", "下さい"] })
+    ])
+  })
+});
+
+// Tags are already validated and lowercased by normalizeConfig. An exact match
+// wins, then the primary subtag; anything else uses the default catalog while
+// the provider is still asked to answer in the requested tag.
+function resolveBotLocale(language) {
+  if (typeof language !== "string" || !language) return DEFAULT_BOT_LOCALE;
+  if (Object.hasOwn(BOT_MESSAGE_CATALOG, language)) return language;
+  const primary = language.split("-")[0];
+  return Object.hasOwn(BOT_MESSAGE_CATALOG, primary) ? primary : DEFAULT_BOT_LOCALE;
+}
+
+function botMessages(language) {
+  return BOT_MESSAGE_CATALOG[resolveBotLocale(language)];
+}
+
+function replyInstructionFor(language) {
+  const locale = resolveBotLocale(language);
+  if (!language || locale === language.split("-")[0]) {
+    return BOT_MESSAGE_CATALOG[locale].replyInstruction;
+  }
+  return `Responde en el idioma con etiqueta BCP 47 "${language}", de forma breve, respetuosa y apropiada para público general.`;
+}
+
+function commandLocales(language) {
+  return Array.from(new Set([resolveBotLocale(language), ...BASE_COMMAND_LOCALES]));
+}
+
+// `kind` is a catalog key such as "waypointCommands" or "followCommands".
+function commandPatterns(language, kind) {
+  return commandLocales(language).flatMap(locale => BOT_MESSAGE_CATALOG[locale][kind]);
+}
+
+function waypointCommandPatterns(language) {
+  return commandPatterns(language, "waypointCommands");
+}
+
+function mentionsMobility(message, language) {
+  const text = foldCommandText(message);
+  return commandLocales(language).some(locale =>
+    BOT_MESSAGE_CATALOG[locale].mobilityKeywords.some(keyword => text.includes(foldCommandText(keyword)))
+  );
+}
+
+module.exports = {
+  BOT_MESSAGE_CATALOG,
+  DEFAULT_BOT_LOCALE,
+  botMessages,
+  commandPatterns,
+  foldCommandText,
+  mentionsMobility,
+  phraseCommand,
+  replyInstructionFor,
+  resolveBotLocale,
+  verbFinalCommand,
+  verbFirstCommand,
+  waypointCommandPatterns
+};
@@ -0,0 +1,151 @@
+// Scheduled bot routines: ordered waypoint itineraries with dwell times and
+// optional announcements, started by cron-like schedules. Shared by the
+// orchestrator, which normalizes room configs, and the ghost runner, which
+// rebuilds the normalized form for its fingerprint and executes it.
+//
+// Schedules use five space-separated fields (minute, hour, day of month,
+// month, day of week) with `*`, numbers, `a-b` ranges, `,` lists and `/n`
+// steps. Day of week 0 and 7 are both Sunday. As in cron, when both day fields
+// are restricted a day matching either one fires. Times are UTC shifted by the
+// routine's optional utc_offset_minutes. Ret.BotConfig mirrors these rules.
+const CRON_FIELD_BOUNDS = Object.freeze([
+  Object.freeze({ min: 0, max: 59 }),
+  Object.freeze({ min: 0, max: 23 }),
+  Object.freeze({ min: 1, max: 31 }),
+  Object.freeze({ min: 1, max: 12 }),
+  Object.freeze({ min: 0, max: 7 })
+]);
+const CRON_FIELD_PART = /^(?:\*|(\d{1,2})(?:-(\d{1,2}))?)(?:\/(\d{1,2}))?$/;
+const MAX_CRON_SCHEDULE_LENGTH = 64;
+const MIN_ROUTINE_UTC_OFFSET_MINUTES = -720;
+const MAX_ROUTINE_UTC_OFFSET_MINUTES = 840;
+const MAX_BOT_ROUTINES = 4;
+const MAX_ROUTINE_STOPS = 8;
+const MAX_ROUTINE_DWELL_SECONDS = 900;
+const ROUTINE_BOT_ID = /^bot-(?:[1-9]|10)$/;
+// Matched case-insensitively and stored lowercased, like chat commands. No
+// trimming: the two runtimes disagree on what whitespace is.
+const ROUTINE_WAYPOINT = /^spawbot-[a-z0-9_-]{1,56}$/i;
+
+function parseCronField(text, { min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const match = CRON_FIELD_PART.exec(part);
+    if (!match) return null;
+    let start = min;
+    let end = max;
+    if (match[1] !== undefined) {
+      start = Number(match[1]);
+      if (match[2] !== undefined) end = Number(match[2]);
+      else if (match[3] === undefined) end = start;
+    }
+    const step = match[3] === undefined ? 1 : Number(match[3]);
+    if (start < min || end > max || start > end || step < 1) return null;
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+function parseCronSchedule(expression) {
+  if (typeof expression !== "string" || expression.length > MAX_CRON_SCHEDULE_LENGTH) return null;
+  const fields = expression.split(" ");
+  if (fields.length !== CRON_FIELD_BOUNDS.length) return null;
+  const sets = fields.map((field, index) => parseCronField(field, CRON_FIELD_BOUNDS[index]));
+  if (sets.some(set => !set)) return null;
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = sets;
+  if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    restrictsDayOfMonth: fields[2] !== "*",
+    restrictsDayOfWeek: fields[4] !== "*"
+  };
+}
+
+function cronMatches(schedule, nowMs, utcOffsetMinutes = 0) {
+  if (!schedule) return false;
+  const local = new Date(nowMs + utcOffsetMinutes * 60_000);
+  if (!schedule.minutes.has(local.getUTCMinutes())) return false;
+  if (!schedule.hours.has(local.getUTCHours())) return false;
+  if (!schedule.months.has(local.getUTCMonth() + 1)) return false;
+  const dayOfMonth = schedule.daysOfMonth.has(local.getUTCDate());
+  const dayOfWeek = schedule.daysOfWeek.has(local.getUTCDay());
+  if (schedule.restrictsDayOfMonth && schedule.restrictsDayOfWeek) return dayOfMonth || dayOfWeek;
+  return dayOfMonth && dayOfWeek;
+}
+
+function integerValue(value) {
+  return typeof value === "number" && Number.isInteger(value) ? value : null;
+}
+
+// `normalizeAnnouncement` maps the raw announcement to its stored text or "".
+// The orchestrator sanitizes like profile text; the runner only re-checks the
+// already normalized value.
+function normalizeRoutineStop(input, normalizeAnnouncement) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return null;
+  if (typeof input.waypoint !== "string" || !ROUTINE_WAYPOINT.test(input.waypoint)) return null;
+  const stop = { waypoint: input.waypoint.toLowerCase() };
+  const dwellSeconds = integerValue(input.dwell_seconds);
+  if (dwellSeconds !== null && dwellSeconds > 0) {
+    stop.dwell_seconds = Math.min(dwellSeconds, MAX_ROUTINE_DWELL_SECONDS);
+  }
+  const announcement = normalizeAnnouncement(input.announcement);
+  if (announcement) stop.announcement = announcement;
+  return stop;
+}
+
+function normalizeBotRoutine(input, normalizeAnnouncement) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return null;
+  if (typeof input.bot_id !== "string" || !ROUTINE_BOT_ID.test(input.bot_id)) return null;
+  if (!parseCronSchedule(input.schedule)) return null;
+  const stops = Array.isArray(input.stops)
+    ? input.stops
+        .slice(0, MAX_ROUTINE_STOPS)
+        .map(stop => normalizeRoutineStop(stop, normalizeAnnouncement))
+        .filter(Boolean)
+    : [];
+  if (!stops.length) return null;
+
+  const routine = { bot_id: input.bot_id, schedule: input.schedule };
+  const utcOffsetMinutes = integerValue(input.utc_offset_minutes);
+  if (
+    utcOffsetMinutes !== null &&
+    utcOffsetMinutes !== 0 &&
+    utcOffsetMinutes >= MIN_ROUTINE_UTC_OFFSET_MINUTES &&
+    utcOffsetMinutes <= MAX_ROUTINE_UTC_OFFSET_MINUTES
+  ) {
+    routine.utc_offset_minutes = utcOffsetMinutes;
+  }
+  routine.stops = stops;
+  return routine;
+}
+
+// Invalid routines are dropped rather than kept in place: unlike profiles,
+// their position carries no meaning.
+function normalizeBotRoutines(input, normalizeAnnouncement) {
+  if (!Array.isArray(input)) return [];
+  return input
+    .slice(0, MAX_BOT_ROUTINES)
+    .map(routine => normalizeBotRoutine(routine, normalizeAnnouncement))
+    .filter(Boolean);
+}
+
+function dueBotRoutines(routines, nowMs) {
+  if (!Array.isArray(routines)) return [];
+  return routines.filter(routine =>
+    cronMatches(parseCronSchedule(routine.schedule), nowMs, routine.utc_offset_minutes || 0)
+  );
+}
+
+module.exports = {
+  MAX_BOT_ROUTINES,
+  MAX_ROUTINE_DWELL_SECONDS,
+  MAX_ROUTINE_STOPS,
+  cronMatches,
+  dueBotRoutines,
+  normalizeBotRoutines,
+  parseCronSchedule
+};
@@ -0,0 +1,560 @@
+const CHAT_PROVIDER_IDS = Object.freeze(["openai_responses", "openai_compatible", "scripted"]);
+const MAX_PROVIDER_RESPONSE_BYTES = 256 * 1024;
+const MAX_SCRIPTED_RULES = 64;
+
+// Every adapter returns the same completion shape so the route never depends on
+// a vendor payload: `refused` reports a provider-side refusal and `text` is the
+// raw model output that the caller must still parse and moderate.
+function completion(text, refused = false) {
+  return { refused: refused === true, text: typeof text === "string" ? text.trim() : "" };
+}
+
+function providerRequestSignal(deadlineAt) {
+  const remainingMs = Math.floor(deadlineAt - Date.now());
+  if (remainingMs <= 0) throw new Error("chat_provider_deadline_exceeded");
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), remainingMs);
+  return { controller, timeout };
+}
+
+function defaultFetch(...args) {
+  return global.fetch(...args);
+}
+
+async function readBoundedProviderJson(response, errorPrefix) {
+  const contentLength = Number(response?.headers?.get?.("content-length"));
+  if (Number.isFinite(contentLength) && contentLength > MAX_PROVIDER_RESPONSE_BYTES) {
+    throw new Error(`${errorPrefix}_response_too_large`);
+  }
+  const text = await response.text();
+  if (Buffer.byteLength(text, "utf8") > MAX_PROVIDER_RESPONSE_BYTES) {
+    throw new Error(`${errorPrefix}_response_too_large`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (_error) {
+    throw new Error(`${errorPrefix}_invalid_json`);
+  }
+}
+
+async function postProviderJson({ fetchImpl, endpoint, apiKey, body, deadlineAt, errorPrefix }) {
+  const { controller, timeout } = providerRequestSignal(deadlineAt);
+
+  try {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const response = await fetchImpl(endpoint, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      redirect: "error",
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`${errorPrefix}_status_${response.status}`);
+    }
+
+    return await readBoundedProviderJson(response, errorPrefix);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function* readServerSentEventData(response, errorPrefix) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let receivedBytes = 0;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      receivedBytes += value.byteLength;
+      if (receivedBytes > MAX_PROVIDER_RESPONSE_BYTES) {
+        throw new Error(`${errorPrefix}_response_too_large`);
+      }
+      buffer += decoder.decode(value, { stream: true });
+
+      let newline = buffer.indexOf("\n");
+      while (newline !== -1) {
+        const line = buffer.slice(0, newline).replace(/\r$/, "");
+        buffer = buffer.slice(newline + 1);
+        newline = buffer.indexOf("\n");
+        if (!line.startsWith("data:")) continue;
+        const data = line.slice(5).trim();
+        if (!data || data === "[DONE]") continue;
+        let payload;
+        try {
+          payload = JSON.parse(data);
+        } catch (_error) {
+          throw new Error(`${errorPrefix}_invalid_stream_event`);
+        }
+        yield payload;
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+// Streams share the request deadline of postProviderJson and can also be
+// cancelled by the caller, e.g. when the first token is late or the client
+// has gone away.
+async function* postProviderStream({ fetchImpl, endpoint, apiKey, body, deadlineAt, signal, errorPrefix }) {
+  const { controller, timeout } = providerRequestSignal(deadlineAt);
+  const abort = () => controller.abort();
+  if (signal?.aborted) abort();
+  signal?.addEventListener("abort", abort, { once: true });
+
+  try {
+    const headers = { "Content-Type": "application/json", Accept: "text/event-stream" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const response = await fetchImpl(endpoint, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      redirect: "error",
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`${errorPrefix}_status_${response.status}`);
+    }
+    if (!response.body) throw new Error(`${errorPrefix}_stream_unavailable`);
+
+    yield* readServerSentEventData(response, errorPrefix);
+  } finally {
+    clearTimeout(timeout);
+    signal?.removeEventListener("abort", abort);
+    controller.abort();
+  }
+}
+
+function moderationFlagged(payload, errorPrefix) {
+  const flagged = payload?.results?.[0]?.flagged;
+  if (typeof flagged !== "boolean") {
+    throw new Error(`${errorPrefix}_moderation_invalid_response`);
+  }
+  return flagged;
+}
+
+function replyJsonSchema() {
+  return {
+    type: "object",
+    properties: {
+      reply: { type: "string" }
+    },
+    required: ["reply"],
+    additionalProperties: false
+  };
+}
+
+function extractOutputText(responsePayload) {
+  if (typeof responsePayload?.output_text === "string" && responsePayload.output_text.trim()) {
+    return responsePayload.output_text.trim();
+  }
+
+  const output = Array.isArray(responsePayload?.output) ? responsePayload.output : [];
+
+  for (let i = 0; i < output.length; i++) {
+    const item = output[i];
+    const content = Array.isArray(item?.content) ? item.content : [];
+
+    for (let j = 0; j < content.length; j++) {
+      const block = content[j];
+      if (typeof block?.text === "string" && block.text.trim()) {
+        return block.text.trim();
+      }
+    }
+  }
+
+  return "";
+}
+
+function responseWasRefused(responsePayload) {
+  const output = Array.isArray(responsePayload?.output) ? responsePayload.output : [];
+
+  return output.some(item =>
+    (Array.isArray(item?.content) ? item.content : []).some(
+      block => block?.type === "refusal" || (typeof block?.refusal === "string" && block.refusal.trim())
+    )
+  );
+}
+
+function openAIResponsesCompletion(responsePayload) {
+  if (responseWasRefused(responsePayload)) return completion("", true);
+  return completion(extractOutputText(responsePayload));
+}
+
+function chatCompletionsCompletion(responsePayload) {
+  const message = Array.isArray(responsePayload?.choices) ? responsePayload.choices[0]?.message : null;
+  if (typeof message?.refusal === "string" && message.refusal.trim()) return completion("", true);
+  return completion(typeof message?.content === "string" ? message.content : "");
+}
+
+// Prior turns are replayed in the same JSON shapes the model sees for the
+// current turn, so a remembered exchange cannot read as a fresh instruction.
+function historyTurns(chatRequest) {
+  return (Array.isArray(chatRequest.history) ? chatRequest.history : [])
+    .filter(turn => (turn?.role === "user" || turn?.role === "assistant") && typeof turn.text === "string")
+    .map(turn => ({
+      role: turn.role,
+      text: JSON.stringify(turn.role === "user" ? { message: turn.text } : { reply: turn.text })
+    }));
+}
+
+function createOpenAIResponsesProvider({
+  apiKey = "",
+  model,
+  endpoint,
+  moderationEndpoint,
+  moderationModel,
+  fetchImpl = defaultFetch
+}) {
+  const errorPrefix = "openai";
+
+  function buildRequest(chatRequest) {
+    return {
+      model,
+      store: false,
+      safety_identifier: chatRequest.safetyIdentifier,
+      max_output_tokens: chatRequest.maxOutputTokens,
+      reasoning: { effort: "low" },
+      text: {
+        verbosity: "low",
+        format:
+          chatRequest.responseFormat === "text"
+            ? { type: "text" }
+            : {
+                type: "json_schema",
+                name: "bot_chat_response",
+                strict: true,
+                schema: replyJsonSchema()
+              }
+      },
+      input: [
+        {
+          role: "system",
+          content: [{ type: "input_text", text: chatRequest.instructions }]
+        },
+        ...historyTurns(chatRequest).map(turn => ({
+          role: turn.role,
+          content: [{ type: turn.role === "user" ? "input_text" : "output_text", text: turn.text }]
+        })),
+        {
+          role: "user",
+          content: [{ type: "input_text", text: JSON.stringify(chatRequest.input) }]
+        }
+      ]
+    };
+  }
+
+  return {
+    id: "openai_responses",
+    configured: !!apiKey,
+    buildRequest,
+
+    async moderate(text, deadlineAt) {
+      const payload = await postProviderJson({
+        fetchImpl,
+        endpoint: moderationEndpoint,
+        apiKey,
+        body: { model: moderationModel, input: text },
+        deadlineAt,
+        errorPrefix: `${errorPrefix}_moderation`
+      });
+      return moderationFlagged(payload, errorPrefix);
+    },
+
+    async complete(chatRequest, deadlineAt) {
+      const responsePayload = await postProviderJson({
+        fetchImpl,
+        endpoint,
+        apiKey,
+        body: buildRequest(chatRequest),
+        deadlineAt,
+        errorPrefix
+      });
+      if (responsePayload?.status && responsePayload.status !== "completed") {
+        throw new Error(`${errorPrefix}_response_${responsePayload.status}`);
+      }
+      if (responsePayload?.error) throw new Error(`${errorPrefix}_response_error`);
+      return openAIResponsesCompletion(responsePayload);
+    },
+
+    async *stream(chatRequest, { deadlineAt, signal } = {}) {
+      const events = postProviderStream({
+        fetchImpl,
+        endpoint,
+        apiKey,
+        body: { ...buildRequest(chatRequest), stream: true },
+        deadlineAt,
+        signal,
+        errorPrefix
+      });
+      for await (const event of events) {
+        switch (event?.type) {
+          case "response.output_text.delta":
+            if (typeof event.delta === "string" && event.delta) yield { type: "delta", text: event.delta };
+            break;
+          case "response.refusal.delta":
+          case "response.refusal.done":
+            yield { type: "refusal" };
+            return;
+          case "response.completed":
+            return;
+          case "response.incomplete":
+          case "response.failed":
+          case "error":
+            throw new Error(`${errorPrefix}_response_${event.type.replace(/^response\./, "")}`);
+          default:
+            break;
+        }
+      }
+      throw new Error(`${errorPrefix}_stream_truncated`);
+    }
+  };
+}
+
+// Self-hosted llama.cpp, vLLM and Ollama servers expose the OpenAI chat
+// completions shape. Moderation is mandatory: the adapter posts to an
+// OpenAI-compatible moderation endpoint and is unconfigured without one, so a
+// self-hosted room can never silently skip the input and output checks.
+function createOpenAICompatibleProvider({
+  apiKey = "",
+  model,
+  endpoint,
+  moderationEndpoint,
+  moderationModel,
+  fetchImpl = defaultFetch
+}) {
+  const errorPrefix = "compatible";
+
+  function buildRequest(chatRequest) {
+    return {
+      model,
+      stream: false,
+      max_tokens: chatRequest.maxOutputTokens,
+      ...(chatRequest.responseFormat === "text"
+        ? {}
+        : {
+            response_format: {
+              type: "json_schema",
+              json_schema: {
+                name: "bot_chat_response",
+                strict: true,
+                schema: replyJsonSchema()
+              }
+            }
+          }),
+      messages: [
+        { role: "system", content: chatRequest.instructions },
+        ...historyTurns(chatRequest).map(turn => ({ role: turn.role, content: turn.text })),
+        { role: "user", content: JSON.stringify(chatRequest.input) }
+      ]
+    };
+  }
+
+  return {
+    id: "openai_compatible",
+    configured: !!(endpoint && model && moderationEndpoint),
+    buildRequest,
+
+    async moderate(text, deadlineAt) {
+      const payload = await postProviderJson({
+        fetchImpl,
+        endpoint: moderationEndpoint,
+        apiKey,
+        body: moderationModel ? { model: moderationModel, input: text } : { input: text },
+        deadlineAt,
+        errorPrefix: `${errorPrefix}_moderation`
+      });
+      return moderationFlagged(payload, errorPrefix);
+    },
+
+    async complete(chatRequest, deadlineAt) {
+      const responsePayload = await postProviderJson({
+        fetchImpl,
+        endpoint,
+        apiKey,
+        body: buildRequest(chatRequest),
+        deadlineAt,
+        errorPrefix
+      });
+      if (responsePayload?.error) throw new Error(`${errorPrefix}_response_error`);
+      const finishReason = Array.isArray(responsePayload?.choices)
+        ? responsePayload.choices[0]?.finish_reason
+        : undefined;
+      if (finishReason && finishReason !== "stop") {
+        throw new Error(`${errorPrefix}_response_${String(finishReason).slice(0, 32)}`);
+      }
+      return chatCompletionsCompletion(responsePayload);
+    },
+
+    async *stream(chatRequest, { deadlineAt, signal } = {}) {
+      const events = postProviderStream({
+        fetchImpl,
+        endpoint,
+        apiKey,
+        body: { ...buildRequest(chatRequest), stream: true },
+        deadlineAt,
+        signal,
+        errorPrefix
+      });
+      for await (const event of events) {
+        if (event?.error) throw new Error(`${errorPrefix}_response_error`);
+        const choice = Array.isArray(event?.choices) ? event.choices[0] : null;
+        if (typeof choice?.delta?.refusal === "string" && choice.delta.refusal.trim()) {
+          yield { type: "refusal" };
+          return;
+        }
+        if (typeof choice?.delta?.content === "string" && choice.delta.content) {
+          yield { type: "delta", text: choice.delta.content };
+        }
+        if (choice?.finish_reason === "stop") return;
+        if (choice?.finish_reason) {
+          throw new Error(`${errorPrefix}_response_${String(choice.finish_reason).slice(0, 32)}`);
+        }
+      }
+      throw new Error(`${errorPrefix}_stream_truncated`);
+    }
+  };
+}
+
+function scriptedMatcher(match) {
+  if (match instanceof RegExp) return text => match.test(text);
+  if (typeof match === "string" && match) {
+    const needle = match.toLowerCase();
+    return text => text.toLowerCase().includes(needle);
+  }
+  return () => true;
+}
+
+function normalizeScriptedRules(rules) {
+  if (!Array.isArray(rules) || rules.length > MAX_SCRIPTED_RULES) {
+    throw new Error("scripted_provider_rules_invalid");
+  }
+  return rules.map(rule => {
+    if (
+      !rule ||
+      typeof rule !== "object" ||
+      (rule.refuse !== true && typeof rule.reply !== "string" && typeof rule.reply !== "function")
+    ) {
+      throw new Error("scripted_provider_rules_invalid");
+    }
+    return { matches: scriptedMatcher(rule.match), reply: rule.reply, refuse: rule.refuse === true };
+  });
+}
+
+// A deterministic, network-free provider. Rules are tried in order against the
+// user message; the first match answers, and no match is a provider failure so
+// the route exercises its normal fallback. Moderation flags any text that
+// contains one of `blockedTerms`.
+function createScriptedProvider({ rules = [], blockedTerms = [] } = {}) {
+  const script = normalizeScriptedRules(rules);
+  const blocked = (Array.isArray(blockedTerms) ? blockedTerms : [])
+    .filter(term => typeof term === "string" && term)
+    .map(term => term.toLowerCase());
+
+  // Resolves the first matching rule; null marks a refusal.
+  async function scriptedReply(chatRequest, deadlineAt) {
+    if (Date.now() >= deadlineAt) throw new Error("chat_provider_deadline_exceeded");
+    const message = typeof chatRequest?.input?.message === "string" ? chatRequest.input.message : "";
+    const rule = script.find(candidate => candidate.matches(message));
+    if (!rule) throw new Error("scripted_provider_no_match");
+    if (rule.refuse) return null;
+    const reply = typeof rule.reply === "function" ? await rule.reply(chatRequest) : rule.reply;
+    return typeof reply === "string" ? reply : "";
+  }
+
+  return {
+    id: "scripted",
+    configured: script.length > 0,
+
+    async moderate(text, deadlineAt) {
+      if (Date.now() >= deadlineAt) throw new Error("chat_provider_deadline_exceeded");
+      const normalized = typeof text === "string" ? text.toLowerCase() : "";
+      return blocked.some(term => normalized.includes(term));
+    },
+
+    async complete(chatRequest, deadlineAt) {
+      const reply = await scriptedReply(chatRequest, deadlineAt);
+      if (reply === null) return completion("", true);
+      return completion(JSON.stringify({ reply }));
+    },
+
+    // Streams the same reply word by word so callers can exercise incremental
+    // handling without a network.
+    async *stream(chatRequest, { deadlineAt } = {}) {
+      const reply = await scriptedReply(chatRequest, deadlineAt);
+      if (reply === null) {
+        yield { type: "refusal" };
+        return;
+      }
+      for (const word of reply.match(/\S+\s*/g) || []) {
+        yield { type: "delta", text: word };
+      }
+    }
+  };
+}
+
+function parseScriptedRulesJson(raw) {
+  if (typeof raw !== "string" || !raw.trim()) return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (_error) {
+    throw new Error("scripted_provider_rules_invalid");
+  }
+  if (!Array.isArray(parsed)) throw new Error("scripted_provider_rules_invalid");
+  return parsed.map(rule => ({
+    match: typeof rule?.match === "string" ? rule.match : "",
+    reply: typeof rule?.reply === "string" ? rule.reply : null,
+    refuse: rule?.refuse === true
+  }));
+}
+
+function normalizeChatProviderId(value) {
+  return CHAT_PROVIDER_IDS.includes(value) ? value : "";
+}
+
+function createChatProviderRegistry(providers) {
+  const byId = new Map();
+  (Array.isArray(providers) ? providers : []).forEach(provider => {
+    if (!provider || !CHAT_PROVIDER_IDS.includes(provider.id)) {
+      throw new Error("chat_provider_invalid");
+    }
+    if (byId.has(provider.id)) throw new Error("chat_provider_duplicate");
+    byId.set(provider.id, provider);
+  });
+
+  return {
+    get(id) {
+      return byId.get(id) || null;
+    },
+
+    configuredIds() {
+      return Array.from(byId.values())
+        .filter(provider => provider.configured)
+        .map(provider => provider.id);
+    }
+  };
+}
+
+module.exports = {
+  CHAT_PROVIDER_IDS,
+  MAX_PROVIDER_RESPONSE_BYTES,
+  chatCompletionsCompletion,
+  createChatProviderRegistry,
+  createOpenAICompatibleProvider,
+  createOpenAIResponsesProvider,
+  createScriptedProvider,
+  normalizeChatProviderId,
+  openAIResponsesCompletion,
+  parseScriptedRulesJson,
+  providerRequestSignal
+};
@@ -0,0 +1,62 @@
+// A sentence ends at terminal punctuation followed by whitespace, or at a line
+// break. Text is only released to listeners up to the last such boundary.
+const SENTENCE_BOUNDARY = /[.!?…。！？](?=\s)|\n/gu;
+
+function lastSentenceBoundary(text, from) {
+  let end = -1;
+  SENTENCE_BOUNDARY.lastIndex = from;
+  let match = SENTENCE_BOUNDARY.exec(text);
+  while (match) {
+    end = match.index + match[0].length;
+    match = SENTENCE_BOUNDARY.exec(text);
+  }
+  return end;
+}
+
+// Consumes provider stream events and releases partial text only after the
+// whole reply up to that point has passed moderation. Moderating the
+// cumulative prefix rather than the new sentence alone keeps content split
+// across sentences from slipping through. The final reply is moderated again
+// as a whole before it is returned.
+//
+// Resolves to { reply } on success, { refused: true } for a provider refusal
+// and { moderated: true } as soon as any prefix is flagged. Listeners must
+// treat the caller's final event as replacing every partial.
+async function streamModeratedReply({ events, moderate, onPartial, maxLength }) {
+  let text = "";
+  let released = 0;
+  let truncated = false;
+
+  for await (const event of events) {
+    if (event?.type === "refusal") return { refused: true };
+    if (event?.type !== "delta" || typeof event.text !== "string") continue;
+
+    text += event.text;
+    if (text.length >= maxLength) {
+      text = text.slice(0, maxLength);
+      truncated = true;
+    }
+
+    const boundary = lastSentenceBoundary(text, released);
+    if (boundary > released) {
+      const prefix = text.slice(0, boundary);
+      if (await moderate(prefix)) return { moderated: true };
+      const partial = text.slice(released, boundary);
+      released = boundary;
+      if (partial.trim()) onPartial(partial);
+    }
+
+    // Leaving the loop closes the provider stream.
+    if (truncated) break;
+  }
+
+  const reply = text.trim();
+  if (!reply) throw new Error("chat_stream_empty_reply");
+  if (released < text.trimEnd().length && (await moderate(reply))) return { moderated: true };
+  return { reply };
+}
+
+module.exports = {
+  lastSentenceBoundary,
+  streamModeratedReply
+};
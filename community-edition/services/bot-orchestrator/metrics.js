@@ -0,0 +1,152 @@
+// Minimal Prometheus text exposition (format 0.0.4) for the orchestrator's
+// /metrics endpoint. Counters and histograms accumulate for the life of the
+// process; gauges are usually filled by collectors that run on every scrape,
+// so they always describe the current in-memory state. Labels never carry hub
+// ids: each orchestrator instance is scraped separately and room-level detail
+// stays in /health.
+const DEFAULT_DURATION_BUCKETS = Object.freeze([0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]);
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function escapeHelp(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+}
+
+function formatValue(value) {
+  if (value === Number.POSITIVE_INFINITY) return "+Inf";
+  if (value === Number.NEGATIVE_INFINITY) return "-Inf";
+  if (Number.isNaN(value)) return "NaN";
+  return String(value);
+}
+
+function formatLabels(labelNames, values, extra = "") {
+  const parts = labelNames.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function createMetricsRegistry() {
+  const metrics = new Map();
+  const collectors = [];
+
+  const register = (type, name, help, labelNames) => {
+    if (!METRIC_NAME.test(name) || metrics.has(name)) throw new Error("metrics_invalid_name");
+    if (!labelNames.every(label => LABEL_NAME.test(label) && label !== "le")) {
+      throw new Error("metrics_invalid_label");
+    }
+    const metric = { type, name, help, labelNames, series: new Map() };
+    metrics.set(name, metric);
+    return metric;
+  };
+
+  // Missing labels become "" rather than throwing: instrumentation must never
+  // break a chat turn or a runner restart.
+  const seriesFor = (metric, labels, create) => {
+    const values = metric.labelNames.map(label => (labels && labels[label] != null ? String(labels[label]) : ""));
+    const key = JSON.stringify(values);
+    let series = metric.series.get(key);
+    if (!series) {
+      series = create(values);
+      metric.series.set(key, series);
+    }
+    return series;
+  };
+
+  const counter = (name, help, labelNames = []) => {
+    const metric = register("counter", name, help, labelNames);
+    return {
+      inc(labels = {}, amount = 1) {
+        if (!Number.isFinite(amount) || amount < 0) return;
+        seriesFor(metric, labels, values => ({ values, value: 0 })).value += amount;
+      }
+    };
+  };
+
+  const gauge = (name, help, labelNames = []) => {
+    const metric = register("gauge", name, help, labelNames);
+    return {
+      set(labels = {}, value = 0) {
+        seriesFor(metric, labels, values => ({ values, value: 0 })).value = Number(value);
+      },
+      reset() {
+        metric.series.clear();
+      }
+    };
+  };
+
+  const histogram = (name, help, labelNames = [], buckets = DEFAULT_DURATION_BUCKETS) => {
+    const metric = register("histogram", name, help, labelNames);
+    metric.buckets = [...buckets].sort((a, b) => a - b);
+    return {
+      observe(labels = {}, value) {
+        if (!Number.isFinite(value) || value < 0) return;
+        const series = seriesFor(metric, labels, values => ({
+          values,
+          counts: metric.buckets.map(() => 0),
+          sum: 0,
+          count: 0
+        }));
+        metric.buckets.forEach((bound, index) => {
+          if (value <= bound) series.counts[index] += 1;
+        });
+        series.sum += value;
+        series.count += 1;
+      }
+    };
+  };
+
+  const render = () => {
+    collectors.forEach(collect => {
+      try {
+        collect();
+      } catch (error) {
+        console.warn("Metrics collector failed.", error?.name || "Error");
+      }
+    });
+
+    const lines = [];
+    metrics.forEach(metric => {
+      lines.push(`# HELP ${metric.name} ${escapeHelp(metric.help)}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      metric.series.forEach(series => {
+        if (metric.type !== "histogram") {
+          lines.push(`${metric.name}${formatLabels(metric.labelNames, series.values)} ${formatValue(series.value)}`);
+          return;
+        }
+        metric.buckets.forEach((bound, index) => {
+          const le = `le="${formatValue(bound)}"`;
+          lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, le)} ${series.counts[index]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, 'le="+Inf"')} ${series.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, series.values)} ${formatValue(series.sum)}`);
+        lines.push(`${metric.name}_count${formatLabels(metric.labelNames, series.values)} ${series.count}`);
+      });
+    });
+    return `${lines.join("\n")}\n`;
+  };
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    onCollect(collect) {
+      collectors.push(collect);
+    },
+    render
+  };
+}
+
+function elapsedSeconds(startedAt) {
+  return Number(process.hrtime.bigint() - startedAt) / 1e9;
+}
+
+module.exports = {
+  DEFAULT_DURATION_BUCKETS,
+  PROMETHEUS_CONTENT_TYPE: "text/plain; charset=utf-8; version=0.0.4",
+  createMetricsRegistry,
+  elapsedSeconds
+};
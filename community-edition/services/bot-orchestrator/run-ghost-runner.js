@@ -15,6 +15,7 @@ const { mat4, vec3, quat } = require("gl-matrix");
 const THREE = require("three");
 const { Pathfinding } = require("three-pathfinding");
 const { createRunnerControlClient } = require("./runner-control-client");
+const { dueBotRoutines, normalizeBotRoutines } = require("./bot-routines");
 
 // Node 20+ has fetch globally, but keep this as a sanity check.
 if (typeof fetch !== "function") {
@@ -1220,10 +1221,33 @@ function projectWaypointsToNavmesh(points, planner) {
   };
 }
 
+// The navmesh group bots spawn and patrol in: the one holding the most
+// spawbots, or the most waypoints when no spawbot is on the navmesh (lowest
+// group on ties). Null when no point has a group.
+function primaryNavGroup(spawbots, waypoints, groupOf) {
+  const grouped = spawbots.some(point => groupOf(point) !== undefined) ? spawbots : waypoints;
+  const countByGroup = new Map();
+  grouped.forEach(point => {
+    const group = groupOf(point);
+    if (group === undefined) return;
+    countByGroup.set(group, (countByGroup.get(group) || 0) + 1);
+  });
+  let primaryGroup = null;
+  countByGroup.forEach((count, group) => {
+    const primaryCount = primaryGroup === null ? 0 : countByGroup.get(primaryGroup);
+    if (count > primaryCount || (count === primaryCount && group < primaryGroup)) primaryGroup = group;
+  });
+  return primaryGroup;
+}
+
+// Routes cannot cross navmesh groups, so projected points outside the primary
+// group are left out.
 function pickSpawnAndPatrolPoints(points) {
-  const all = points.allWaypoints;
-  const spawnFlag = points.spawnFlagPoints;
-  const spawbots = points.namedSpawbots;
+  const group = primaryNavGroup(points.namedSpawbots, points.allWaypoints, point => point.navGroup);
+  const inGroup = list => (group === null ? list : list.filter(point => point.navGroup === group));
+  const all = inGroup(points.allWaypoints);
+  const spawnFlag = inGroup(points.spawnFlagPoints);
+  const spawbots = inGroup(points.namedSpawbots);
 
   const spawnPoints = spawbots.length ? spawbots : spawnFlag.length ? spawnFlag : all;
   const patrolPoints =
@@ -1297,25 +1321,76 @@ function isPathClearWithColliders(colliders, from, to, endpointEpsilonM = 0.1) {
   return true;
 }
 
+// Per-bot overrides arrive already normalized by the orchestrator. Rebuild them
+// with the same key order so the fingerprint matches runnerConfigPayload.
+function normalizeBotProfile(profile) {
+  const source = profile && typeof profile === "object" && !Array.isArray(profile) ? profile : {};
+  const normalized = {};
+  if (
+    typeof source.name === "string" &&
+    source.name &&
+    Buffer.byteLength(source.name, "utf8") <= 96 &&
+    !/[\u0000-\u001f\u007f]/.test(source.name)
+  ) {
+    normalized.name = source.name;
+  }
+  if (["static", "low", "medium", "high"].includes(source.mobility)) normalized.mobility = source.mobility;
+  if (typeof source.avatar_id === "string" && /^[A-Za-z0-9_-]{1,64}$/.test(source.avatar_id)) {
+    normalized.avatar_id = source.avatar_id;
+  }
+  return normalized;
+}
+
+function normalizedRoutineAnnouncement(value) {
+  return typeof value === "string" &&
+    value &&
+    Buffer.byteLength(value, "utf8") <= 480 &&
+    !/[\u0000-\u001f\u007f]/.test(value)
+    ? value
+    : "";
+}
+
 function normalizeBotsConfig(bots) {
   const source = bots && typeof bots === "object" ? bots : {};
   const rawCount = Number(source.count || 0);
   const mobility = ["static", "low", "medium", "high"].includes(source.mobility) ? source.mobility : "medium";
-  return {
+  const normalized = {
     enabled: !!source.enabled,
     count: Number.isFinite(rawCount) ? clamp(Math.floor(rawCount), 0, 10) : 0,
     mobility,
     chat_enabled: !!source.chat_enabled
   };
+  if (Array.isArray(source.profiles)) {
+    normalized.profiles = source.profiles.slice(0, 10).map(normalizeBotProfile);
+    const routines = normalizeBotRoutines(source.routines, normalizedRoutineAnnouncement);
+    if (routines.length) normalized.routines = routines;
+  }
+  return normalized;
 }
 
 function managedRunnerConfigFingerprint(bots) {
   const normalized = normalizeBotsConfig(bots);
-  return JSON.stringify({
+  const payload = {
     enabled: normalized.enabled,
     count: normalized.count,
     mobility: normalized.mobility
-  });
+  };
+  if (normalized.profiles) payload.profiles = normalized.profiles;
+  if (normalized.routines) payload.routines = normalized.routines;
+  return JSON.stringify(payload);
+}
+
+function botProfile(botsConfig, botId) {
+  const profiles = botsConfig && Array.isArray(botsConfig.profiles) ? botsConfig.profiles : [];
+  return profiles[botIndexFromId(botId)] || {};
+}
+
+function botMobility(botsConfig, botId) {
+  return botProfile(botsConfig, botId).mobility || botsConfig.mobility;
+}
+
+function botDisplayName(botsConfig, botId) {
+  return botProfile(botsConfig, botId).name || botId;
 }
 
 function validManagedConfigRevision(value) {
@@ -1526,6 +1601,87 @@ function navigationReady({ navigationMode, requireNavmesh, waypointData }) {
   );
 }
 
+const MAX_SCENE_DIAGNOSTIC_ENTRIES = 32;
+const MAX_SEGMENT_DIAGNOSTIC_WAYPOINTS = 16;
+const SCENE_POLICY_ERROR =
+  /^(?:(?:glb|gltf|navmesh)_[a-z0-9_]+|scene_response_too_large|scene_url_rejected)$/;
+
+function roundedDiagnosticPosition(position) {
+  return position.map(value => Math.round(finiteNumber(value) * 100) / 100);
+}
+
+// Explains why navigation is not ready in terms a scene author can act on.
+// Built from what this process already loaded; nothing is fetched again. Spawn
+// and patrol points come from the primary navmesh group (see primaryNavGroup),
+// so spawbots in any other group are reported as disconnected.
+function buildSceneDiagnostics({
+  sceneError = null,
+  navmeshError = null,
+  extracted = null,
+  navPlanner = null,
+  policy
+}) {
+  const waypoints = extracted ? extracted.allWaypoints : [];
+  const spawbots = extracted ? extracted.namedSpawbots : [];
+  const colliders = extracted ? extracted.colliders : [];
+  let truncated = false;
+  const bounded = entries => {
+    if (entries.length > MAX_SCENE_DIAGNOSTIC_ENTRIES) truncated = true;
+    return entries.slice(0, MAX_SCENE_DIAGNOSTIC_ENTRIES);
+  };
+
+  const unprojected = [];
+  const groupByPoint = new Map();
+  if (navPlanner) {
+    waypoints.forEach(point => {
+      const projected = navPlanner.projectPoint(point.position);
+      if (projected) groupByPoint.set(point, projected.group);
+      else unprojected.push({ name: point.name.slice(0, 64), position: roundedDiagnosticPosition(point.position) });
+    });
+  }
+
+  const primaryGroup = primaryNavGroup(spawbots, waypoints, point => groupByPoint.get(point));
+  const disconnected = spawbots
+    .filter(point => groupByPoint.has(point) && groupByPoint.get(point) !== primaryGroup)
+    .map(point => ({ name: point.name.slice(0, 64), group: groupByPoint.get(point) }));
+
+  // Collider checks are what collider/direct movement relies on, so they are
+  // reported even when a navmesh is present.
+  const blocked = [];
+  if (colliders.length) {
+    const candidates = (spawbots.length >= 2 ? spawbots : waypoints).slice(0, MAX_SEGMENT_DIAGNOSTIC_WAYPOINTS);
+    for (let a = 0; a < candidates.length; a++) {
+      for (let b = a + 1; b < candidates.length; b++) {
+        if (!isPathClearWithColliders(colliders, candidates[a].position, candidates[b].position)) {
+          blocked.push({ from: candidates[a].name.slice(0, 64), to: candidates[b].name.slice(0, 64) });
+        }
+      }
+    }
+  }
+
+  const policyViolations = Array.from(
+    new Set([sceneError, navmeshError].filter(code => typeof code === "string" && SCENE_POLICY_ERROR.test(code)))
+  );
+
+  return {
+    scene: { loaded: !!extracted, error: sceneError },
+    navmesh: {
+      present: !!navPlanner,
+      error: navmeshError,
+      triangles: navPlanner ? navPlanner.triangleCount : 0,
+      groups: navPlanner ? navPlanner.groupCount : 0,
+      snap_distance_m: policy.navmeshSnapDistanceM
+    },
+    waypoints: { total: waypoints.length, spawbots: spawbots.length, colliders: colliders.length },
+    primary_nav_group: primaryGroup,
+    unprojected_waypoints: bounded(unprojected),
+    disconnected_spawbots: bounded(disconnected),
+    blocked_segments: bounded(blocked),
+    policy_violations: policyViolations,
+    truncated
+  };
+}
+
 function deriveBotRuntimeStatus({
   enabled,
   desired,
@@ -1568,17 +1724,18 @@ const MOBILITY_BEHAVIOR = {
   high: { speedMps: 1.05, idleMinMs: 2500, idleMaxMs: 8000 }
 };
 
-function randomIdleDurationMs(mobility) {
+// `random` lets the offline simulator replay a seeded run.
+function randomIdleDurationMs(mobility, random = Math.random) {
   const behavior = MOBILITY_BEHAVIOR[mobility] || MOBILITY_BEHAVIOR.medium;
   const range = behavior.idleMaxMs - behavior.idleMinMs;
-  return behavior.idleMinMs + Math.floor(Math.random() * Math.max(range, 1));
+  return behavior.idleMinMs + Math.floor(random() * Math.max(range, 1));
 }
 
-function initialIdleDurationMs(mobility) {
+function initialIdleDurationMs(mobility, random = Math.random) {
   if (mobility === "static") return Number.POSITIVE_INFINITY;
-  if (mobility === "low") return 2000 + Math.floor(Math.random() * 3000);
-  if (mobility === "high") return 800 + Math.floor(Math.random() * 1000);
-  return 1200 + Math.floor(Math.random() * 1300);
+  if (mobility === "low") return 2000 + Math.floor(random() * 3000);
+  if (mobility === "high") return 800 + Math.floor(random() * 1000);
+  return 1200 + Math.floor(random() * 1300);
 }
 
 function separateNearbyPosition(basePos, botIndex, usedPositions) {
@@ -1724,6 +1881,64 @@ function findCommandedWaypointPlan(desiredWaypointName, allWaypoints, planRoute)
   return route ? { target, route } : null;
 }
 
+// Followers keep FOLLOW_DISTANCE_M behind their leader. When several bots
+// follow the same leader they take formation slots by bot number: slot 0
+// directly behind, then pairs widening to either side one row further back.
+const FOLLOW_DISTANCE_M = 1.4;
+const FORMATION_SPACING_M = 0.9;
+const FOLLOW_REPLAN_INTERVAL_MS = 1000;
+const FOLLOW_TOLERANCE_M = 0.6;
+const FOLLOW_MAX_DURATION_MS = 10 * 60_000;
+
+function formationSlotOffset(slotIndex) {
+  const row = Math.ceil(slotIndex / 2);
+  const side = slotIndex === 0 ? 0 : slotIndex % 2 ? -1 : 1;
+  return { lateralM: side * row * FORMATION_SPACING_M, backM: FOLLOW_DISTANCE_M + row * FORMATION_SPACING_M };
+}
+
+// Yaw uses the runner's convention: 0 faces +Z, 90 faces +X.
+function formationTarget(leaderPosition, leaderYawDeg, slotIndex) {
+  const { lateralM, backM } = formationSlotOffset(slotIndex);
+  const yaw = (finiteNumber(leaderYawDeg) * Math.PI) / 180;
+  const forward = [Math.sin(yaw), Math.cos(yaw)];
+  const right = [Math.cos(yaw), -Math.sin(yaw)];
+  return [
+    leaderPosition[0] - forward[0] * backM + right[0] * lateralM,
+    leaderPosition[1],
+    leaderPosition[2] - forward[1] * backM + right[1] * lateralM
+  ];
+}
+
+// Fallback when the formation slot cannot be reached without crossing the
+// leader: the point at the slot's distance on the follower's own side.
+function keepDistanceTarget(leaderPosition, followerPosition, slotIndex) {
+  const { backM } = formationSlotOffset(slotIndex);
+  const dx = followerPosition[0] - leaderPosition[0];
+  const dz = followerPosition[2] - leaderPosition[2];
+  const distance = Math.hypot(dx, dz);
+  if (distance < 0.001) return null;
+  return [
+    leaderPosition[0] + (dx / distance) * backM,
+    leaderPosition[1],
+    leaderPosition[2] + (dz / distance) * backM
+  ];
+}
+
+// Following another bot must not close a loop, or the whole chain would chase
+// itself around the room.
+function followCreatesCycle(records, followerId, leaderBotId) {
+  const visited = new Set([followerId]);
+  let current = leaderBotId;
+  while (current) {
+    if (visited.has(current)) return true;
+    visited.add(current);
+    const record = records.get(current);
+    const following = record && record.following;
+    current = following && following.kind === "bot" ? following.id : null;
+  }
+  return false;
+}
+
 function botIndexFromId(botId) {
   return Math.max(Number(String(botId).replace("bot-", "")) - 1, 0);
 }
@@ -1875,7 +2090,23 @@ async function fetchFeaturedAvatarRefs(
   return { allRefs, fullbodyRefs };
 }
 
-function pickAvatarId(botId, avatarRefs, fullbodyRefs, rotationOffset) {
+function avatarRefMatchesId(ref, avatarId) {
+  try {
+    const segments = new URL(ref, "https://featured.invalid").pathname.split("/");
+    const index = segments.indexOf("avatars");
+    return index !== -1 && segments[index + 1] === avatarId;
+  } catch (_error) {
+    return false;
+  }
+}
+
+// A per-bot avatar override only selects among the featured refs already
+// fetched for this room; it never turns configuration into an arbitrary URL.
+function pickAvatarId(botId, avatarRefs, fullbodyRefs, rotationOffset, preferredAvatarId = "") {
+  if (preferredAvatarId) {
+    const preferred = avatarRefs.find(ref => avatarRefMatchesId(ref, preferredAvatarId));
+    if (preferred) return preferred;
+  }
   const refs = fullbodyRefs.length ? fullbodyRefs : avatarRefs;
   if (!refs.length) return "";
   const index = (botIndexFromId(botId) + rotationOffset) % refs.length;
@@ -2036,7 +2267,13 @@ function botCommandMatchesRunnerFence(payload, authorityFence) {
   );
 }
 
-function applyFencedBotCommand(payload, authorityFence, bots, startWalking, nowMs) {
+const FOLLOW_SESSION_ID = /^[A-Za-z0-9_-]{1,64}$/;
+const FOLLOW_BOT_ID = /^bot-(?:[1-9]|10)$/;
+
+// `follow` receives (record, { kind, id }, nowMs) and `stopFollowing`
+// (record, nowMs); either may refuse by returning false. Every command type
+// passes the same authority fence first.
+function applyFencedBotCommand(payload, authorityFence, bots, startWalking, nowMs, followCommands = {}) {
   if (!payload || payload.type !== "bot_command") return false;
   if (!botCommandMatchesRunnerFence(payload, authorityFence)) return false;
 
@@ -2046,10 +2283,29 @@ function applyFencedBotCommand(payload, authorityFence, bots, startWalking, nowM
   if (!botId) return false;
   const record = bots.get(botId);
   if (!record || record.mobility === "static") return false;
-  if (body.type !== "go_to_waypoint" || !body.waypoint) return false;
 
-  startWalking(record, String(body.waypoint), nowMs);
-  return true;
+  const { follow, stopFollowing } = followCommands;
+  switch (body.type) {
+    case "go_to_waypoint":
+      if (!body.waypoint) return false;
+      startWalking(record, String(body.waypoint), nowMs);
+      return true;
+    case "follow_user":
+      if (typeof follow !== "function") return false;
+      if (typeof body.session_id !== "string" || !FOLLOW_SESSION_ID.test(body.session_id)) return false;
+      return follow(record, { kind: "user", id: body.session_id }, nowMs) !== false;
+    case "follow_bot":
+      if (typeof follow !== "function") return false;
+      if (typeof body.leader !== "string" || !FOLLOW_BOT_ID.test(body.leader) || body.leader === botId) {
+        return false;
+      }
+      return follow(record, { kind: "bot", id: body.leader }, nowMs) !== false;
+    case "stop_following":
+      if (typeof stopFollowing !== "function") return false;
+      return stopFollowing(record, nowMs) !== false;
+    default:
+      return false;
+  }
 }
 
 function waitForAuthenticatedRunnerPresence(presence, sessionId, leaseId, timeoutMs = 5000) {
@@ -2142,6 +2398,60 @@ function removeEntityPayload(networkId) {
   return { dataType: "r", data: { networkId } };
 }
 
+const MAX_TRACKED_NAFR_LENGTH = 64 * 1024;
+
+function nafVector(value) {
+  if (!value || typeof value !== "object") return null;
+  const vector = [Number(value.x), Number(value.y), Number(value.z)];
+  return vector.every(Number.isFinite) ? vector : null;
+}
+
+// Reads visitor avatar transforms out of relayed NAF traffic. Only entities
+// owned by the session Reticulum stamped as the sender count, so a client
+// cannot move another visitor's avatar as seen by the runner. Component 0 of
+// #remote-avatar is the rig position and component 1 its rotation in degrees.
+function readAvatarNafMessage(event, payload) {
+  const result = { updates: [], removedNetworkIds: [] };
+  if (!payload || typeof payload !== "object") return result;
+  const fromSessionId = payload.from_session_id;
+  if (typeof fromSessionId !== "string" || !fromSessionId) return result;
+
+  let message = payload;
+  if (event === "nafr") {
+    if (typeof payload.naf !== "string" || payload.naf.length > MAX_TRACKED_NAFR_LENGTH) return result;
+    message = safeJsonParse(payload.naf);
+    if (!message || typeof message !== "object") return result;
+  }
+
+  const data = message.data;
+  if (!data || typeof data !== "object") return result;
+  if (message.dataType === "r") {
+    if (typeof data.networkId === "string") result.removedNetworkIds.push(data.networkId);
+    return result;
+  }
+
+  let entities = [];
+  if (message.dataType === "u") entities = [data];
+  else if (message.dataType === "um" && Array.isArray(data.d)) entities = data.d;
+
+  entities.forEach(entity => {
+    if (!entity || entity.template !== "#remote-avatar" || entity.owner !== fromSessionId) return;
+    if (typeof entity.networkId !== "string" || !entity.networkId) return;
+    const components = entity.components && typeof entity.components === "object" ? entity.components : {};
+    const position = nafVector(components[0]);
+    const rotation = nafVector(components[1]);
+    if (!position && !rotation) return;
+    result.updates.push({
+      sessionId: fromSessionId,
+      networkId: entity.networkId,
+      position,
+      rotationYDeg: rotation ? rotation[1] : null
+    });
+  });
+
+  return result;
+}
+
 async function main() {
   const options = docopt(doc);
 
@@ -2619,13 +2929,19 @@ async function main() {
       }
       usedPositions.push(pos);
 
-      const avatarId = pickAvatarId(botId, avatarRefs, fullbodyRefs, avatarRotationOffset);
+      const avatarId = pickAvatarId(
+        botId,
+        avatarRefs,
+        fullbodyRefs,
+        avatarRotationOffset,
+        botProfile(botsConfig, botId).avatar_id
+      );
       const yaw = Math.random() * 360;
       const lastOwnerTime = timekeeper.nowMs();
       const networkId = buildNetworkId(hubSid, botId);
 
       const path = buildBotPathFreeze(pos, normalizeAngleDeg(yaw), nowMs);
-      const info = { botId, avatarId, displayName: botId, isBot: true };
+      const info = { botId, avatarId, displayName: botDisplayName(botsConfig, botId), isBot: true };
 
       const payload = createEntityPayload({
         networkId,
@@ -2643,12 +2959,14 @@ async function main() {
         homePosition: [pos[0], pos[1], pos[2]],
         yawDeg: normalizeAngleDeg(yaw),
         state: "idle",
-        stateEndsAt: nowMs + initialIdleDurationMs(botsConfig.mobility),
-        mobility: botsConfig.mobility,
+        stateEndsAt: nowMs + initialIdleDurationMs(botMobility(botsConfig, botId)),
+        mobility: botMobility(botsConfig, botId),
         destination: null,
         reservedTargetName: null,
         path: null,
-        routePoints: []
+        routePoints: [],
+        routine: null,
+        following: null
       };
       const pending = { payload, record };
       const attempt = (spawnAttempts.get(botId) || 0) + 1;
@@ -2676,7 +2994,7 @@ async function main() {
           spawnAttempts.delete(botId);
           spawnRetryAt.delete(botId);
           clearSpawnRecovery(botId);
-          record.mobility = botsConfig.mobility;
+          record.mobility = botMobility(botsConfig, botId);
           record.stateEndsAt = timekeeper.nowMs() + initialIdleDurationMs(record.mobility);
           bots.set(botId, record);
           publishRuntimeStatus();
@@ -2708,15 +3026,20 @@ async function main() {
     }
 
     // Update mobility on existing bots.
+    const routineKeys = new Set((botsConfig.routines || []).map(routine => JSON.stringify(routine)));
     bots.forEach(record => {
-      if (record.mobility === botsConfig.mobility) return;
+      if (record.routine && !routineKeys.has(record.routine.key)) endRoutine(record);
+      const mobility = botMobility(botsConfig, record.id);
+      if (record.mobility === mobility) return;
 
       const previousMobility = record.mobility;
       updateRecordPositionFromPath(record, nowMs);
-      record.mobility = botsConfig.mobility;
+      record.mobility = mobility;
       changed = true;
 
       if (record.mobility === "static") {
+        endRoutine(record);
+        endFollowing(record, "static");
         setIdle(record, nowMs);
       } else if (previousMobility === "static") {
         record.stateEndsAt = nowMs + initialIdleDurationMs(record.mobility);
@@ -2924,6 +3247,27 @@ async function main() {
     return false;
   };
 
+  // Synthetic targets ("__wander__", "__follow__") are never reserved.
+  const walkPlan = (record, plan, nowMs, segmentStartAt) => {
+    if (!Array.isArray(plan.route) || plan.route.length < 2) return false;
+
+    if (plan.target.name && !plan.target.name.startsWith("__")) {
+      reserveTarget(record, plan.target.name);
+    } else {
+      releaseReservation(record);
+    }
+
+    record.destination = {
+      name: plan.target.name,
+      position: [...plan.route[plan.route.length - 1]]
+    };
+    record.path = null;
+    record.routePoints = plan.route.slice(1).map(point => [point[0], point[1], point[2]]);
+    record.routeUsesNavmesh = !!waypointData.navPlanner;
+
+    return startNextRouteSegment(record, nowMs, segmentStartAt);
+  };
+
   const startWalking = (record, desiredWaypointName, nowMs) => {
     updateRecordPositionFromPath(record, nowMs);
 
@@ -2966,26 +3310,7 @@ async function main() {
       if (route) plan = { target, route };
     }
 
-    if (!plan || !Array.isArray(plan.route) || plan.route.length < 2) {
-      setIdle(record, nowMs);
-      return;
-    }
-
-    if (plan.target.name && plan.target.name !== "__wander__") {
-      reserveTarget(record, plan.target.name);
-    } else {
-      releaseReservation(record);
-    }
-
-    record.destination = {
-      name: plan.target.name,
-      position: [...plan.route[plan.route.length - 1]]
-    };
-    record.path = null;
-    record.routePoints = plan.route.slice(1).map(point => [point[0], point[1], point[2]]);
-    record.routeUsesNavmesh = !!waypointData.navPlanner;
-
-    if (!startNextRouteSegment(record, nowMs, nowMs + pathStartDelayMs)) {
+    if (!plan || !walkPlan(record, plan, nowMs, nowMs + pathStartDelayMs)) {
       setIdle(record, nowMs);
     }
   };
@@ -2993,7 +3318,18 @@ async function main() {
   const broadcastFullSync = nowMs => {
     bots.forEach(record => {
       const pathData = record.path ? buildBotPathSegment(record.path) : buildBotPathFreeze(record.position, record.yawDeg, nowMs);
-      const info = { botId: record.id, avatarId: pickAvatarId(record.id, avatarRefs, fullbodyRefs, avatarRotationOffset), displayName: record.id, isBot: true };
+      const info = {
+        botId: record.id,
+        avatarId: pickAvatarId(
+          record.id,
+          avatarRefs,
+          fullbodyRefs,
+          avatarRotationOffset,
+          botProfile(botsConfig, record.id).avatar_id
+        ),
+        displayName: botDisplayName(botsConfig, record.id),
+        isBot: true
+      };
 
       sendNaf(
         channel,
@@ -3025,17 +3361,223 @@ async function main() {
     }
   };
 
+  // Scheduled routines walk their stops in order: walk, announce, dwell, then
+  // the next stop. Patrol resumes after the last stop. A chat command or a
+  // config that no longer lists the routine ends it early.
+  const routineWaypoint = name =>
+    waypointData.allWaypoints.find(point => (point.name || "").trim().toLowerCase() === name) || null;
+
+  const endRoutine = record => {
+    if (record.routine) log(`[ghost] Routine ended early for ${record.id}`);
+    record.routine = null;
+  };
+
+  const arriveAtRoutineStop = (record, nowMs) => {
+    const stop = record.routine.stops[record.routine.stopIndex];
+    const target = routineWaypoint(stop.waypoint);
+    const arrived =
+      !!target &&
+      Math.hypot(target.position[0] - record.position[0], target.position[2] - record.position[2]) <= 0.75;
+
+    if (!arrived) {
+      log(`[ghost] Routine stop is not reachable, skipping: ${stop.waypoint}`);
+      record.stateEndsAt = nowMs;
+      return;
+    }
+    if (stop.announcement) {
+      try {
+        channel.push("message", {
+          type: "chat",
+          body: `${botDisplayName(botsConfig, record.id)}: ${stop.announcement}`
+        });
+      } catch (_err) {}
+    }
+    record.stateEndsAt = nowMs + (stop.dwell_seconds || 0) * 1000;
+  };
+
+  const walkToRoutineStop = (record, nowMs) => {
+    startWalking(record, record.routine.stops[record.routine.stopIndex].waypoint, nowMs);
+    if (record.state !== "walk") arriveAtRoutineStop(record, nowMs);
+  };
+
+  const advanceRoutine = (record, nowMs) => {
+    record.routine.stopIndex += 1;
+    if (record.routine.stopIndex >= record.routine.stops.length) {
+      record.routine = null;
+      setIdle(record, nowMs);
+      return;
+    }
+    walkToRoutineStop(record, nowMs);
+  };
+
+  const startDueRoutines = nowMs => {
+    dueBotRoutines(botsConfig && botsConfig.routines, nowMs).forEach(routine => {
+      const record = bots.get(routine.bot_id);
+      if (!record || record.routine || record.following || record.mobility === "static") return;
+      record.routine = { key: JSON.stringify(routine), stops: routine.stops, stopIndex: 0 };
+      log(`[ghost] Starting scheduled routine for ${record.id} stops=${routine.stops.length}`);
+      walkToRoutineStop(record, nowMs);
+    });
+  };
+
+  // Visitor avatars by session, fed by relayed NAF traffic. Only sessions
+  // currently in presence are kept.
+  const visitorAvatars = new Map();
+  const avatarSessionsByNetworkId = new Map();
+
+  const trackVisitorAvatars = (event, payload) => {
+    const { updates, removedNetworkIds } = readAvatarNafMessage(event, payload);
+    updates.forEach(update => {
+      if (update.sessionId === sessionId || !knownOccupants.has(update.sessionId)) return;
+      const avatar = visitorAvatars.get(update.sessionId) || { position: null, yawDeg: 0 };
+      if (update.position) {
+        const moved = avatar.position
+          ? Math.hypot(update.position[0] - avatar.position[0], update.position[2] - avatar.position[2])
+          : 0;
+        // Heading follows the walking direction; the rig rotation (which
+        // faces -Z at 0) only seeds it until the visitor first moves.
+        if (moved > 0.1) {
+          avatar.yawDeg = normalizeAngleDeg(
+            (Math.atan2(update.position[0] - avatar.position[0], update.position[2] - avatar.position[2]) * 180) /
+              Math.PI
+          );
+          avatar.headingFromMotion = true;
+        }
+        avatar.position = update.position;
+      }
+      if (update.rotationYDeg !== null && !avatar.headingFromMotion) {
+        avatar.yawDeg = normalizeAngleDeg(update.rotationYDeg + 180);
+      }
+      visitorAvatars.set(update.sessionId, avatar);
+      avatarSessionsByNetworkId.set(update.networkId, update.sessionId);
+    });
+    removedNetworkIds.forEach(networkId => {
+      const owner = avatarSessionsByNetworkId.get(networkId);
+      if (!owner) return;
+      avatarSessionsByNetworkId.delete(networkId);
+      visitorAvatars.delete(owner);
+    });
+  };
+
+  const forgetVisitorAvatar = session => {
+    visitorAvatars.delete(session);
+    avatarSessionsByNetworkId.forEach((owner, networkId) => {
+      if (owner === session) avatarSessionsByNetworkId.delete(networkId);
+    });
+  };
+
+  // Following replans toward the bot's formation slot behind its leader, a
+  // visitor avatar or another bot. It ends on request, on another chat
+  // command, when the leader leaves or after FOLLOW_MAX_DURATION_MS.
+  const endFollowing = (record, reason) => {
+    if (record.following) log(`[ghost] ${record.id} stopped following (${reason})`);
+    record.following = null;
+  };
+
+  const followLeader = following => {
+    if (following.kind === "bot") {
+      const leader = bots.get(following.id);
+      return leader ? { present: true, position: leader.position, yawDeg: leader.yawDeg } : { present: false };
+    }
+    if (!knownOccupants.has(following.id)) return { present: false };
+    const avatar = visitorAvatars.get(following.id);
+    return { present: true, position: avatar ? avatar.position : null, yawDeg: avatar ? avatar.yawDeg : 0 };
+  };
+
+  const followSlot = record => {
+    const following = record.following;
+    const followers = Array.from(bots.values())
+      .filter(
+        other =>
+          other.following && other.following.kind === following.kind && other.following.id === following.id
+      )
+      .map(other => other.id)
+      .sort((a, b) => botIndexFromId(a) - botIndexFromId(b));
+    return Math.max(followers.indexOf(record.id), 0);
+  };
+
+  const projectFollowTarget = position => {
+    if (!waypointData.navPlanner) return position;
+    const projected = waypointData.navPlanner.projectPoint(position);
+    return projected ? projected.position : null;
+  };
+
+  const updateFollowing = (record, nowMs) => {
+    const following = record.following;
+    const leader = followLeader(following);
+    if (!leader.present) {
+      endFollowing(record, "leader_left");
+      if (record.state === "idle") setIdle(record, nowMs);
+      return;
+    }
+    if (nowMs - following.startedAt >= FOLLOW_MAX_DURATION_MS) {
+      endFollowing(record, "timeout");
+      if (record.state === "idle") setIdle(record, nowMs);
+      return;
+    }
+    if (nowMs < following.nextPlanAt || !leader.position) return;
+    following.nextPlanAt = nowMs + FOLLOW_REPLAN_INTERVAL_MS;
+
+    const slot = followSlot(record);
+    const goal = record.destination ? record.destination.position : record.position;
+    const candidates = [
+      formationTarget(leader.position, leader.yawDeg, slot),
+      keepDistanceTarget(leader.position, record.position, slot)
+    ];
+    for (const candidate of candidates) {
+      const target = candidate && projectFollowTarget(candidate);
+      if (!target) continue;
+      if (Math.hypot(target[0] - goal[0], target[2] - goal[2]) <= FOLLOW_TOLERANCE_M) return;
+      updateRecordPositionFromPath(record, nowMs);
+      const route = planRouteToPoint(record, { name: "__follow__", position: target });
+      if (!route) continue;
+      const segmentStartAt = record.state === "walk" ? nowMs : nowMs + pathStartDelayMs;
+      if (walkPlan(record, { target: { name: "__follow__" }, route }, nowMs, segmentStartAt)) return;
+    }
+  };
+
+  const startFollowing = (record, leader, nowMs) => {
+    if (leader.kind === "bot" && (!bots.has(leader.id) || followCreatesCycle(bots, record.id, leader.id))) {
+      log(`[ghost] ${record.id} cannot follow ${leader.id}, skipping`);
+      return false;
+    }
+    if (leader.kind === "user" && (leader.id === sessionId || !knownOccupants.has(leader.id))) {
+      log(`[ghost] ${record.id} cannot follow a visitor who is not in the room, skipping`);
+      return false;
+    }
+    endRoutine(record);
+    record.following = { kind: leader.kind, id: leader.id, startedAt: nowMs, nextPlanAt: nowMs };
+    log(`[ghost] ${record.id} is following a ${leader.kind === "bot" ? "bot" : "visitor"}`);
+    updateFollowing(record, nowMs);
+    return true;
+  };
+
+  const stopFollowing = (record, nowMs) => {
+    if (!record.following) return false;
+    endFollowing(record, "requested");
+    setIdle(record, nowMs);
+    return true;
+  };
+
   // Handle commands from bot chat.
   channel.on("message", payload => {
     applyFencedBotCommand(
       payload,
       runnerAuthorityFence,
       bots,
-      startWalking,
-      timekeeper.nowMs()
+      (record, desiredWaypointName, nowMs) => {
+        endRoutine(record);
+        endFollowing(record, "waypoint_command");
+        startWalking(record, desiredWaypointName, nowMs);
+      },
+      timekeeper.nowMs(),
+      { follow: startFollowing, stopFollowing }
     );
   });
 
+  channel.on("naf", payload => trackVisitorAvatars("naf", payload));
+  channel.on("nafr", payload => trackVisitorAvatars("nafr", payload));
+
   // Update config on hub refresh (room settings).
   channel.on("hub_refresh", payload => {
     const refreshedHub = payload && Array.isArray(payload.hubs) ? payload.hubs[0] : null;
@@ -3105,6 +3647,7 @@ async function main() {
     knownOccupants.forEach(k => {
       if (!currentOccupants.has(k)) {
         knownOccupants.delete(k);
+        forgetVisitorAvatar(k);
       }
     });
   });
@@ -3113,6 +3656,7 @@ async function main() {
   const sceneUrl = activeSceneState.url;
   const sceneUrlRejected = activeSceneState.rejected;
   const initialSceneGeneration = sceneGeneration;
+  let sceneDiagnostics = null;
   if (sceneUrlRejected) {
     log(
       requireNavmesh
@@ -3136,6 +3680,7 @@ async function main() {
           fetchGltfScene(sceneUrl, sceneFetchPolicy).then(async scene => {
           const extracted = extractWaypointsAndColliders(scene.gltf);
           let navPlanner = null;
+          let navmeshError = null;
 
           if (navigationMode === "navmesh_preferred") {
             try {
@@ -3143,6 +3688,7 @@ async function main() {
               navPlanner = createNavMeshPlanner(navMesh, sceneFetchPolicy);
               if (navMesh && navMesh.geometry) navMesh.geometry.dispose();
             } catch (error) {
+              navmeshError = errorCodeForLog(error);
               log(
                 requireNavmesh
                   ? "Navmesh rejected. Navmesh-required bots will remain blocked."
@@ -3152,6 +3698,12 @@ async function main() {
             }
           }
 
+          const diagnostics = buildSceneDiagnostics({
+            navmeshError,
+            extracted,
+            navPlanner,
+            policy: sceneFetchPolicy
+          });
           let navigable = projectWaypointsToNavmesh(extracted, navPlanner);
           if (navPlanner && extracted.allWaypoints.length && !navigable.allWaypoints.length) {
             log("No waypoints could be projected to the navmesh. Blocking navmesh-required bots.");
@@ -3169,6 +3721,7 @@ async function main() {
             throw new Error("scene_refresh_superseded");
           }
           waypointData = nextWaypointData;
+          sceneDiagnostics = diagnostics;
           if (
             !navPlanner &&
             raycastMode === "spoke_colliders" &&
@@ -3209,6 +3762,9 @@ async function main() {
         }
       )
         .catch(err => {
+          if (!sceneDiagnostics) {
+            sceneDiagnostics = buildSceneDiagnostics({ sceneError: errorCodeForLog(err), policy: sceneFetchPolicy });
+          }
           log(
             requireNavmesh
               ? "Failed to load/parse scene glTF. Navmesh-required bots will remain blocked."
@@ -3250,12 +3806,31 @@ async function main() {
     required: requireNavmesh,
     mode: navigationMode
   });
+  publishManagedMessage({
+    type: "ghost-scene-diagnostics",
+    processGeneration: runnerProcessGeneration,
+    report: {
+      navigation: {
+        mode: navigationMode,
+        required: requireNavmesh,
+        ready: navigationReady({ navigationMode, requireNavmesh, waypointData })
+      },
+      ...(sceneDiagnostics ||
+        buildSceneDiagnostics({
+          sceneError: sceneUrlRejected ? "scene_url_rejected" : "scene_url_missing",
+          policy: sceneFetchPolicy
+        }))
+    }
+  });
 
   // Main loop.
   let lastConfigRefreshAt = 0;
   let lastFeaturedRefreshAt = 0;
   const CONFIG_REFRESH_INTERVAL_MS = 3000;
   const FEATURED_REFRESH_INTERVAL_MS = 60000;
+  // Schedules have minute resolution. Starting from the current minute means a
+  // restart never replays a routine that already fired in it.
+  let lastRoutineMinute = Math.floor(timekeeper.nowMs() / 60_000);
 
   const tick = () => {
     const now = timekeeper.nowMs();
@@ -3279,15 +3854,27 @@ async function main() {
         .catch(() => {});
     }
 
+    const minute = Math.floor(now / 60_000);
+    if (minute !== lastRoutineMinute) {
+      lastRoutineMinute = minute;
+      startDueRoutines(now);
+    }
+
     bots.forEach(record => {
       updateRecordPositionFromPath(record, now);
+      if (record.following) updateFollowing(record, now);
       if (record.state === "idle") {
-        if (record.mobility !== "static" && now >= record.stateEndsAt) startWalking(record, null, now);
+        if (record.routine) {
+          if (now >= record.stateEndsAt) advanceRoutine(record, now);
+        } else if (!record.following && record.mobility !== "static" && now >= record.stateEndsAt) {
+          startWalking(record, null, now);
+        }
       } else if (record.state === "walk") {
         if (now >= record.stateEndsAt) {
           const nextSegmentStartAt = record.stateEndsAt;
           if (!record.routePoints.length || !startNextRouteSegment(record, now, nextSegmentStartAt)) {
             setIdle(record, now);
+            if (record.routine) arriveAtRoutineStop(record, now);
           }
         }
       }
@@ -3340,11 +3927,13 @@ if (require.main === module) {
 module.exports = {
   main,
   internals: {
+    MOBILITY_BEHAVIOR,
     applyFencedBotCommand,
     establishAuthenticatedRunnerAuthority,
     authenticatedRunnerAuthorityFence,
     authoritativeBotRunnerLeaseId,
     applyHubRefreshSceneChange,
+    buildSceneDiagnostics,
     cancelPendingSpawnsForTransition,
     computeWorldNodeMatrices,
     createSpawnCleanupController,
@@ -3360,6 +3949,12 @@ module.exports = {
     finalizeManagedConfigApplication,
     findCommandedWaypointPlan,
     findSeparatedNavmeshPosition,
+    followCreatesCycle,
+    formationTarget,
+    initialIdleDurationMs,
+    isGlb,
+    isPathClearWithColliders,
+    keepDistanceTarget,
     errorCodeForLog,
     managedRunnerConfigFingerprint,
     managedConfigDeliveryDecision,
@@ -3368,9 +3963,14 @@ module.exports = {
     parseManagedConfigMessage,
     botCommandMatchesRunnerFence,
     parseGlbJson,
+    parseGlbSceneDescriptor,
+    pickAvatarId,
+    pickSpawnAndPatrolPoints,
     presenceHasAuthenticatedBotRunner,
     projectWaypointsToNavmesh,
+    randomIdleDurationMs,
     readAccessor,
+    readAvatarNafMessage,
     requestBotSpawn,
     resolveHubSceneState,
     redactUrlForLog,
@@ -3378,6 +3978,7 @@ module.exports = {
     routeMaintainsSeparation,
     scheduleNavigationRecoveryRestart,
     scheduleSpawnRecoveryRestart,
+    separateNearbyPosition,
     shouldApplyHubRefreshConfig,
     validateGltfShape,
     validateSceneUrl
@@ -0,0 +1,463 @@
+#!/usr/bin/env node
+const doc = `
+Usage:
+    ./simulate-bots.js --scene=<glb> [options]
+Options:
+    -h --help                 Show this screen
+    -s --scene=<glb>          Local .glb scene file
+    -n --bots=<count>         Number of bots, 1 to 10 [default: 3]
+    -m --mobility=<mobility>  low, medium, high or static [default: medium]
+    -d --duration=<seconds>   Simulated duration in seconds [default: 300]
+    --seed=<seed>             Seed for idle times and patrol choices [default: 1]
+    -o --out=<prefix>         Writes <prefix>.json and <prefix>.svg [default: bot-simulation]
+    --colliders               Ignore the navmesh and move like GHOST_NAVIGATION_MODE=colliders
+`;
+
+// Headless stand-in for the ghost runner's movement loop. It loads a local
+// scene through the runner's own GLB, navmesh and waypoint pipeline, runs the
+// idle/patrol state machine in simulated time and writes a trace plus a
+// top-down SVG, so scene authors can check spawbot waypoints and the navmesh
+// before publishing. No Phoenix socket, Reticulum or network access is used.
+const fs = require("node:fs");
+const path = require("node:path");
+const docopt = require("docopt").docopt;
+const { internals: runner } = require("./run-ghost-runner");
+
+const MAX_SIMULATED_BOTS = 10;
+const MAX_SIMULATED_SECONDS = 24 * 60 * 60;
+const SIMULATION_STEP_MS = 100;
+const TRACE_SAMPLE_INTERVAL_MS = 500;
+// Same timing defaults as the runner (PATH_START_DELAY_MS and friends).
+const PATH_START_DELAY_MS = 450;
+const MIN_WALK_DURATION_MS = 600;
+const MIN_ROUTE_SEGMENT_DURATION_MS = 150;
+// Routes are planned to stay 0.55 m apart; closer than that is a violation.
+const MIN_BOT_SEPARATION_M = 0.55;
+const SIMULATION_MOBILITIES = ["static", "low", "medium", "high"];
+
+// mulberry32: small, fast and good enough to make a run repeatable.
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function round(value, digits = 3) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function distanceXZ(a, b) {
+  return Math.hypot(a[0] - b[0], a[2] - b[2]);
+}
+
+function navmeshTrianglesXZ(navMesh) {
+  if (!navMesh || !navMesh.geometry) return [];
+  const positions = navMesh.geometry.getAttribute("position").array;
+  const index = navMesh.geometry.getIndex().array;
+  const triangles = [];
+  for (let i = 0; i + 2 < index.length; i += 3) {
+    const corners = [index[i], index[i + 1], index[i + 2]];
+    triangles.push(corners.map(vertex => [positions[vertex * 3], positions[vertex * 3 + 2]]));
+  }
+  return triangles;
+}
+
+// Reads the whole file up front, so every later byte range is served from the
+// in-memory buffer and the policy's fetch is never called.
+async function loadLocalScene(filePath, { useNavmesh = true, policyOverrides = {} } = {}) {
+  const policy = runner.createSceneFetchPolicy("http://localhost", {
+    ...policyOverrides,
+    fetchImpl: async () => {
+      throw new Error("simulation_scene_fetch_disabled");
+    }
+  });
+  const stat = fs.statSync(filePath);
+  if (stat.size > policy.maxSceneBytes) throw new Error("scene_response_too_large");
+  const bytes = fs.readFileSync(filePath);
+  const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  if (!runner.isGlb(buffer)) throw new Error("simulation_scene_not_glb");
+
+  const scene = runner.parseGlbSceneDescriptor(buffer, `file://${path.resolve(filePath)}`, policy);
+  const extracted = runner.extractWaypointsAndColliders(scene.gltf);
+  let navPlanner = null;
+  let navmeshError = null;
+  let triangles = [];
+  if (useNavmesh) {
+    try {
+      const navMesh = await runner.extractNavMeshGeometry(scene, policy);
+      navPlanner = runner.createNavMeshPlanner(navMesh, policy);
+      triangles = navmeshTrianglesXZ(navMesh);
+      if (navMesh && navMesh.geometry) navMesh.geometry.dispose();
+    } catch (error) {
+      navmeshError = runner.errorCodeForLog(error);
+    }
+  }
+
+  const navigable = runner.projectWaypointsToNavmesh(extracted, navPlanner);
+  const projectedNames = new Set(navigable.allWaypoints.map(point => point.name));
+  const offNavmesh = navPlanner ? extracted.allWaypoints.filter(point => !projectedNames.has(point.name)) : [];
+  return {
+    extracted,
+    navigable,
+    navPlanner,
+    navmeshError,
+    offNavmesh,
+    triangles,
+    ...runner.pickSpawnAndPatrolPoints(navigable)
+  };
+}
+
+// Static reachability: every waypoint must project onto the navmesh and be
+// routable from the first spawn point. Islands in the navmesh show up here
+// even if the random patrol never happens to pick them.
+function unreachableWaypoints(loaded) {
+  const unreachable = loaded.offNavmesh.map(point => ({ name: point.name, reason: "off_navmesh" }));
+  const origin = loaded.spawnPoints[0];
+  if (!origin) return unreachable;
+
+  loaded.navigable.allWaypoints.forEach(point => {
+    if (point === origin) return;
+    const route = loaded.navPlanner
+      ? loaded.navPlanner.findRoute(origin.position, point.position)
+      : runner.isPathClearWithColliders(loaded.extracted.colliders, origin.position, point.position)
+        ? [origin.position, point.position]
+        : null;
+    if (!route) unreachable.push({ name: point.name, reason: "no_route" });
+  });
+  return unreachable;
+}
+
+// One violation per episode: recorded when a pair first gets too close and
+// re-armed once the pair is back at a safe distance.
+function createSeparationMonitor(minimumDistanceM = MIN_BOT_SEPARATION_M) {
+  const violations = [];
+  const activePairs = new Set();
+  return {
+    violations,
+    observe(records, nowMs) {
+      for (let a = 0; a < records.length; a++) {
+        for (let b = a + 1; b < records.length; b++) {
+          const key = `${records[a].id}|${records[b].id}`;
+          const distance = distanceXZ(records[a].position, records[b].position);
+          if (distance >= minimumDistanceM) {
+            activePairs.delete(key);
+          } else if (!activePairs.has(key)) {
+            activePairs.add(key);
+            violations.push({
+              t_s: round(nowMs / 1000, 1),
+              bots: [records[a].id, records[b].id],
+              distance_m: round(distance),
+              position: [round(records[a].position[0]), round(records[a].position[2])]
+            });
+          }
+        }
+      }
+    }
+  };
+}
+
+function simulateBots(loaded, { botCount = 3, mobility = "medium", durationMs = 300_000, seed = 1 } = {}) {
+  const random = seededRandom(seed);
+  const behavior = runner.MOBILITY_BEHAVIOR[mobility] || runner.MOBILITY_BEHAVIOR.medium;
+  const speedMps = Math.max(0.05, Number(behavior.speedMps) || 0.75);
+  const records = [];
+  const reservedTargets = new Map();
+  const failedPlans = new Map();
+  const separation = createSeparationMonitor();
+
+  const planRoute = (record, target) => {
+    let route;
+    if (loaded.navPlanner) {
+      route = loaded.navPlanner.findRoute(record.position, target.position);
+    } else if (runner.isPathClearWithColliders(loaded.extracted.colliders, record.position, target.position)) {
+      route = [[...record.position], [...target.position]];
+    }
+    if (!route) {
+      failedPlans.set(target.name, (failedPlans.get(target.name) || 0) + 1);
+      return null;
+    }
+    return runner.routeMaintainsSeparation(route, record.id, records) ? route : null;
+  };
+
+  // Mirrors pickPatrolPlan in the runner: unreserved targets first, shuffled,
+  // at most eight planning attempts.
+  const pickPatrolPlan = record => {
+    const points = loaded.patrolPoints;
+    const excludeName = record.destinationName;
+    const candidates = points.filter(point => {
+      if (point.name === excludeName) return false;
+      const owner = reservedTargets.get(point.name);
+      if (owner && owner !== record.id) return false;
+      return distanceXZ(point.position, record.position) > 0.2;
+    });
+    const source = candidates.length ? candidates : points.filter(point => point.name !== excludeName);
+    const shuffled = source.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    for (let i = 0; i < Math.min(8, shuffled.length); i++) {
+      const route = planRoute(record, shuffled[i]);
+      if (route) return { target: shuffled[i], route };
+    }
+    return null;
+  };
+
+  const setIdle = (record, nowMs) => {
+    if (record.reservedTargetName) reservedTargets.delete(record.reservedTargetName);
+    record.reservedTargetName = null;
+    record.state = "idle";
+    record.path = null;
+    record.routePoints = [];
+    record.stateEndsAt = mobility === "static" ? Number.POSITIVE_INFINITY : nowMs + runner.randomIdleDurationMs(mobility, random);
+  };
+
+  const startNextSegment = (record, segmentStartAt) => {
+    while (record.routePoints.length) {
+      const endPos = record.routePoints.shift();
+      const startPos = [...record.position];
+      const distance = Math.hypot(endPos[0] - startPos[0], endPos[1] - startPos[1], endPos[2] - startPos[2]);
+      if (distance <= 0.02) {
+        record.position = [...endPos];
+        continue;
+      }
+      const minimumDuration = loaded.navPlanner ? MIN_ROUTE_SEGMENT_DURATION_MS : MIN_WALK_DURATION_MS;
+      const dur = Math.max(minimumDuration, (distance / speedMps) * 1000);
+      record.state = "walk";
+      record.path = { startPos, endPos, t0: segmentStartAt, dur };
+      record.stateEndsAt = segmentStartAt + dur;
+      return true;
+    }
+    return false;
+  };
+
+  const startWalking = (record, nowMs) => {
+    const plan = pickPatrolPlan(record);
+    if (!plan) {
+      record.stalledPlans += 1;
+      setIdle(record, nowMs);
+      return;
+    }
+    reservedTargets.set(plan.target.name, record.id);
+    record.reservedTargetName = plan.target.name;
+    record.destinationName = plan.target.name;
+    record.routePoints = plan.route.slice(1).map(point => [...point]);
+    record.walks += 1;
+    if (!startNextSegment(record, nowMs + PATH_START_DELAY_MS)) setIdle(record, nowMs);
+  };
+
+  const updatePosition = (record, nowMs) => {
+    if (!record.path) return;
+    const { startPos, endPos, t0, dur } = record.path;
+    const alpha = Math.min(Math.max((nowMs - t0) / dur, 0), 1);
+    const next = startPos.map((value, axis) => value + (endPos[axis] - value) * alpha);
+    record.distanceM += distanceXZ(record.position, next);
+    record.position = next;
+  };
+
+  const usedPositions = [];
+  const spawnPoints = loaded.spawnPoints.length ? loaded.spawnPoints : loaded.patrolPoints;
+  const spawnFailures = [];
+  for (let index = 0; index < botCount; index++) {
+    const id = `bot-${index + 1}`;
+    const spawn = spawnPoints.length ? spawnPoints[index % spawnPoints.length] : null;
+    const basePos = spawn ? spawn.position : [0, 0, 0];
+    const position = loaded.navPlanner
+      ? runner.findSeparatedNavmeshPosition(basePos, index, usedPositions, loaded.navPlanner)
+      : runner.separateNearbyPosition(basePos, index, usedPositions);
+    if (!position) {
+      spawnFailures.push(id);
+      continue;
+    }
+    usedPositions.push(position);
+    records.push({
+      id,
+      spawn: [...position],
+      position: [...position],
+      state: "idle",
+      stateEndsAt: runner.initialIdleDurationMs(mobility, random),
+      path: null,
+      routePoints: [],
+      destinationName: null,
+      reservedTargetName: null,
+      walks: 0,
+      stalledPlans: 0,
+      distanceM: 0,
+      idleMs: 0,
+      walkingMs: 0,
+      samples: [[0, round(position[0]), round(position[2])]]
+    });
+  }
+
+  for (let nowMs = SIMULATION_STEP_MS; nowMs <= durationMs; nowMs += SIMULATION_STEP_MS) {
+    records.forEach(record => {
+      updatePosition(record, nowMs);
+      if (record.state === "idle") {
+        record.idleMs += SIMULATION_STEP_MS;
+        if (mobility !== "static" && nowMs >= record.stateEndsAt) startWalking(record, nowMs);
+      } else {
+        record.walkingMs += SIMULATION_STEP_MS;
+        if (nowMs >= record.stateEndsAt && !startNextSegment(record, record.stateEndsAt)) setIdle(record, nowMs);
+      }
+      if (nowMs % TRACE_SAMPLE_INTERVAL_MS === 0) {
+        record.samples.push([round(nowMs / 1000, 1), round(record.position[0]), round(record.position[2])]);
+      }
+    });
+
+    separation.observe(records, nowMs);
+  }
+
+  return {
+    mobility,
+    duration_s: durationMs / 1000,
+    seed,
+    navigation: {
+      mode: loaded.navPlanner ? "navmesh" : "colliders",
+      navmesh_error: loaded.navmeshError,
+      triangles: loaded.navPlanner ? loaded.navPlanner.triangleCount : 0,
+      groups: loaded.navPlanner ? loaded.navPlanner.groupCount : 0,
+      colliders: loaded.extracted.colliders.length
+    },
+    waypoints: loaded.navigable.allWaypoints.map(point => ({
+      name: point.name,
+      position: [round(point.position[0]), round(point.position[2])],
+      patrol: loaded.patrolPoints.includes(point),
+      spawn: loaded.spawnPoints.includes(point)
+    })),
+    unreachable_waypoints: unreachableWaypoints(loaded),
+    failed_plans: Object.fromEntries(Array.from(failedPlans.entries()).sort(([a], [b]) => a.localeCompare(b))),
+    spawn_failures: spawnFailures,
+    bots: records.map(record => ({
+      id: record.id,
+      spawn: [round(record.spawn[0]), round(record.spawn[2])],
+      walks: record.walks,
+      stalled_plans: record.stalledPlans,
+      distance_m: round(record.distanceM, 2),
+      idle_s: round(record.idleMs / 1000, 1),
+      walking_s: round(record.walkingMs / 1000, 1),
+      path: record.samples
+    })),
+    separation_violations: separation.violations
+  };
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Top-down view: +X to the right, +Z downwards. Navmesh triangles in grey,
+// waypoints as labelled dots (red when unreachable), one coloured polyline per
+// bot and a red ring at each separation violation.
+function renderTraceSvg(trace, triangles = [], { size = 800, margin = 40 } = {}) {
+  const xs = [];
+  const zs = [];
+  const include = ([x, z]) => {
+    xs.push(x);
+    zs.push(z);
+  };
+  triangles.forEach(triangle => triangle.forEach(include));
+  trace.waypoints.forEach(point => include(point.position));
+  trace.bots.forEach(bot => bot.path.forEach(([, x, z]) => include([x, z])));
+  if (!xs.length) include([0, 0]);
+
+  const minX = Math.min(...xs);
+  const minZ = Math.min(...zs);
+  const span = Math.max(Math.max(...xs) - minX, Math.max(...zs) - minZ, 1);
+  const scale = (size - margin * 2) / span;
+  const sx = x => round(margin + (x - minX) * scale, 1);
+  const sz = z => round(margin + (z - minZ) * scale, 1);
+  const unreachable = new Set(trace.unreachable_waypoints.map(point => point.name));
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">`,
+    `<rect width="${size}" height="${size}" fill="#ffffff"/>`
+  ];
+  triangles.forEach(triangle => {
+    const points = triangle.map(([x, z]) => `${sx(x)},${sz(z)}`).join(" ");
+    parts.push(`<polygon points="${points}" fill="#e6e6e6" stroke="#c8c8c8" stroke-width="0.5"/>`);
+  });
+  trace.bots.forEach((bot, index) => {
+    const hue = Math.round((index * 360) / Math.max(trace.bots.length, 1));
+    const points = bot.path.map(([, x, z]) => `${sx(x)},${sz(z)}`).join(" ");
+    parts.push(`<polyline points="${points}" fill="none" stroke="hsl(${hue},70%,45%)" stroke-width="1.5" opacity="0.8"/>`);
+    parts.push(`<rect x="${sx(bot.spawn[0]) - 3}" y="${sz(bot.spawn[1]) - 3}" width="6" height="6" fill="hsl(${hue},70%,45%)"/>`);
+  });
+  trace.waypoints.forEach(point => {
+    const color = unreachable.has(point.name) ? "#d62728" : "#1f3b73";
+    const x = sx(point.position[0]);
+    const y = sz(point.position[1]);
+    parts.push(`<circle cx="${x}" cy="${y}" r="4" fill="${color}"/>`);
+    parts.push(`<text x="${x + 6}" y="${y - 6}" font-family="sans-serif" font-size="11" fill="${color}">${escapeXml(point.name)}</text>`);
+  });
+  trace.separation_violations.forEach(violation => {
+    parts.push(`<circle cx="${sx(violation.position[0])}" cy="${sz(violation.position[1])}" r="7" fill="none" stroke="#d62728" stroke-width="2"/>`);
+  });
+  parts.push("</svg>");
+  return `${parts.join("\n")}\n`;
+}
+
+function parseSimulationOptions(options) {
+  const botCount = Number(options["--bots"]);
+  const durationS = Number(options["--duration"]);
+  const seed = Number(options["--seed"]);
+  const mobility = String(options["--mobility"] || "").toLowerCase();
+  if (!Number.isInteger(botCount) || botCount < 1 || botCount > MAX_SIMULATED_BOTS) {
+    throw new Error("simulation_invalid_bot_count");
+  }
+  if (!Number.isFinite(durationS) || durationS <= 0 || durationS > MAX_SIMULATED_SECONDS) {
+    throw new Error("simulation_invalid_duration");
+  }
+  if (!Number.isInteger(seed)) throw new Error("simulation_invalid_seed");
+  if (!SIMULATION_MOBILITIES.includes(mobility)) throw new Error("simulation_invalid_mobility");
+  return { botCount, durationMs: Math.round(durationS * 1000), seed, mobility };
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const options = docopt(doc, { argv });
+  const simulation = parseSimulationOptions(options);
+  const loaded = await loadLocalScene(options["--scene"], { useNavmesh: !options["--colliders"] });
+  const trace = {
+    scene: path.basename(options["--scene"]),
+    bots_requested: simulation.botCount,
+    ...simulateBots(loaded, simulation)
+  };
+  const prefix = options["--out"];
+  fs.writeFileSync(`${prefix}.json`, `${JSON.stringify(trace, null, 2)}\n`);
+  fs.writeFileSync(`${prefix}.svg`, renderTraceSvg(trace, loaded.triangles));
+
+  // eslint-disable-next-line no-console
+  console.log(
+    [
+      `navigation=${trace.navigation.mode}`,
+      `bots=${trace.bots.length}/${simulation.botCount}`,
+      `unreachable_waypoints=${trace.unreachable_waypoints.length}`,
+      `separation_violations=${trace.separation_violations.length}`,
+      `trace=${prefix}.json`,
+      `plot=${prefix}.svg`
+    ].join(" ")
+  );
+  return trace;
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    // eslint-disable-next-line no-console
+    console.error("Bot simulation failed:", runner.errorCodeForLog(error));
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  createSeparationMonitor,
+  main,
+  loadLocalScene,
+  parseSimulationOptions,
+  renderTraceSvg,
+  simulateBots
+};
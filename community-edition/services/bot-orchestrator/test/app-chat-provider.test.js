@@ -0,0 +1,550 @@
+const assert = require("node:assert/strict");
+const { after, before, beforeEach, test } = require("node:test");
+
+process.env.BOT_ORCHESTRATOR_ACCESS_KEY = "test-orchestrator-access-key-at-least-32";
+process.env.OPENAI_API_KEY = "";
+process.env.BOT_CHAT_PROVIDER = "scripted";
+process.env.RUNNER_AUTOSTART = "false";
+process.env.CHAT_RATE_LIMIT_MS = "1";
+process.env.CHAT_RATE_LIMIT_MAX_REQUESTS = "20";
+
+const { startServer, internals } = require("../app");
+const { createScriptedProvider } = require("../chat-providers");
+const { internals: runnerInternals } = require("../run-ghost-runner");
+
+let server;
+let baseUrl;
+let scriptedRequests;
+
+function installScriptedProvider(extraProviders = []) {
+  scriptedRequests = [];
+  internals.setChatProvidersForTests([
+    createScriptedProvider({
+      rules: [
+        { match: "secret", refuse: true },
+        { match: "visita", reply: "Bienvenido al museo. La sala principal está a la izquierda. Es muy grosera." },
+        { match: "spawbot-silencio", reply: "" },
+        {
+          match: "",
+          reply: request => {
+            scriptedRequests.push(request);
+            return request.input.message.includes("grosero") ? "respuesta grosera" : "Hola desde el guion.";
+          }
+        }
+      ],
+      blockedTerms: ["prohibido", "grosera"]
+    }),
+    ...extraProviders
+  ]);
+}
+
+before(async () => {
+  server = startServer(0);
+  if (!server.listening) {
+    await new Promise(resolve => server.once("listening", resolve));
+  }
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(() => {
+  internals.resetRuntimeStateForTests();
+  installScriptedProvider();
+});
+
+after(async () => {
+  await new Promise((resolve, reject) => server.close(error => (error ? reject(error) : resolve())));
+});
+
+async function post(path, body) {
+  return fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "x-ret-bot-orchestrator-access-key": process.env.BOT_ORCHESTRATOR_ACCESS_KEY
+    },
+    body: JSON.stringify(body)
+  });
+}
+
+async function configureRoom(hubSid, extra = {}) {
+  const bots = { enabled: true, count: 1, mobility: "medium", chat_enabled: true, ...extra };
+  const response = await post("/internal/bots/room-config", { hub_sid: hubSid, bots });
+  assert.equal(response.status, 200);
+  assert.equal(internals.seedReadyRoomForTests(hubSid, bots), true);
+}
+
+async function chat(hubSid, message, context, botId = "bot-1") {
+  const response = await post("/internal/bots/chat", {
+    hub_sid: hubSid,
+    bot_id: botId,
+    requester_id: `account-${hubSid}`,
+    message,
+    ...(context ? { context } : {})
+  });
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+async function chatStream(hubSid, message, context, botId = "bot-1") {
+  const response = await post("/internal/bots/chat-stream", {
+    hub_sid: hubSid,
+    bot_id: botId,
+    requester_id: `account-${hubSid}`,
+    message,
+    ...(context ? { context } : {})
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /^application\/x-ndjson/);
+  const text = await response.text();
+  return text
+    .split("\n")
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+test("runs the chat flow through the deployment provider without touching fetch", async () => {
+  await configureRoom("room-scripted", { prompt: "Eres el guía." });
+
+  const body = await chat("room-scripted", "Ve a spawbot-lobby", { waypoints: ["spawbot-lobby"] });
+
+  assert.equal(body.reply, "Hola desde el guion.");
+  assert.deepEqual(body.action, { type: "go_to_waypoint", waypoint: "spawbot-lobby" });
+  assert.equal(scriptedRequests.length, 1);
+  assert.equal(scriptedRequests[0].input.room_persona, "Eres el guía.");
+  assert.equal(scriptedRequests[0].safetyIdentifier.length, 64);
+});
+
+test("answers an empty provider reply with the deterministic fallback", async () => {
+  await configureRoom("room-scripted-empty");
+
+  const body = await chat("room-scripted-empty", "Ve a spawbot-silencio", { waypoints: ["spawbot-silencio"] });
+
+  assert.equal(body.reply, "bot-1: el asistente no está disponible temporalmente.");
+  assert.deepEqual(body.action, { type: "go_to_waypoint", waypoint: "spawbot-silencio" });
+});
+
+test("applies input moderation, output moderation and refusals to any provider", async () => {
+  await configureRoom("room-scripted-moderation");
+
+  const blockedInput = await chat("room-scripted-moderation", "algo prohibido");
+  assert.equal(blockedInput.moderated, true);
+  assert.equal(scriptedRequests.length, 0);
+
+  const blockedOutput = await chat("room-scripted-moderation", "sé grosero");
+  assert.equal(blockedOutput.moderated, true);
+  assert.equal(JSON.stringify(blockedOutput).includes("grosera"), false);
+
+  const refused = await chat("room-scripted-moderation", "cuéntame un secreto");
+  assert.equal(refused.moderated, undefined);
+  assert.match(refused.reply, /otra pregunta/i);
+  assert.equal(refused.action, null);
+});
+
+test("honours a room provider choice and never falls back to another vendor", async () => {
+  const compatibleRequests = [];
+  installScriptedProvider([
+    {
+      id: "openai_compatible",
+      configured: true,
+      async moderate() {
+        return false;
+      },
+      async complete(request) {
+        compatibleRequests.push(request);
+        return { refused: false, text: JSON.stringify({ reply: "Respuesta autoalojada." }) };
+      }
+    }
+  ]);
+  await configureRoom("room-self-hosted", { chat_provider: "openai_compatible" });
+
+  assert.equal((await chat("room-self-hosted", "hola")).reply, "Respuesta autoalojada.");
+  assert.equal(compatibleRequests.length, 1);
+  assert.equal(scriptedRequests.length, 0);
+
+  installScriptedProvider();
+  await configureRoom("room-unconfigured-provider", { chat_provider: "openai_compatible" });
+  const fallback = await chat("room-unconfigured-provider", "hola");
+
+  assert.match(fallback.reply, /no está disponible temporalmente/i);
+  assert.equal(scriptedRequests.length, 0);
+});
+
+test("normalizes the optional room provider field without changing legacy configs", () => {
+  assert.equal(Object.hasOwn(internals.normalizeConfig({ enabled: true, count: 1 }), "chat_provider"), false);
+  assert.equal(internals.normalizeConfig({ chat_provider: "scripted" }).chat_provider, "scripted");
+  assert.equal(Object.hasOwn(internals.normalizeConfig({ chat_provider: "other" }), "chat_provider"), false);
+  assert.throws(
+    () =>
+      internals.parseRoomSnapshot({
+        hubs: [
+          {
+            hub_sid: "room-bad-provider",
+            runtime_revision: 1,
+            bots: {
+              enabled: true,
+              count: 1,
+              mobility: "medium",
+              chat_enabled: true,
+              prompt: "",
+              chat_provider: "other"
+            }
+          }
+        ]
+      }),
+    /invalid_room_snapshot_config/
+  );
+});
+
+test("feeds a bounded per-visitor conversation window back to the provider", async () => {
+  await configureRoom("room-memory");
+
+  await chat("room-memory", "¿Dónde está la sala azul?");
+  await chat("room-memory", "¿Y cómo llego?");
+
+  assert.deepEqual(scriptedRequests[0].history, []);
+  assert.deepEqual(scriptedRequests[1].history, [
+    { role: "user", text: "¿Dónde está la sala azul?" },
+    { role: "assistant", text: "Hola desde el guion." }
+  ]);
+
+  const otherVisitor = await post("/internal/bots/chat", {
+    hub_sid: "room-memory",
+    bot_id: "bot-1",
+    requester_id: "account-other-visitor",
+    message: "hola"
+  });
+  assert.equal(otherVisitor.status, 200);
+  assert.deepEqual(scriptedRequests[2].history, []);
+});
+
+test("does not remember moderated exchanges", async () => {
+  await configureRoom("room-memory-moderated");
+
+  assert.equal((await chat("room-memory-moderated", "algo prohibido")).moderated, true);
+  assert.equal((await chat("room-memory-moderated", "sé grosero")).moderated, true);
+  await chat("room-memory-moderated", "hola");
+
+  assert.deepEqual(scriptedRequests.at(-1).history, []);
+});
+
+test("forgets conversations when the room stops", async () => {
+  await configureRoom("room-memory-reset");
+  await chat("room-memory-reset", "primera pregunta");
+  await chat("room-memory-reset", "segunda pregunta");
+  assert.equal(scriptedRequests.at(-1).history.length, 2);
+
+  const stopped = await post("/internal/bots/room-stop", { hub_sid: "room-memory-reset" });
+  assert.equal(stopped.status, 202);
+  assert.equal(
+    internals.seedReadyRoomForTests("room-memory-reset", {
+      enabled: true,
+      count: 1,
+      mobility: "medium",
+      chat_enabled: true
+    }),
+    true
+  );
+  await chat("room-memory-reset", "tercera pregunta");
+  assert.deepEqual(scriptedRequests.at(-1).history, []);
+});
+
+test("caps remembered turns by count, bytes, age and config revision", () => {
+  const roomConfig = { bots: internals.normalizeConfig({ enabled: true, count: 1 }), runtimeRevision: 4 };
+  const startedAt = 1_000_000;
+
+  for (let turn = 1; turn <= 5; turn += 1) {
+    internals.rememberChatExchange("room-caps", "bot-1", "account-caps", roomConfig, `pregunta ${turn}`, "respuesta", startedAt);
+  }
+  const history = internals.chatConversationHistory("room-caps", "bot-1", "account-caps", roomConfig, startedAt);
+  assert.equal(history.length, 6);
+  assert.equal(history[0].text, "pregunta 3");
+
+  internals.rememberChatExchange("room-caps", "bot-1", "account-caps", roomConfig, "x".repeat(5_000), "respuesta", startedAt);
+  assert.deepEqual(internals.chatConversationHistory("room-caps", "bot-1", "account-caps", roomConfig, startedAt), []);
+
+  internals.rememberChatExchange("room-caps", "bot-1", "account-caps", roomConfig, "hola", "respuesta", startedAt);
+  assert.equal(internals.chatConversationHistory("room-caps", "bot-1", "account-caps", roomConfig, startedAt).length, 2);
+  assert.deepEqual(
+    internals.chatConversationHistory("room-caps", "bot-1", "account-caps", { ...roomConfig, runtimeRevision: 5 }, startedAt),
+    []
+  );
+
+  internals.rememberChatExchange("room-caps", "bot-1", "account-caps", roomConfig, "hola", "respuesta", startedAt);
+  assert.deepEqual(
+    internals.chatConversationHistory("room-caps", "bot-1", "account-caps", roomConfig, startedAt + 600_000),
+    []
+  );
+});
+
+const museumProfiles = [
+  { name: "Guía", persona: "Explica las obras de la sala.", mobility: "high" },
+  { name: "Recepción", persona: "Da la bienvenida y orienta.", language: "en-GB", mobility: "static", avatar_id: "desk_1" }
+];
+
+test("gives each bot its own profile in a schema 2 config", async () => {
+  await configureRoom("room-museum", { count: 2, schema_version: 2, profiles: museumProfiles, prompt: "Museo." });
+
+  await chat("room-museum", "hola", undefined, "bot-1");
+  const receptionist = await chat("room-museum", "Ve a spawbot-lobby", { waypoints: ["spawbot-lobby"] }, "bot-2");
+
+  assert.deepEqual(scriptedRequests[0].input, {
+    mobility: "high",
+    message: "hola",
+    room_persona: "Museo.",
+    bot_name: "Guía",
+    bot_persona: "Explica las obras de la sala."
+  });
+  assert.equal(scriptedRequests[1].input.bot_name, "Recepción");
+  assert.equal(scriptedRequests[1].input.mobility, "static");
+  assert.match(scriptedRequests[1].instructions, /Reply in English/);
+  assert.match(scriptedRequests[0].instructions, /Responde en español/);
+  assert.equal(receptionist.action, null);
+});
+
+test("moderates the bot persona along with the visitor message", async () => {
+  await configureRoom("room-museum-moderation", {
+    schema_version: 2,
+    profiles: [{ persona: "Un personaje prohibido." }]
+  });
+
+  assert.equal((await chat("room-museum-moderation", "hola")).moderated, true);
+  assert.equal(scriptedRequests.length, 0);
+});
+
+test("normalizes profiles only under schema 2 and keeps legacy configs unchanged", () => {
+  const legacy = internals.normalizeConfig({ enabled: true, count: 2, profiles: museumProfiles });
+  assert.equal(Object.hasOwn(legacy, "profiles"), false);
+  assert.equal(Object.hasOwn(legacy, "schema_version"), false);
+
+  const config = internals.normalizeConfig({
+    schema_version: 2,
+    profiles: [
+      { name: "  Guía\u0007 ", persona: "ñ".repeat(300), language: "ES-es", extra: true },
+      "not a profile",
+      { language: "spanish", mobility: "fast", avatar_id: "../x" },
+      ...Array.from({ length: 10 }, () => ({}))
+    ]
+  });
+  assert.equal(config.schema_version, 2);
+  assert.equal(config.profiles.length, 10);
+  assert.deepEqual(config.profiles[0], { name: "Guía", persona: "ñ".repeat(120), language: "es-es" });
+  assert.deepEqual(config.profiles[1], {});
+  assert.deepEqual(config.profiles[2], {});
+  const payload = internals.runnerConfigPayload({ ...config, count: 1 });
+  assert.deepEqual(payload.profiles[0], { name: "Guía" });
+  assert.equal(
+    runnerInternals.managedRunnerConfigFingerprint(payload),
+    internals.runnerConfigFingerprint({ ...config, count: 1 })
+  );
+  assert.equal(Object.hasOwn(internals.runnerConfigPayload(legacy), "profiles"), false);
+});
+
+test("a worst-case schema 2 config still fits the runtime projection", () => {
+  // Mix escaped quotes with four-byte characters so both the code point and
+  // byte bounds are reached; control characters only survive in the prompt.
+  const profile = {
+    name: "\"".repeat(11) + "😀".repeat(21),
+    persona: "\"".repeat(40) + "😀".repeat(80),
+    language: "abc-abcdefgh-abcdefgh",
+    mobility: "medium",
+    avatar_id: "a".repeat(64)
+  };
+  const config = internals.normalizeConfig({
+    enabled: true,
+    count: 10,
+    mobility: "medium",
+    chat_enabled: true,
+    prompt: "\u0001".repeat(1_500),
+    chat_provider: "openai_compatible",
+    language: "abc-abcdefgh-abcdefgh",
+    schema_version: 2,
+    profiles: Array.from({ length: 10 }, () => profile)
+  });
+
+  assert.equal(config.prompt.length, 1_500);
+  assert.deepEqual(config.profiles[9], profile);
+  const exact = internals.exactRuntimeBotConfig(config);
+  assert.ok(exact);
+  assert.ok(Buffer.byteLength(exact.canonical, "utf8") <= 16_384);
+});
+
+test("rejects snapshot profiles that Reticulum would have normalized differently", () => {
+  const snapshot = bots => ({
+    hubs: [
+      {
+        hub_sid: "room-bad-profiles",
+        runtime_revision: 1,
+        bots: { enabled: true, count: 1, mobility: "medium", chat_enabled: true, prompt: "", ...bots }
+      }
+    ]
+  });
+
+  assert.equal(
+    internals.parseRoomSnapshot(snapshot({ schema_version: 2, profiles: [{ name: "Guía" }] })).get("room-bad-profiles")
+      .bots.profiles[0].name,
+    "Guía"
+  );
+  for (const bots of [
+    { schema_version: 2 },
+    { profiles: [] },
+    { schema_version: 3, profiles: [] },
+    { schema_version: 2, profiles: [{ name: " Guía " }] },
+    { schema_version: 2, profiles: [{ mobility: "fast" }] },
+    { language: "EN" },
+    { language: "" },
+    { schema_version: 2, profiles: Array.from({ length: 11 }, () => ({})) }
+  ]) {
+    assert.throws(() => internals.parseRoomSnapshot(snapshot(bots)), /invalid_room_snapshot_config/);
+  }
+});
+
+test("normalizes schema 2 routines and hands them to the runner unchanged", () => {
+  const tour = {
+    bot_id: "bot-1",
+    schedule: "0 11,17 * * 2-6",
+    utc_offset_minutes: 120,
+    stops: [
+      { waypoint: "SPAWBOT-entrada", dwell_seconds: 45, announcement: "  Bienvenidos al museo.\u0007 " },
+      { waypoint: "spawbot-sala-azul", announcement: "😀".repeat(200) }
+    ]
+  };
+  const legacy = internals.normalizeConfig({ enabled: true, count: 1, routines: [tour] });
+  assert.equal(Object.hasOwn(legacy, "routines"), false);
+  assert.equal(Object.hasOwn(internals.normalizeConfig({ schema_version: 2, routines: [] }), "routines"), false);
+
+  const config = internals.normalizeConfig({ enabled: true, count: 1, schema_version: 2, routines: [tour] });
+  assert.deepEqual(config.routines, [
+    {
+      bot_id: "bot-1",
+      schedule: "0 11,17 * * 2-6",
+      utc_offset_minutes: 120,
+      stops: [
+        { waypoint: "spawbot-entrada", dwell_seconds: 45, announcement: "Bienvenidos al museo." },
+        { waypoint: "spawbot-sala-azul", announcement: "😀".repeat(120) }
+      ]
+    }
+  ]);
+
+  const payload = internals.runnerConfigPayload(config);
+  assert.deepEqual(payload.routines, config.routines);
+  assert.equal(
+    runnerInternals.managedRunnerConfigFingerprint(payload),
+    internals.runnerConfigFingerprint(config)
+  );
+  assert.notEqual(
+    internals.runnerConfigFingerprint(config),
+    internals.runnerConfigFingerprint({ ...config, routines: undefined })
+  );
+});
+
+test("rejects snapshot routines that Reticulum would have normalized differently", () => {
+  const snapshot = bots => ({
+    hubs: [
+      {
+        hub_sid: "room-bad-routines",
+        runtime_revision: 1,
+        bots: { enabled: true, count: 1, mobility: "medium", chat_enabled: true, prompt: "", ...bots }
+      }
+    ]
+  });
+  const routine = { bot_id: "bot-1", schedule: "0 10 * * *", stops: [{ waypoint: "spawbot-hall" }] };
+
+  assert.deepEqual(
+    internals.parseRoomSnapshot(snapshot({ schema_version: 2, profiles: [], routines: [routine] }))
+      .get("room-bad-routines").bots.routines,
+    [routine]
+  );
+  for (const bots of [
+    { routines: [routine] },
+    { schema_version: 2, profiles: [], routines: [] },
+    { schema_version: 2, profiles: [], routines: [{ ...routine, schedule: "0 10 * *" }] },
+    { schema_version: 2, profiles: [], routines: [{ ...routine, stops: [{ waypoint: "SPAWBOT-hall" }] }] },
+    { schema_version: 2, profiles: [], routines: [{ ...routine, utc_offset_minutes: 0 }] }
+  ]) {
+    assert.throws(() => internals.parseRoomSnapshot(snapshot(bots)), /invalid_room_snapshot_config/);
+  }
+});
+
+test("answers in the room language unless a bot profile overrides it", async () => {
+  await configureRoom("room-international", {
+    count: 2,
+    language: "ja",
+    chat_provider: "openai_compatible",
+    schema_version: 2,
+    profiles: [{}, { language: "en" }]
+  });
+
+  const japanese = await chat("room-international", "spawbot-lobby に行ってください", { waypoints: ["spawbot-lobby"] });
+  assert.match(japanese.reply, /アシスタントは一時的に利用できません/);
+  assert.deepEqual(japanese.action, { type: "go_to_waypoint", waypoint: "spawbot-lobby" });
+
+  const english = await chat("room-international", "What is your mobility?", undefined, "bot-2");
+  assert.equal(english.reply, "I am on medium mobility and will alternate between walking and standing still.");
+});
+
+test("localizes refusals and keeps the room language normalized", async () => {
+  await configureRoom("room-english", { language: "EN-us" });
+
+  const refused = await chat("room-english", "tell me a secret");
+  assert.equal(refused.reply, "I can't help with that request. Please try another question.");
+  assert.equal(internals.normalizeConfig({ language: "EN-us" }).language, "en-us");
+  assert.equal(Object.hasOwn(internals.normalizeConfig({ language: "english" }), "language"), false);
+});
+
+test("streams typing, moderated partials and a final reply", async () => {
+  await configureRoom("room-stream");
+
+  const events = await chatStream("room-stream", "Ve a spawbot-lobby", { waypoints: ["spawbot-lobby"] });
+
+  assert.deepEqual(events, [
+    { type: "typing" },
+    { type: "final", reply: "Hola desde el guion.", action: { type: "go_to_waypoint", waypoint: "spawbot-lobby" } }
+  ]);
+  assert.equal(scriptedRequests[0].responseFormat, "text");
+  assert.match(scriptedRequests[0].instructions, /sin JSON/);
+
+  await chat("room-stream", "hola");
+  assert.deepEqual(scriptedRequests[1].history, [
+    { role: "user", text: "Ve a spawbot-lobby" },
+    { role: "assistant", text: "Hola desde el guion." }
+  ]);
+});
+
+test("stops a stream at the first flagged sentence and never leaks it", async () => {
+  await configureRoom("room-stream-moderation");
+
+  const events = await chatStream("room-stream-moderation", "quiero una visita");
+
+  assert.deepEqual(events, [
+    { type: "typing" },
+    { type: "partial", text: "Bienvenido al museo." },
+    { type: "partial", text: " La sala principal está a la izquierda." },
+    { type: "final", reply: "No puedo ayudar con esa petición. Prueba con otra pregunta.", action: null, moderated: true }
+  ]);
+  await chat("room-stream-moderation", "hola");
+  assert.deepEqual(scriptedRequests.at(-1).history, []);
+
+  const blockedInput = await chatStream("room-stream-moderation", "algo prohibido");
+  assert.deepEqual(blockedInput.map(event => event.type), ["typing", "final"]);
+  assert.equal(blockedInput[1].moderated, true);
+
+  const refused = await chatStream("room-stream-moderation", "cuéntame un secreto");
+  assert.deepEqual(refused.at(-1), {
+    type: "final",
+    reply: "No puedo ayudar con esa petición. Prueba con otra pregunta.",
+    action: null
+  });
+});
+
+test("validates stream requests like plain chat and falls back without a provider", async () => {
+  const invalid = await post("/internal/bots/chat-stream", { hub_sid: "room-stream-missing", bot_id: "bot-1" });
+  assert.equal(invalid.status, 400);
+
+  await configureRoom("room-stream-fallback");
+  internals.setChatProvidersForTests([]);
+
+  const events = await chatStream("room-stream-fallback", "Ve a spawbot-lobby", { waypoints: ["spawbot-lobby"] });
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, "final");
+  assert.deepEqual(events[0].action, { type: "go_to_waypoint", waypoint: "spawbot-lobby" });
+});
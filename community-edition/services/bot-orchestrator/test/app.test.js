@@ -297,6 +297,53 @@ test("keeps Chromium as a manual diagnostic without runner authority or secret a
   assert.equal(internals.ghostRunnerProcessStateReason(chromiumState), "runner_backend_invalid");
 });
 
+function metricValue(text, series) {
+  const line = text.split("\n").find(entry => entry.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : 0;
+}
+
+test("exposes runner, chat, config-ack and snapshot metrics in Prometheus format", async () => {
+  const hubSid = "room-metrics";
+  const before = await (await fetch(`${baseUrl}/metrics`)).text();
+  const invalidChats = 'bot_orchestrator_chat_requests_total{route="chat",outcome="invalid"}';
+  const runningGhosts = 'bot_orchestrator_runners{backend="ghost",lifecycle="running"}';
+  const ackCount = 'bot_orchestrator_runner_config_ack_seconds_count{backend="ghost"}';
+
+  assert.equal((await post("/internal/bots/chat", { bot_id: "bot-1" })).status, 400);
+  const processGeneration = randomUUID();
+  const runner = {
+    ...validRunningGhostProcessState(),
+    processGeneration,
+    ready: true,
+    pendingConfigFingerprint: "fingerprint",
+    pendingConfigRevision: 1,
+    pendingConfigQueuedAt: 1_000
+  };
+  assert.equal(internals.acknowledgeRunnerConfig(runner, "fingerprint", 1, processGeneration, 3_500), true);
+  assert.equal(internals.setRunnerStateForTests(hubSid, runner), true);
+
+  try {
+    const response = await fetch(`${baseUrl}/metrics`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("content-type"), "text/plain; charset=utf-8; version=0.0.4");
+    assert.equal(response.headers.get("cache-control"), "no-store");
+    const text = await response.text();
+
+    assert.equal(metricValue(text, invalidChats), metricValue(before, invalidChats) + 1);
+    assert.equal(metricValue(text, runningGhosts), metricValue(before, runningGhosts) + 1);
+    assert.ok(metricValue(text, 'bot_orchestrator_runners_ready{backend="ghost"}') >= 1);
+    assert.equal(metricValue(text, ackCount), metricValue(before, ackCount) + 1);
+    assert.match(text, /^# TYPE bot_orchestrator_chat_provider_duration_seconds histogram$/m);
+    assert.match(text, /^bot_orchestrator_runner_guard_limit\{limit="quota"\} 100$/m);
+    assert.match(text, /^bot_orchestrator_runner_guard_warning 0$/m);
+    assert.match(text, /^bot_orchestrator_runner_restart_state\{state="pending"\} \d+$/m);
+    assert.match(text, /^bot_orchestrator_reticulum_snapshot_valid [01]$/m);
+    assert.doesNotMatch(text, new RegExp(hubSid));
+  } finally {
+    internals.deleteRunnerStateForTests(hubSid);
+  }
+});
+
 test("refuses an unaudited OpenAI model", () => {
   const result = spawnSync(process.execPath, ["-e", "require('./app').startServer(0)"], {
     cwd: require("node:path").join(__dirname, ".."),
@@ -416,6 +463,81 @@ test("runner control is bearer-authenticated, Pod-UID-bound, and generation-scop
   internals.deleteRunnerStateForTests(hubSid);
 });
 
+test("scene diagnostics from the current runner are normalized and served to Reticulum", async () => {
+  const hubSid = "room-scene-diagnostics";
+  const processGeneration = randomUUID();
+  const info = {
+    processGeneration,
+    lifecycle: "running",
+    navigationStatus: "blocked",
+    botStatusReason: "navigation_blocked"
+  };
+  const runners = new Map([[hubSid, info]]);
+  const report = {
+    navigation: { mode: "navmesh_preferred", required: true, ready: false },
+    scene: { loaded: true, error: null },
+    navmesh: { present: true, error: null, triangles: 6, groups: 2, snap_distance_m: 1 },
+    waypoints: { total: 3, spawbots: 3, colliders: "many" },
+    primary_nav_group: 0,
+    unprojected_waypoints: [{ name: "spawbot-void\u0007", position: [40, 0, 40] }, { name: "", position: [0, 0, 0] }],
+    disconnected_spawbots: [{ name: "spawbot-island", group: 1 }, { name: "spawbot-bad", group: -1 }],
+    blocked_segments: [{ from: "spawbot-a", to: "spawbot-b", extra: true }],
+    policy_violations: ["navmesh_too_many_triangles", "Not A Code"],
+    truncated: false,
+    extra: "dropped"
+  };
+
+  assert.equal(
+    internals.handleRunnerIpcMessage(
+      hubSid,
+      info,
+      { type: "ghost-scene-diagnostics", processGeneration: randomUUID(), report },
+      runners
+    ),
+    false
+  );
+  const diagnosticsMessage = { type: "ghost-scene-diagnostics", processGeneration };
+  assert.equal(internals.handleRunnerIpcMessage(hubSid, info, { ...diagnosticsMessage, report: [] }, runners), false);
+  assert.equal(internals.handleRunnerIpcMessage(hubSid, info, { ...diagnosticsMessage, report }, runners), true);
+  const { reported_at: reportedAt, ...stored } = info.sceneDiagnostics;
+  assert.ok(Number.isFinite(Date.parse(reportedAt)));
+  assert.deepEqual(stored, {
+    navigation: { mode: "navmesh_preferred", required: true, ready: false },
+    scene: { loaded: true, error: null },
+    navmesh: { present: true, error: null, triangles: 6, groups: 2, snap_distance_m: 1 },
+    waypoints: { total: 3, spawbots: 3, colliders: 0 },
+    primary_nav_group: 0,
+    unprojected_waypoints: [{ name: "spawbot-void", position: [40, 0, 40] }],
+    disconnected_spawbots: [{ name: "spawbot-island", group: 1 }],
+    blocked_segments: [{ from: "spawbot-a", to: "spawbot-b" }],
+    policy_violations: ["navmesh_too_many_triangles"],
+    truncated: false
+  });
+
+  assert.equal(internals.setRunnerStateForTests(hubSid, info), true);
+  try {
+    assert.equal((await post("/internal/bots/scene-diagnostics", { hub_sid: hubSid }, "wrong-key")).status, 401);
+    assert.equal((await post("/internal/bots/scene-diagnostics", { hub_sid: "bad sid" })).status, 400);
+    assert.equal((await post("/internal/bots/scene-diagnostics", { hub_sid: "room-without-runner" })).status, 404);
+
+    const response = await post("/internal/bots/scene-diagnostics", { hub_sid: hubSid });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("cache-control"), "no-store");
+    assert.deepEqual(await response.json(), {
+      hub_sid: hubSid,
+      runner: {
+        lifecycle: "running",
+        navigation_status: "blocked",
+        bot_status_reason: "navigation_blocked",
+        ready: false
+      },
+      diagnostics: info.sceneDiagnostics
+    });
+  } finally {
+    internals.deleteRunnerStateForTests(hubSid);
+  }
+});
+
 test("isolated runner authentication carries the real Reticulum lease shape and fence epoch", () => {
   const processGeneration = randomUUID();
   const info = {
@@ -1027,6 +1149,69 @@ test("readiness requires every configured bot room to have a fresh authoritative
   assert.equal(ready.ok, true);
 });
 
+test("the admin fleet snapshot lists runner pods, generations, restart backoff and readiness reasons", async () => {
+  const now = Date.now();
+  const configs = new Map([
+    ["blocked-room", { bots: { enabled: true, count: 1 } }],
+    ["restarting-room", { bots: { enabled: true, count: 2 } }],
+    ["queued-room", { bots: { enabled: true, count: 1 } }]
+  ]);
+  const blocked = {
+    ...validAuthoritativeRunnerState(configs.get("blocked-room").bots, now, {
+      navigationStatus: "blocked",
+      botStatusReason: "navmesh_unavailable"
+    }),
+    generation: 3,
+    startedAt: now - 5_000
+  };
+  blocked.process.name = "bot-runner-blocked-room";
+  const runners = new Map([["blocked-room", blocked]]);
+  const backoff = new Map([["restarting-room", { failures: 2, lastFailureAt: now - 1_000 }]]);
+  const restartTimers = new Map([["restarting-room", { generation: 4, timer: null }]]);
+
+  const fleet = internals.runnerFleetSnapshot(runners, configs, {
+    backoff,
+    restartTimers,
+    queue: ["queued-room", "bad sid"],
+    nowMs: now,
+    ttlMs: 15_000
+  });
+
+  assert.equal(fleet.queued_rooms, 2);
+  assert.deepEqual(
+    fleet.runners.map(row => row.hub_sid),
+    ["blocked-room", "queued-room", "restarting-room"]
+  );
+  assert.deepEqual(fleet.runners[0], {
+    hub_sid: "blocked-room",
+    pod: "bot-runner-blocked-room",
+    backend: "ghost",
+    lifecycle: "running",
+    generation: 3,
+    process_generation: blocked.processGeneration,
+    started_at_ms: now - 5_000,
+    ready: false,
+    reason: "navigation_not_ready",
+    navigation_status: "blocked",
+    desired_bots: 1,
+    active_bots: 1,
+    restart_failures: 0,
+    last_restart_failure_at_ms: null
+  });
+  assert.equal(fleet.runners[1].lifecycle, "queued");
+  assert.equal(fleet.runners[1].reason, "runner_not_started");
+  assert.equal(fleet.runners[2].lifecycle, "restart_scheduled");
+  assert.equal(fleet.runners[2].pod, null);
+  assert.equal(fleet.runners[2].restart_failures, 2);
+  assert.equal(fleet.runners[2].last_restart_failure_at_ms, now - 1_000);
+
+  assert.equal((await post("/internal/bots/fleet", {}, "wrong-key")).status, 401);
+  const response = await post("/internal/bots/fleet", {});
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("cache-control"), "no-store");
+  assert.ok(Array.isArray((await response.json()).runners));
+});
+
 test("readiness fails closed until a fresh full configuration snapshot exists", () => {
   const now = 100_000;
   const pending = internals.runnerReadinessSnapshot(new Map(), new Map(), now, 100, {
@@ -3220,6 +3405,34 @@ test("derives movement only from a direct command with an exact allowlisted targ
   assert.equal(internals.detectWaypointAction("Dirígete a recepción", context), null);
 });
 
+test("derives follow actions only from fixed phrases naming no visitor", () => {
+  const botsConfig = { count: 3 };
+
+  assert.deepEqual(internals.detectFollowAction("Sígueme", botsConfig, "bot-1"), { type: "follow_user" });
+  assert.deepEqual(internals.detectFollowAction("please, follow me!", botsConfig, "bot-1"), { type: "follow_user" });
+  assert.deepEqual(internals.detectFollowAction("ついてきてください", botsConfig, "bot-1", "ja"), {
+    type: "follow_user"
+  });
+  assert.deepEqual(internals.detectFollowAction("Deja de seguirme.", botsConfig, "bot-1"), {
+    type: "stop_following"
+  });
+  assert.deepEqual(internals.detectFollowAction("sigue a bot-3", botsConfig, "bot-1"), {
+    type: "follow_bot",
+    leader: "bot-3"
+  });
+  assert.deepEqual(internals.detectFollowAction("bot-2 についていって", botsConfig, "bot-1", "ja"), {
+    type: "follow_bot",
+    leader: "bot-2"
+  });
+
+  assert.equal(internals.detectFollowAction("follow bot-1", botsConfig, "bot-1"), null);
+  assert.equal(internals.detectFollowAction("follow bot-4", botsConfig, "bot-1"), null);
+  assert.equal(internals.detectFollowAction("¿Me sigues?", botsConfig, "bot-1"), null);
+  assert.equal(internals.detectFollowAction("No quiero que me sigas", botsConfig, "bot-1"), null);
+  assert.equal(internals.detectFollowAction("follow me to spawbot-lobby", botsConfig, "bot-1"), null);
+  assert.equal(internals.detectFollowAction("ついてきて", botsConfig, "bot-1", "es"), null);
+});
+
 test("full snapshots validate atomically and malformed payloads preserve prior state", async () => {
   internals.resetRuntimeStateForTests();
   const validRoom = {
@@ -0,0 +1,77 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const {
+  BOT_MESSAGE_CATALOG,
+  botMessages,
+  foldCommandText,
+  mentionsMobility,
+  phraseCommand,
+  replyInstructionFor,
+  resolveBotLocale,
+  verbFinalCommand,
+  verbFirstCommand,
+  waypointCommandPatterns
+} = require("../bot-messages");
+
+function commandTarget(message, language) {
+  const text = foldCommandText(message).trim();
+  const match = waypointCommandPatterns(language)
+    .map(pattern => text.match(pattern))
+    .find(Boolean);
+  return match ? match[1] : null;
+}
+
+test("resolves exact tags, then primary subtags, then the Spanish default", () => {
+  assert.equal(resolveBotLocale("ja"), "ja");
+  assert.equal(resolveBotLocale("en-gb"), "en");
+  assert.equal(resolveBotLocale("de"), "es");
+  assert.equal(resolveBotLocale(""), "es");
+  assert.equal(botMessages("en-us").rateLimited, "Please wait a moment before sending another message.");
+  assert.equal(botMessages(undefined).unavailable("bot-2"), "bot-2: el asistente no está disponible temporalmente.");
+});
+
+test("every locale provides the same messages", () => {
+  const keys = Object.keys(BOT_MESSAGE_CATALOG.es).sort();
+  for (const [locale, messages] of Object.entries(BOT_MESSAGE_CATALOG)) {
+    assert.deepEqual(Object.keys(messages).sort(), keys, locale);
+    assert.deepEqual(Object.keys(messages.mobility).sort(), ["high", "low", "medium", "static"], locale);
+    assert.ok(messages.waypointCommands.length > 0, locale);
+  }
+});
+
+test("asks the provider for uncatalogued languages by tag", () => {
+  assert.match(replyInstructionFor(""), /^Responde en español/);
+  assert.match(replyInstructionFor("en-gb"), /^Reply in English/);
+  assert.match(replyInstructionFor("de-ch"), /"de-ch"/);
+});
+
+test("keeps Spanish and English commands everywhere and adds the room grammar", () => {
+  assert.equal(commandTarget("Dirígete a spawbot-lobby", "ja"), "spawbot-lobby");
+  assert.equal(commandTarget("please, go to spawbot-lobby!", "ja"), "spawbot-lobby");
+  assert.equal(commandTarget("spawbot-lobby へ向かってください。", "ja"), "spawbot-lobby");
+  assert.equal(commandTarget("spawbot-lobby へ向かってください。", "es"), null);
+  assert.equal(commandTarget("spawbot-lobby に行かないで", "ja"), null);
+  assert.equal(commandTarget("ロビーは spawbot-lobby に行って", "ja"), null);
+});
+
+test("grammar builders escape words and stay anchored", () => {
+  const verbFirst = verbFirstCommand({ verbs: ["geh"], prepositions: ["zu", "z.b"] });
+  assert.equal("geh zu spawbot-a".match(verbFirst)[1], "spawbot-a");
+  assert.equal("geh zxb spawbot-a".match(verbFirst), null);
+  assert.equal("bitte geh zu spawbot-a".match(verbFirst), null);
+
+  const verbFinal = verbFinalCommand({ particles: ["로"], verbs: ["가"] });
+  assert.equal(foldCommandText("spawbot-a로 가").match(verbFinal)[1], "spawbot-a");
+  assert.equal(foldCommandText("spawbot-a로 가 줘").match(verbFinal), null);
+
+  const phrase = phraseCommand({ courtesy: ["bitte"], phrases: ["folge mir"] });
+  assert.match("bitte, folge mir!", phrase);
+  assert.doesNotMatch("folge mir nach", phrase);
+});
+
+test("detects mobility questions in the room language and the base languages", () => {
+  assert.equal(mentionsMobility("¿Cuál es tu movilidad?", "ja"), true);
+  assert.equal(mentionsMobility("あなたのモビリティは?", "ja"), true);
+  assert.equal(mentionsMobility("あなたのモビリティは?", "en"), false);
+});
@@ -0,0 +1,117 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const {
+  MAX_BOT_ROUTINES,
+  MAX_ROUTINE_STOPS,
+  cronMatches,
+  dueBotRoutines,
+  normalizeBotRoutines,
+  parseCronSchedule
+} = require("../bot-routines");
+
+const keepAnnouncement = value => (typeof value === "string" ? value : "");
+
+test("parses cron fields with lists, ranges and steps", () => {
+  const schedule = parseCronSchedule("0,30 10-18/2 * * 1-5");
+
+  assert.deepEqual([...schedule.minutes], [0, 30]);
+  assert.deepEqual([...schedule.hours], [10, 12, 14, 16, 18]);
+  assert.equal(schedule.daysOfMonth.size, 31);
+  assert.deepEqual([...schedule.daysOfWeek], [1, 2, 3, 4, 5]);
+  assert.deepEqual([...parseCronSchedule("5/20 * * * 7").minutes], [5, 25, 45]);
+  assert.deepEqual([...parseCronSchedule("5/20 * * * 7").daysOfWeek], [0]);
+
+  for (const invalid of [
+    "",
+    "* * * *",
+    "* * * * * *",
+    "60 * * * *",
+    "* 24 * * *",
+    "* * 0 * *",
+    "* * * 13 *",
+    "* * * * 8",
+    "*/0 * * * *",
+    "10-5 * * * *",
+    "0  * * * *",
+    " 0 * * * *",
+    "a * * * *",
+    "0 * * * * ".repeat(20)
+  ]) {
+    assert.equal(parseCronSchedule(invalid), null, invalid);
+  }
+});
+
+test("matches cron schedules in UTC shifted by the routine offset", () => {
+  // Wednesday 2026-10-14 10:30 UTC.
+  const nowMs = Date.UTC(2026, 9, 14, 10, 30, 15);
+
+  assert.equal(cronMatches(parseCronSchedule("30 10 * * *"), nowMs), true);
+  assert.equal(cronMatches(parseCronSchedule("30 12 * * *"), nowMs), false);
+  assert.equal(cronMatches(parseCronSchedule("30 12 * * *"), nowMs, 120), true);
+  assert.equal(cronMatches(parseCronSchedule("30 10 * * 0,6"), nowMs), false);
+  assert.equal(cronMatches(parseCronSchedule("30 10 * 10 3"), nowMs), true);
+  // Both day fields restricted: either one matching is enough.
+  assert.equal(cronMatches(parseCronSchedule("30 10 1 * 3"), nowMs), true);
+  assert.equal(cronMatches(parseCronSchedule("30 10 14 * 0"), nowMs), true);
+  assert.equal(cronMatches(parseCronSchedule("30 10 1 * 0"), nowMs), false);
+});
+
+test("normalizes routines in a fixed key order and drops invalid entries", () => {
+  const routines = normalizeBotRoutines(
+    [
+      {
+        bot_id: "bot-2",
+        schedule: "0 10 * * *",
+        utc_offset_minutes: 60,
+        stops: [
+          { waypoint: "SpawBot-Hall", dwell_seconds: 5_000, announcement: "Bienvenidos.", extra: true },
+          { waypoint: " spawbot-hall" },
+          { waypoint: "spawbot-exit", dwell_seconds: 1.5, announcement: 7 }
+        ],
+        extra: true
+      },
+      { bot_id: "bot-1", schedule: "0 25 * * *", stops: [{ waypoint: "spawbot-hall" }] },
+      { bot_id: "bot-1", schedule: "0 10 * * *", stops: [{ waypoint: "lobby" }] },
+      { bot_id: "bot-1", schedule: "0 10 * * *", utc_offset_minutes: 900, stops: [{ waypoint: "spawbot-a" }] }
+    ],
+    keepAnnouncement
+  );
+
+  assert.deepEqual(routines, [
+    {
+      bot_id: "bot-2",
+      schedule: "0 10 * * *",
+      utc_offset_minutes: 60,
+      stops: [
+        { waypoint: "spawbot-hall", dwell_seconds: 900, announcement: "Bienvenidos." },
+        { waypoint: "spawbot-exit" }
+      ]
+    },
+    { bot_id: "bot-1", schedule: "0 10 * * *", stops: [{ waypoint: "spawbot-a" }] }
+  ]);
+  assert.deepEqual(Object.keys(routines[0]), ["bot_id", "schedule", "utc_offset_minutes", "stops"]);
+  const eleventhBot = { bot_id: "bot-11", schedule: "0 10 * * *", stops: [{ waypoint: "spawbot-hall" }] };
+  assert.deepEqual(normalizeBotRoutines([eleventhBot], keepAnnouncement), []);
+  assert.deepEqual(normalizeBotRoutines("not a list", keepAnnouncement), []);
+});
+
+test("bounds routines and stops and reports the ones due this minute", () => {
+  const stops = Array.from({ length: MAX_ROUTINE_STOPS + 3 }, (_value, index) => ({ waypoint: `spawbot-${index}` }));
+  const routines = normalizeBotRoutines(
+    Array.from({ length: MAX_BOT_ROUTINES + 2 }, (_value, index) => ({
+      bot_id: `bot-${index + 1}`,
+      schedule: index % 2 ? "15 * * * *" : "0 * * * *",
+      stops
+    })),
+    keepAnnouncement
+  );
+
+  assert.equal(routines.length, MAX_BOT_ROUTINES);
+  assert.equal(routines[0].stops.length, MAX_ROUTINE_STOPS);
+  assert.deepEqual(
+    dueBotRoutines(routines, Date.UTC(2026, 9, 14, 9, 15, 40)).map(routine => routine.bot_id),
+    ["bot-2", "bot-4"]
+  );
+  assert.deepEqual(dueBotRoutines(undefined, Date.now()), []);
+});
@@ -0,0 +1,329 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const {
+  createChatProviderRegistry,
+  createOpenAICompatibleProvider,
+  createOpenAIResponsesProvider,
+  createScriptedProvider,
+  normalizeChatProviderId,
+  parseScriptedRulesJson
+} = require("../chat-providers");
+
+function jsonResponse(payload, status = 200) {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { "content-type": "application/json" }
+  });
+}
+
+function eventStreamResponse(events, status = 200) {
+  const encoder = new TextEncoder();
+  const lines = events.map(event => `data: ${typeof event === "string" ? event : JSON.stringify(event)}\n\n`);
+  return new Response(
+    new ReadableStream({
+      start(controller) {
+        // Split inside a line to exercise buffering across chunks.
+        const text = lines.join("");
+        const middle = Math.floor(text.length / 2);
+        controller.enqueue(encoder.encode(text.slice(0, middle)));
+        controller.enqueue(encoder.encode(text.slice(middle)));
+        controller.close();
+      }
+    }),
+    { status, headers: { "content-type": "text/event-stream" } }
+  );
+}
+
+async function collect(events) {
+  const collected = [];
+  for await (const event of events) collected.push(event);
+  return collected;
+}
+
+function recordingFetch(responses) {
+  const calls = [];
+  const fetchImpl = async (url, options) => {
+    calls.push({ url, options, body: JSON.parse(options.body) });
+    return responses.shift();
+  };
+  return { calls, fetchImpl };
+}
+
+const chatRequest = {
+  instructions: "system rules",
+  input: { mobility: "medium", message: "hola", room_persona: "" },
+  safetyIdentifier: "a".repeat(64),
+  maxOutputTokens: 320
+};
+
+test("OpenAI Responses adapter keeps requests unstored and reports refusals without provider text", async () => {
+  const { calls, fetchImpl } = recordingFetch([
+    jsonResponse({
+      status: "completed",
+      output: [{ type: "message", content: [{ type: "refusal", refusal: "vendor detail" }] }]
+    })
+  ]);
+  const provider = createOpenAIResponsesProvider({
+    apiKey: "key",
+    model: "gpt-5-nano",
+    endpoint: "https://provider.test/v1/responses",
+    moderationEndpoint: "https://provider.test/v1/moderations",
+    moderationModel: "omni-moderation-latest",
+    fetchImpl
+  });
+
+  const result = await provider.complete(chatRequest, Date.now() + 1_000);
+
+  assert.deepEqual(result, { refused: true, text: "" });
+  assert.equal(calls[0].options.redirect, "error");
+  assert.equal(calls[0].options.headers.Authorization, "Bearer key");
+  assert.equal(calls[0].body.store, false);
+  assert.equal(calls[0].body.safety_identifier, chatRequest.safetyIdentifier);
+  assert.equal(calls[0].body.input[0].content[0].text, "system rules");
+});
+
+test("OpenAI-compatible adapter sends chat completions and requires a moderation endpoint", async () => {
+  const { calls, fetchImpl } = recordingFetch([
+    jsonResponse({ results: [{ flagged: false }] }),
+    jsonResponse({
+      choices: [{ finish_reason: "stop", message: { role: "assistant", content: "{\"reply\":\"Hola.\"}" } }]
+    })
+  ]);
+  const unmoderated = createOpenAICompatibleProvider({
+    model: "llama",
+    endpoint: "http://llm.internal:8080/v1/chat/completions",
+    fetchImpl
+  });
+  assert.equal(unmoderated.configured, false);
+
+  const provider = createOpenAICompatibleProvider({
+    model: "llama",
+    endpoint: "http://llm.internal:8080/v1/chat/completions",
+    moderationEndpoint: "http://guard.internal:8080/v1/moderations",
+    fetchImpl
+  });
+  assert.equal(provider.configured, true);
+
+  assert.equal(await provider.moderate("hola", Date.now() + 1_000), false);
+  const result = await provider.complete(chatRequest, Date.now() + 1_000);
+
+  assert.deepEqual(result, { refused: false, text: "{\"reply\":\"Hola.\"}" });
+  assert.deepEqual(calls[0].body, { input: "hola" });
+  assert.equal(calls[0].options.headers.Authorization, undefined);
+  assert.equal(calls[1].body.model, "llama");
+  assert.equal(calls[1].body.response_format.json_schema.strict, true);
+  assert.deepEqual(
+    calls[1].body.messages.map(message => message.role),
+    ["system", "user"]
+  );
+  assert.equal(JSON.parse(calls[1].body.messages[1].content).message, "hola");
+});
+
+test("adapters replay remembered turns in the structured JSON shapes", () => {
+  const history = [
+    { role: "user", text: "¿Dónde está la salida?" },
+    { role: "assistant", text: "A tu derecha." },
+    { role: "system", text: "ignored" }
+  ];
+  const responses = createOpenAIResponsesProvider({ apiKey: "key", model: "gpt-5-nano" }).buildRequest({
+    ...chatRequest,
+    history
+  });
+  const compatible = createOpenAICompatibleProvider({ model: "llama" }).buildRequest({ ...chatRequest, history });
+
+  assert.deepEqual(
+    responses.input.map(item => [item.role, item.content[0].type]),
+    [
+      ["system", "input_text"],
+      ["user", "input_text"],
+      ["assistant", "output_text"],
+      ["user", "input_text"]
+    ]
+  );
+  assert.deepEqual(JSON.parse(responses.input[1].content[0].text), { message: "¿Dónde está la salida?" });
+  assert.deepEqual(JSON.parse(compatible.messages[2].content), { reply: "A tu derecha." });
+  assert.equal(compatible.messages.length, 4);
+});
+
+test("OpenAI-compatible adapter fails closed on truncated output and malformed moderation", async () => {
+  const { fetchImpl } = recordingFetch([
+    jsonResponse({ results: [{}] }),
+    jsonResponse({ choices: [{ finish_reason: "length", message: { content: "{\"reply\":\"Ho" } }] })
+  ]);
+  const provider = createOpenAICompatibleProvider({
+    model: "llama",
+    endpoint: "http://llm.internal/v1/chat/completions",
+    moderationEndpoint: "http://guard.internal/v1/moderations",
+    fetchImpl
+  });
+
+  await assert.rejects(provider.moderate("hola", Date.now() + 1_000), /moderation_invalid_response/);
+  await assert.rejects(provider.complete(chatRequest, Date.now() + 1_000), /compatible_response_length/);
+});
+
+test("provider requests never start after the shared deadline", async () => {
+  const { calls, fetchImpl } = recordingFetch([]);
+  const provider = createOpenAIResponsesProvider({
+    apiKey: "key",
+    model: "gpt-5-nano",
+    endpoint: "https://provider.test/v1/responses",
+    moderationEndpoint: "https://provider.test/v1/moderations",
+    fetchImpl
+  });
+
+  await assert.rejects(provider.moderate("hola", Date.now() - 1), /chat_provider_deadline_exceeded/);
+  assert.deepEqual(calls, []);
+});
+
+test("OpenAI Responses adapter streams plain text deltas until the response completes", async () => {
+  const { calls, fetchImpl } = recordingFetch([
+    eventStreamResponse([
+      { type: "response.created" },
+      { type: "response.output_text.delta", delta: "Hola. " },
+      { type: "response.output_text.delta", delta: "¿Qué tal?" },
+      { type: "response.completed" }
+    ]),
+    eventStreamResponse([{ type: "response.refusal.delta", delta: "vendor detail" }]),
+    eventStreamResponse([{ type: "response.output_text.delta", delta: "Hola" }])
+  ]);
+  const provider = createOpenAIResponsesProvider({
+    apiKey: "key",
+    model: "gpt-5-nano",
+    endpoint: "https://provider.test/v1/responses",
+    moderationEndpoint: "https://provider.test/v1/moderations",
+    fetchImpl
+  });
+  const options = { deadlineAt: Date.now() + 1_000 };
+
+  assert.deepEqual(await collect(provider.stream({ ...chatRequest, responseFormat: "text" }, options)), [
+    { type: "delta", text: "Hola. " },
+    { type: "delta", text: "¿Qué tal?" }
+  ]);
+  assert.equal(calls[0].body.stream, true);
+  assert.equal(calls[0].body.store, false);
+  assert.deepEqual(calls[0].body.text.format, { type: "text" });
+  assert.equal(calls[0].options.headers.Accept, "text/event-stream");
+
+  assert.deepEqual(await collect(provider.stream(chatRequest, options)), [{ type: "refusal" }]);
+  await assert.rejects(collect(provider.stream(chatRequest, options)), /openai_stream_truncated/);
+});
+
+test("OpenAI-compatible adapter streams chat completion chunks and fails closed", async () => {
+  const { calls, fetchImpl } = recordingFetch([
+    eventStreamResponse([
+      { choices: [{ delta: { role: "assistant" } }] },
+      { choices: [{ delta: { content: "Hola." } }] },
+      { choices: [{ delta: {}, finish_reason: "stop" }] },
+      "[DONE]"
+    ]),
+    eventStreamResponse([{ choices: [{ delta: { content: "Hola" }, finish_reason: "length" }] }]),
+    eventStreamResponse(["{not json"])
+  ]);
+  const provider = createOpenAICompatibleProvider({
+    model: "llama",
+    endpoint: "http://llm.internal:8080/v1/chat/completions",
+    moderationEndpoint: "http://guard.internal:8080/v1/moderations",
+    fetchImpl
+  });
+  const options = { deadlineAt: Date.now() + 1_000 };
+
+  assert.deepEqual(await collect(provider.stream({ ...chatRequest, responseFormat: "text" }, options)), [
+    { type: "delta", text: "Hola." }
+  ]);
+  assert.equal(calls[0].body.stream, true);
+  assert.equal(calls[0].body.response_format, undefined);
+
+  await assert.rejects(collect(provider.stream(chatRequest, options)), /compatible_response_length/);
+  await assert.rejects(collect(provider.stream(chatRequest, options)), /compatible_invalid_stream_event/);
+});
+
+test("provider streams stop when the caller aborts", async () => {
+  const controller = new AbortController();
+  const fetchImpl = async (_url, options) => {
+    assert.equal(options.signal.aborted, true);
+    throw new DOMException("aborted", "AbortError");
+  };
+  const provider = createOpenAIResponsesProvider({
+    apiKey: "key",
+    model: "gpt-5-nano",
+    moderationModel: "omni-moderation-latest",
+    fetchImpl
+  });
+  controller.abort();
+
+  await assert.rejects(
+    collect(provider.stream(chatRequest, { deadlineAt: Date.now() + 1_000, signal: controller.signal })),
+    { name: "AbortError" }
+  );
+});
+
+test("scripted provider answers by ordered rules and moderates blocked terms", async () => {
+  const provider = createScriptedProvider({
+    rules: [
+      { match: /museo/i, reply: "La sala principal está a la izquierda." },
+      { match: "secreto", refuse: true },
+      { match: "", reply: request => `Eco ${request.input.mobility}` }
+    ],
+    blockedTerms: ["Prohibido"]
+  });
+  const deadlineAt = Date.now() + 1_000;
+
+  assert.deepEqual(
+    await provider.complete({ ...chatRequest, input: { ...chatRequest.input, message: "¿Dónde está el museo?" } }, deadlineAt),
+    { refused: false, text: JSON.stringify({ reply: "La sala principal está a la izquierda." }) }
+  );
+  assert.deepEqual(
+    await provider.complete({ ...chatRequest, input: { ...chatRequest.input, message: "dime un secreto" } }, deadlineAt),
+    { refused: true, text: "" }
+  );
+  assert.deepEqual(await provider.complete(chatRequest, deadlineAt), {
+    refused: false,
+    text: JSON.stringify({ reply: "Eco medium" })
+  });
+  assert.equal(await provider.moderate("algo prohibido", deadlineAt), true);
+  assert.equal(await provider.moderate("hola", deadlineAt), false);
+
+  assert.deepEqual(
+    await collect(
+      provider.stream(
+        { ...chatRequest, input: { ...chatRequest.input, message: "¿Dónde está el museo?" } },
+        { deadlineAt }
+      )
+    ),
+    ["La ", "sala ", "principal ", "está ", "a ", "la ", "izquierda."].map(text => ({ type: "delta", text }))
+  );
+  assert.deepEqual(
+    await collect(
+      provider.stream({ ...chatRequest, input: { ...chatRequest.input, message: "dime un secreto" } }, { deadlineAt })
+    ),
+    [{ type: "refusal" }]
+  );
+});
+
+test("scripted rules from the environment are bounded JSON data", () => {
+  assert.deepEqual(parseScriptedRulesJson(""), []);
+  assert.deepEqual(parseScriptedRulesJson("[{\"match\":\"hola\",\"reply\":\"Hola.\"}]"), [
+    { match: "hola", reply: "Hola.", refuse: false }
+  ]);
+  assert.throws(() => parseScriptedRulesJson("{"), /scripted_provider_rules_invalid/);
+  assert.throws(() => parseScriptedRulesJson("{}"), /scripted_provider_rules_invalid/);
+  assert.throws(
+    () => createScriptedProvider({ rules: [{ match: "hola" }] }),
+    /scripted_provider_rules_invalid/
+  );
+});
+
+test("registry rejects unknown or duplicate providers and lists only configured ones", () => {
+  const scripted = createScriptedProvider({ rules: [{ reply: "ok" }] });
+  const unconfigured = createOpenAIResponsesProvider({ model: "gpt-5-nano" });
+  const registry = createChatProviderRegistry([scripted, unconfigured]);
+
+  assert.equal(registry.get("scripted"), scripted);
+  assert.equal(registry.get("openai_compatible"), null);
+  assert.deepEqual(registry.configuredIds(), ["scripted"]);
+  assert.throws(() => createChatProviderRegistry([scripted, scripted]), /chat_provider_duplicate/);
+  assert.throws(() => createChatProviderRegistry([{ id: "other" }]), /chat_provider_invalid/);
+  assert.equal(normalizeChatProviderId("openai_compatible"), "openai_compatible");
+  assert.equal(normalizeChatProviderId("OpenAI"), "");
+});
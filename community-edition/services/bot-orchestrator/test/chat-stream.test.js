@@ -0,0 +1,98 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const { lastSentenceBoundary, streamModeratedReply } = require("../chat-stream");
+
+async function* deltas(...texts) {
+  for (const text of texts) yield { type: "delta", text };
+}
+
+function recordingModeration(flagged = () => false) {
+  const inputs = [];
+  return {
+    inputs,
+    moderate: async text => {
+      inputs.push(text);
+      return flagged(text);
+    }
+  };
+}
+
+test("sentence boundaries need trailing whitespace or a line break", () => {
+  assert.equal(lastSentenceBoundary("Hola. Adiós", 0), 5);
+  assert.equal(lastSentenceBoundary("3.5 metros", 0), -1);
+  assert.equal(lastSentenceBoundary("一つ目。 二つ目。 三", 0), 9);
+  assert.equal(lastSentenceBoundary("línea\nsiguiente", 0), 6);
+  assert.equal(lastSentenceBoundary("Hola. Adiós", 6), -1);
+});
+
+test("partials are released per sentence only after the cumulative prefix passes moderation", async () => {
+  const { inputs, moderate } = recordingModeration();
+  const partials = [];
+
+  const result = await streamModeratedReply({
+    events: deltas("La sala ", "está a la izquierda. ", "El café ", "cierra a las 18:00."),
+    moderate,
+    onPartial: text => partials.push(text),
+    maxLength: 500
+  });
+
+  assert.deepEqual(result, { reply: "La sala está a la izquierda. El café cierra a las 18:00." });
+  assert.deepEqual(partials, ["La sala está a la izquierda."]);
+  assert.deepEqual(inputs, [
+    "La sala está a la izquierda.",
+    "La sala está a la izquierda. El café cierra a las 18:00."
+  ]);
+});
+
+test("a flagged prefix stops the stream without releasing the flagged sentence", async () => {
+  const { moderate } = recordingModeration(text => text.includes("prohibido"));
+  const partials = [];
+  let closed = false;
+  async function* events() {
+    try {
+      yield* deltas("Primera frase. ", "Algo prohibido. ", "Nunca leído. ");
+    } finally {
+      closed = true;
+    }
+  }
+
+  const result = await streamModeratedReply({
+    events: events(),
+    moderate,
+    onPartial: text => partials.push(text),
+    maxLength: 500
+  });
+
+  assert.deepEqual(result, { moderated: true });
+  assert.deepEqual(partials, ["Primera frase."]);
+  assert.equal(closed, true);
+});
+
+test("refusals, truncation and empty replies end the stream", async () => {
+  const { moderate } = recordingModeration();
+  const onPartial = () => {};
+
+  assert.deepEqual(
+    await streamModeratedReply({
+      events: (async function* () {
+        yield { type: "delta", text: "Hola. " };
+        yield { type: "refusal" };
+      })(),
+      moderate,
+      onPartial,
+      maxLength: 500
+    }),
+    { refused: true }
+  );
+
+  assert.deepEqual(
+    await streamModeratedReply({ events: deltas("abcdef", "ghij"), moderate, onPartial, maxLength: 8 }),
+    { reply: "abcdefgh" }
+  );
+
+  await assert.rejects(
+    streamModeratedReply({ events: deltas("  "), moderate, onPartial, maxLength: 500 }),
+    /chat_stream_empty_reply/
+  );
+});
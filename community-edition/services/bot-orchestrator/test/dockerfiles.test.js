@@ -17,7 +17,12 @@ test("parent image contains only the control plane sources and no Chromium runti
   const source = dockerfile("Dockerfile");
 
   assert.match(source, /COPY app\.js \/app\/app\.js/);
+  assert.match(source, /COPY bot-messages\.js \/app\/bot-messages\.js/);
+  assert.match(source, /COPY bot-routines\.js \/app\/bot-routines\.js/);
+  assert.match(source, /COPY chat-providers\.js \/app\/chat-providers\.js/);
+  assert.match(source, /COPY chat-stream\.js \/app\/chat-stream\.js/);
   assert.match(source, /COPY kubernetes-runner-manager\.js \/app\/kubernetes-runner-manager\.js/);
+  assert.match(source, /COPY metrics\.js \/app\/metrics\.js/);
   assert.match(source, /COPY runner-generation-token\.js \/app\/runner-generation-token\.js/);
   assert.match(source, /FROM node:20-bookworm-slim AS parent-dependencies/);
   assert.match(source, /COPY package\.parent\.json \/app\/package\.json/);
@@ -33,11 +38,12 @@ test("runner image has a distinct user and only the ghost data-plane sources", (
 
   assert.match(source, /USER 10001:10001/);
   assert.match(source, /COPY run-ghost-runner\.js \/app\/run-ghost-runner\.js/);
+  assert.match(source, /COPY bot-routines\.js \/app\/bot-routines\.js/);
   assert.match(source, /COPY runner-control-client\.js \/app\/runner-control-client\.js/);
   assert.match(source, /FROM node:20-bookworm-slim AS runner-dependencies/);
   assert.match(source, /COPY package\.runner\.json \/app\/package\.json/);
   assert.match(source, /npm rm --no-save express puppeteer-core query-string/);
-  assert.doesNotMatch(source, /chromium|COPY app\.js|COPY run-bot\.js/i);
+  assert.doesNotMatch(source, /chromium|COPY app\.js|COPY bot-messages\.js|COPY chat-providers\.js|COPY chat-stream\.js|COPY run-bot\.js/i);
   assert.deepEqual(Object.keys(packageManifest("package.runner.json").dependencies).sort(), [
     "docopt",
     "gl-matrix",
@@ -60,7 +66,12 @@ test("Docker build context is deny-by-default with only audited image inputs", (
     "!Dockerfile",
     "!Dockerfile.runner",
     "!app.js",
+    "!bot-messages.js",
+    "!bot-routines.js",
+    "!chat-providers.js",
+    "!chat-stream.js",
     "!kubernetes-runner-manager.js",
+    "!metrics.js",
     "!runner-generation-token.js",
     "!run-ghost-runner.js",
     "!runner-control-client.js"
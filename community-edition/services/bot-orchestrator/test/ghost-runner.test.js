@@ -523,6 +523,134 @@ test("applies bot commands only for the exact current runner authority fence", (
   assert.equal(calls.length, 1);
 });
 
+test("fences follow commands like movement and validates their leader", () => {
+  const authorityFence = { leaseId: "lease-current", authorityEpoch: 12 };
+  const record = { id: "bot-1", mobility: "medium" };
+  const bots = new Map([[record.id, record]]);
+  const calls = [];
+  const followCommands = {
+    follow: (...args) => calls.push(["follow", ...args]),
+    stopFollowing: (...args) => calls.push(["stop", ...args])
+  };
+  const command = body => ({
+    type: "bot_command",
+    bot_runner_lease_id: "lease-current",
+    bot_runner_authority_epoch: 12,
+    body: { bot_id: "bot-1", ...body }
+  });
+  const apply = (payload, fence = authorityFence) =>
+    internals.applyFencedBotCommand(payload, fence, bots, () => {}, 1234, followCommands);
+
+  assert.equal(apply(command({ type: "follow_user", session_id: "session-a" })), true);
+  assert.equal(apply(command({ type: "follow_bot", leader: "bot-3" })), true);
+  assert.equal(apply(command({ type: "stop_following" })), true);
+  assert.deepEqual(calls, [
+    ["follow", record, { kind: "user", id: "session-a" }, 1234],
+    ["follow", record, { kind: "bot", id: "bot-3" }, 1234],
+    ["stop", record, 1234]
+  ]);
+
+  for (const rejected of [
+    command({ type: "follow_user" }),
+    command({ type: "follow_user", session_id: "session a" }),
+    command({ type: "follow_bot", leader: "bot-1" }),
+    command({ type: "follow_bot", leader: "bot-11" })
+  ]) {
+    assert.equal(apply(rejected), false);
+  }
+  assert.equal(
+    apply(command({ type: "follow_user", session_id: "session-a" }), { ...authorityFence, authorityEpoch: 13 }),
+    false
+  );
+  assert.equal(
+    internals.applyFencedBotCommand(
+      command({ type: "follow_user", session_id: "session-a" }),
+      authorityFence,
+      bots,
+      () => {},
+      1234
+    ),
+    false
+  );
+  assert.equal(calls.length, 3);
+});
+
+test("reads visitor avatar transforms only from entities the sender owns", () => {
+  const avatar = (owner, components) => ({
+    networkId: `avatar-${owner}`,
+    owner,
+    template: "#remote-avatar",
+    components
+  });
+
+  assert.deepEqual(
+    internals.readAvatarNafMessage("naf", {
+      from_session_id: "session-a",
+      dataType: "u",
+      data: avatar("session-a", { 0: { x: 1, y: 0, z: 2 }, 1: { x: 0, y: 90, z: 0 } })
+    }),
+    {
+      updates: [{ sessionId: "session-a", networkId: "avatar-session-a", position: [1, 0, 2], rotationYDeg: 90 }],
+      removedNetworkIds: []
+    }
+  );
+
+  const multi = internals.readAvatarNafMessage("nafr", {
+    from_session_id: "session-a",
+    naf: JSON.stringify({
+      dataType: "um",
+      data: {
+        d: [
+          avatar("session-a", { 1: { x: 0, y: 45, z: 0 } }),
+          avatar("session-b", { 0: { x: 9, y: 0, z: 9 } }),
+          { ...avatar("session-a", { 0: { x: 3, y: 0, z: 3 } }), template: "#interactable-media" },
+          avatar("session-a", { 0: { x: "far", y: 0, z: 0 } })
+        ]
+      }
+    })
+  });
+  assert.deepEqual(multi.updates, [
+    { sessionId: "session-a", networkId: "avatar-session-a", position: null, rotationYDeg: 45 }
+  ]);
+
+  assert.deepEqual(
+    internals.readAvatarNafMessage("nafr", {
+      from_session_id: "session-a",
+      naf: JSON.stringify({ dataType: "r", data: { networkId: "avatar-session-a" } })
+    }).removedNetworkIds,
+    ["avatar-session-a"]
+  );
+  assert.deepEqual(internals.readAvatarNafMessage("nafr", { from_session_id: "session-a", naf: "{" }).updates, []);
+  assert.deepEqual(
+    internals.readAvatarNafMessage("naf", { dataType: "u", data: avatar("session-a", { 0: { x: 1, y: 0, z: 1 } }) })
+      .updates,
+    []
+  );
+});
+
+test("places followers in formation slots behind the leader without follow loops", () => {
+  const close = (actual, expected) =>
+    expected.forEach((value, index) => assert.ok(Math.abs(actual[index] - value) < 1e-9, `${actual} ~ ${expected}`));
+
+  // Leader at the origin facing +Z.
+  close(internals.formationTarget([0, 0, 0], 0, 0), [0, 0, -1.4]);
+  close(internals.formationTarget([0, 0, 0], 0, 1), [-0.9, 0, -2.3]);
+  close(internals.formationTarget([0, 0, 0], 0, 2), [0.9, 0, -2.3]);
+  // Facing +X, the first slot trails along -X.
+  close(internals.formationTarget([5, 1, 5], 90, 0), [3.6, 1, 5]);
+
+  close(internals.keepDistanceTarget([0, 0, 0], [0, 0, 4], 0), [0, 0, 1.4]);
+  assert.equal(internals.keepDistanceTarget([0, 0, 0], [0, 0, 0], 0), null);
+
+  const bots = new Map([
+    ["bot-1", { id: "bot-1", following: { kind: "bot", id: "bot-2" } }],
+    ["bot-2", { id: "bot-2", following: { kind: "user", id: "session-a" } }],
+    ["bot-3", { id: "bot-3", following: null }]
+  ]);
+  assert.equal(internals.followCreatesCycle(bots, "bot-3", "bot-1"), false);
+  assert.equal(internals.followCreatesCycle(bots, "bot-2", "bot-1"), true);
+});
+
 test("bounds Featured avatar discovery and keeps only usable unique refs", async () => {
   const discovered = await internals.fetchFeaturedAvatarRefs("https://meta-hubs.org", {
     timeoutMs: 100,
@@ -712,6 +840,40 @@ test("accepts only managed configs whose fingerprint matches and then ignores hu
   assert.equal(internals.shouldApplyHubRefreshConfig(true), false);
 });
 
+test("schema 2 profiles are part of the managed config fingerprint", () => {
+  const bots = {
+    enabled: true,
+    count: 2,
+    mobility: "medium",
+    profiles: [{ name: "Guía", mobility: "high" }, { avatar_id: "desk_1" }]
+  };
+  const fingerprint = internals.managedRunnerConfigFingerprint(bots);
+  const message = { type: "bots-config", bots, fingerprint, revision: 3, processGeneration: TEST_PROCESS_GENERATION };
+
+  assert.deepEqual(internals.parseManagedConfigMessage(message).bots.profiles, bots.profiles);
+  assert.notEqual(fingerprint, internals.managedRunnerConfigFingerprint({ ...bots, profiles: undefined }));
+  assert.equal(
+    internals.parseManagedConfigMessage({
+      ...message,
+      bots: { ...bots, profiles: [{ name: "Guía", mobility: "static" }, { avatar_id: "desk_1" }] }
+    }),
+    null
+  );
+  assert.deepEqual(internals.normalizeBotsConfig({ profiles: [{ name: "a\u0007", avatar_id: "../x" }] }).profiles, [{}]);
+});
+
+test("a per-bot avatar override only selects among the featured refs", () => {
+  const refs = [
+    "https://hubs.example/api/v1/avatars/rotation_a/avatar.gltf?v=1",
+    "https://hubs.example/api/v1/avatars/desk_1/avatar.gltf?v=2"
+  ];
+
+  assert.equal(internals.pickAvatarId("bot-1", refs, [], 0, "desk_1"), refs[1]);
+  assert.equal(internals.pickAvatarId("bot-1", refs, [], 0, "missing"), refs[0]);
+  assert.equal(internals.pickAvatarId("bot-1", refs, [], 0), refs[0]);
+  assert.equal(internals.pickAvatarId("bot-1", [], [], 0, "desk_1"), "");
+});
+
 test("managed config delivery is monotonic and idempotent across delayed polls", () => {
   const revisionTwo = {
     revision: 2,
@@ -1112,6 +1274,99 @@ test("loads the GLB navmesh by byte range and finds a route around missing floor
   navMesh.geometry.dispose();
 });
 
+test("scene diagnostics explain unprojected, disconnected and collider-blocked waypoints", () => {
+  const policy = internals.createSceneFetchPolicy("https://meta-hubs.org", { navmeshSnapDistanceM: 1 });
+  const waypoint = (name, translation) => ({
+    name,
+    translation,
+    extensions: { MOZ_hubs_components: { waypoint: {} } }
+  });
+  const extracted = internals.extractWaypointsAndColliders({
+    nodes: [
+      waypoint("spawbot-start", [0.5, 0, 0.5]),
+      waypoint("spawbot-end", [2.5, 0, 2.5]),
+      waypoint("spawbot-island", [10, 0, 10]),
+      waypoint("spawbot-void", [40, 0, 40]),
+      {
+        name: "wall",
+        translation: [1.5, 0, 1.5],
+        extensions: { MOZ_hubs_components: { "box-collider": { scale: { x: 1, y: 2, z: 1 } } } }
+      }
+    ]
+  });
+  // Two islands: everything west of x=5 is group 0, the rest group 1.
+  const navPlanner = {
+    triangleCount: 6,
+    groupCount: 2,
+    projectPoint: position =>
+      position[0] > 30 ? null : { group: position[0] > 5 ? 1 : 0, position: [...position] }
+  };
+
+  assert.deepEqual(internals.buildSceneDiagnostics({ extracted, navPlanner, policy }), {
+    scene: { loaded: true, error: null },
+    navmesh: { present: true, error: null, triangles: 6, groups: 2, snap_distance_m: 1 },
+    waypoints: { total: 4, spawbots: 4, colliders: 1 },
+    primary_nav_group: 0,
+    unprojected_waypoints: [{ name: "spawbot-void", position: [40, 0, 40] }],
+    disconnected_spawbots: [{ name: "spawbot-island", group: 1 }],
+    blocked_segments: [
+      { from: "spawbot-start", to: "spawbot-end" },
+      { from: "spawbot-start", to: "spawbot-island" },
+      { from: "spawbot-start", to: "spawbot-void" }
+    ],
+    policy_violations: [],
+    truncated: false
+  });
+
+  const rejected = internals.buildSceneDiagnostics({ sceneError: "gltf_too_many_nodes", policy });
+  assert.deepEqual(rejected.scene, { loaded: false, error: "gltf_too_many_nodes" });
+  assert.deepEqual(rejected.policy_violations, ["gltf_too_many_nodes"]);
+  assert.equal(rejected.primary_nav_group, null);
+  const fetchFailed = internals.buildSceneDiagnostics({
+    sceneError: "scene_http_404",
+    navmeshError: "navmesh_too_many_triangles",
+    policy
+  });
+  assert.deepEqual(fetchFailed.policy_violations, ["navmesh_too_many_triangles"]);
+});
+
+test("spawns and patrols within the navmesh group holding the most spawbots", () => {
+  const point = (name, navGroup) => ({ name, position: [0, 0, 0], navGroup });
+  const start = point("spawbot-start", 1);
+  const end = point("spawbot-end", 1);
+  const island = point("spawbot-island", 0);
+  const lobby = point("lobby", 0);
+
+  assert.deepEqual(
+    internals.pickSpawnAndPatrolPoints({
+      allWaypoints: [island, lobby, start, end],
+      spawnFlagPoints: [lobby],
+      namedSpawbots: [island, start, end]
+    }),
+    { spawnPoints: [start, end], patrolPoints: [start, end] }
+  );
+
+  // Without spawbots, the group holding the most waypoints wins, lowest on ties.
+  assert.deepEqual(
+    internals.pickSpawnAndPatrolPoints({
+      allWaypoints: [start, end, island, lobby],
+      spawnFlagPoints: [],
+      namedSpawbots: []
+    }),
+    { spawnPoints: [island, lobby], patrolPoints: [island, lobby] }
+  );
+
+  // Points that were not projected to a navmesh are not filtered.
+  const direct = [
+    { name: "a", position: [0, 0, 0] },
+    { name: "b", position: [1, 0, 0] }
+  ];
+  assert.deepEqual(
+    internals.pickSpawnAndPatrolPoints({ allWaypoints: direct, spawnFlagPoints: [], namedSpawbots: [] }),
+    { spawnPoints: direct, patrolPoints: direct }
+  );
+});
+
 test("rejects oversized or empty navmesh accessors before any byte fetch", async () => {
   let fetches = 0;
   const policy = internals.createSceneFetchPolicy("https://meta-hubs.org", {
@@ -0,0 +1,74 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const { createMetricsRegistry } = require("../metrics");
+
+test("renders counters and gauges in Prometheus text format with escaped labels", () => {
+  const registry = createMetricsRegistry();
+  const requests = registry.counter("demo_requests_total", "Requests\nby outcome.", ["outcome"]);
+  const depth = registry.gauge("demo_queue_depth", "Queue depth.");
+
+  requests.inc({ outcome: "reply" });
+  requests.inc({ outcome: "reply" }, 2);
+  requests.inc({ outcome: 'say "hi"\\now' });
+  requests.inc({ outcome: "reply" }, -1);
+  requests.inc({});
+  depth.set({}, 4);
+
+  assert.equal(
+    registry.render(),
+    [
+      "# HELP demo_requests_total Requests\\nby outcome.",
+      "# TYPE demo_requests_total counter",
+      'demo_requests_total{outcome="reply"} 3',
+      'demo_requests_total{outcome="say \\"hi\\"\\\\now"} 1',
+      'demo_requests_total{outcome=""} 1',
+      "# HELP demo_queue_depth Queue depth.",
+      "# TYPE demo_queue_depth gauge",
+      "demo_queue_depth 4",
+      ""
+    ].join("\n")
+  );
+
+  assert.throws(() => registry.counter("demo_requests_total", "Again."), /metrics_invalid_name/);
+  assert.throws(() => registry.gauge("demo-bad", "Bad."), /metrics_invalid_name/);
+  assert.throws(() => registry.histogram("demo_seconds", "Bad.", ["le"]), /metrics_invalid_label/);
+});
+
+test("histograms expose cumulative buckets, sum and count", () => {
+  const registry = createMetricsRegistry();
+  const latency = registry.histogram("demo_seconds", "Latency.", ["operation"], [1, 0.1]);
+
+  latency.observe({ operation: "complete" }, 0.05);
+  latency.observe({ operation: "complete" }, 0.5);
+  latency.observe({ operation: "complete" }, 3);
+  latency.observe({ operation: "complete" }, Number.NaN);
+
+  assert.deepEqual(registry.render().trim().split("\n").slice(2), [
+    'demo_seconds_bucket{operation="complete",le="0.1"} 1',
+    'demo_seconds_bucket{operation="complete",le="1"} 2',
+    'demo_seconds_bucket{operation="complete",le="+Inf"} 3',
+    'demo_seconds_sum{operation="complete"} 3.55',
+    'demo_seconds_count{operation="complete"} 3'
+  ]);
+});
+
+test("collectors refresh gauges on every render and a failing collector does not break the scrape", t => {
+  const registry = createMetricsRegistry();
+  const rooms = registry.gauge("demo_rooms", "Rooms by state.", ["state"]);
+  let queued = 2;
+  t.mock.method(console, "warn", () => {});
+
+  registry.onCollect(() => {
+    rooms.reset();
+    if (queued) rooms.set({ state: "queued" }, queued);
+  });
+  registry.onCollect(() => {
+    throw new Error("collector_failed");
+  });
+
+  assert.match(registry.render(), /^demo_rooms\{state="queued"\} 2$/m);
+  queued = 0;
+  assert.doesNotMatch(registry.render(), /state="queued"/);
+  assert.equal(console.warn.mock.callCount(), 2);
+});
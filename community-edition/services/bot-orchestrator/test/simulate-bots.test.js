@@ -0,0 +1,179 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { test } = require("node:test");
+
+const {
+  createSeparationMonitor,
+  loadLocalScene,
+  main,
+  parseSimulationOptions,
+  renderTraceSvg,
+  simulateBots
+} = require("../simulate-bots");
+
+function makeGlb(gltf, bin) {
+  const json = Buffer.from(JSON.stringify(gltf), "utf8");
+  const paddedJsonLength = Math.ceil(json.length / 4) * 4;
+  const paddedBinLength = Math.ceil(bin.length / 4) * 4;
+  const bytes = Buffer.alloc(20 + paddedJsonLength + 8 + paddedBinLength, 0);
+  bytes.fill(0x20, 20, 20 + paddedJsonLength);
+  bytes.writeUInt32LE(0x46546c67, 0);
+  bytes.writeUInt32LE(2, 4);
+  bytes.writeUInt32LE(bytes.length, 8);
+  bytes.writeUInt32LE(paddedJsonLength, 12);
+  bytes.writeUInt32LE(0x4e4f534a, 16);
+  json.copy(bytes, 20);
+  const binHeaderOffset = 20 + paddedJsonLength;
+  bytes.writeUInt32LE(paddedBinLength, binHeaderOffset);
+  bytes.writeUInt32LE(0x004e4942, binHeaderOffset + 4);
+  bin.copy(bytes, binHeaderOffset + 8);
+  return bytes;
+}
+
+// An L-shaped walkable area, a separate island and one waypoint floating in
+// the void, so both kinds of unreachable waypoint show up.
+function writeSceneGlb() {
+  // prettier-ignore
+  const positions = new Float32Array([
+    0, 0, 0, 1, 0, 0, 0, 0, 2, 1, 0, 2, 0, 0, 3, 1, 0, 3, 3, 0, 2, 3, 0, 3,
+    10, 0, 10, 11, 0, 10, 10, 0, 11
+  ]);
+  // prettier-ignore
+  const indices = new Uint16Array([0, 2, 1, 1, 2, 3, 2, 4, 3, 3, 4, 5, 3, 5, 6, 6, 5, 7, 8, 10, 9, 0]);
+  const positionBytes = Buffer.from(positions.buffer);
+  const indexBytes = Buffer.from(indices.buffer);
+  const bin = Buffer.concat([positionBytes, indexBytes]);
+  const waypoint = (name, translation) => ({
+    name,
+    translation,
+    extensions: { MOZ_hubs_components: { waypoint: {} } }
+  });
+  const gltf = {
+    asset: { version: "2.0" },
+    buffers: [{ byteLength: bin.length }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: positionBytes.length },
+      { buffer: 0, byteOffset: positionBytes.length, byteLength: indexBytes.length }
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: positions.length / 3, type: "VEC3" },
+      { bufferView: 1, componentType: 5123, count: 21, type: "SCALAR" }
+    ],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0 }, indices: 1, mode: 4 }] }],
+    nodes: [
+      { name: "navMesh", mesh: 0, extensions: { MOZ_hubs_components: { "nav-mesh": {} } } },
+      waypoint("spawbot-start", [0.5, 0, 0.5]),
+      waypoint("spawbot-end", [2.5, 0, 2.5]),
+      waypoint("spawbot-corner", [0.5, 0, 2.5]),
+      waypoint("spawbot-island", [10.3, 0, 10.3]),
+      waypoint("spawbot-void", [40, 0, 40])
+    ],
+    scenes: [{ nodes: [0, 1, 2, 3, 4, 5] }],
+    scene: 0
+  };
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bot-simulation-"));
+  const scenePath = path.join(dir, "scene.glb");
+  fs.writeFileSync(scenePath, makeGlb(gltf, bin));
+  return { dir, scenePath };
+}
+
+test("loads a local scene and reports waypoints that are off the navmesh or unroutable", async () => {
+  const { dir, scenePath } = writeSceneGlb();
+  try {
+    const loaded = await loadLocalScene(scenePath);
+    assert.ok(loaded.navPlanner);
+    assert.equal(loaded.triangles.length, 7);
+
+    const trace = simulateBots(loaded, { botCount: 2, mobility: "high", durationMs: 60_000, seed: 7 });
+    assert.equal(trace.navigation.mode, "navmesh");
+    assert.deepEqual(trace.unreachable_waypoints, [
+      { name: "spawbot-void", reason: "off_navmesh" },
+      { name: "spawbot-island", reason: "no_route" }
+    ]);
+    assert.equal(trace.bots.length, 2);
+    assert.ok(trace.bots.some(bot => bot.walks > 0 && bot.distance_m > 0));
+    // Like the runner, bots only patrol the navmesh group holding the most spawbots.
+    assert.deepEqual(trace.failed_plans, {});
+    trace.bots.forEach(bot => {
+      assert.equal(bot.path.length, 121);
+      assert.equal(Math.round((bot.idle_s + bot.walking_s) * 10), 600);
+      bot.path.forEach(([, x, z]) => {
+        assert.ok(x >= -0.01 && x <= 3.01 && z >= -0.01 && z <= 3.01, `${bot.id} left the L at ${x},${z}`);
+      });
+    });
+
+    const replay = simulateBots(await loadLocalScene(scenePath), {
+      botCount: 2,
+      mobility: "high",
+      durationMs: 60_000,
+      seed: 7
+    });
+    assert.deepEqual(replay, trace);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("separation violations are reported once per close encounter", () => {
+  const loaded = {
+    extracted: { allWaypoints: [], colliders: [] },
+    navigable: { allWaypoints: [] },
+    navPlanner: null,
+    navmeshError: null,
+    offNavmesh: [],
+    triangles: [],
+    spawnPoints: [{ name: "spawbot-a", position: [0, 0, 0] }],
+    patrolPoints: []
+  };
+  // Without a navmesh, later bots spread out 0.8-1.2 m around a shared spawn,
+  // so a static run has no violations.
+  const spread = simulateBots(loaded, { botCount: 3, mobility: "static", durationMs: 1_000 });
+  assert.deepEqual(spread.separation_violations, []);
+  assert.equal(spread.bots[0].idle_s, 1);
+
+  const monitor = createSeparationMonitor();
+  const bot1 = { id: "bot-1", position: [0, 0, 0] };
+  const bot2 = { id: "bot-2", position: [0.3, 0, 0] };
+  monitor.observe([bot1, bot2], 100);
+  monitor.observe([bot1, bot2], 200);
+  bot2.position = [1, 0, 0];
+  monitor.observe([bot1, bot2], 300);
+  bot2.position = [0, 0, 0.5];
+  monitor.observe([bot1, bot2], 400);
+  assert.deepEqual(monitor.violations, [
+    { t_s: 0.1, bots: ["bot-1", "bot-2"], distance_m: 0.3, position: [0, 0] },
+    { t_s: 0.4, bots: ["bot-1", "bot-2"], distance_m: 0.5, position: [0, 0] }
+  ]);
+
+  const crowded = { ...spread, separation_violations: monitor.violations };
+  const svg = renderTraceSvg(crowded, [[[0, 0], [1, 0], [0, 1]]]);
+  assert.match(svg, /^<svg /);
+  assert.match(svg, /<polygon /);
+  assert.equal((svg.match(/<polyline /g) || []).length, 3);
+  assert.match(svg, /stroke="#d62728"/);
+});
+
+test("validates command-line options and writes the trace and plot", async () => {
+  const base = { "--bots": "3", "--duration": "300", "--seed": "1", "--mobility": "Medium" };
+  assert.deepEqual(parseSimulationOptions(base), { botCount: 3, durationMs: 300_000, seed: 1, mobility: "medium" });
+  assert.throws(() => parseSimulationOptions({ ...base, "--bots": "11" }), /simulation_invalid_bot_count/);
+  assert.throws(() => parseSimulationOptions({ ...base, "--duration": "0" }), /simulation_invalid_duration/);
+  assert.throws(() => parseSimulationOptions({ ...base, "--seed": "x" }), /simulation_invalid_seed/);
+  assert.throws(() => parseSimulationOptions({ ...base, "--mobility": "fast" }), /simulation_invalid_mobility/);
+
+  const { dir, scenePath } = writeSceneGlb();
+  const prefix = path.join(dir, "out");
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const trace = await main([`--scene=${scenePath}`, "-n", "2", "-d", "20", `--out=${prefix}`]);
+    assert.equal(trace.scene, "scene.glb");
+    assert.deepEqual(JSON.parse(fs.readFileSync(`${prefix}.json`, "utf8")), trace);
+    assert.match(fs.readFileSync(`${prefix}.svg`, "utf8"), /spawbot-island/);
+  } finally {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -119,6 +119,21 @@ const config =
 				}
 			]
 		},
+		// mediasoup AudioLevelObserver options, one per Router. Clients show
+		// the listed Peers as talking.
+		// See https://mediasoup.org/documentation/v3/mediasoup/api/#AudioLevelObserverOptions
+		audioLevelObserverOptions :
+		{
+			maxEntries : 10,
+			threshold  : -70,
+			interval   : 400
+		},
+		// mediasoup ActiveSpeakerObserver options, one per Router.
+		// See https://mediasoup.org/documentation/v3/mediasoup/api/#ActiveSpeakerObserverOptions
+		activeSpeakerObserverOptions :
+		{
+			interval : 300
+		},
 		// mediasoup WebRtcTransport options for WebRTC endpoints (mediasoup-client,
 		// libmediasoupclient).
 		// See https://mediasoup.org/documentation/v3/mediasoup/api/#WebRtcTransportOptions
@@ -141,6 +156,69 @@ const config =
 			maxIncomingBitrate              : 1500000
 		}
 	},
+	// Layers sent to each Peer for simulcast and SVC videos. Clients report
+	// how large every remote video appears on their screen and the server
+	// prefers the layers that size calls for, within a per-Peer budget.
+	layerPolicy :
+	{
+		// Most video bitrate sent to a single Peer, in bps.
+		maxBitrate           : Number(process.env.CONSUMER_MAX_VIDEO_BITRATE || 4000000),
+		// The budget may exceed the estimated downlink bandwidth by this factor,
+		// so that the estimate can still grow.
+		bweHeadroom          : 1.25,
+		// Share of the screen a video has to cover to get spatial layer 1, 2...
+		screenAreaThresholds : [ 0.02, 0.15 ],
+		// Videos further than this (in meters) get one temporal layer less.
+		farDistance          : 8,
+		// Bitrate of each spatial layer when the producer does not announce it.
+		defaultLayerBitrates : [ 150000, 500000, 1500000 ]
+	},
+	// Server-side room recording, started and stopped from the admin HTTP API.
+	recording :
+	{
+		// Off unless asked for. The routes need a Reticulum admin or room owner
+		// perms token.
+		enabled       : process.env.RECORDING_ENABLED === 'true',
+		directory     : process.env.RECORDING_DIR || `${__dirname}/recordings`,
+		ffmpegPath    : process.env.RECORDING_FFMPEG_PATH || 'ffmpeg',
+		// ffmpeg receives each track on a pair of local UDP ports (RTP, RTCP)
+		// taken from this range.
+		listenIp      : '127.0.0.1',
+		minPort       : Number(process.env.RECORDING_MIN_PORT || 50000),
+		maxPort       : Number(process.env.RECORDING_MAX_PORT || 50999),
+		// Time ffmpeg gets to bind its ports before RTP starts flowing.
+		startDelayMs  : 1000,
+		// Time ffmpeg gets to finish a file before it is killed.
+		stopTimeoutMs : 5000
+	},
+	// Spreading a room over several dialog nodes. When a room outgrows every
+	// worker of this node, its Producers are piped to the same room on the least
+	// loaded peer node, which new Peers can then be sent to.
+	cascade :
+	{
+		enabled          : process.env.CASCADE_ENABLED === 'true',
+		// Admin HTTP API base URL of this node, as the other nodes reach it.
+		url              : process.env.CASCADE_URL ||
+			`http://${os.hostname()}:${process.env.ADMIN_LISTEN_PORT || 7000}`,
+		// Admin HTTP API base URLs of the nodes rooms may cascade to,
+		// comma-separated.
+		peers            : (process.env.CASCADE_PEERS || '')
+			.split(',')
+			.map((peer) => peer.trim())
+			.filter(Boolean),
+		// Shared by every node and required on every /cascade request, since the
+		// admin API has no authentication of its own.
+		secret           : process.env.CASCADE_SECRET || '',
+		// Host of this node's WebRTC endpoint, advertised for edge rooms.
+		host             : process.env.CASCADE_HOST ||
+			process.env.MEDIASOUP_ANNOUNCED_IP || os.hostname(),
+		// Address of the PipeTransports other nodes send RTP to.
+		listenIp         : process.env.CASCADE_LISTEN_IP || '0.0.0.0',
+		announcedAddress : process.env.CASCADE_ANNOUNCED_IP || process.env.MEDIASOUP_LISTEN_IP,
+		maxEdges         : Number(process.env.CASCADE_MAX_EDGES || 4),
+		edgeCooldownMs   : 60000,
+		requestTimeoutMs : 5000
+	},
 	authKey: process.env.AUTH_KEY || `${__dirname}/certs/perms.pub.pem`
 };
 
@@ -24,9 +24,12 @@ const bodyParser = require('body-parser');
 const { AwaitQueue } = require('awaitqueue');
 const Logger = require('./lib/Logger');
 const Room = require('./lib/Room');
+const CascadeLink = require('./lib/CascadeLink');
+const adminAuth = require('./lib/adminAuth');
 const interactiveServer = require('./lib/interactiveServer');
 const interactiveClient = require('./lib/interactiveClient');
 const util = require('util');
+const crypto = require('crypto');
 const readFile = util.promisify(fs.readFile);
 
 const utils = require('./lib/utils');
@@ -200,7 +203,9 @@ async function createAdminExpressApp()
 		'/meta', (req, res) =>
 		{
 			res.status(200).json({
-				cap : utils.workerLoadMan.sum()
+				cap      : utils.workerLoadMan.sum(),
+				// Load at which every worker is full, to compare cap against.
+				capacity : mediasoupWorkers.length * utils.ccuThreshold
 				// ip: process.env.MEDIASOUP_ANNOUNCED_IP
 			});
 		});
@@ -272,6 +277,445 @@ async function createAdminExpressApp()
 				.send(peer._data);
 		});
 
+	// Guards the recording and moderation routes below.
+	const requirePermission = adminAuth.createPermissionGuard(
+		{ getAuthKey: () => authKey, logger });
+
+	/**
+	 * Room recordings. POST starts one (`{ "video": true }` to include video),
+	 * GET returns its manifest and DELETE stops it once the files are complete.
+	 * Only Reticulum admins and the room's owner (`update_hub`) may use them.
+	 */
+	expressAdminApp.use(
+		'/recordings', (req, res, next) =>
+		{
+			if (!config.recording.enabled)
+			{
+				res.status(404).json({ error: 'Recording is disabled' });
+
+				return;
+			}
+
+			next();
+		});
+
+	expressAdminApp.post(
+		'/recordings/rooms/:roomId', requirePermission('update_hub'),
+		async (req, res, next) =>
+		{
+			const room = rooms.get(req.params.roomId);
+
+			if (!room)
+			{
+				res.status(404).json({ error: 'Room not found' });
+
+				return;
+			}
+
+			if (room.getRecording())
+			{
+				res.status(409).json({ error: 'Room is already being recorded' });
+
+				return;
+			}
+
+			try
+			{
+				const video = Boolean(req.body && req.body.video);
+				const recorder = await room.startRecording({ video });
+
+				res.status(201).json(recorder);
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	expressAdminApp.get(
+		'/recordings/rooms/:roomId', requirePermission('update_hub'),
+		(req, res) =>
+		{
+			const room = rooms.get(req.params.roomId);
+			const recorder = room && room.getRecording();
+
+			if (!recorder)
+			{
+				res.status(404).json({ error: 'Recording not found' });
+
+				return;
+			}
+
+			res.status(200).json(recorder);
+		});
+
+	expressAdminApp.delete(
+		'/recordings/rooms/:roomId', requirePermission('update_hub'),
+		async (req, res, next) =>
+		{
+			const room = rooms.get(req.params.roomId);
+
+			if (!room || !room.getRecording())
+			{
+				res.status(404).json({ error: 'Recording not found' });
+
+				return;
+			}
+
+			try
+			{
+				const recorder = await room.stopRecording();
+
+				res.status(200).json(recorder);
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	/**
+	 * Moderation API, authenticated with Reticulum perms tokens (see
+	 * lib/adminAuth.js). Lists rooms and their Peers with Producers, Consumers
+	 * and Transport stats, exports room stats snapshots, and mutes or closes
+	 * Producers and Peers without being in the room.
+	 */
+	const findRoom = (req, res, next) =>
+	{
+		const room = rooms.get(req.params.roomId);
+
+		if (!room)
+		{
+			res.status(404).json({ error: 'Room not found' });
+
+			return;
+		}
+
+		req.room = room;
+
+		next();
+	};
+
+	// Without a room to scope a hub token to, only Reticulum admins get through.
+	expressAdminApp.get(
+		'/api/v1/rooms', requirePermission(), (req, res) =>
+		{
+			const roomList = Array.from(rooms.values()).map((room) => (
+				{
+					roomId    : room._roomId,
+					peers     : room.getCCU(),
+					recording : Boolean(room.getRecording()),
+					cascade   : room.getCascadeStatus().role
+				}));
+
+			res.status(200).json({ rooms: roomList });
+		});
+
+	expressAdminApp.get(
+		'/api/v1/rooms/:roomId/peers', requirePermission('mute_users'), findRoom,
+		async (req, res, next) =>
+		{
+			try
+			{
+				const { peers } = await req.room.getAdminSnapshot(
+					{ stats: req.query.stats !== 'false' });
+
+				res.status(200).json({ peers });
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	expressAdminApp.get(
+		'/api/v1/rooms/:roomId/stats', requirePermission('mute_users'), findRoom,
+		async (req, res, next) =>
+		{
+			try
+			{
+				const snapshot = await req.room.getAdminSnapshot();
+				const filename = `${req.params.roomId}-${snapshot.takenAt}.json`
+					.replace(/[^a-zA-Z0-9._-]/g, '_');
+
+				res.set('Content-Disposition', `attachment; filename="${filename}"`)
+					.status(200)
+					.json(snapshot);
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	expressAdminApp.post(
+		'/api/v1/rooms/:roomId/producers/:producerId/mute', requirePermission('mute_users'), findRoom,
+		async (req, res, next) =>
+		{
+			try
+			{
+				res.status(200).json(await req.room.muteProducer(req.params.producerId));
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	expressAdminApp.post(
+		'/api/v1/rooms/:roomId/producers/:producerId/unmute', requirePermission('mute_users'), findRoom,
+		(req, res, next) =>
+		{
+			try
+			{
+				res.status(200).json(req.room.unmuteProducer(req.params.producerId));
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	expressAdminApp.delete(
+		'/api/v1/rooms/:roomId/producers/:producerId', requirePermission('kick_users'), findRoom,
+		(req, res, next) =>
+		{
+			try
+			{
+				res.status(200).json(req.room.closeProducer(req.params.producerId));
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	expressAdminApp.delete(
+		'/api/v1/rooms/:roomId/peers/:peerId', requirePermission('kick_users'), findRoom,
+		(req, res, next) =>
+		{
+			try
+			{
+				res.status(200).json(req.room.closePeer(req.params.peerId));
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	/**
+	 * Cascading of rooms across dialog nodes, see lib/CascadeLink.js. Every
+	 * request has to carry the shared secret in the x-dialog-cascade-secret
+	 * header.
+	 *
+	 * GET /cascade lists the rooms that span several nodes and
+	 * GET /cascade/rooms/:roomId tells how one does. POST /cascade/rooms/:roomId/edges
+	 * opens an edge on another node (`{ "url": ... }`, or the least loaded peer).
+	 * The /links routes are called by the other nodes.
+	 */
+	expressAdminApp.use(
+		'/cascade', (req, res, next) =>
+		{
+			if (!config.cascade.enabled || !config.cascade.secret)
+			{
+				res.status(404).json({ error: 'Cascading is disabled' });
+
+				return;
+			}
+
+			const secret = Buffer.from(String(req.get(CascadeLink.SECRET_HEADER) || ''));
+			const expected = Buffer.from(config.cascade.secret);
+
+			if (secret.length !== expected.length || !crypto.timingSafeEqual(secret, expected))
+			{
+				res.status(401).json({ error: 'Invalid cascade secret' });
+
+				return;
+			}
+
+			next();
+		});
+
+	expressAdminApp.get(
+		'/cascade', (req, res) =>
+		{
+			const cascadedRooms = Array.from(rooms.values())
+				.map((room) => room.getCascadeStatus())
+				.filter(({ role }) => role !== 'standalone');
+
+			res.status(200).json({ url: config.cascade.url, rooms: cascadedRooms });
+		});
+
+	expressAdminApp.get(
+		'/cascade/rooms/:roomId', (req, res) =>
+		{
+			const room = rooms.get(req.params.roomId);
+
+			if (!room)
+			{
+				res.status(404).json({ error: 'Room not found' });
+
+				return;
+			}
+
+			res.status(200).json(room.getCascadeStatus());
+		});
+
+	expressAdminApp.post(
+		'/cascade/rooms/:roomId/edges', async (req, res, next) =>
+		{
+			const room = rooms.get(req.params.roomId);
+
+			if (!room)
+			{
+				res.status(404).json({ error: 'Room not found' });
+
+				return;
+			}
+
+			try
+			{
+				const remoteUrl = (req.body && req.body.url) ||
+					await CascadeLink.pickPeer({
+						exclude : room.getCascadeStatus().links.map((link) => link.remoteUrl)
+					});
+
+				if (!remoteUrl)
+				{
+					res.status(503).json({ error: 'No peer node has room' });
+
+					return;
+				}
+
+				const link = await room.openCascadeEdge(remoteUrl);
+
+				res.status(201).json(link);
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	expressAdminApp.post(
+		'/cascade/rooms/:roomId/links', async (req, res, next) =>
+		{
+			const { roomId } = req.params;
+			const { linkId, remoteUrl, ip, port, srtpParameters } = req.body || {};
+
+			if (!linkId || !remoteUrl || !ip || !port)
+			{
+				res.status(400).json({ error: 'linkId, remoteUrl, ip and port are required' });
+
+				return;
+			}
+
+			try
+			{
+				// Same queue as protoo connections, so a Peer joining meanwhile
+				// does not create a second room.
+				const answer = await queue.push(async () =>
+				{
+					const room = await getOrCreateRoom({ roomId });
+
+					return room.acceptCascadeLink({ linkId, remoteUrl, ip, port, srtpParameters });
+				});
+
+				res.status(201).json(answer);
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	expressAdminApp.param(
+		'linkId', (req, res, next, linkId) =>
+		{
+			const room = rooms.get(req.params.roomId);
+			const link = room && room.getCascadeLink(linkId);
+
+			// 410 tells the other node to close its end.
+			if (!link)
+			{
+				res.status(410).json({ error: 'Cascade link not found' });
+
+				return;
+			}
+
+			req.room = room;
+			req.link = link;
+
+			next();
+		});
+
+	expressAdminApp.delete(
+		'/cascade/rooms/:roomId/links/:linkId', (req, res) =>
+		{
+			req.link.close({ notifyRemote: false });
+
+			res.status(204).end();
+		});
+
+	expressAdminApp.post(
+		'/cascade/rooms/:roomId/links/:linkId/producers', async (req, res, next) =>
+		{
+			try
+			{
+				const producer = await req.room.addRemoteProducer(req.link.id, req.body || {});
+
+				res.status(201).json({ id: producer.id });
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	const findReceivedProducer = (req, res, next) =>
+	{
+		const producer = req.link.getReceivedProducer(req.params.producerId);
+
+		if (!producer)
+		{
+			res.status(404).json({ error: 'Producer not found' });
+
+			return;
+		}
+
+		req.producer = producer;
+
+		next();
+	};
+
+	expressAdminApp.delete(
+		'/cascade/rooms/:roomId/links/:linkId/producers/:producerId', findReceivedProducer, (req, res) =>
+		{
+			req.producer.close();
+
+			res.status(204).end();
+		});
+
+	expressAdminApp.post(
+		'/cascade/rooms/:roomId/links/:linkId/producers/:producerId/:action(pause|resume)',
+		findReceivedProducer, async (req, res, next) =>
+		{
+			try
+			{
+				if (req.params.action === 'pause')
+					await req.producer.pause();
+				else
+					await req.producer.resume();
+
+				res.status(204).end();
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
 	/**
 	 * Error handler.
 	 */
@@ -0,0 +1,388 @@
+const EventEmitter = require('events').EventEmitter;
+const crypto = require('crypto');
+const Logger = require('./Logger');
+const config = require('../config');
+
+const logger = new Logger('CascadeLink');
+
+const SECRET_HEADER = 'x-dialog-cascade-secret';
+
+/**
+ * Calls the admin HTTP API of another dialog node.
+ */
+async function request(baseUrl, method, path, body)
+{
+	const response = await fetch(`${baseUrl}${path}`,
+		{
+			method,
+			headers :
+			{
+				'content-type' : 'application/json',
+				[SECRET_HEADER]  : config.cascade.secret
+			},
+			body   : body === undefined ? undefined : JSON.stringify(body),
+			signal : AbortSignal.timeout(config.cascade.requestTimeoutMs)
+		});
+
+	if (!response.ok)
+	{
+		const error = new Error(
+			`cascade request failed [${method} ${path}, status:${response.status}]`);
+
+		error.status = response.status;
+		throw error;
+	}
+
+	return response.status === 204 ? null : response.json();
+}
+
+async function createPipeTransport(router)
+{
+	return router.createPipeTransport(
+		{
+			listenInfo :
+			{
+				protocol         : 'udp',
+				ip               : config.cascade.listenIp,
+				announcedAddress : config.cascade.announcedAddress
+			},
+			enableRtx  : true,
+			enableSrtp : true
+		});
+}
+
+function localTuple(transport)
+{
+	return {
+		ip             : transport.tuple.localAddress || transport.tuple.localIp,
+		port           : transport.tuple.localPort,
+		srtpParameters : transport.srtpParameters
+	};
+}
+
+/**
+ * A link between a Room on this node and the same room on another dialog node,
+ * made of a PipeTransport on each side. Each side sends its Producers to the
+ * other one by consuming them on its PipeTransport and telling the other node
+ * to produce them on its own, through the `/cascade` admin API.
+ *
+ * Links form a star: the node a room outgrew (the origin) opens one link per
+ * edge node and forwards Producers between edges, while an edge only ever has
+ * its link to the origin.
+ */
+class CascadeLink extends EventEmitter
+{
+	/**
+	 * Opens a link to the same room on the node at `remoteUrl`, which makes it
+	 * an edge of this one.
+	 *
+	 * @async
+	 *
+	 * @param {String} roomId
+	 * @param {mediasoup.Router} router - Router the PipeTransport is created in.
+	 * @param {String} remoteUrl - Admin API base URL of the other node.
+	 */
+	static async open({ roomId, router, remoteUrl })
+	{
+		const linkId = crypto.randomUUID();
+		const transport = await createPipeTransport(router);
+
+		try
+		{
+			const answer = await request(
+				remoteUrl, 'POST', `/cascade/rooms/${encodeURIComponent(roomId)}/links`,
+				{
+					linkId,
+					remoteUrl : config.cascade.url,
+					...localTuple(transport)
+				});
+
+			await transport.connect(
+				{
+					ip             : answer.ip,
+					port           : answer.port,
+					srtpParameters : answer.srtpParameters
+				});
+
+			logger.info(
+				'open() [roomId:%s, linkId:%s, remoteUrl:%s]', roomId, linkId, remoteUrl);
+
+			return new CascadeLink(
+				{ linkId, roomId, transport, remoteUrl, remoteHost: answer.host, upstream: false });
+		}
+		catch (error)
+		{
+			transport.close();
+
+			throw error;
+		}
+	}
+
+	/**
+	 * Answers a link another node opened with open().
+	 *
+	 * @async
+	 *
+	 * @returns {Object} { link, answer } where answer is the response for the
+	 *   opening node.
+	 */
+	static async accept({ roomId, router, linkId, remoteUrl, ip, port, srtpParameters })
+	{
+		const transport = await createPipeTransport(router);
+
+		try
+		{
+			await transport.connect({ ip, port, srtpParameters });
+		}
+		catch (error)
+		{
+			transport.close();
+
+			throw error;
+		}
+
+		logger.info(
+			'accept() [roomId:%s, linkId:%s, remoteUrl:%s]', roomId, linkId, remoteUrl);
+
+		const link = new CascadeLink(
+			{ linkId, roomId, transport, remoteUrl, remoteHost: null, upstream: true });
+
+		return {
+			link,
+			answer : { ...localTuple(transport), host: config.cascade.host }
+		};
+	}
+
+	/**
+	 * Picks the least loaded of the configured peer nodes that still has room,
+	 * from their `/meta` load report.
+	 *
+	 * @async
+	 *
+	 * @param {Array<String>} exclude - Admin API URLs not to pick.
+	 *
+	 * @returns {String|null} Admin API base URL of the picked node.
+	 */
+	static async pickPeer({ exclude = [] } = {})
+	{
+		const candidates = config.cascade.peers
+			.filter((url) => url !== config.cascade.url && !exclude.includes(url));
+
+		const loads = await Promise.all(candidates.map(async (url) =>
+		{
+			try
+			{
+				const { cap, capacity } = await request(url, 'GET', '/meta');
+
+				return capacity > 0 && cap < capacity ? { url, load: cap / capacity } : null;
+			}
+			catch (error)
+			{
+				logger.warn('pickPeer() | %s unreachable: %s', url, String(error));
+
+				return null;
+			}
+		}));
+
+		const available = loads
+			.filter(Boolean)
+			.sort((a, b) => a.load - b.load);
+
+		return available.length > 0 ? available[0].url : null;
+	}
+
+	constructor({ linkId, roomId, transport, remoteUrl, remoteHost, upstream })
+	{
+		super();
+
+		this._linkId = linkId;
+		this._roomId = roomId;
+		this._transport = transport;
+		this._remoteUrl = remoteUrl;
+		this._remoteHost = remoteHost;
+
+		// Whether this is the edge side of the link, i.e. the other node is the
+		// origin of the room.
+		// @type {Boolean}
+		this._upstream = upstream;
+
+		// Closed flag.
+		// @type {Boolean}
+		this._closed = false;
+
+		// PipeConsumers of the Producers sent to the other node.
+		// {map<producerId: consumer>}
+		this._sentConsumers = new Map();
+
+		// Producers the other node sent, produced in our PipeTransport.
+		// {map<producerId: producer>}
+		this._receivedProducers = new Map();
+
+		this._transport.observer.on('close', () => this.close({ notifyRemote: false }));
+	}
+
+	get id()
+	{
+		return this._linkId;
+	}
+
+	get remoteUrl()
+	{
+		return this._remoteUrl;
+	}
+
+	get upstream()
+	{
+		return this._upstream;
+	}
+
+	get closed()
+	{
+		return this._closed;
+	}
+
+	hasReceived(producerId)
+	{
+		return this._receivedProducers.has(producerId);
+	}
+
+	getReceivedProducer(producerId)
+	{
+		return this._receivedProducers.get(producerId);
+	}
+
+	/**
+	 * Sends a Producer to the other node. Its pause, resume and close follow.
+	 * The Producer has to exist in this link's Router.
+	 *
+	 * @async
+	 */
+	async sendProducer(producer)
+	{
+		if (this._closed || this._sentConsumers.has(producer.id))
+			return;
+
+		const consumer = await this._transport.consume({ producerId: producer.id });
+
+		this._sentConsumers.set(producer.id, consumer);
+
+		const path = `/producers/${encodeURIComponent(producer.id)}`;
+
+		consumer.on('producerclose', () =>
+		{
+			this._sentConsumers.delete(producer.id);
+			this._notify('DELETE', path);
+		});
+		consumer.on('producerpause', () => this._notify('POST', `${path}/pause`));
+		consumer.on('producerresume', () => this._notify('POST', `${path}/resume`));
+
+		await this._request('POST', '/producers',
+			{
+				producerId    : producer.id,
+				kind          : consumer.kind,
+				rtpParameters : consumer.rtpParameters,
+				paused        : consumer.producerPaused,
+				appData       : producer.appData
+			});
+	}
+
+	/**
+	 * Produces a Producer the other node sent.
+	 *
+	 * @async
+	 */
+	async receiveProducer({ producerId, kind, rtpParameters, paused, appData })
+	{
+		if (this._closed)
+			throw new Error('cascade link closed');
+
+		const producer = await this._transport.produce(
+			{
+				id : producerId,
+				kind,
+				rtpParameters,
+				paused,
+				appData
+			});
+
+		this._receivedProducers.set(producer.id, producer);
+		producer.observer.on('close', () => this._receivedProducers.delete(producer.id));
+
+		return producer;
+	}
+
+	/**
+	 * Closes the link and, unless the other node closed it, tells that node.
+	 */
+	close({ notifyRemote = true } = {})
+	{
+		if (this._closed)
+			return;
+
+		this._closed = true;
+
+		logger.info('close() [roomId:%s, linkId:%s]', this._roomId, this._linkId);
+
+		// Closes every sent PipeConsumer and received Producer with it.
+		this._transport.close();
+
+		if (notifyRemote)
+		{
+			request(this._remoteUrl, 'DELETE', this._basePath())
+				.catch((error) => logger.warn('close() | %s', String(error)));
+		}
+
+		this.emit('close');
+	}
+
+	toJSON()
+	{
+		return {
+			linkId     : this._linkId,
+			role       : this._upstream ? 'edge' : 'origin',
+			remoteUrl  : this._remoteUrl,
+			remoteHost : this._remoteHost,
+			sent       : this._sentConsumers.size,
+			received   : this._receivedProducers.size
+		};
+	}
+
+	_basePath()
+	{
+		return `/cascade/rooms/${encodeURIComponent(this._roomId)}/links/${this._linkId}`;
+	}
+
+	/**
+	 * Request on this link. The other node answers 410 once it no longer knows
+	 * the link (e.g. it restarted), which closes it here too.
+	 */
+	async _request(method, path, body)
+	{
+		try
+		{
+			return await request(this._remoteUrl, method, `${this._basePath()}${path}`, body);
+		}
+		catch (error)
+		{
+			if (error.status === 410)
+				this.close({ notifyRemote: false });
+
+			throw error;
+		}
+	}
+
+	_notify(method, path)
+	{
+		if (this._closed)
+			return;
+
+		this._request(method, path)
+			.catch((error) =>
+			{
+				logger.warn('_notify() failed [linkId:%s]: %s', this._linkId, String(error));
+			});
+	}
+}
+
+module.exports = CascadeLink;
+module.exports.SECRET_HEADER = SECRET_HEADER;
@@ -0,0 +1,527 @@
+const EventEmitter = require('events').EventEmitter;
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./Logger');
+const config = require('../config');
+
+const logger = new Logger('Recorder');
+
+// Codecs WebM can hold as they come from the browser (no transcoding).
+const RECORDABLE_MIME_TYPES = [ 'audio/opus', 'video/vp8', 'video/vp9' ];
+
+// Local RTP ports handed to ffmpeg, shared by every recording in this process.
+// Each entry is the RTP port of a pair; RTCP uses the next one.
+const usedPorts = new Set();
+
+function allocatePortPair({ minPort, maxPort })
+{
+	for (let port = minPort + (minPort % 2); port + 1 <= maxPort; port += 2)
+	{
+		if (!usedPorts.has(port))
+		{
+			usedPorts.add(port);
+
+			return port;
+		}
+	}
+
+	throw new Error('no free recording ports');
+}
+
+function releasePortPair(port)
+{
+	usedPorts.delete(port);
+}
+
+/**
+ * Keeps ids coming from clients usable as file and directory names.
+ */
+function safePathSegment(value)
+{
+	return String(value).replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 64) || '_';
+}
+
+/**
+ * SDP describing a single RTP stream sent by a mediasoup PlainTransport, as
+ * read by `ffmpeg -f sdp`.
+ */
+function buildSdp({ kind, ip, rtpPort, rtcpPort, codec })
+{
+	const encoding = codec.mimeType.split('/')[1];
+	const channels = codec.channels > 1 ? `/${codec.channels}` : '';
+	const fmtp = Object.entries(codec.parameters || {})
+		.map(([ key, value ]) => `${key}=${value}`)
+		.join(';');
+
+	const lines =
+	[
+		'v=0',
+		`o=- 0 0 IN IP4 ${ip}`,
+		's=dialog-recording',
+		`c=IN IP4 ${ip}`,
+		't=0 0',
+		`m=${kind} ${rtpPort} RTP/AVPF ${codec.payloadType}`,
+		`a=rtcp:${rtcpPort}`,
+		`a=rtpmap:${codec.payloadType} ${encoding}/${codec.clockRate}${channels}`
+	];
+
+	if (fmtp)
+		lines.push(`a=fmtp:${codec.payloadType} ${fmtp}`);
+
+	lines.push('a=recvonly');
+
+	return `${lines.join('\r\n')}\r\n`;
+}
+
+function ffmpegArgs({ sdpFile, outputFile })
+{
+	return [
+		'-hide_banner',
+		'-loglevel', 'warning',
+		'-nostdin',
+		'-protocol_whitelist', 'file,udp,rtp',
+		'-f', 'sdp',
+		'-i', sdpFile,
+		'-map', '0',
+		'-c', 'copy',
+		'-f', 'webm',
+		'-y', outputFile
+	];
+}
+
+/**
+ * Records the producers of a Room into one WebM file per track, next to a
+ * `manifest.json` that lists who was in the room and when each track starts
+ * and ends, in milliseconds from the start of the recording. Files are not
+ * mixed; the offsets are what lines them up.
+ *
+ * Every track gets its own PlainTransport on the producer's router, sending
+ * RTP to an ffmpeg process listening on 127.0.0.1.
+ */
+class Recorder extends EventEmitter
+{
+	/**
+	 * Factory function that creates and returns a Recorder instance.
+	 *
+	 * @async
+	 *
+	 * @param {String} roomId - Id of the recorded Room.
+	 * @param {Boolean} [video=false] - Whether video producers are recorded too.
+	 */
+	static async create({ roomId, video = false, options = config.recording, spawn = childProcess.spawn, now = Date.now })
+	{
+		const startedAt = now();
+		const id = new Date(startedAt).toISOString().replace(/[:.]/g, '-');
+		const directory = path.join(options.directory, safePathSegment(roomId), id);
+
+		await fs.promises.mkdir(directory, { recursive: true });
+
+		logger.info('create() [roomId:%s, directory:%s]', roomId, directory);
+
+		return new Recorder({ id, roomId, video, directory, startedAt, options, spawn, now });
+	}
+
+	constructor({ id, roomId, video, directory, startedAt, options, spawn, now })
+	{
+		super();
+
+		this._id = id;
+		this._roomId = roomId;
+		this._video = video;
+		this._directory = directory;
+		this._startedAt = startedAt;
+		this._stoppedAt = null;
+		this._options = options;
+		this._spawn = spawn;
+		this._now = now;
+
+		// Closed flag.
+		// @type {Boolean}
+		this._closed = false;
+
+		// One entry per join, so a peer reconnecting shows up once per session.
+		// @type {Array<Object>}
+		this._participants = [];
+
+		// Recorded tracks, in the order they started.
+		// {map<producerId: track>}
+		this._tracks = new Map();
+
+		// Pending stop(), once called.
+		// @type {Promise}
+		this._stopping = null;
+
+		// Manifest writes are chained so an older state never lands last.
+		this._manifestWrite = Promise.resolve();
+
+		this._writeManifest();
+	}
+
+	get id()
+	{
+		return this._id;
+	}
+
+	get directory()
+	{
+		return this._directory;
+	}
+
+	get closed()
+	{
+		return this._closed;
+	}
+
+	/**
+	 * Starts recording a producer. Producers of the wrong kind or with a codec
+	 * WebM cannot hold are listed in the manifest with a `skipped` reason.
+	 *
+	 * @param {mediasoup.Router} router - The router the producer lives in.
+	 * @param {mediasoup.Producer} producer
+	 * @param {String} peerId
+	 */
+	async addProducer({ router, producer, peerId })
+	{
+		if (this._closed || this._tracks.has(producer.id))
+			return;
+
+		const codec = producer.rtpParameters.codecs[0];
+		const track =
+		{
+			producerId  : producer.id,
+			peerId,
+			kind        : producer.kind,
+			codec       : codec.mimeType.toLowerCase(),
+			file        : null,
+			startedAtMs : null,
+			endedAtMs   : null,
+			skipped     : null,
+			error       : null,
+			port        : null,
+			transport   : null,
+			process     : null,
+			exited      : null,
+			ending      : null
+		};
+
+		this._tracks.set(producer.id, track);
+
+		if (producer.kind === 'video' && !this._video)
+			track.skipped = 'video_not_recorded';
+		else if (!RECORDABLE_MIME_TYPES.includes(track.codec))
+			track.skipped = 'unsupported_codec';
+
+		if (track.skipped)
+		{
+			this._writeManifest();
+
+			return;
+		}
+
+		try
+		{
+			await this._startTrack(track, router);
+		}
+		catch (error)
+		{
+			logger.warn(
+				'addProducer() failed [producerId:%s]: %o', producer.id, error);
+
+			track.error = String(error.message || error);
+			await this._endTrack(track);
+		}
+	}
+
+	/**
+	 * @param {String} peerId
+	 * @param {String} displayName
+	 */
+	peerJoined(peerId, displayName)
+	{
+		if (this._closed)
+			return;
+
+		this._participants.push(
+			{
+				peerId,
+				displayName : displayName || null,
+				joinedAtMs  : this._offset(),
+				leftAtMs    : null
+			});
+
+		this._writeManifest();
+	}
+
+	/**
+	 * @param {String} peerId
+	 */
+	peerLeft(peerId)
+	{
+		const participant = this._currentParticipant(peerId);
+
+		if (this._closed || !participant)
+			return;
+
+		participant.leftAtMs = this._offset();
+
+		this._writeManifest();
+	}
+
+	/**
+	 * @param {String} peerId
+	 * @param {String} displayName
+	 */
+	peerRenamed(peerId, displayName)
+	{
+		const participant = this._currentParticipant(peerId);
+
+		if (this._closed || !participant)
+			return;
+
+		participant.displayName = displayName || null;
+
+		this._writeManifest();
+	}
+
+	/**
+	 * Ends every track, waits for ffmpeg to finish its files and writes the
+	 * final manifest. Participants still in the room are marked as leaving now.
+	 */
+	stop()
+	{
+		if (this._stopping)
+			return this._stopping;
+
+		logger.info('stop() [roomId:%s, id:%s]', this._roomId, this._id);
+
+		this._closed = true;
+
+		const stoppedAtMs = this._offset();
+
+		for (const participant of this._participants)
+		{
+			if (participant.leftAtMs === null)
+				participant.leftAtMs = stoppedAtMs;
+		}
+
+		this._stopping = (async () =>
+		{
+			await Promise.all(
+				Array.from(this._tracks.values())
+					.filter((track) => !track.skipped)
+					.map((track) => this._endTrack(track)));
+
+			this._stoppedAt = this._now();
+
+			this._writeManifest();
+			await this._manifestWrite;
+
+			this.emit('close');
+		})();
+
+		return this._stopping;
+	}
+
+	toJSON()
+	{
+		return {
+			roomId       : this._roomId,
+			id           : this._id,
+			video        : this._video,
+			startedAt    : new Date(this._startedAt).toISOString(),
+			stoppedAt    : this._stoppedAt === null ? null : new Date(this._stoppedAt).toISOString(),
+			participants : this._participants.map((participant) => ({ ...participant })),
+			tracks       : Array.from(this._tracks.values()).map((track) => (
+				{
+					producerId  : track.producerId,
+					peerId      : track.peerId,
+					kind        : track.kind,
+					codec       : track.codec,
+					file        : track.file,
+					startedAtMs : track.startedAtMs,
+					endedAtMs   : track.endedAtMs,
+					skipped     : track.skipped,
+					error       : track.error
+				}))
+		};
+	}
+
+	async _startTrack(track, router)
+	{
+		const { listenIp, minPort, maxPort, ffmpegPath, startDelayMs } = this._options;
+		const baseName = `${safePathSegment(track.peerId)}-${track.kind}-${track.producerId}`;
+		const sdpFile = path.join(this._directory, `${baseName}.sdp`);
+		const outputFile = path.join(this._directory, `${baseName}.webm`);
+
+		track.port = allocatePortPair({ minPort, maxPort });
+
+		track.transport = await router.createPlainTransport(
+			{
+				listenInfo : { protocol: 'udp', ip: listenIp },
+				rtcpMux    : false,
+				comedia    : false
+			});
+
+		// stop() may have ended the track while the transport was being created.
+		if (track.endedAtMs !== null)
+		{
+			track.transport.close();
+
+			return;
+		}
+
+		await track.transport.connect(
+			{
+				ip       : listenIp,
+				port     : track.port,
+				rtcpPort : track.port + 1
+			});
+
+		// Only the media codec is offered, so RTX never reaches ffmpeg.
+		const consumer = await track.transport.consume(
+			{
+				producerId      : track.producerId,
+				rtpCapabilities :
+				{
+					codecs : router.rtpCapabilities.codecs
+						.filter((codec) => codec.mimeType.toLowerCase() === track.codec),
+					headerExtensions : []
+				},
+				paused : true
+			});
+
+		consumer.on('producerclose', () => this._endTrack(track));
+		consumer.on('transportclose', () => this._endTrack(track));
+
+		await fs.promises.writeFile(sdpFile, buildSdp(
+			{
+				kind     : track.kind,
+				ip       : listenIp,
+				rtpPort  : track.port,
+				rtcpPort : track.port + 1,
+				codec    : consumer.rtpParameters.codecs[0]
+			}));
+
+		if (track.endedAtMs !== null)
+			return;
+
+		track.process = this._spawn(
+			ffmpegPath, ffmpegArgs({ sdpFile, outputFile }), { stdio: [ 'ignore', 'ignore', 'pipe' ] });
+
+		track.exited = new Promise((resolve) =>
+		{
+			const onEnd = (reason) =>
+			{
+				resolve();
+
+				if (track.endedAtMs !== null)
+					return;
+
+				logger.warn(
+					'ffmpeg ended early [producerId:%s, reason:%s]', track.producerId, reason);
+
+				track.error = track.error || reason;
+				this._endTrack(track);
+			};
+
+			track.process.on('error', (error) => onEnd(String(error.message || error)));
+			track.process.on('exit', (code, signal) =>
+				onEnd(`ffmpeg_exited_${code === null ? signal : code}`));
+		});
+
+		if (track.process.stderr)
+		{
+			track.process.stderr.on('data', (data) =>
+			{
+				logger.debug('ffmpeg [producerId:%s]: %s', track.producerId, String(data).trim());
+			});
+		}
+
+		// Give ffmpeg time to bind its ports so the first packets are not lost.
+		await new Promise((resolve) => setTimeout(resolve, startDelayMs));
+
+		if (track.endedAtMs !== null)
+			return;
+
+		await consumer.resume();
+
+		if (track.kind === 'video')
+			await consumer.requestKeyFrame();
+
+		track.file = path.basename(outputFile);
+		track.startedAtMs = this._offset();
+
+		this._writeManifest();
+	}
+
+	async _endTrack(track)
+	{
+		if (track.endedAtMs !== null)
+			return track.ending;
+
+		track.endedAtMs = this._offset();
+
+		track.ending = (async () =>
+		{
+			if (track.transport)
+				track.transport.close();
+
+			if (track.process && track.process.exitCode === null && track.process.signalCode === null)
+			{
+				// SIGINT lets ffmpeg write the WebM cues before exiting.
+				track.process.kill('SIGINT');
+
+				const timer = setTimeout(() => track.process.kill('SIGKILL'), this._options.stopTimeoutMs);
+
+				await track.exited;
+				clearTimeout(timer);
+			}
+
+			if (track.port !== null)
+				releasePortPair(track.port);
+
+			this._writeManifest();
+		})();
+
+		return track.ending;
+	}
+
+	_currentParticipant(peerId)
+	{
+		for (let i = this._participants.length - 1; i >= 0; i--)
+		{
+			const participant = this._participants[i];
+
+			if (participant.peerId === peerId && participant.leftAtMs === null)
+				return participant;
+		}
+
+		return null;
+	}
+
+	_offset()
+	{
+		return this._now() - this._startedAt;
+	}
+
+	_writeManifest()
+	{
+		const file = path.join(this._directory, 'manifest.json');
+		const data = JSON.stringify(this.toJSON(), null, 2);
+
+		this._manifestWrite = this._manifestWrite
+			.then(async () =>
+			{
+				await fs.promises.writeFile(`${file}.tmp`, data);
+				await fs.promises.rename(`${file}.tmp`, file);
+			})
+			.catch((error) =>
+			{
+				logger.error('writing manifest failed [roomId:%s]: %o', this._roomId, error);
+			});
+	}
+}
+
+module.exports = Recorder;
+module.exports.buildSdp = buildSdp;
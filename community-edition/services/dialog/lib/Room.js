@@ -2,6 +2,9 @@ const EventEmitter = require('events').EventEmitter;
 const protoo = require('protoo-server');
 const throttle = require('@sitespeed.io/throttle');
 const Logger = require('./Logger');
+const Recorder = require('./Recorder');
+const CascadeLink = require('./CascadeLink');
+const layerPolicy = require('./layerPolicy');
 const config = require('../config');
 const jwt = require('jsonwebtoken');
 
@@ -56,28 +59,23 @@ class Room extends EventEmitter
 		const arr_unusedMediasoupWorkers = mediasoupWorkers.slice();
 		arr_unusedMediasoupWorkers.splice(arr_unusedMediasoupWorkers.indexOf(worker), 1);
 
-		// Create a mediasoup AudioLevelObserver.
-		const audioLevelObserver = await router.createAudioLevelObserver(
-			{
-				maxEntries : 1,
-				threshold  : -80,
-				interval   : 800
-			});
-
-		return new Room(
+		const room = new Room(
 			{
 				roomId,
 				roomReq,
 				protooRoom,
 				mediasoupRouters,
-				audioLevelObserver,
 				arr_unusedMediasoupWorkers,
 				inUseMediasoupWorkers,
 				authKey
 			});
+
+		await room._createSpeakerObservers(router);
+
+		return room;
 	}
 
-	constructor({ roomId, roomReq, protooRoom, mediasoupRouters, audioLevelObserver, arr_unusedMediasoupWorkers, inUseMediasoupWorkers, authKey })
+	constructor({ roomId, roomReq, protooRoom, mediasoupRouters, arr_unusedMediasoupWorkers, inUseMediasoupWorkers, authKey })
 	{
 		super();
 		this.setMaxListeners(Infinity);
@@ -109,9 +107,11 @@ class Room extends EventEmitter
 		// Track producers piped into each router without relying on mediasoup internals.
 		this._pipedProducerIdsByRouter = new Map();
 
-		// mediasoup AudioLevelObserver.
-		// @type {mediasoup.AudioLevelObserver}
-		this._audioLevelObserver = audioLevelObserver;
+		// mediasoup AudioLevelObserver and ActiveSpeakerObserver of each Router.
+		// Every audio Producer is piped to every Router, so each pair sees the
+		// whole room and only notifies the Peers connected to its Router.
+		// {map<routerId: { audioLevelObserver, activeSpeakerObserver }>}
+		this._speakerObservers = new Map();
 
 		// Network throttled.
 		// @type {Boolean}
@@ -119,11 +119,22 @@ class Room extends EventEmitter
 
 		this._authKey = authKey;
 
-		// Handle audioLevelObserver.
-		this._handleAudioLevelObserver();
+		// Server-side recording, started from the admin API.
+		// @type {Recorder}
+		this._recorder = null;
 
-		// For debugging.
-		global.audioLevelObserver = this._audioLevelObserver;
+		// Links to the same room on other dialog nodes.
+		// {map<linkId: CascadeLink>}
+		this._cascadeLinks = new Map();
+
+		// Peers on other nodes whose Producers came through a cascade link. They
+		// carry just what _createConsumer() needs from a producing protoo Peer.
+		// {map<peerId: { id, data: { linkId, routerId, producers, dataProducers } }>}
+		this._remotePeers = new Map();
+
+		// Whether an edge is being opened, and when the last one was.
+		this._cascading = false;
+		this._lastCascadeAt = 0;
 	}
 
 	/**
@@ -135,6 +146,20 @@ class Room extends EventEmitter
 
 		this._closed = true;
 
+		// Finish the recording files before their transports go away.
+		if (this._recorder)
+		{
+			this._recorder.stop()
+				.catch(() => {});
+			this._recorder = null;
+		}
+
+		// Tell the other nodes the room is gone from here.
+		for (const link of this._cascadeLinks.values())
+		{
+			link.close();
+		}
+
 		// Close the protoo Room.
 		this._protooRoom.close();
 
@@ -174,6 +199,500 @@ class Room extends EventEmitter
 		return this._protooRoom.peers;
 	}
 
+	/**
+	 * The current recording, or null if the room is not being recorded.
+	 */
+	getRecording()
+	{
+		return this._recorder;
+	}
+
+	/**
+	 * Starts recording every joined peer's producers, and those produced later,
+	 * until stopRecording() is called or the room closes.
+	 *
+	 * @async
+	 *
+	 * @param {Boolean} [video=false] - Also record video producers.
+	 */
+	async startRecording({ video = false } = {})
+	{
+		if (this._recorder)
+			throw new Error('room is already being recorded');
+
+		const recorder = await Recorder.create({ roomId: this._roomId, video });
+
+		// The room may have closed or another recording started meanwhile.
+		if (this._closed || this._recorder)
+		{
+			await recorder.stop();
+
+			throw new Error(this._closed ? 'room closed' : 'room is already being recorded');
+		}
+
+		this._recorder = recorder;
+
+		for (const peer of this._getJoinedPeers())
+		{
+			recorder.peerJoined(peer.id, peer.data.displayName);
+
+			for (const producer of peer.data.producers.values())
+			{
+				this._recordProducer(peer, producer);
+			}
+		}
+
+		return recorder;
+	}
+
+	/**
+	 * Stops the current recording, if any, once its files are complete.
+	 *
+	 * @async
+	 */
+	async stopRecording()
+	{
+		const recorder = this._recorder;
+
+		if (!recorder)
+			return null;
+
+		this._recorder = null;
+		await recorder.stop();
+
+		return recorder;
+	}
+
+	/**
+	 * Snapshot of the room for the admin API: every Peer with its Transports,
+	 * Producers and Consumers and, unless `stats` is false, their mediasoup stats.
+	 *
+	 * @async
+	 */
+	async getAdminSnapshot({ stats = true } = {})
+	{
+		const getStats = async (object) =>
+		{
+			if (!stats)
+				return undefined;
+
+			// The object may close while the snapshot is taken.
+			return object.getStats().catch(() => null);
+		};
+
+		const peers = await Promise.all(this.getPeers().map(async (peer) => (
+			{
+				id          : peer.id,
+				displayName : peer.data.displayName,
+				device      : peer.data.device,
+				joined      : Boolean(peer.data.joined),
+				routerId    : peer.data.routerId,
+				workerPid   : peer.data.workerPid,
+				transports  : await Promise.all(
+					Array.from(peer.data.transports.values()).map(async (transport) => (
+						{
+							id        : transport.id,
+							iceState  : transport.iceState,
+							dtlsState : transport.dtlsState,
+							stats     : await getStats(transport)
+						}))),
+				producers : await Promise.all(
+					Array.from(peer.data.producers.values()).map(async (producer) => (
+						{
+							id               : producer.id,
+							kind             : producer.kind,
+							type             : producer.type,
+							paused           : producer.paused,
+							mutedByModerator : peer.data.mutedProducerIds.has(producer.id),
+							score            : producer.score,
+							stats            : await getStats(producer)
+						}))),
+				consumers : await Promise.all(
+					Array.from(peer.data.consumers.values()).map(async (consumer) => (
+						{
+							id              : consumer.id,
+							producerId      : consumer.producerId,
+							producerPeerId  : consumer.appData.peerId,
+							kind            : consumer.kind,
+							type            : consumer.type,
+							paused          : consumer.paused,
+							producerPaused  : consumer.producerPaused,
+							priority        : consumer.priority,
+							preferredLayers : consumer.preferredLayers,
+							currentLayers   : consumer.currentLayers,
+							score           : consumer.score,
+							stats           : await getStats(consumer)
+						})))
+			})));
+
+		return {
+			roomId    : this._roomId,
+			takenAt   : new Date().toISOString(),
+			recording : Boolean(this._recorder),
+			cascade   : this.getCascadeStatus(),
+			peers
+		};
+	}
+
+	/**
+	 * Pauses a Peer's Producer for everyone until a moderator unmutes it; the
+	 * Peer cannot resume it meanwhile. The Peer is told with 'producerMuted'.
+	 *
+	 * @async
+	 */
+	async muteProducer(producerId)
+	{
+		const { peer, producer } = this._getLocalProducer(producerId);
+
+		peer.data.mutedProducerIds.add(producer.id);
+		await producer.pause();
+
+		peer.notify('producerMuted', { producerId: producer.id })
+			.catch(() => {});
+
+		return { peerId: peer.id, producerId: producer.id };
+	}
+
+	/**
+	 * Lets a Peer resume a Producer muted with muteProducer(). It stays paused
+	 * until the Peer resumes it.
+	 */
+	unmuteProducer(producerId)
+	{
+		const { peer, producer } = this._getLocalProducer(producerId);
+
+		peer.data.mutedProducerIds.delete(producer.id);
+
+		peer.notify('producerUnmuted', { producerId: producer.id })
+			.catch(() => {});
+
+		return { peerId: peer.id, producerId: producer.id };
+	}
+
+	/**
+	 * Closes a Peer's Producer. The Peer is told with 'producerClosed' and the
+	 * Peers consuming it with 'consumerClosed'.
+	 */
+	closeProducer(producerId)
+	{
+		const { peer, producer } = this._getLocalProducer(producerId);
+
+		producer.close();
+		peer.data.producers.delete(producer.id);
+		peer.data.mutedProducerIds.delete(producer.id);
+
+		peer.notify('producerClosed', { producerId: producer.id })
+			.catch(() => {});
+
+		return { peerId: peer.id, producerId: producer.id };
+	}
+
+	/**
+	 * Disconnects a Peer, like a 'kick' request of a moderator in the room.
+	 */
+	closePeer(peerId)
+	{
+		const peer = this._protooRoom.getPeer(peerId);
+
+		if (!peer)
+		{
+			const error = new Error(`peer with id "${peerId}" not found`);
+
+			error.status = 404;
+			throw error;
+		}
+
+		peer.close();
+
+		return { peerId };
+	}
+
+	/**
+	 * How the room spans dialog nodes: 'origin' if it opened links to edges on
+	 * other nodes, 'edge' if another node opened one to it, or 'standalone'.
+	 */
+	getCascadeStatus()
+	{
+		return {
+			roomId : this._roomId,
+			role   : this._getCascadeRole(),
+			links  : Array.from(this._cascadeLinks.values()).map((link) => link.toJSON())
+		};
+	}
+
+	getCascadeLink(linkId)
+	{
+		return this._cascadeLinks.get(linkId);
+	}
+
+	/**
+	 * Opens a link to this room on another dialog node, making that node an
+	 * edge of this one, and sends it every Producer in the room.
+	 *
+	 * @async
+	 *
+	 * @param {String} remoteUrl - Admin API base URL of the other node.
+	 */
+	async openCascadeEdge(remoteUrl)
+	{
+		if (this._closed)
+			throw new Error('room closed');
+
+		if (this._getCascadeRole() === 'edge')
+			throw new Error('an edge room cannot open links');
+
+		if (Array.from(this._cascadeLinks.values()).some((link) => link.remoteUrl === remoteUrl))
+			throw new Error(`room already has an edge at ${remoteUrl}`);
+
+		const link = await CascadeLink.open(
+			{
+				roomId : this._roomId,
+				router : this._getCascadeRouter(),
+				remoteUrl
+			});
+
+		this._addCascadeLink(link);
+
+		return link;
+	}
+
+	/**
+	 * Answers a link another node opened with openCascadeEdge(), making this room
+	 * one of its edges.
+	 *
+	 * @async
+	 *
+	 * @returns {Object} The local end of the link for the opening node.
+	 */
+	async acceptCascadeLink({ linkId, remoteUrl, ip, port, srtpParameters })
+	{
+		if (this._closed)
+			throw new Error('room closed');
+
+		// Keeps links a star so Producers never go around in circles.
+		if (this._cascadeLinks.size > 0)
+		{
+			const error = new Error('room is already cascaded');
+
+			error.status = 409;
+			throw error;
+		}
+
+		const { link, answer } = await CascadeLink.accept(
+			{
+				roomId : this._roomId,
+				router : this._getCascadeRouter(),
+				linkId,
+				remoteUrl,
+				ip,
+				port,
+				srtpParameters
+			});
+
+		this._addCascadeLink(link);
+
+		return answer;
+	}
+
+	/**
+	 * Takes a Producer sent through a cascade link and makes it available to the
+	 * Peers of this node, and to the other links, like a Producer of a local Peer.
+	 *
+	 * @async
+	 */
+	async addRemoteProducer(linkId, { producerId, kind, rtpParameters, paused, appData })
+	{
+		const link = this._cascadeLinks.get(linkId);
+
+		if (!link)
+		{
+			const error = new Error(`cascade link with id "${linkId}" not found`);
+
+			error.status = 404;
+			throw error;
+		}
+
+		const producer = await link.receiveProducer(
+			{ producerId, kind, rtpParameters, paused, appData });
+		const peerId = producer.appData.peerId;
+		const router = this._getCascadeRouter();
+
+		let remotePeer = this._remotePeers.get(peerId);
+
+		if (!remotePeer)
+		{
+			remotePeer =
+			{
+				id   : peerId,
+				data :
+				{
+					linkId,
+					routerId      : router.id,
+					producers     : new Map(),
+					dataProducers : new Map()
+				}
+			};
+
+			this._remotePeers.set(peerId, remotePeer);
+		}
+
+		remotePeer.data.producers.set(producer.id, producer);
+
+		producer.observer.on('close', () =>
+		{
+			remotePeer.data.producers.delete(producer.id);
+
+			if (remotePeer.data.producers.size === 0 && this._remotePeers.get(peerId) === remotePeer)
+				this._remotePeers.delete(peerId);
+		});
+
+		for (const targetRouter of this._mediasoupRouters.values())
+		{
+			if (targetRouter === router)
+				continue;
+
+			await router.pipeToRouter({ producerId: producer.id, router: targetRouter });
+			this._getPipedProducerIds(targetRouter.id).add(producer.id);
+		}
+
+		for (const otherPeer of this._getJoinedPeers())
+		{
+			this._createConsumer(
+				{
+					consumerPeer : otherPeer,
+					producerPeer : remotePeer,
+					producer
+				});
+		}
+
+		for (const routerId of this._mediasoupRouters.keys())
+		{
+			this._observeSpeaker(routerId, producer);
+		}
+
+		this._recordProducer(remotePeer, producer);
+
+		this._sendToCascadeLinks(producer, { exceptLink: link });
+
+		return producer;
+	}
+
+	_getCascadeRole()
+	{
+		const links = Array.from(this._cascadeLinks.values());
+
+		if (links.length === 0)
+			return 'standalone';
+
+		return links.some((link) => link.upstream) ? 'edge' : 'origin';
+	}
+
+	/**
+	 * All links use the first Router of the room, which gets every Producer
+	 * piped to it.
+	 */
+	_getCascadeRouter()
+	{
+		return this._mediasoupRouters.values().next().value;
+	}
+
+	_addCascadeLink(link)
+	{
+		this._cascadeLinks.set(link.id, link);
+
+		link.on('close', () =>
+		{
+			this._cascadeLinks.delete(link.id);
+
+			for (const [ peerId, remotePeer ] of this._remotePeers)
+			{
+				if (remotePeer.data.linkId === link.id)
+					this._remotePeers.delete(peerId);
+			}
+
+			this._closeIfIdle();
+		});
+
+		const producers =
+		[
+			...this._getJoinedPeers().map((peer) => Array.from(peer.data.producers.values())),
+			...Array.from(this._remotePeers.values())
+				.map((remotePeer) => Array.from(remotePeer.data.producers.values()))
+		].flat();
+
+		for (const producer of producers)
+		{
+			this._sendToCascadeLinks(producer, { onlyLink: link });
+		}
+	}
+
+	/**
+	 * Sends a Producer to the other nodes, except to the one it came from.
+	 */
+	_sendToCascadeLinks(producer, { exceptLink = undefined, onlyLink = undefined } = {})
+	{
+		const links = onlyLink ? [ onlyLink ] : this._cascadeLinks.values();
+
+		for (const link of links)
+		{
+			if (link === exceptLink || link.hasReceived(producer.id))
+				continue;
+
+			link.sendProducer(producer)
+				.catch((error) =>
+				{
+					logger.warn(
+						'_sendToCascadeLinks() failed [linkId:%s, producerId:%s]: %o',
+						link.id, producer.id, error);
+				});
+		}
+	}
+
+	/**
+	 * Called when every worker of this node is full: opens an edge on the least
+	 * loaded peer node, at most one per `edgeCooldownMs`, so the routing layer
+	 * can send the next Peers there.
+	 */
+	_cascadeWhenFull()
+	{
+		const { enabled, maxEdges, edgeCooldownMs } = config.cascade;
+
+		if (
+			!enabled ||
+			this._cascading ||
+			this._getCascadeRole() === 'edge' ||
+			this._cascadeLinks.size >= maxEdges ||
+			Date.now() - this._lastCascadeAt < edgeCooldownMs
+		)
+			return;
+
+		this._cascading = true;
+		this._lastCascadeAt = Date.now();
+
+		const exclude = Array.from(this._cascadeLinks.values()).map((link) => link.remoteUrl);
+
+		CascadeLink.pickPeer({ exclude })
+			.then((remoteUrl) =>
+			{
+				if (!remoteUrl)
+				{
+					logger.warn('_cascadeWhenFull() | no peer node has room [roomId:%s]', this._roomId);
+
+					return;
+				}
+
+				return this.openCascadeEdge(remoteUrl);
+			})
+			.catch((error) =>
+			{
+				logger.warn('_cascadeWhenFull() failed [roomId:%s]: %o', this._roomId, error);
+			})
+			.finally(() =>
+			{
+				this._cascading = false;
+			});
+	}
+
 	/**
 	 * Called from server.js upon a protoo WebSocket connection request from a
 	 * browser.
@@ -228,6 +747,15 @@ class Room extends EventEmitter
 		peer.data.peerIdToConsumerId = new Map();
 		peer.data.blockedPeers = new Set();
 
+		// Producers a moderator muted from the admin API, which the Peer cannot
+		// resume until unmuted.
+		peer.data.mutedProducerIds = new Set();
+
+		// Last viewport reported for each video Consumer and the estimated
+		// downlink bandwidth, used by the layer policy.
+		peer.data.consumerViewports = new Map();
+		peer.data.availableBitrate = undefined;
+
 		const [routerId, workerPid]  = await this._getRouterId();
 		peer.data.routerId = routerId;
 		peer.data.workerPid = workerPid;
@@ -258,6 +786,9 @@ class Room extends EventEmitter
 			// If the Peer was joined, notify all Peers.
 			if (peer.data.joined)
 			{
+				if (this._recorder)
+					this._recorder.peerLeft(peer.id);
+
 				for (const otherPeer of this._getJoinedPeers({ excludePeer: peer }))
 				{
 					otherPeer.notify('peerClosed', { peerId: peer.id })
@@ -272,54 +803,102 @@ class Room extends EventEmitter
 				transport.close();
 			}
 
-			// If this is the latest Peer in the room, close the room.
-			if (this._protooRoom.peers.length === 0)
-			{
-				logger.info(
-					'last Peer in the room left, closing the room [roomId:%s]',
-					this._roomId);
-
-				this.close();
-			}
+			this._closeIfIdle();
 		});
 	}
 
-	_handleAudioLevelObserver()
+	/**
+	 * Closes the room once its last Peer left, unless it still forwards media
+	 * between edges on other nodes.
+	 */
+	_closeIfIdle()
 	{
-		this._audioLevelObserver.on('volumes', (volumes) =>
-		{
-			const { producer, volume } = volumes[0];
+		if (this._closed || this._protooRoom.peers.length > 0)
+			return;
 
-			// logger.debug(
-			// 	'audioLevelObserver "volumes" event [producerId:%s, volume:%s]',
-			// 	producer.id, volume);
+		if (this._getCascadeRole() === 'origin')
+			return;
 
-			// Notify all Peers.
+		logger.info(
+			'last Peer in the room left, closing the room [roomId:%s]',
+			this._roomId);
+
+		this.close();
+	}
+
+	/**
+	 * Creates the AudioLevelObserver and ActiveSpeakerObserver of a Router and
+	 * relays their events to the Peers connected to that Router:
+	 *
+	 * - 'audioLevels' with the loudest Peers and their volume in dBov, or an
+	 *   empty list on silence.
+	 * - 'dominantSpeaker' when the Peer speaking the most changes.
+	 * - 'activeSpeaker' with the loudest Peer, as sent by earlier versions.
+	 *
+	 * @async
+	 */
+	async _createSpeakerObservers(router)
+	{
+		const audioLevelObserver = await router.createAudioLevelObserver(
+			config.mediasoup.audioLevelObserverOptions);
+		const activeSpeakerObserver = await router.createActiveSpeakerObserver(
+			config.mediasoup.activeSpeakerObserverOptions);
+
+		this._speakerObservers.set(router.id, { audioLevelObserver, activeSpeakerObserver });
+
+		const notifyRouterPeers = (method, data) =>
+		{
 			for (const peer of this._getJoinedPeers())
 			{
-				peer.notify(
-					'activeSpeaker',
-					{
-						peerId : producer.appData.peerId,
-						volume : volume
-					})
+				if (peer.data.routerId !== router.id)
+					continue;
+
+				peer.notify(method, data)
 					.catch(() => {});
 			}
+		};
+
+		audioLevelObserver.on('volumes', (volumes) =>
+		{
+			const levels = volumes.map(({ producer, volume }) => (
+				{
+					peerId : producer.appData.peerId,
+					volume
+				}));
+
+			notifyRouterPeers('audioLevels', { levels });
+			notifyRouterPeers('activeSpeaker', levels[0]);
 		});
 
-		this._audioLevelObserver.on('silence', () =>
+		audioLevelObserver.on('silence', () =>
 		{
-			// logger.debug('audioLevelObserver "silence" event');
+			notifyRouterPeers('audioLevels', { levels: [] });
+			notifyRouterPeers('activeSpeaker', { peerId: null });
+		});
 
-			// Notify all Peers.
-			for (const peer of this._getJoinedPeers())
-			{
-				peer.notify('activeSpeaker', { peerId: null })
-					.catch(() => {});
-			}
+		activeSpeakerObserver.on('dominantspeaker', ({ producer }) =>
+		{
+			notifyRouterPeers('dominantSpeaker', { peerId: producer.appData.peerId });
 		});
 	}
 
+	/**
+	 * Adds an audio Producer, or its pipe in another Router, to the speaker
+	 * observers of that Router.
+	 */
+	_observeSpeaker(routerId, producer)
+	{
+		const observers = this._speakerObservers.get(routerId);
+
+		if (producer.kind !== 'audio' || !observers)
+			return;
+
+		observers.audioLevelObserver.addProducer({ producerId: producer.id })
+			.catch(() => {});
+		observers.activeSpeakerObserver.addProducer({ producerId: producer.id })
+			.catch(() => {});
+	}
+
 	async _consumeExistingProducers(peer, joinedPeers) {
 		for (const joinedPeer of joinedPeers)
 		{
@@ -418,12 +997,19 @@ class Room extends EventEmitter
 						hasProducers : joinedPeer.data.producers.size > 0
 					}));
 
-				accept({ peers: peerInfos });
+				// `audioLevels` tells clients to expect 'audioLevels' and
+				// 'dominantSpeaker' notifications, `layerPolicy` that they can
+				// send 'setConsumerViewports'.
+				accept({ peers: peerInfos, audioLevels: true, layerPolicy: true });
 
 				// Mark the new Peer as joined.
 				peer.data.joined = true;
 
-				await this._consumeExistingProducers(peer, joinedPeers);
+				if (this._recorder)
+					this._recorder.peerJoined(peer.id, peer.data.displayName);
+
+				await this._consumeExistingProducers(
+					peer, [ ...joinedPeers, ...this._remotePeers.values() ]);
 
 				// Notify the new Peer to all other Peers.
 				for (const otherPeer of this._getJoinedPeers({ excludePeer: peer }))
@@ -452,6 +1038,7 @@ class Room extends EventEmitter
 				const joinedPeers =
 				[
 					...this._getJoinedPeers({ excludePeer: peer }),
+					...this._remotePeers.values()
 				];
 
 				await this._consumeExistingProducers(peer, joinedPeers);
@@ -511,6 +1098,8 @@ class Room extends EventEmitter
 
 					if (trace.type === 'bwe' && trace.direction === 'out')
 					{
+						peer.data.availableBitrate = trace.info.availableBitrate;
+
 						peer.notify(
 							'downlinkBwe',
 							{
@@ -681,13 +1270,16 @@ class Room extends EventEmitter
 						});
 				}
 
-				// Add into the audioLevelObserver.
-				if (producer.kind === 'audio')
+				// Add into the speaker observers of every Router it was piped to.
+				for (const routerId of this._mediasoupRouters.keys())
 				{
-					this._audioLevelObserver.addProducer({ producerId: producer.id })
-						.catch(() => {});
+					this._observeSpeaker(routerId, producer);
 				}
 
+				this._recordProducer(peer, producer);
+
+				this._sendToCascadeLinks(producer);
+
 				break;
 			}
 
@@ -707,6 +1299,7 @@ class Room extends EventEmitter
 
 				// Remove from its map.
 				peer.data.producers.delete(producer.id);
+				peer.data.mutedProducerIds.delete(producer.id);
 
 				accept();
 
@@ -744,6 +1337,9 @@ class Room extends EventEmitter
 				if (!producer)
 					throw new Error(`producer with id "${producerId}" not found`);
 
+				if (peer.data.mutedProducerIds.has(producer.id))
+					throw new Error(`producer with id "${producerId}" muted by a moderator`);
+
 				await producer.resume();
 
 				accept();
@@ -827,6 +1423,47 @@ class Room extends EventEmitter
 				break;
 			}
 
+			case 'setConsumerViewports':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const { viewports } = request.data;
+
+				if (!Array.isArray(viewports))
+					throw new TypeError('viewports must be an array');
+
+				for (const viewport of viewports)
+				{
+					const { consumerId, visible, distance, screenArea } = viewport || {};
+
+					if (!peer.data.consumers.has(consumerId))
+						continue;
+
+					peer.data.consumerViewports.set(
+						consumerId,
+						{
+							visible    : visible === true,
+							distance   : Number.isFinite(distance) ? distance : Infinity,
+							screenArea : Number.isFinite(screenArea) ? screenArea : 0
+						});
+				}
+
+				// Forget Consumers that have been closed since the last report.
+				for (const consumerId of peer.data.consumerViewports.keys())
+				{
+					if (!peer.data.consumers.has(consumerId))
+						peer.data.consumerViewports.delete(consumerId);
+				}
+
+				accept();
+
+				await this._applyLayerPolicy(peer);
+
+				break;
+			}
+
 			case 'requestConsumerKeyFrame':
 			{
 				// Ensure the Peer is joined.
@@ -912,6 +1549,9 @@ class Room extends EventEmitter
 				// Peer.
 				peer.data.displayName = displayName;
 
+				if (this._recorder)
+					this._recorder.peerRenamed(peer.id, displayName);
+
 				// Notify other joined Peers.
 				for (const otherPeer of this._getJoinedPeers({ excludePeer: peer }))
 				{
@@ -1172,6 +1812,102 @@ class Room extends EventEmitter
 			.filter((peer) => peer.data.joined && peer !== excludePeer);
 	}
 
+	/**
+	 * Finds a Producer of a Peer connected to this node.
+	 */
+	_getLocalProducer(producerId)
+	{
+		for (const peer of this._protooRoom.peers)
+		{
+			const producer = peer.data.producers.get(producerId);
+
+			if (producer)
+				return { peer, producer };
+		}
+
+		const error = new Error(`producer with id "${producerId}" not found`);
+
+		error.status = 404;
+		throw error;
+	}
+
+	/**
+	 * Adds a producer to the current recording, if any. Recording runs in the
+	 * background so a failing ffmpeg never fails the peer's request.
+	 */
+	_recordProducer(peer, producer)
+	{
+		if (!this._recorder)
+			return;
+
+		this._recorder.addProducer(
+			{
+				router : this._mediasoupRouters.get(peer.data.routerId),
+				producer,
+				peerId : peer.id
+			})
+			.catch((error) =>
+			{
+				logger.warn(
+					'_recordProducer() failed [producerId:%s]: %o', producer.id, error);
+			});
+	}
+
+	/**
+	 * Sets the preferred layers and priority of a Peer's simulcast and SVC
+	 * Consumers from the viewports it reported, within its bitrate budget.
+	 *
+	 * @async
+	 */
+	async _applyLayerPolicy(peer)
+	{
+		const { maxBitrate, bweHeadroom } = config.layerPolicy;
+		const budget = peer.data.availableBitrate
+			? Math.min(maxBitrate, peer.data.availableBitrate * bweHeadroom)
+			: maxBitrate;
+
+		const consumers = Array.from(peer.data.consumers.values())
+			.filter((consumer) => consumer.appData.layerBitrates && !consumer.closed)
+			.map((consumer) => (
+				{
+					id            : consumer.id,
+					...layerPolicy.parseScalabilityMode(
+						consumer.rtpParameters.encodings[0].scalabilityMode),
+					layerBitrates : consumer.appData.layerBitrates,
+					viewport      : peer.data.consumerViewports.get(consumer.id)
+				}));
+
+		const choices = layerPolicy.chooseConsumerLayers({ consumers, budget });
+
+		for (const { id, spatialLayer, temporalLayer, priority } of choices)
+		{
+			const consumer = peer.data.consumers.get(id);
+			const applied = consumer && consumer.appData.appliedLayers;
+
+			if (!consumer ||
+				(applied &&
+				applied.spatialLayer === spatialLayer &&
+				applied.temporalLayer === temporalLayer &&
+				applied.priority === priority))
+			{
+				continue;
+			}
+
+			consumer.appData.appliedLayers = { spatialLayer, temporalLayer, priority };
+
+			try
+			{
+				await consumer.setPreferredLayers({ spatialLayer, temporalLayer });
+				await consumer.setPriority(priority);
+			}
+			catch (error)
+			{
+				// The Consumer may have closed meanwhile.
+				logger.debug('_applyLayerPolicy() failed [consumerId:%s]: %o', id, error);
+			}
+		}
+	}
+
 	/**
 	 * Creates a mediasoup Consumer for the given mediasoup Producer.
 	 *
@@ -1235,6 +1971,15 @@ class Room extends EventEmitter
 			return;
 		}
 
+		if (consumer.type === 'simulcast' || consumer.type === 'svc')
+		{
+			const { spatialLayers } = layerPolicy.parseScalabilityMode(
+				consumer.rtpParameters.encodings[0].scalabilityMode);
+
+			consumer.appData.layerBitrates =
+				layerPolicy.layerBitrates(producer.rtpParameters, spatialLayers);
+		}
+
 		// Store the Consumer into the protoo consumerPeer data Object.
 		consumerPeer.data.consumers.set(consumer.id, consumer);
 		consumerPeer.data.peerIdToConsumerId.set(producerPeer.id, consumer.id);
@@ -1467,6 +2212,7 @@ class Room extends EventEmitter
 				logger.info("new router (id: %s) created on worker (pid: %s) for room (id: %s)", newRouter.id, worker.pid, this._roomId);
 				logger.info("this._mediasoupRouters.size: ", this._mediasoupRouters.size);
 
+				await this._createSpeakerObservers(newRouter);
 				this._pipeProducersToRouter(newRouter.id);
 
 				return [newRouter.id, worker.pid];
@@ -1474,8 +2220,8 @@ class Room extends EventEmitter
 		}
 
 		// BAD: everything's maxed out on this server
-		// TODO: check other dialogs servers' workers and pipeToRouter_Lan()
 		logger.warn("high server load -- all workers maxed out");
+		this._cascadeWhenFull();
 		worker = workers[leastUsedWorkerIdx];
 		routerId = this._inUseMediasoupWorkers.get(worker);
 		return [routerId, worker.pid];
@@ -1487,14 +2233,14 @@ class Room extends EventEmitter
 		const pipedProducerIds = this._getPipedProducerIds(routerId);
 
 		const peersToPipe =
-			Object.values(this._protooRoom.peers)
+			[ ...Object.values(this._protooRoom.peers), ...this._remotePeers.values() ]
 				.filter((peer) => peer.data.routerId !== routerId && peer.data.routerId !== null);
 
 		for (const peer of peersToPipe)
 		{
 			const srcRouter = this._mediasoupRouters.get(peer.data.routerId);
 
-			for (const producerId of peer.data.producers.keys())
+			for (const [ producerId, producer ] of peer.data.producers)
 			{
 				if (pipedProducerIds.has(producerId))
 				{
@@ -1507,6 +2253,7 @@ class Room extends EventEmitter
 					router     : router
 				});
 				pipedProducerIds.add(producerId);
+				this._observeSpeaker(routerId, producer);
 			}
 		}
 	}
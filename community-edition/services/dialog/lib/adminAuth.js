@@ -0,0 +1,91 @@
+const jwt = require('jsonwebtoken');
+
+/**
+ * Authentication of the admin HTTP API routes.
+ *
+ * Callers send a Reticulum perms token as `Authorization: Bearer <token>`,
+ * the same RS512 tokens Peers join with, verified with the same public key.
+ * A global token of a Reticulum admin (`postgrest_role: ret_admin`) may act on
+ * every room; a hub token only on its own room (`hub_id`), and only with the
+ * hub permission the route asks for (e.g. `update_hub`, `mute_users`).
+ */
+
+/**
+ * Returns the verified claims of the request's token.
+ *
+ * @throws {Error} If the token is missing, expired or not signed by Reticulum.
+ */
+function verifyRequest(req, authKey)
+{
+	const [ scheme, token ] = String(req.get('authorization') || '').split(' ');
+
+	if (scheme !== 'Bearer' || !token)
+		throw new Error('missing bearer token');
+
+	if (!authKey)
+		throw new Error('authKey not set');
+
+	return jwt.verify(token, authKey, { algorithms: [ 'RS512' ], audience: 'ret_perms' });
+}
+
+/**
+ * Whether the claims allow `permission` in the room `roomId`. Without a room,
+ * only Reticulum admins are allowed.
+ */
+function isAllowed(claims, { roomId, permission })
+{
+	if (claims.postgrest_role === 'ret_admin')
+		return true;
+
+	if (!roomId || claims.hub_id !== roomId)
+		return false;
+
+	return Boolean(claims[permission]);
+}
+
+/**
+ * Returns a factory of Express middlewares that only let requests through
+ * whose token allows `permission` in the room of the `:roomId` route param.
+ * Answers 401 to a missing or invalid token and 403 to any other token.
+ *
+ * @param {Function} getAuthKey - Returns Reticulum's public key, which is read
+ *   once the server has started.
+ */
+function createPermissionGuard({ getAuthKey, logger })
+{
+	return (permission) => (req, res, next) =>
+	{
+		let claims;
+
+		try
+		{
+			claims = verifyRequest(req, getAuthKey());
+		}
+		catch (error)
+		{
+			logger.warn('admin API token rejected: %s', String(error));
+
+			res.status(401).json({ error: 'Invalid or missing token' });
+
+			return;
+		}
+
+		if (!isAllowed(claims, { roomId: req.params.roomId, permission }))
+		{
+			res.status(403).json({ error: 'Forbidden' });
+
+			return;
+		}
+
+		logger.info('admin API %s %s [sub:%s]', req.method, req.originalUrl, claims.sub);
+
+		next();
+	};
+}
+
+module.exports =
+{
+	verifyRequest,
+	isAllowed,
+	createPermissionGuard
+};
@@ -0,0 +1,140 @@
+const config = require('../config');
+
+/**
+ * Number of spatial and temporal layers of a simulcast or SVC stream, from the
+ * scalabilityMode of its first encoding (e.g. 'S3T3', 'L1T3').
+ */
+function parseScalabilityMode(scalabilityMode)
+{
+	const match = /^[LS](\d+)T(\d+)/.exec(scalabilityMode || '');
+
+	if (!match)
+		return { spatialLayers: 1, temporalLayers: 1 };
+
+	return {
+		spatialLayers  : Number(match[1]),
+		temporalLayers : Number(match[2])
+	};
+}
+
+/**
+ * Bitrate of each spatial layer of a Producer. Simulcast encodings announce
+ * their own maxBitrate; an SVC encoding is split assuming every layer doubles
+ * the resolution of the one below. Missing values come from
+ * `defaultLayerBitrates`.
+ */
+function layerBitrates(rtpParameters, spatialLayers, options = config.layerPolicy)
+{
+	const encodings = (rtpParameters && rtpParameters.encodings) || [];
+	const defaults = options.defaultLayerBitrates;
+	const defaultBitrate = (layer) => defaults[Math.min(layer, defaults.length - 1)];
+	const bitrates = [];
+
+	for (let layer = 0; layer < spatialLayers; layer++)
+	{
+		let bitrate;
+
+		if (encodings.length > 1)
+			bitrate = encodings[layer] && encodings[layer].maxBitrate;
+		else if (encodings.length === 1 && encodings[0].maxBitrate)
+			bitrate = encodings[0].maxBitrate / Math.pow(4, spatialLayers - 1 - layer);
+
+		bitrates.push(bitrate || defaultBitrate(layer));
+	}
+
+	return bitrates;
+}
+
+function desiredLayers({ spatialLayers, temporalLayers, viewport }, options)
+{
+	if (!viewport || !viewport.visible)
+		return { spatialLayer: 0, temporalLayer: 0 };
+
+	const spatialLayer = options.screenAreaThresholds
+		.filter((threshold) => viewport.screenArea > threshold)
+		.length;
+	const temporalLayer = viewport.distance > options.farDistance
+		? temporalLayers - 2
+		: temporalLayers - 1;
+
+	return {
+		spatialLayer  : Math.min(spatialLayer, spatialLayers - 1),
+		temporalLayer : Math.max(temporalLayer, 0)
+	};
+}
+
+/**
+ * Picks the preferred layers and priority of a Peer's video Consumers.
+ *
+ * Every Consumer first gets its lowest layers. The rest of the budget goes to
+ * visible videos, largest on screen first, each up to the layers its on-screen
+ * size calls for. A video that does not fit gets spatial layers taken away
+ * before temporal ones.
+ *
+ * @param {Array<Object>} consumers - { id, spatialLayers, temporalLayers,
+ *   layerBitrates, viewport }, where viewport is { visible, distance,
+ *   screenArea } as last reported by the client, if at all.
+ * @param {Number} budget - Bitrate available for video, in bps.
+ *
+ * @returns {Array<Object>} { id, spatialLayer, temporalLayer, priority }
+ */
+function chooseConsumerLayers({ consumers, budget, options = config.layerPolicy })
+{
+	// Temporal layers are assumed to split the bitrate of their spatial layer evenly.
+	const cost = (consumer, { spatialLayer, temporalLayer }) =>
+		consumer.layerBitrates[spatialLayer] * (temporalLayer + 1) / consumer.temporalLayers;
+
+	const choices = consumers.map((consumer) =>
+	{
+		const visible = Boolean(consumer.viewport && consumer.viewport.visible);
+		const screenArea = visible ? Math.min(Math.max(consumer.viewport.screenArea, 0), 1) : 0;
+
+		return {
+			consumer,
+			screenArea,
+			layers   : { spatialLayer: 0, temporalLayer: 0 },
+			desired  : desiredLayers(consumer, options),
+			priority : visible ? 1 + Math.round(screenArea * 254) : 1
+		};
+	});
+
+	let remaining = budget - choices.reduce((sum, choice) => sum + cost(choice.consumer, choice.layers), 0);
+
+	const byScreenArea = choices
+		.filter((choice) => choice.screenArea > 0)
+		.sort((a, b) => b.screenArea - a.screenArea);
+
+	for (const choice of byScreenArea)
+	{
+		const base = cost(choice.consumer, choice.layers);
+		const layers = { ...choice.desired };
+
+		while (cost(choice.consumer, layers) - base > remaining)
+		{
+			if (layers.spatialLayer > 0)
+				layers.spatialLayer--;
+			else if (layers.temporalLayer > 0)
+				layers.temporalLayer--;
+			else
+				break;
+		}
+
+		remaining -= cost(choice.consumer, layers) - base;
+		choice.layers = layers;
+	}
+
+	return choices.map(({ consumer, layers, priority }) => (
+		{
+			id            : consumer.id,
+			spatialLayer  : layers.spatialLayer,
+			temporalLayer : layers.temporalLayer,
+			priority
+		}));
+}
+
+module.exports =
+{
+	parseScalabilityMode,
+	layerBitrates,
+	chooseConsumerLayers
+};
@@ -0,0 +1,86 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const test = require("node:test");
+
+const jwt = require("jsonwebtoken");
+const { verifyRequest, isAllowed, createPermissionGuard } = require("../lib/adminAuth");
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: "spki", format: "pem" },
+  privateKeyEncoding: { type: "pkcs8", format: "pem" }
+});
+
+function request(authorization) {
+  return { get: name => (name === "authorization" ? authorization : undefined) };
+}
+
+function guardedRequest(guard, authorization, roomId) {
+  const req = { ...request(authorization), params: { roomId }, method: "POST", originalUrl: "/" };
+  const res = {
+    statusCode: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  let passed = false;
+
+  guard(req, res, () => {
+    passed = true;
+  });
+
+  return passed ? 200 : res.statusCode;
+}
+
+function sign(claims, key = privateKey) {
+  return jwt.sign({ aud: "ret_perms", ...claims }, key, { algorithm: "RS512", expiresIn: "5m" });
+}
+
+test("accepts only Reticulum perms tokens sent as bearer tokens", () => {
+  const claims = verifyRequest(request(`Bearer ${sign({ hub_id: "hub1", mute_users: true })}`), publicKey);
+  assert.equal(claims.hub_id, "hub1");
+
+  assert.throws(() => verifyRequest(request(undefined), publicKey), /missing bearer token/);
+  assert.throws(() => verifyRequest(request(sign({})), publicKey), /missing bearer token/);
+
+  const other = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    publicKeyEncoding: { type: "spki", format: "pem" }
+  });
+  assert.throws(() => verifyRequest(request(`Bearer ${sign({}, other.privateKey)}`), publicKey), /invalid signature/);
+
+  const wrongAudience = jwt.sign({ aud: "other" }, privateKey, { algorithm: "RS512" });
+  assert.throws(() => verifyRequest(request(`Bearer ${wrongAudience}`), publicKey), /audience invalid/);
+});
+
+test("scopes hub tokens to their room and permission", () => {
+  const moderator = { hub_id: "hub1", mute_users: true, kick_users: false };
+
+  assert.ok(isAllowed(moderator, { roomId: "hub1", permission: "mute_users" }));
+  assert.ok(!isAllowed(moderator, { roomId: "hub1", permission: "kick_users" }));
+  assert.ok(!isAllowed(moderator, { roomId: "hub2", permission: "mute_users" }));
+  assert.ok(!isAllowed(moderator, { roomId: undefined, permission: "mute_users" }));
+
+  const admin = { postgrest_role: "ret_admin" };
+  assert.ok(isAllowed(admin, { roomId: "hub2", permission: "kick_users" }));
+  assert.ok(isAllowed(admin, {}));
+});
+
+test("guards routes such as the recording routes with the room owner permission", () => {
+  const logger = { info() {}, warn() {} };
+  const guard = createPermissionGuard({ getAuthKey: () => publicKey, logger })("update_hub");
+
+  assert.equal(guardedRequest(guard, undefined, "hub1"), 401);
+  assert.equal(guardedRequest(guard, "Bearer invalid", "hub1"), 401);
+  assert.equal(guardedRequest(guard, `Bearer ${sign({ hub_id: "hub1", mute_users: true })}`, "hub1"), 403);
+  assert.equal(guardedRequest(guard, `Bearer ${sign({ hub_id: "hub2", update_hub: true })}`, "hub1"), 403);
+  assert.equal(guardedRequest(guard, `Bearer ${sign({ hub_id: "hub1", update_hub: true })}`, "hub1"), 200);
+  assert.equal(guardedRequest(guard, `Bearer ${sign({ postgrest_role: "ret_admin" })}`, "hub1"), 200);
+});
@@ -0,0 +1,151 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+const http = require("node:http");
+const test = require("node:test");
+
+const config = require("../config");
+const CascadeLink = require("../lib/CascadeLink");
+
+config.cascade.secret = "test-secret";
+
+// Admin API of another node: answers with `respond(req)` and keeps every request.
+async function fakeNode(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      const request = {
+        method: req.method,
+        url: req.url,
+        secret: req.headers[CascadeLink.SECRET_HEADER],
+        body: body ? JSON.parse(body) : undefined
+      };
+      requests.push(request);
+
+      const [status, json] = respond(request);
+      res.writeHead(status, { "content-type": "application/json" });
+      res.end(json === undefined ? undefined : JSON.stringify(json));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function fakeTransport() {
+  const transport = { observer: new EventEmitter(), closed: false, consumers: [] };
+  transport.close = () => {
+    transport.closed = true;
+    transport.observer.emit("close");
+  };
+  transport.consume = async ({ producerId }) => {
+    const consumer = Object.assign(new EventEmitter(), {
+      producerId,
+      kind: "audio",
+      rtpParameters: { codecs: [], encodings: [{ ssrc: 1111 }] },
+      producerPaused: false
+    });
+    transport.consumers.push(consumer);
+    return consumer;
+  };
+  return transport;
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 50));
+
+test("picks the least loaded peer node that still has room", async () => {
+  const loads = { "/a/meta": { cap: 90, capacity: 100 }, "/b/meta": { cap: 20, capacity: 50 }, "/c/meta": { cap: 10, capacity: 10 } };
+  const node = await fakeNode(({ url }) => [200, loads[url]]);
+
+  try {
+    config.cascade.peers = [`${node.url}/a`, `${node.url}/b`, `${node.url}/c`, `${node.url}/down`];
+    assert.equal(await CascadeLink.pickPeer(), `${node.url}/b`);
+    assert.equal(await CascadeLink.pickPeer({ exclude: [`${node.url}/b`] }), `${node.url}/a`);
+    assert.ok(node.requests.every(({ secret }) => secret === "test-secret"));
+  } finally {
+    config.cascade.peers = [];
+    await node.close();
+  }
+});
+
+test("sends producers to the other node and follows their pause and close", async () => {
+  const node = await fakeNode(({ method }) => (method === "POST" ? [201, {}] : [204]));
+  const transport = fakeTransport();
+  const link = new CascadeLink({
+    linkId: "link-1",
+    roomId: "room 1",
+    transport,
+    remoteUrl: node.url,
+    remoteHost: "edge.example",
+    upstream: false
+  });
+
+  try {
+    const producer = { id: "producer-1", appData: { peerId: "peer-1" } };
+    await link.sendProducer(producer);
+    await link.sendProducer(producer);
+
+    assert.equal(transport.consumers.length, 1);
+    assert.deepEqual(node.requests[0], {
+      method: "POST",
+      url: "/cascade/rooms/room%201/links/link-1/producers",
+      secret: "test-secret",
+      body: {
+        producerId: "producer-1",
+        kind: "audio",
+        rtpParameters: { codecs: [], encodings: [{ ssrc: 1111 }] },
+        paused: false,
+        appData: { peerId: "peer-1" }
+      }
+    });
+
+    transport.consumers[0].emit("producerpause");
+    await tick();
+    transport.consumers[0].emit("producerclose");
+    await tick();
+
+    assert.deepEqual(
+      node.requests.slice(1).map(({ method, url }) => `${method} ${url}`),
+      [
+        "POST /cascade/rooms/room%201/links/link-1/producers/producer-1/pause",
+        "DELETE /cascade/rooms/room%201/links/link-1/producers/producer-1"
+      ]
+    );
+    assert.equal(link.toJSON().sent, 0);
+  } finally {
+    link.close({ notifyRemote: false });
+    await node.close();
+  }
+});
+
+test("closes when the other node no longer knows the link", async () => {
+  const node = await fakeNode(() => [410, { error: "Cascade link not found" }]);
+  const transport = fakeTransport();
+  const link = new CascadeLink({
+    linkId: "link-1",
+    roomId: "room-1",
+    transport,
+    remoteUrl: node.url,
+    remoteHost: null,
+    upstream: true
+  });
+  let closed = 0;
+  link.on("close", () => closed++);
+
+  try {
+    await assert.rejects(link.sendProducer({ id: "producer-1", appData: {} }), { status: 410 });
+    assert.ok(link.closed);
+    assert.ok(transport.closed);
+    assert.equal(closed, 1);
+  } finally {
+    await node.close();
+  }
+});
@@ -0,0 +1,73 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const test = require("node:test");
+
+const { parseScalabilityMode, layerBitrates, chooseConsumerLayers } = require("../lib/layerPolicy");
+
+const options = {
+  screenAreaThresholds: [0.02, 0.15],
+  farDistance: 8,
+  defaultLayerBitrates: [150000, 500000, 1500000]
+};
+
+function webcam(id, viewport) {
+  return { id, spatialLayers: 3, temporalLayers: 3, layerBitrates: [150000, 500000, 1500000], viewport };
+}
+
+test("reads layer counts from the scalability mode", () => {
+  assert.deepEqual(parseScalabilityMode("S3T3"), { spatialLayers: 3, temporalLayers: 3 });
+  assert.deepEqual(parseScalabilityMode("L1T3_KEY"), { spatialLayers: 1, temporalLayers: 3 });
+  assert.deepEqual(parseScalabilityMode(undefined), { spatialLayers: 1, temporalLayers: 1 });
+});
+
+test("takes layer bitrates from the producer encodings", () => {
+  const simulcast = { encodings: [{ maxBitrate: 500000 }, { maxBitrate: 1000000 }, {}] };
+  assert.deepEqual(layerBitrates(simulcast, 3, options), [500000, 1000000, 1500000]);
+
+  const svc = { encodings: [{ scalabilityMode: "L3T3", maxBitrate: 1600000 }] };
+  assert.deepEqual(layerBitrates(svc, 3, options), [100000, 400000, 1600000]);
+});
+
+test("prefers layers from the on-screen size and distance of each video", () => {
+  const choices = chooseConsumerLayers({
+    consumers: [
+      webcam("large", { visible: true, distance: 2, screenArea: 0.3 }),
+      webcam("small", { visible: true, distance: 4, screenArea: 0.05 }),
+      webcam("far", { visible: true, distance: 12, screenArea: 0.01 }),
+      webcam("hidden", { visible: false, distance: 1, screenArea: 0.5 }),
+      webcam("unreported", undefined)
+    ],
+    budget: 10000000,
+    options
+  });
+
+  assert.deepEqual(choices, [
+    { id: "large", spatialLayer: 2, temporalLayer: 2, priority: 77 },
+    { id: "small", spatialLayer: 1, temporalLayer: 2, priority: 14 },
+    { id: "far", spatialLayer: 0, temporalLayer: 1, priority: 4 },
+    { id: "hidden", spatialLayer: 0, temporalLayer: 0, priority: 1 },
+    { id: "unreported", spatialLayer: 0, temporalLayer: 0, priority: 1 }
+  ]);
+});
+
+test("gives the budget to the largest videos first and drops spatial layers before temporal ones", () => {
+  const choices = chooseConsumerLayers({
+    consumers: [
+      webcam("small", { visible: true, distance: 3, screenArea: 0.2 }),
+      webcam("large", { visible: true, distance: 2, screenArea: 0.4 })
+    ],
+    // Both start at 50 kbps. "large" goes up to 1.5 Mbps, which leaves "small"
+    // 50 kbps: one more temporal layer of spatial layer 0 and nothing above it.
+    budget: 1600000,
+    options
+  });
+
+  assert.deepEqual(
+    choices.map(({ id, spatialLayer, temporalLayer }) => ({ id, spatialLayer, temporalLayer })),
+    [
+      { id: "small", spatialLayer: 0, temporalLayer: 1 },
+      { id: "large", spatialLayer: 2, temporalLayer: 2 }
+    ]
+  );
+});
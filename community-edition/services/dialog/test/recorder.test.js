@@ -0,0 +1,186 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+const Recorder = require("../lib/Recorder");
+
+const OPUS = { mimeType: "audio/opus", payloadType: 100, clockRate: 48000, channels: 2, parameters: { useinbandfec: 1 } };
+const H264 = { mimeType: "video/H264", payloadType: 102, clockRate: 90000, parameters: {} };
+
+function fakeRouter(calls) {
+  return {
+    rtpCapabilities: { codecs: [OPUS, { ...OPUS, mimeType: "audio/rtx" }] },
+    async createPlainTransport(options) {
+      calls.push(["createPlainTransport", options]);
+      return {
+        async connect(params) {
+          calls.push(["connect", params]);
+        },
+        async consume(params) {
+          calls.push(["consume", params]);
+          const consumer = new EventEmitter();
+          consumer.rtpParameters = { codecs: [OPUS] };
+          consumer.resume = async () => calls.push(["resume"]);
+          return consumer;
+        },
+        close() {
+          calls.push(["transport.close"]);
+        }
+      };
+    }
+  };
+}
+
+function fakeSpawn(calls) {
+  return (command, args) => {
+    const child = new EventEmitter();
+    child.exitCode = null;
+    child.signalCode = null;
+    child.kill = signal => {
+      calls.push(["kill", signal]);
+      child.signalCode = signal;
+      setImmediate(() => child.emit("exit", null, signal));
+    };
+    calls.push(["spawn", command, args]);
+    return child;
+  };
+}
+
+async function createRecorder(calls, clock) {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), "dialog-recording-"));
+  const recorder = await Recorder.create({
+    roomId: "room/../1",
+    options: {
+      directory,
+      ffmpegPath: "ffmpeg",
+      listenIp: "127.0.0.1",
+      minPort: 50001,
+      maxPort: 50010,
+      startDelayMs: 0,
+      stopTimeoutMs: 1000
+    },
+    spawn: fakeSpawn(calls),
+    now: () => clock.now
+  });
+  return { directory, recorder };
+}
+
+test("describes the plain transport stream for ffmpeg", () => {
+  const sdp = Recorder.buildSdp({ kind: "audio", ip: "127.0.0.1", rtpPort: 50002, rtcpPort: 50003, codec: OPUS });
+
+  assert.match(sdp, /^v=0\r\n/);
+  assert.match(sdp, /\r\nm=audio 50002 RTP\/AVPF 100\r\n/);
+  assert.match(sdp, /\r\na=rtcp:50003\r\n/);
+  assert.match(sdp, /\r\na=rtpmap:100 opus\/48000\/2\r\n/);
+  assert.match(sdp, /\r\na=fmtp:100 useinbandfec=1\r\n/);
+});
+
+test("records audio producers and writes a time-aligned manifest", async () => {
+  const calls = [];
+  const clock = { now: Date.parse("2026-01-01T10:00:00.000Z") };
+  const { directory, recorder } = await createRecorder(calls, clock);
+
+  try {
+    assert.equal(path.basename(path.dirname(recorder.directory)), "room____1");
+
+    clock.now += 1000;
+    recorder.peerJoined("peer-1", "Ada");
+    clock.now += 500;
+    await recorder.addProducer({
+      router: fakeRouter(calls),
+      producer: { id: "producer-1", kind: "audio", rtpParameters: { codecs: [OPUS] } },
+      peerId: "peer-1"
+    });
+    await recorder.addProducer({
+      router: fakeRouter(calls),
+      producer: { id: "producer-2", kind: "video", rtpParameters: { codecs: [H264] } },
+      peerId: "peer-1"
+    });
+
+    const consume = calls.find(([name]) => name === "consume")[1];
+    assert.deepEqual(consume.rtpCapabilities.codecs, [OPUS]);
+    assert.equal(consume.paused, true);
+    assert.deepEqual(calls.find(([name]) => name === "connect")[1], { ip: "127.0.0.1", port: 50002, rtcpPort: 50003 });
+    const args = calls.find(([name]) => name === "spawn")[2];
+    assert.equal(args[args.indexOf("-f", args.indexOf("-c")) + 1], "webm");
+
+    clock.now += 2000;
+    recorder.peerRenamed("peer-1", "Ada L.");
+    recorder.peerLeft("peer-1");
+    recorder.peerJoined("peer-1", "Ada L.");
+    clock.now += 1000;
+    await recorder.stop();
+
+    assert.ok(calls.some(([name, signal]) => name === "kill" && signal === "SIGINT"));
+
+    const manifest = JSON.parse(await fs.promises.readFile(path.join(recorder.directory, "manifest.json"), "utf8"));
+    assert.equal(manifest.roomId, "room/../1");
+    assert.equal(manifest.startedAt, "2026-01-01T10:00:00.000Z");
+    assert.equal(manifest.stoppedAt, "2026-01-01T10:00:04.500Z");
+    assert.deepEqual(manifest.participants, [
+      { peerId: "peer-1", displayName: "Ada L.", joinedAtMs: 1000, leftAtMs: 3500 },
+      { peerId: "peer-1", displayName: "Ada L.", joinedAtMs: 3500, leftAtMs: 4500 }
+    ]);
+    assert.deepEqual(
+      manifest.tracks.map(({ producerId, kind, file, startedAtMs, endedAtMs, skipped }) => ({
+        producerId,
+        kind,
+        file,
+        startedAtMs,
+        endedAtMs,
+        skipped
+      })),
+      [
+        {
+          producerId: "producer-1",
+          kind: "audio",
+          file: "peer-1-audio-producer-1.webm",
+          startedAtMs: 1500,
+          endedAtMs: 4500,
+          skipped: null
+        },
+        { producerId: "producer-2", kind: "video", file: null, startedAtMs: null, endedAtMs: null, skipped: "video_not_recorded" }
+      ]
+    );
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test("ends a track when its producer closes and frees its ports", async () => {
+  const calls = [];
+  const clock = { now: Date.parse("2026-01-01T10:00:00.000Z") };
+  const { directory, recorder } = await createRecorder(calls, clock);
+  let consumer;
+  const router = fakeRouter(calls);
+  const createPlainTransport = router.createPlainTransport;
+  router.createPlainTransport = async options => {
+    const transport = await createPlainTransport(options);
+    const consume = transport.consume;
+    transport.consume = async params => (consumer = await consume(params));
+    return transport;
+  };
+
+  try {
+    const producer = { id: "producer-1", kind: "audio", rtpParameters: { codecs: [OPUS] } };
+    await recorder.addProducer({ router, producer, peerId: "peer-1" });
+
+    clock.now += 750;
+    consumer.emit("producerclose");
+    // The ports come back once ffmpeg has exited.
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await recorder.addProducer({ router, producer: { ...producer, id: "producer-2" }, peerId: "peer-1" });
+    await recorder.stop();
+
+    const ports = calls.filter(([name]) => name === "connect").map(([, params]) => params.port);
+    assert.deepEqual(ports, [50002, 50002]);
+    assert.equal(recorder.toJSON().tracks[0].endedAtMs, 750);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+});
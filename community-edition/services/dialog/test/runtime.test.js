@@ -44,3 +44,121 @@ test("tracks piped producers without accessing mediasoup internals", () => {
   assert.ok(room._getPipedProducerIds("router-1").has("producer-1"));
   assert.notEqual(room._getPipedProducerIds("router-2"), first);
 });
+
+test("relays each router's speaker observers to the peers on that router", async () => {
+  const { EventEmitter } = require("node:events");
+  const observers = [];
+  const router = {
+    id: "router-1",
+    async createAudioLevelObserver(options) {
+      const observer = Object.assign(new EventEmitter(), { kind: "audioLevel", options, producerIds: [] });
+      observer.addProducer = async ({ producerId }) => observer.producerIds.push(producerId);
+      observers.push(observer);
+      return observer;
+    },
+    async createActiveSpeakerObserver(options) {
+      const observer = Object.assign(new EventEmitter(), { kind: "activeSpeaker", options, producerIds: [] });
+      observer.addProducer = async ({ producerId }) => observer.producerIds.push(producerId);
+      observers.push(observer);
+      return observer;
+    }
+  };
+  const notifications = [];
+  const peer = (id, routerId) => ({
+    id,
+    data: { joined: true, routerId },
+    notify: async (method, data) => notifications.push([id, method, data])
+  });
+
+  const room = Object.create(Room.prototype);
+  room._speakerObservers = new Map();
+  room._protooRoom = { peers: [peer("peer-1", "router-1"), peer("peer-2", "router-2")] };
+
+  await room._createSpeakerObservers(router);
+  room._observeSpeaker("router-1", { id: "producer-1", kind: "audio" });
+  room._observeSpeaker("router-1", { id: "producer-2", kind: "video" });
+  room._observeSpeaker("router-2", { id: "producer-3", kind: "audio" });
+
+  const [audioLevelObserver, activeSpeakerObserver] = observers;
+  assert.deepEqual(audioLevelObserver.producerIds, ["producer-1"]);
+  assert.deepEqual(activeSpeakerObserver.producerIds, ["producer-1"]);
+
+  const producer = { id: "producer-1", appData: { peerId: "peer-1" } };
+  audioLevelObserver.emit("volumes", [{ producer, volume: -30 }]);
+  activeSpeakerObserver.emit("dominantspeaker", { producer });
+  audioLevelObserver.emit("silence");
+
+  assert.deepEqual(notifications, [
+    ["peer-1", "audioLevels", { levels: [{ peerId: "peer-1", volume: -30 }] }],
+    ["peer-1", "activeSpeaker", { peerId: "peer-1", volume: -30 }],
+    ["peer-1", "dominantSpeaker", { peerId: "peer-1" }],
+    ["peer-1", "audioLevels", { levels: [] }],
+    ["peer-1", "activeSpeaker", { peerId: null }]
+  ]);
+});
+
+test("applies the layer policy to a peer's simulcast consumers only when it changes", async () => {
+  const calls = [];
+  const consumer = id => ({
+    id,
+    closed: false,
+    rtpParameters: { encodings: [{ scalabilityMode: "S3T3" }] },
+    appData: { layerBitrates: [150000, 500000, 1500000] },
+    setPreferredLayers: async layers => calls.push([id, "layers", layers]),
+    setPriority: async priority => calls.push([id, "priority", priority])
+  });
+  const consumers = [consumer("consumer-1"), consumer("consumer-2"), { id: "audio-1", appData: {} }];
+  const peer = {
+    data: {
+      consumers: new Map(consumers.map(c => [c.id, c])),
+      consumerViewports: new Map([["consumer-1", { visible: true, distance: 2, screenArea: 0.5 }]]),
+      availableBitrate: 10000000
+    }
+  };
+  const room = Object.create(Room.prototype);
+
+  await room._applyLayerPolicy(peer);
+  await room._applyLayerPolicy(peer);
+
+  assert.deepEqual(calls, [
+    ["consumer-1", "layers", { spatialLayer: 2, temporalLayer: 2 }],
+    ["consumer-1", "priority", 128],
+    ["consumer-2", "layers", { spatialLayer: 0, temporalLayer: 0 }],
+    ["consumer-2", "priority", 1]
+  ]);
+});
+
+test("keeps a producer muted by a moderator paused until it is unmuted", async () => {
+  const notifications = [];
+  const producer = {
+    id: "producer-1",
+    paused: false,
+    pause: async () => (producer.paused = true),
+    resume: async () => (producer.paused = false)
+  };
+  const peer = {
+    id: "peer-1",
+    data: { joined: true, producers: new Map([[producer.id, producer]]), mutedProducerIds: new Set() },
+    notify: async (method, data) => notifications.push([method, data])
+  };
+  const room = Object.create(Room.prototype);
+  room._protooRoom = { peers: [peer] };
+  room._mediasoupRouters = new Map();
+  const resume = () =>
+    room._handleProtooRequest(peer, { method: "resumeProducer", data: { producerId: producer.id } }, () => {}, () => {});
+
+  assert.deepEqual(await room.muteProducer("producer-1"), { peerId: "peer-1", producerId: "producer-1" });
+  assert.ok(producer.paused);
+  await assert.rejects(resume(), /muted by a moderator/);
+  assert.ok(producer.paused);
+
+  room.unmuteProducer("producer-1");
+  await resume();
+  assert.ok(!producer.paused);
+
+  assert.deepEqual(notifications, [
+    ["producerMuted", { producerId: "producer-1" }],
+    ["producerUnmuted", { producerId: "producer-1" }]
+  ]);
+  await assert.rejects(room.muteProducer("producer-2"), { status: 404 });
+});
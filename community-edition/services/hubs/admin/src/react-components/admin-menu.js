@@ -15,6 +15,7 @@ import LibraryBooksIcon from "@material-ui/icons/LibraryBooks";
 import BackupIcon from "@material-ui/icons/Backup";
 import ViewIcon from "@material-ui/icons/ViewList";
 import SettingsIcon from "@material-ui/icons/Settings";
+import AndroidIcon from "@material-ui/icons/Android";
 import Collapse from "@material-ui/core/Collapse";
 import { getServiceDisplayName } from "../utils/ita";
 import configs from "../utils/configs";
@@ -164,6 +165,17 @@ class Menu extends Component {
                 </ListItemIcon>
                 <ListItemText className={this.props.classes.text} primary="Import Content" />
               </ListItem>
+              <ListItem
+                className={classNames(this.props.classes.item, this.props.classes.nested)}
+                component={NavLink}
+                key="bots"
+                to="/bots"
+              >
+                <ListItemIcon className={this.props.classes.icon}>
+                  <AndroidIcon />
+                </ListItemIcon>
+                <ListItemText className={this.props.classes.text} primary="Bots" />
+              </ListItem>
               {this.props.resources.map(this.renderResource.bind(this))}
             </List>
           </Collapse>
@@ -257,6 +269,17 @@ class Menu extends Component {
                 </ListItemIcon>
                 <ListItemText className={this.props.classes.text} primary="Import Content" />
               </ListItem>
+              <ListItem
+                className={classNames(this.props.classes.item, this.props.classes.nested)}
+                component={NavLink}
+                key="bots"
+                to="/bots"
+              >
+                <ListItemIcon className={this.props.classes.icon}>
+                  <AndroidIcon />
+                </ListItemIcon>
+                <ListItemText className={this.props.classes.text} primary="Bots" />
+              </ListItem>
               {this.props.resources.map(this.renderResource.bind(this))}
             </List>
           </Collapse>
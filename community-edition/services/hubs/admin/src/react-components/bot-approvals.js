@@ -0,0 +1,397 @@
+/* eslint-disable react/prop-types */
+/* eslint-disable @calm/react-intl/missing-formatted-message*/
+import React, { Component } from "react";
+import { withStyles } from "@material-ui/core/styles";
+import Typography from "@material-ui/core/Typography";
+import Card from "@material-ui/core/Card";
+import CardContent from "@material-ui/core/CardContent";
+import CircularProgress from "@material-ui/core/CircularProgress";
+import Table from "@material-ui/core/Table";
+import TableBody from "@material-ui/core/TableBody";
+import TableHead from "@material-ui/core/TableHead";
+import TableCell from "@material-ui/core/TableCell";
+import TableRow from "@material-ui/core/TableRow";
+import Paper from "@material-ui/core/Paper";
+import Snackbar from "@material-ui/core/Snackbar";
+import SnackbarContent from "@material-ui/core/SnackbarContent";
+import IconButton from "@material-ui/core/IconButton";
+import CloseIcon from "@material-ui/icons/Close";
+import Button from "@material-ui/core/Button";
+import { amber, green, red } from "@material-ui/core/colors";
+import { Title } from "react-admin";
+import { fetchReticulumAuthenticated } from "hubs/src/utils/phoenix-utils";
+import withCommonStyles from "../utils/with-common-styles";
+
+// Inventory pages are capped at 100 rooms by Reticulum; this bounds one refresh.
+const MAX_INVENTORY_PAGES = 20;
+const FLEET_REFRESH_MS = 5000;
+
+// Fields of Reticulum's redacted summaries. Prompt text never leaves
+// Reticulum, so a prompt change shows up as a length change and a new
+// fingerprint.
+const SUMMARY_FIELDS = [
+  ["enabled", "Enabled"],
+  ["count", "Bots"],
+  ["mobility", "Mobility"],
+  ["chat_enabled", "Chat"],
+  ["prompt_codepoints", "Prompt characters"],
+  ["prompt_bytes", "Prompt bytes"]
+];
+
+const ERROR_MESSAGES = {
+  fingerprint_mismatch: "The room's bot config changed since this page loaded. Refresh and review it again.",
+  room_limit: "Approving this room would exceed the configured bot room limit.",
+  room_closed: "The room is closed.",
+  config_too_large: "The bot config is too large to approve.",
+  inactive_candidate: "The candidate config does not enable any bots.",
+  approval_unavailable: "Approvals are temporarily unavailable.",
+  not_found: "The room no longer exists."
+};
+
+const styles = withCommonStyles(() => ({
+  changed: {
+    backgroundColor: amber[100]
+  },
+  ready: {
+    color: green[700]
+  },
+  unready: {
+    color: red[700]
+  },
+  monospace: {
+    fontFamily: "monospace"
+  },
+  table: {
+    marginBottom: "24px"
+  }
+}));
+
+function formatValue(value) {
+  if (value === undefined || value === null) return "—";
+  if (typeof value === "boolean") return value ? "yes" : "no";
+  return String(value);
+}
+
+function formatAge(ms) {
+  if (!Number.isFinite(ms)) return "—";
+  const seconds = Math.max(0, Math.round((Date.now() - ms) / 1000));
+  if (seconds < 120) return `${seconds}s ago`;
+  if (seconds < 7200) return `${Math.round(seconds / 60)}m ago`;
+  return `${Math.round(seconds / 3600)}h ago`;
+}
+
+function shortFingerprint(fingerprint) {
+  return fingerprint ? fingerprint.slice(0, 15) : "—";
+}
+
+function needsReview(entry) {
+  return !entry.runtime_approved;
+}
+
+class BotApprovalsComponent extends Component {
+  state = {
+    loading: true,
+    approvals: [],
+    fleet: null,
+    fleetError: false,
+    busyHubSid: null,
+    message: null
+  };
+
+  componentDidMount() {
+    this.loadApprovals();
+    this.loadFleet();
+    this.fleetInterval = setInterval(this.loadFleet, FLEET_REFRESH_MS);
+  }
+
+  componentWillUnmount() {
+    clearInterval(this.fleetInterval);
+  }
+
+  loadApprovals = async () => {
+    this.setState({ loading: true });
+    const approvals = [];
+    let cursor = null;
+
+    try {
+      for (let page = 0; page < MAX_INVENTORY_PAGES; page++) {
+        const query = cursor ? `?limit=100&cursor=${encodeURIComponent(cursor)}` : "?limit=100";
+        const result = await fetchReticulumAuthenticated(`/api/v1/bot_config_approvals${query}`);
+        if (!result || !Array.isArray(result.approvals)) throw new Error("Invalid bot approval inventory.");
+        approvals.push(...result.approvals);
+        cursor = result.next_cursor;
+        if (!cursor) break;
+      }
+      this.setState({ approvals, loading: false });
+    } catch (e) {
+      console.error(e);
+      this.setState({ loading: false, message: "Could not load bot configs." });
+    }
+  };
+
+  loadFleet = async () => {
+    try {
+      const fleet = await fetchReticulumAuthenticated("/api/v1/bot_fleet");
+      if (!fleet || !Array.isArray(fleet.runners)) throw new Error("Invalid bot fleet response.");
+      this.setState({ fleet, fleetError: false });
+    } catch (e) {
+      this.setState({ fleetError: true });
+    }
+  };
+
+  async decide(entry, decision) {
+    this.setState({ busyHubSid: entry.hub_sid });
+    const payload = decision === "approve" ? { expected_config_fingerprint: entry.candidate_config_fingerprint } : {};
+
+    try {
+      const result = await fetchReticulumAuthenticated(
+        `/api/v1/bot_config_approvals/${encodeURIComponent(entry.hub_sid)}/${decision}`,
+        "POST",
+        payload
+      );
+      if (result && result.error) {
+        this.setState({ message: ERROR_MESSAGES[result.error] || `Request failed: ${result.error}` });
+      } else {
+        this.setState({ message: decision === "approve" ? "Bot config approved." : "Bots quarantined." });
+      }
+    } catch (e) {
+      console.error(e);
+      this.setState({ message: "Request failed." });
+    }
+
+    this.setState({ busyHubSid: null });
+    await this.loadApprovals();
+  }
+
+  renderDiff(entry) {
+    const { classes } = this.props;
+    const before = entry.approved_summary || {};
+    const after = entry.candidate_summary || {};
+
+    return (
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell />
+            <TableCell>Approved</TableCell>
+            <TableCell>Candidate</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {SUMMARY_FIELDS.map(([field, label]) => (
+            <TableRow key={field} className={before[field] !== after[field] ? classes.changed : null}>
+              <TableCell>{label}</TableCell>
+              <TableCell>{formatValue(entry.approved_summary && before[field])}</TableCell>
+              <TableCell>{formatValue(entry.candidate_summary && after[field])}</TableCell>
+            </TableRow>
+          ))}
+          <TableRow
+            className={
+              entry.approved_config_fingerprint !== entry.candidate_config_fingerprint ? classes.changed : null
+            }
+          >
+            <TableCell>Fingerprint</TableCell>
+            <TableCell className={classes.monospace}>{shortFingerprint(entry.approved_config_fingerprint)}</TableCell>
+            <TableCell className={classes.monospace}>{shortFingerprint(entry.candidate_config_fingerprint)}</TableCell>
+          </TableRow>
+        </TableBody>
+      </Table>
+    );
+  }
+
+  renderApprovalTable(title, entries, showDiff) {
+    const { classes } = this.props;
+
+    return (
+      <>
+        <Typography variant="subheading" className={classes.section} gutterBottom>
+          {title} ({entries.length})
+        </Typography>
+        <Paper className={classes.table}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Room</TableCell>
+                <TableCell>State</TableCell>
+                <TableCell>{showDiff ? "Changes" : "Config"}</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {entries.map(entry => {
+                const busy = this.state.busyHubSid === entry.hub_sid;
+                const current = entry.current_summary || {};
+                return (
+                  <TableRow key={entry.hub_sid}>
+                    <TableCell>
+                      <a href={`/${entry.hub_sid}`} target="_blank" rel="noopener noreferrer">
+                        {entry.hub_sid}
+                      </a>
+                      {entry.entry_mode === "deny" && <div>closed</div>}
+                    </TableCell>
+                    <TableCell>
+                      {entry.state}
+                      {entry.last_quarantine_reason && <div>{entry.last_quarantine_reason}</div>}
+                    </TableCell>
+                    <TableCell>
+                      {showDiff
+                        ? this.renderDiff(entry)
+                        : `${formatValue(current.count)} bots, ${formatValue(current.mobility)}, chat ${formatValue(
+                            current.chat_enabled
+                          )}`}
+                    </TableCell>
+                    <TableCell align="right">
+                      {busy ? (
+                        <CircularProgress size={18} />
+                      ) : (
+                        <>
+                          {showDiff && (
+                            <Button
+                              variant="contained"
+                              color="primary"
+                              className={classes.button}
+                              disabled={!entry.candidate_config_fingerprint || entry.entry_mode === "deny"}
+                              onClick={() => this.decide(entry, "approve")}
+                            >
+                              Approve
+                            </Button>
+                          )}
+                          <Button
+                            variant="outlined"
+                            className={classes.button}
+                            onClick={() => this.decide(entry, "quarantine")}
+                          >
+                            Quarantine
+                          </Button>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </Paper>
+      </>
+    );
+  }
+
+  renderFleet() {
+    const { classes } = this.props;
+    const { fleet, fleetError } = this.state;
+
+    if (fleetError) {
+      return (
+        <Typography variant="body1" gutterBottom>
+          The bot orchestrator is not responding.
+        </Typography>
+      );
+    }
+    if (!fleet) return <CircularProgress />;
+
+    return (
+      <>
+        <Typography variant="body1" gutterBottom>
+          {fleet.runners.length} rooms tracked, {fleet.queued_rooms} queued, limit {fleet.max_active_rooms} active
+          rooms. Refreshes every {FLEET_REFRESH_MS / 1000}s.
+        </Typography>
+        <Paper className={classes.table}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Room</TableCell>
+                <TableCell>Pod</TableCell>
+                <TableCell>Lifecycle</TableCell>
+                <TableCell>Generation</TableCell>
+                <TableCell>Bots</TableCell>
+                <TableCell>Readiness</TableCell>
+                <TableCell>Restart backoff</TableCell>
+                <TableCell>Started</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {fleet.runners.map(runner => (
+                <TableRow key={runner.hub_sid}>
+                  <TableCell>{runner.hub_sid}</TableCell>
+                  <TableCell className={classes.monospace}>{formatValue(runner.pod)}</TableCell>
+                  <TableCell>{runner.lifecycle}</TableCell>
+                  <TableCell>
+                    {formatValue(runner.generation)}
+                    {runner.process_generation && (
+                      <div className={classes.monospace}>{runner.process_generation.slice(0, 8)}</div>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {formatValue(runner.active_bots)}/{formatValue(runner.desired_bots)}
+                  </TableCell>
+                  <TableCell className={runner.ready ? classes.ready : classes.unready}>
+                    {runner.ready ? "ready" : runner.reason}
+                    {!runner.ready && runner.navigation_status && <div>navigation: {runner.navigation_status}</div>}
+                  </TableCell>
+                  <TableCell>
+                    {runner.restart_failures > 0
+                      ? `${runner.restart_failures} failures, last ${formatAge(runner.last_restart_failure_at_ms)}`
+                      : "—"}
+                  </TableCell>
+                  <TableCell>{formatAge(runner.started_at_ms)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Paper>
+      </>
+    );
+  }
+
+  render() {
+    const { classes } = this.props;
+    const { loading, approvals, message } = this.state;
+    const pending = approvals.filter(needsReview);
+    const approved = approvals.filter(entry => !needsReview(entry));
+
+    return (
+      <Card className={classes.container}>
+        <Title title="Bots" />
+        <CardContent className={classes.info}>
+          <Typography variant="body2" gutterBottom>
+            Room owners&apos; bot configs only run after an administrator approves them. Any later change sends the room
+            back for review. Prompt text is never shown here; compare prompt lengths and fingerprints instead.
+          </Typography>
+          <Button variant="outlined" className={classes.button} disabled={loading} onClick={this.loadApprovals}>
+            Refresh
+          </Button>
+          {loading ? (
+            <CircularProgress />
+          ) : (
+            <>
+              {this.renderApprovalTable("Pending review", pending, true)}
+              {this.renderApprovalTable("Approved", approved, false)}
+            </>
+          )}
+          <Typography variant="subheading" className={classes.section} gutterBottom>
+            Runner fleet
+          </Typography>
+          {this.renderFleet()}
+        </CardContent>
+        <Snackbar
+          anchorOrigin={{ horizontal: "center", vertical: "bottom" }}
+          open={!!message}
+          autoHideDuration={10000}
+          onClose={() => this.setState({ message: null })}
+        >
+          <SnackbarContent
+            className={classes.snackContents}
+            message={message}
+            action={[
+              <IconButton key="close" color="inherit" onClick={() => this.setState({ message: null })}>
+                <CloseIcon className={classes.icon} />
+              </IconButton>
+            ]}
+          />
+        </Snackbar>
+      </Card>
+    );
+  }
+}
+
+export const BotApprovals = withStyles(styles)(BotApprovalsComponent);
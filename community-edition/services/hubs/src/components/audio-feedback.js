@@ -74,17 +74,28 @@ AFRAME.registerComponent("networked-audio-analyser", {
   },
 
   tick: function (t) {
-    if (!this.disableUpdates) {
+    if (APP.dialog.hasServerAudioLevels) {
+      this._updateFromServer();
+    } else if (!this.disableUpdates) {
       this._updateAnalysis(t);
     }
   },
 
   _runScheduledWork: function () {
-    if (this.disableUpdates) {
+    if (this.disableUpdates && !APP.dialog.hasServerAudioLevels) {
       this._updateAnalysis();
     }
   },
 
+  // Uses the levels dialog reports instead of analysing the stream.
+  _updateFromServer: function () {
+    const level = APP.dialog.getAudioLevel(this.playerSessionId);
+    const s = level > this.prevVolume ? 0.35 : 0.3;
+    this.volume = s * level + (1 - s) * this.prevVolume;
+    this.prevVolume = this.volume;
+    this.avatarIsTalking = APP.dialog.isSpeaking(this.playerSessionId);
+  },
+
   // Updates the analysis/volume. If t is passed, that implies this is called via tick
   // and so as a performance optimization will check to see if it's been at least DISABLE_GRACE_PERIOD_MS
   // since the last volume was seen above DISABLE_AT_VOLUME_THRESHOLD, and if so, will disable
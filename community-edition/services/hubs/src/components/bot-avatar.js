@@ -0,0 +1,160 @@
+import { getServerTime } from "../phoenix-adapter";
+import { getAvatarSrc } from "../utils/avatar-utils";
+import { botAvatarIdFromRef, interpolateBotPath, sanitizeBotPath } from "../utils/bot-avatar-utils";
+import defaultAvatar from "../assets/models/DefaultAvatar.glb";
+
+const BOT_NAME_LENGTH = 32;
+const NAMETAG_OFFSET = 0.35;
+const NAMETAG_FALLBACK_HEIGHT = 1.8;
+
+/**
+ * Moves a room bot along the path segment sent by the bot runner. The runner
+ * only networks segment endpoints and a server start time, so every client
+ * interpolates the same walk locally instead of receiving per-frame positions.
+ * @component bot-path
+ */
+AFRAME.registerComponent("bot-path", {
+  schema: {
+    sx: { type: "number", default: 0 },
+    sy: { type: "number", default: 0 },
+    sz: { type: "number", default: 0 },
+    ex: { type: "number", default: 0 },
+    ey: { type: "number", default: 0 },
+    ez: { type: "number", default: 0 },
+    t0: { type: "number", default: 0 },
+    dur: { type: "number", default: 0 },
+    yaw0: { type: "number", default: 0 },
+    yaw1: { type: "number", default: 0 }
+  },
+
+  init() {
+    this.path = null;
+    this.sample = { x: 0, y: 0, z: 0, yawDeg: 0 };
+  },
+
+  update() {
+    this.path = sanitizeBotPath(this.data);
+  },
+
+  tick() {
+    if (!this.path) return;
+    const { x, y, z, yawDeg } = interpolateBotPath(this.path, getServerTime(), this.sample);
+    const obj = this.el.object3D;
+    obj.position.set(x, y, z);
+    obj.rotation.set(0, THREE.MathUtils.degToRad(yawDeg), 0);
+    obj.matrixNeedsUpdate = true;
+  }
+});
+
+/**
+ * Identity of a room bot: which featured avatar to wear and the name shown on
+ * its tag. Bots have no presence entry, so this replaces player-info for them.
+ * Emits `bots-changed` on the scene when a bot appears, is renamed or goes away.
+ * @component bot-info
+ */
+AFRAME.registerComponent("bot-info", {
+  schema: {
+    botId: { type: "string" },
+    avatarId: { type: "string" },
+    displayName: { type: "string" },
+    isBot: { type: "boolean", default: true }
+  },
+
+  init() {
+    this.avatarRequest = 0;
+    this.onModelError = this.onModelError.bind(this);
+    this.modelEl = this.el.querySelector(".model");
+    this.modelEl.addEventListener("model-error", this.onModelError);
+  },
+
+  remove() {
+    this.avatarRequest++;
+    this.modelEl.removeEventListener("model-error", this.onModelError);
+    // Wait for the component to be gone before the bot lists are rebuilt.
+    const sceneEl = this.el.sceneEl;
+    Promise.resolve().then(() => sceneEl.emit("bots-changed"));
+  },
+
+  update(oldData) {
+    if (this.data.displayName !== oldData.displayName || this.data.botId !== oldData.botId) {
+      const nameTagEl = this.el.querySelector("[bot-name-tag]");
+      if (nameTagEl) nameTagEl.setAttribute("bot-name-tag", "name", this.displayName());
+      this.el.sceneEl.emit("bots-changed");
+    }
+    if (this.data.avatarId !== oldData.avatarId) {
+      this.loadAvatar();
+    }
+  },
+
+  displayName() {
+    const name = (this.data.displayName || this.data.botId || "Bot").trim();
+    return name.length > BOT_NAME_LENGTH ? `${name.slice(0, BOT_NAME_LENGTH)}…` : name;
+  },
+
+  async loadAvatar() {
+    const request = ++this.avatarRequest;
+    const avatarId = botAvatarIdFromRef(this.data.avatarId);
+    let src = defaultAvatar;
+    if (avatarId) {
+      try {
+        src = (await getAvatarSrc(avatarId)) || defaultAvatar;
+      } catch (e) {
+        console.warn(`Failed to resolve avatar for bot ${this.data.botId}.`, e);
+      }
+    }
+    if (request !== this.avatarRequest) return;
+    this.modelEl.setAttribute("gltf-model-plus", "src", src);
+  },
+
+  onModelError() {
+    if (this.modelEl.getAttribute("gltf-model-plus").src === defaultAvatar) return;
+    this.avatarRequest++;
+    this.modelEl.setAttribute("gltf-model-plus", "src", defaultAvatar);
+  }
+});
+
+/**
+ * Name tag for room bots. It always carries a "BOT" label so visitors can tell
+ * runner-driven avatars from people, and sits just above the loaded model.
+ * @component bot-name-tag
+ */
+AFRAME.registerComponent("bot-name-tag", {
+  schema: {
+    name: { type: "string", default: "Bot" }
+  },
+
+  init() {
+    this.onModelLoaded = this.onModelLoaded.bind(this);
+    this.avatarEl = this.el.parentEl;
+    this.modelEl = this.avatarEl.querySelector(".model");
+    this.nameTextEl = this.el.querySelector(".nametag-text");
+    this.bounds = new THREE.Box3();
+    this.setHeight(NAMETAG_FALLBACK_HEIGHT);
+  },
+
+  play() {
+    this.modelEl.addEventListener("model-loaded", this.onModelLoaded);
+  },
+
+  pause() {
+    this.modelEl.removeEventListener("model-loaded", this.onModelLoaded);
+  },
+
+  update() {
+    this.nameTextEl.setAttribute("text", "value", this.data.name);
+  },
+
+  onModelLoaded() {
+    const avatarObj = this.avatarEl.object3D;
+    avatarObj.updateMatrixWorld(true);
+    this.bounds.setFromObject(this.modelEl.object3D);
+    if (this.bounds.isEmpty()) return;
+    // Height is measured from the avatar root, which the path keeps on the floor.
+    this.setHeight(this.bounds.max.y - avatarObj.getWorldPosition(new THREE.Vector3()).y);
+  },
+
+  setHeight(height) {
+    this.el.object3D.position.set(0, height + NAMETAG_OFFSET, 0);
+    this.el.object3D.matrixNeedsUpdate = true;
+  }
+});
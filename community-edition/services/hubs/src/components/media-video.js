@@ -336,6 +336,8 @@ AFRAME.registerComponent("media-video", {
 
     const shouldUpdateSrc = this.data.src && this.data.src !== oldData.src;
     if (shouldUpdateSrc) {
+      // The new source registers again if it is a hubs:// stream too.
+      this.el.sceneEl.systems["hubs-systems"].videoViewportSystem.unregister(this.el.object3D);
       this.updateSrc(oldData);
       return;
     }
@@ -575,6 +577,7 @@ AFRAME.registerComponent("media-video", {
         };
         APP.dialog.on("stream_updated", this._onStreamUpdated, this);
         videoEl.srcObject = new MediaStream(stream.getVideoTracks());
+        this.el.sceneEl.systems["hubs-systems"].videoViewportSystem.register(streamClientId, this.el.object3D);
         // If hls.js is supported we always use it as it gives us better events
       } else if (contentType.startsWith("application/dash")) {
         texture.dash = createDashPlayer(url, videoEl, failLoad);
@@ -758,6 +761,8 @@ AFRAME.registerComponent("media-video", {
   remove() {
     this.cleanUp();
 
+    this.el.sceneEl.systems["hubs-systems"].videoViewportSystem.unregister(this.el.object3D);
+
     APP.isAudioPaused.delete(this.el);
 
     if (this.mesh) {
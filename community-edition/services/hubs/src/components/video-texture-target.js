@@ -169,6 +169,7 @@ AFRAME.registerComponent("video-texture-target", {
         }
 
         const streamClientId = src.substring(7).split("/")[1]; // /clients/<client id>/video is only URL for now
+        this.el.sceneEl.systems["hubs-systems"].videoViewportSystem.register(streamClientId, this.el.object3D);
 
         APP.dialog.getMediaStream(streamClientId, "video").then(stream => {
           if (src !== this.data.src) {
@@ -189,6 +190,8 @@ AFRAME.registerComponent("video-texture-target", {
           this.applyTexture(texture);
         });
       } else {
+        this.el.sceneEl.systems["hubs-systems"].videoViewportSystem.unregister(this.el.object3D);
+
         if (material.map && material.map !== this.originalMap) {
           disposeTexture(material.map);
         }
@@ -235,6 +238,8 @@ AFRAME.registerComponent("video-texture-target", {
       }
     });
 
+    this.el.sceneEl.systems["hubs-systems"].videoViewportSystem.unregister(this.el.object3D);
+
     // element sources can be shared and are expected to manage their own resources
     if (this.data.src === "el") return;
 
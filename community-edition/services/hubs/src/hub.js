@@ -78,6 +78,7 @@ import "./components/hover-visuals";
 import "./components/offset-relative-to";
 import "./components/player-info";
 import "./components/name-tag";
+import "./components/bot-avatar";
 import "./components/debug";
 import "./components/hand-poses";
 import "./components/hud-controller";
@@ -1324,6 +1325,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 
       const permsToken = oauthFlowPermsToken || data.perms_token;
       hubChannel.setPermissionsFromToken(permsToken);
+      hubChannel.botChatCapability = data.bot_chat_capability || null;
 
       subscriptions.setHubChannel(hubChannel);
       subscriptions.setSubscribed(data.subscriptions.web_push);
@@ -12,6 +12,7 @@ import { add, testAsset, respawn } from "./utils/chat-commands";
 import { isLockedDownDemoRoom } from "./utils/hub-utils";
 import { loadState, clearState } from "./utils/entity-state-utils";
 import { shouldUseNewLoader } from "./utils/bit-utils";
+import { BotChatStatus, parseBotMention, roomBots, sendBotChat, showWaypointCue } from "./utils/bot-chat";
 
 let uiRoot;
 // Handles user-entered messages
@@ -73,11 +74,73 @@ export default class MessageDispatch extends EventTarget {
       const commandParts = message.substring(1).split(/\s+/);
       this.dispatchCommand(commandParts[0], ...commandParts.slice(1));
       document.activeElement.blur(); // Commands should blur
+    } else if (parseBotMention(message)) {
+      this.dispatchBotChat(message);
     } else {
       this.hubChannel.sendMessage(message);
     }
   };
 
+  // `@bot-N ...` goes only to that bot. The question is echoed locally since the
+  // room never sees it, and the reply is shown as a message from the bot.
+  dispatchBotChat = async message => {
+    const { botId, text } = parseBotMention(message);
+    if (!text) return;
+
+    if (!this.scene.is("entered")) {
+      this.log(LogMessageType.roomEntryRequired);
+      return;
+    }
+
+    const bot = roomBots(this.scene).find(candidate => candidate.botId === botId);
+    if (!bot) {
+      this.log(LogMessageType.botNotInRoom, { botId });
+      return;
+    }
+
+    this.receive({
+      type: "chat",
+      name: window.APP.store.state.profile.displayName,
+      body: message,
+      sessionId: NAF.clientId,
+      sent: true
+    });
+
+    const result = await sendBotChat({
+      hubId: this.hubChannel.hubId,
+      botId,
+      text,
+      capability: this.hubChannel.botChatCapability,
+      token: window.APP.store.state.credentials.token,
+      scene: this.scene
+    });
+    const name = bot.displayName;
+
+    switch (result.status) {
+      case BotChatStatus.reply:
+        this.receive({ type: "bot_chat", name, body: result.reply, inReplyTo: text, sessionId: `bot:${botId}` });
+        if (result.action && result.action.type === "go_to_waypoint" && result.action.waypoint) {
+          showWaypointCue(this.scene, result.action.waypoint);
+          this.log(LogMessageType.botHeadingToWaypoint, { name, waypoint: result.action.waypoint });
+        }
+        break;
+      case BotChatStatus.rateLimited:
+        this.log(LogMessageType.botRateLimited, { name });
+        break;
+      case BotChatStatus.moderated:
+        this.log(LogMessageType.botModerated, { name });
+        break;
+      case BotChatStatus.signInRequired:
+        this.log(LogMessageType.botChatSignInRequired);
+        break;
+      case BotChatStatus.notPresent:
+        this.log(LogMessageType.roomEntryRequired);
+        break;
+      default:
+        this.log(LogMessageType.botChatUnavailable, { name });
+    }
+  };
+
   dispatchCommand = async (command, ...args) => {
     const entered = this.scene.is("entered");
     uiRoot = uiRoot || document.getElementById("ui-root");
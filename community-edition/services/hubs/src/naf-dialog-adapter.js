@@ -40,6 +40,10 @@ const SCREEN_SHARING_SIMULCAST_ENCODINGS = [
   { dtx: true, maxBitrate: 6000000 }
 ];
 
+// dialog's AudioLevelObserver reports volumes in dBov down to its threshold
+// (`audioLevelObserverOptions` in its config.js); that range maps to 0..1.
+const AUDIO_LEVEL_RANGE_DBOV = 70;
+
 export const DIALOG_CONNECTION_CONNECTED = "dialog-connection-connected";
 export const DIALOG_CONNECTION_ERROR_FATAL = "dialog-connection-error-fatal";
 
@@ -48,7 +52,9 @@ export class DialogAdapter extends EventEmitter {
     super();
 
     this._micShouldBeEnabled = false;
+    this._micMutedByModerator = false;
     this._micProducer = null;
+    this._recreatingMicProducer = false;
     this._cameraProducer = null;
     this._shareProducer = null;
     this._localMediaStream = null;
@@ -61,6 +67,11 @@ export class DialogAdapter extends EventEmitter {
     this.scene = null;
     this._serverParams = {};
     this._consumerStats = {};
+    this._serverAudioLevels = false;
+    this._audioLevels = new Map();
+    this._dominantSpeakerId = null;
+    this._serverLayerPolicy = false;
+    this._lastViewportReport = null;
   }
 
   get consumerStats() {
@@ -71,6 +82,32 @@ export class DialogAdapter extends EventEmitter {
     return this._downlinkBwe;
   }
 
+  // True when the server reports who is talking, so remote audio does not need
+  // to be analysed locally.
+  get hasServerAudioLevels() {
+    return this._serverAudioLevels;
+  }
+
+  // True when the server picks video layers from `reportVideoViewports`.
+  get hasServerLayerPolicy() {
+    return this._serverLayerPolicy;
+  }
+
+  get dominantSpeakerId() {
+    return this._dominantSpeakerId;
+  }
+
+  isSpeaking(peerId) {
+    return this._audioLevels.has(peerId);
+  }
+
+  // Volume of a remote peer from the last level report, from 0 (silent) to 1.
+  getAudioLevel(peerId) {
+    const dBov = this._audioLevels.get(peerId);
+    if (dBov === undefined) return 0;
+    return Math.min(1, Math.max(0, 1 + dBov / AUDIO_LEVEL_RANGE_DBOV));
+  }
+
   getIceServers(host, port, turn) {
     const iceServers = [];
 
@@ -379,6 +416,63 @@ export class DialogAdapter extends EventEmitter {
           break;
         }
 
+        case "audioLevels": {
+          const { levels } = notification.data;
+          this._audioLevels.clear();
+          for (const { peerId, volume } of levels) {
+            this._audioLevels.set(peerId, volume);
+          }
+
+          break;
+        }
+
+        case "dominantSpeaker": {
+          const { peerId } = notification.data;
+          this._dominantSpeakerId = peerId;
+          this.emit("dominant-speaker-changed", { peerId });
+
+          break;
+        }
+
+        // A moderator acted on one of our producers through the dialog admin API.
+        case "producerMuted": {
+          const { producerId } = notification.data;
+          if (this._micProducer?.id === producerId) {
+            this._micMutedByModerator = true;
+            this._micProducer.pause();
+            this._micShouldBeEnabled = false;
+            this.emit("mic-state-changed", { enabled: this.isMicEnabled });
+          }
+
+          break;
+        }
+
+        case "producerUnmuted": {
+          const { producerId } = notification.data;
+          if (this._micProducer?.id === producerId) {
+            this._micMutedByModerator = false;
+          }
+
+          break;
+        }
+
+        case "producerClosed": {
+          const { producerId } = notification.data;
+          if (this._micProducer?.id === producerId) {
+            this._micProducer.close();
+            this._micProducer = null;
+            this._micMutedByModerator = false;
+            this._micShouldBeEnabled = false;
+            this.emit("mic-state-changed", { enabled: this.isMicEnabled });
+          } else if (this._cameraProducer?.id === producerId) {
+            this.disableCamera();
+          } else if (this._shareProducer?.id === producerId) {
+            this.disableShare();
+          }
+
+          break;
+        }
+
         case "downlinkBwe": {
           this._downlinkBwe = notification.data;
           break;
@@ -479,6 +573,12 @@ export class DialogAdapter extends EventEmitter {
 
       this._pendingMediaRequests.delete(peerId);
     }
+
+    this._audioLevels.delete(peerId);
+    if (this._dominantSpeakerId === peerId) {
+      this._dominantSpeakerId = null;
+      this.emit("dominant-speaker-changed", { peerId: null });
+    }
   }
 
   resolvePendingMediaRequestForTrack(clientId, track) {
@@ -733,7 +833,7 @@ export class DialogAdapter extends EventEmitter {
     await this.createSendTransport(iceServers);
     await this.createRecvTransport(iceServers);
 
-    await this._protoo.request("join", {
+    const { audioLevels, layerPolicy } = await this._protoo.request("join", {
       displayName: this._clientId,
       device: this._device,
       rtpCapabilities: this._mediasoupDevice.rtpCapabilities,
@@ -741,6 +841,12 @@ export class DialogAdapter extends EventEmitter {
       token: APP.hubChannel.token
     });
 
+    // Older dialog servers only send the loudest peer, as "activeSpeaker",
+    // and leave video layers to the client.
+    this._serverAudioLevels = !!audioLevels;
+    this._serverLayerPolicy = !!layerPolicy;
+    this._lastViewportReport = null;
+
     if (this._localMediaStream) {
       // TODO: Refactor to be "Create producers"
       await this.setLocalMediaStream(this._localMediaStream);
@@ -768,22 +874,7 @@ export class DialogAdapter extends EventEmitter {
               this._micProducer.replaceTrack(track);
             }
           } else {
-            // stopTracks = false because otherwise the track will end during a temporary disconnect
-            this._micProducer = await this._sendTransport.produce({
-              track,
-              pause: !this._micShouldBeEnabled,
-              stopTracks: false,
-              codecOptions: { opusStereo: false, opusDtx: true },
-              zeroRtpOnPause: true,
-              disableTrackOnPause: true
-            });
-
-            this._micProducer.on("transportclose", () => {
-              this.emitRTCEvent("info", "RTC", () => `Mic transport closed`);
-              this._micProducer = null;
-            });
-
-            this.emit("mic-state-changed", { enabled: this.isMicEnabled });
+            await this.createMicProducer(track);
           }
         } else {
           sawVideo = true;
@@ -813,6 +904,48 @@ export class DialogAdapter extends EventEmitter {
     this._localMediaStream = stream;
   }
 
+  async createMicProducer(track) {
+    // stopTracks = false because otherwise the track will end during a temporary disconnect
+    this._micProducer = await this._sendTransport.produce({
+      track,
+      pause: !this._micShouldBeEnabled,
+      stopTracks: false,
+      codecOptions: { opusStereo: false, opusDtx: true },
+      zeroRtpOnPause: true,
+      disableTrackOnPause: true
+    });
+
+    this._micProducer.on("transportclose", () => {
+      this.emitRTCEvent("info", "RTC", () => `Mic transport closed`);
+      this._micProducer = null;
+    });
+
+    this.emit("mic-state-changed", { enabled: this.isMicEnabled });
+  }
+
+  // A moderator may have closed the mic producer. Turning the mic back on produces the local audio track again.
+  async recreateMicProducer() {
+    if (this._recreatingMicProducer) return;
+    this._recreatingMicProducer = true;
+
+    const track = this._localMediaStream?.getAudioTracks().find(track => track.readyState === "live");
+
+    try {
+      if (!track || !this._sendTransport || this._sendTransport.closed) {
+        throw new Error("there's no live audio track or send transport");
+      }
+
+      this._micShouldBeEnabled = true;
+      await this.createMicProducer(track);
+    } catch (error) {
+      console.error(`Could not turn the mic back on: ${error}`);
+      this._micShouldBeEnabled = false;
+      this.emit("mic-state-changed", { enabled: this.isMicEnabled });
+    } finally {
+      this._recreatingMicProducer = false;
+    }
+  }
+
   async enableCamera(track) {
     // stopTracks = false because otherwise the track will end during a temporary disconnect
     this._cameraProducer = await this._sendTransport.produce({
@@ -900,7 +1033,17 @@ export class DialogAdapter extends EventEmitter {
 
   enableMicrophone(enabled) {
     if (!this._micProducer) {
-      console.error("Tried to toggle mic but there's no producer.");
+      if (enabled) {
+        this.recreateMicProducer();
+      } else {
+        console.error("Tried to toggle mic but there's no producer.");
+      }
+      return;
+    }
+
+    if (enabled && this._micMutedByModerator) {
+      console.warn("Tried to unmute the mic but a moderator muted it.");
+      this.emit("mic-state-changed", { enabled: this.isMicEnabled });
       return;
     }
 
@@ -925,8 +1068,13 @@ export class DialogAdapter extends EventEmitter {
     this._recvTransport && this._recvTransport.close();
     this._recvTransport = null;
     this._micProducer = null;
+    this._micMutedByModerator = false;
     this._shareProducer = null;
     this._cameraProducer = null;
+    this._serverAudioLevels = false;
+    this._audioLevels.clear();
+    this._dominantSpeakerId = null;
+    this._serverLayerPolicy = false;
   }
 
   disconnect() {
@@ -941,6 +1089,32 @@ export class DialogAdapter extends EventEmitter {
     }
   }
 
+  // Sends how each remote video appears on screen, keyed by client id, as
+  // { visible, distance, screenArea }. Videos without one are reported hidden.
+  reportVideoViewports(viewports) {
+    if (!this._serverLayerPolicy || !this._protoo || !this._protoo.connected) return;
+
+    const report = [];
+    for (const consumer of this._consumers.values()) {
+      if (consumer.kind !== "video" || consumer.closed) continue;
+      const viewport = viewports.get(consumer.appData.peerId);
+      report.push({
+        consumerId: consumer.id,
+        visible: !!viewport && viewport.visible,
+        distance: viewport ? Math.round(viewport.distance * 10) / 10 : null,
+        screenArea: viewport ? Math.round(viewport.screenArea * 1000) / 1000 : 0
+      });
+    }
+
+    const json = JSON.stringify(report);
+    if (json === this._lastViewportReport) return;
+    this._lastViewportReport = json;
+
+    this._protoo.request("setConsumerViewports", { viewports: report }).catch(e => {
+      error("setConsumerViewports failed:%o", e);
+    });
+  }
+
   kick(clientId) {
     return this._protoo
       .request("kick", {
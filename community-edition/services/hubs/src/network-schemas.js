@@ -82,6 +82,14 @@ function registerNetworkSchemas() {
     ]
   });
 
+  // Room bots are only ever created and updated by the authenticated bot runner session (see
+  // `bot_runner?` in hub_channel.ex). Component order matches the runner's payloads: 0 is the
+  // path segment and 1 the bot identity.
+  NAF.schemas.add({
+    template: "#remote-bot-avatar",
+    components: ["bot-path", "bot-info"]
+  });
+
   NAF.schemas.add({
     template: "#interactable-media",
     components: [
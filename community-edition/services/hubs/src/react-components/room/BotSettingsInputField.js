@@ -0,0 +1,207 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { defineMessages, FormattedMessage, useIntl } from "react-intl";
+import styles from "./RoomSettingsSidebar.scss";
+import { InputField } from "../input/InputField";
+import { ToggleInput } from "../input/ToggleInput";
+import { NumericInputField } from "../input/NumericInputField";
+import { TextAreaInputField } from "../input/TextAreaInputField";
+import { RadioInputField, RadioInputOption } from "../input/RadioInputField";
+import { BOT_MOBILITIES, promptSize, validateBotCount, validateBotPrompt } from "../../utils/bot-config";
+
+const mobilityMessages = defineMessages({
+  static: { id: "bot-settings.mobility-static", defaultMessage: "Static" },
+  low: { id: "bot-settings.mobility-low", defaultMessage: "Low" },
+  medium: { id: "bot-settings.mobility-medium", defaultMessage: "Medium" },
+  high: { id: "bot-settings.mobility-high", defaultMessage: "High" }
+});
+
+const validationMessages = defineMessages({
+  count_not_integer: { id: "bot-settings.count-not-integer", defaultMessage: "Enter a whole number of bots." },
+  count_out_of_range: {
+    id: "bot-settings.count-out-of-range",
+    defaultMessage: "Rooms can have between 0 and {maxCount} bots."
+  },
+  prompt_too_long: {
+    id: "bot-settings.prompt-too-long",
+    defaultMessage: "The prompt can be at most {maxPromptCodepoints} characters."
+  },
+  prompt_too_large: {
+    id: "bot-settings.prompt-too-large",
+    defaultMessage: "The prompt can be at most {maxPromptBytes} bytes."
+  }
+});
+
+// Keyed by `last_quarantine_reason` from Ret.BotConfigApproval.
+const quarantineMessages = defineMessages({
+  bots_removed: { id: "bot-settings.quarantine-bots-removed", defaultMessage: "Bots were removed from this room." },
+  room_closed: { id: "bot-settings.quarantine-room-closed", defaultMessage: "The room was closed." },
+  bots_disabled: { id: "bot-settings.quarantine-bots-disabled", defaultMessage: "Bots were turned off." },
+  unapproved_bot_config_change: {
+    id: "bot-settings.quarantine-unapproved-change",
+    defaultMessage: "The bot settings changed and need to be reviewed again."
+  }
+});
+
+function ApprovalStatus({ approval, loading }) {
+  const intl = useIntl();
+
+  if (!approval) {
+    return loading ? (
+      <FormattedMessage id="bot-settings.approval-loading" defaultMessage="Checking review status..." />
+    ) : (
+      <FormattedMessage id="bot-settings.approval-unavailable" defaultMessage="Review status is unavailable." />
+    );
+  }
+
+  if (approval.runtime_approved) {
+    return <FormattedMessage id="bot-settings.approval-approved" defaultMessage="Approved by an administrator." />;
+  }
+
+  const reason = quarantineMessages[approval.last_quarantine_reason];
+  return (
+    <>
+      {approval.pending_review ? (
+        <FormattedMessage
+          id="bot-settings.approval-pending"
+          defaultMessage="Waiting for an administrator to approve these settings."
+        />
+      ) : (
+        <FormattedMessage
+          id="bot-settings.approval-quarantined"
+          defaultMessage="Bots are paused by an administrator."
+        />
+      )}
+      {reason && <> {intl.formatMessage(reason)}</>}
+    </>
+  );
+}
+
+ApprovalStatus.propTypes = {
+  approval: PropTypes.object,
+  loading: PropTypes.bool
+};
+
+function RunnerStatus({ runner, loading }) {
+  if (!runner) {
+    return loading ? null : (
+      <FormattedMessage id="bot-settings.runner-stopped" defaultMessage="Bots are not running in this room." />
+    );
+  }
+
+  if (runner.ready) {
+    return <FormattedMessage id="bot-settings.runner-ready" defaultMessage="Bots are running." />;
+  }
+
+  return (
+    <FormattedMessage
+      id="bot-settings.runner-not-ready"
+      defaultMessage="Bots are starting ({reason})."
+      values={{ reason: runner.navigation_status === "ready" ? runner.bot_status_reason : runner.navigation_status }}
+    />
+  );
+}
+
+RunnerStatus.propTypes = {
+  runner: PropTypes.object,
+  loading: PropTypes.bool
+};
+
+export function BotSettingsInputField({ register, watch, errors, limits, approval, runner, loadingStatus }) {
+  const intl = useIntl();
+  const prompt = watch("user_data.bots.prompt");
+  const { codepoints, bytes } = promptSize(prompt);
+
+  const validationMessage = error => error && intl.formatMessage(validationMessages[error], limits);
+
+  return (
+    <InputField label={<FormattedMessage id="bot-settings.title" defaultMessage="Room Bots" />} fullWidth>
+      <div className={styles.botSettings}>
+        <div className={styles.botStatus}>
+          <p>
+            <ApprovalStatus approval={approval} loading={loadingStatus} />
+          </p>
+          <p>
+            <RunnerStatus runner={runner} loading={loadingStatus} />
+          </p>
+        </div>
+        <ToggleInput
+          label={<FormattedMessage id="bot-settings.enabled" defaultMessage="Enable bots" />}
+          description={
+            <FormattedMessage
+              id="bot-settings.enabled-description"
+              defaultMessage="Changes are reviewed by an administrator before bots join the room."
+            />
+          }
+          {...register("user_data.bots.enabled")}
+        />
+        <NumericInputField
+          required
+          min={0}
+          max={limits.maxCount}
+          label={<FormattedMessage id="bot-settings.count" defaultMessage="Number of bots" />}
+          error={errors?.user_data?.bots?.count?.message}
+          fullWidth
+          {...register("user_data.bots.count", {
+            valueAsNumber: true,
+            validate: count => validationMessage(validateBotCount(count, limits)) || true
+          })}
+        />
+        <RadioInputField label={<FormattedMessage id="bot-settings.mobility" defaultMessage="Movement" />} fullWidth>
+          {BOT_MOBILITIES.map(mobility => (
+            <RadioInputOption
+              key={mobility}
+              value={mobility}
+              label={intl.formatMessage(mobilityMessages[mobility])}
+              {...register("user_data.bots.mobility")}
+            />
+          ))}
+        </RadioInputField>
+        <ToggleInput
+          label={<FormattedMessage id="bot-settings.chat-enabled" defaultMessage="Visitors can chat with bots" />}
+          {...register("user_data.bots.chat_enabled")}
+        />
+        <TextAreaInputField
+          autoComplete="off"
+          placeholder={intl.formatMessage({
+            id: "bot-settings.prompt-placeholder",
+            defaultMessage: "What the bots should know about this room"
+          })}
+          label={<FormattedMessage id="bot-settings.prompt" defaultMessage="Bot prompt" />}
+          minRows={3}
+          error={errors?.user_data?.bots?.prompt?.message}
+          description={
+            <FormattedMessage
+              id="bot-settings.prompt-size"
+              defaultMessage="{codepoints}/{maxPromptCodepoints} characters, {bytes}/{maxPromptBytes} bytes"
+              values={{
+                codepoints,
+                bytes,
+                maxPromptCodepoints: limits.maxPromptCodepoints,
+                maxPromptBytes: limits.maxPromptBytes
+              }}
+            />
+          }
+          fullWidth
+          {...register("user_data.bots.prompt", {
+            validate: value => validationMessage(validateBotPrompt(value, limits)) || true
+          })}
+        />
+      </div>
+    </InputField>
+  );
+}
+
+BotSettingsInputField.propTypes = {
+  register: PropTypes.func.isRequired,
+  watch: PropTypes.func.isRequired,
+  errors: PropTypes.object,
+  limits: PropTypes.shape({
+    maxCount: PropTypes.number.isRequired,
+    maxPromptCodepoints: PropTypes.number.isRequired,
+    maxPromptBytes: PropTypes.number.isRequired
+  }).isRequired,
+  approval: PropTypes.object,
+  runner: PropTypes.object,
+  loadingStatus: PropTypes.bool
+};
@@ -7,6 +7,7 @@ import { ReactComponent as WandIcon } from "../icons/Wand.svg";
 import { ReactComponent as AttachIcon } from "../icons/Attach.svg";
 import { ReactComponent as SendIcon } from "../icons/Send.svg";
 import { ReactComponent as ReactionIcon } from "../icons/Reaction.svg";
+import { ReactComponent as AvatarIcon } from "../icons/Avatar.svg";
 import { IconButton } from "../input/IconButton";
 import { TextAreaInput } from "../input/TextAreaInput";
 import { Popover } from "../popover/Popover";
@@ -97,6 +98,54 @@ EmojiPickerPopoverButton.propTypes = {
 
 EmojiPickerPopoverButton.displayName = "EmojiPickerPopoverButton";
 
+export function BotPickerPopoverButton({ bots, onSelectBot, disabled }) {
+  return (
+    <Popover
+      title=""
+      popoverClass={styles.botPickerPopover}
+      showHeader={false}
+      content={({ closePopover }) => (
+        <ul className={styles.botPicker}>
+          {bots.map(({ botId, displayName }) => (
+            <li key={botId}>
+              <button
+                type="button"
+                onClick={() => {
+                  onSelectBot(botId);
+                  closePopover();
+                }}
+              >
+                {displayName}
+                <span>@{botId}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      placement="top"
+      offsetDistance={28}
+    >
+      {({ togglePopover, popoverVisible, triggerRef }) => (
+        <IconButton
+          ref={triggerRef}
+          className={styles.chatInputIcon}
+          selected={popoverVisible}
+          onClick={togglePopover}
+          disabled={disabled}
+        >
+          <AvatarIcon />
+        </IconButton>
+      )}
+    </Popover>
+  );
+}
+
+BotPickerPopoverButton.propTypes = {
+  bots: PropTypes.arrayOf(PropTypes.shape({ botId: PropTypes.string, displayName: PropTypes.string })).isRequired,
+  onSelectBot: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
 export function MessageAttachmentButton(props) {
   return (
     <>
@@ -186,7 +235,13 @@ export const LogMessageType = {
   audioSuspended: "audioSuspended",
   audioResumed: "audioResumed",
   joinFailed: "joinFailed",
-  avatarChanged: "avatarChanged"
+  avatarChanged: "avatarChanged",
+  botNotInRoom: "botNotInRoom",
+  botChatSignInRequired: "botChatSignInRequired",
+  botRateLimited: "botRateLimited",
+  botModerated: "botModerated",
+  botChatUnavailable: "botChatUnavailable",
+  botHeadingToWaypoint: "botHeadingToWaypoint"
 };
 
 const logMessages = defineMessages({
@@ -274,6 +329,30 @@ const logMessages = defineMessages({
   [LogMessageType.avatarChanged]: {
     id: "chat-sidebar.log-message.avatar-changed",
     defaultMessage: "Your avatar has been changed."
+  },
+  [LogMessageType.botNotInRoom]: {
+    id: "chat-sidebar.log-message.bot-not-in-room",
+    defaultMessage: "There is no {botId} in this room."
+  },
+  [LogMessageType.botChatSignInRequired]: {
+    id: "chat-sidebar.log-message.bot-chat-sign-in-required",
+    defaultMessage: "You must be signed in to talk to bots."
+  },
+  [LogMessageType.botRateLimited]: {
+    id: "chat-sidebar.log-message.bot-rate-limited",
+    defaultMessage: "You are sending messages to {name} too quickly. Wait a moment and try again."
+  },
+  [LogMessageType.botModerated]: {
+    id: "chat-sidebar.log-message.bot-moderated",
+    defaultMessage: "{name} did not answer because the conversation was flagged by moderation."
+  },
+  [LogMessageType.botChatUnavailable]: {
+    id: "chat-sidebar.log-message.bot-chat-unavailable",
+    defaultMessage: "{name} cannot answer right now."
+  },
+  [LogMessageType.botHeadingToWaypoint]: {
+    id: "chat-sidebar.log-message.bot-heading-to-waypoint",
+    defaultMessage: "{name} is heading to {waypoint}."
   }
 });
 
@@ -406,17 +485,32 @@ function getMessageComponent(message) {
           <img src={message.body.src} />
         </MessageBubble>
       );
+    case "bot_chat": {
+      const { formattedBody } = formatMessageBody(message.body);
+      return (
+        <MessageBubble key={message.id}>
+          {message.inReplyTo && <q className={styles.botReplyQuote}>{message.inReplyTo}</q>}
+          {formattedBody}
+        </MessageBubble>
+      );
+    }
     default:
       return null;
   }
 }
 
-export function ChatMessageGroup({ sent, sender, timestamp, messages }) {
+export function ChatMessageGroup({ sent, sender, timestamp, messages, type }) {
   const intl = useIntl();
   return (
     <li className={classNames(styles.messageGroup, { [styles.sent]: sent })}>
       <p className={styles.messageGroupLabel}>
-        {sender} | <FormattedRelativeTime updateIntervalInSeconds={10} value={(timestamp - Date.now()) / 1000} />
+        {sender}
+        {type === "bot_chat" && (
+          <span className={styles.botLabel}>
+            <FormattedMessage id="chat-sidebar.bot-label" defaultMessage="Bot" />
+          </span>
+        )}{" "}
+        | <FormattedRelativeTime updateIntervalInSeconds={10} value={(timestamp - Date.now()) / 1000} />
       </p>
       <ul className={styles.messageGroupMessages}>{messages.map(message => getMessageComponent(message, intl))}</ul>
     </li>
@@ -427,7 +521,8 @@ ChatMessageGroup.propTypes = {
   sent: PropTypes.bool,
   sender: PropTypes.string,
   timestamp: PropTypes.any,
-  messages: PropTypes.array
+  messages: PropTypes.array,
+  type: PropTypes.string
 };
 
 export function PermissionMessageGroup({ sent, timestamp, messages }) {
@@ -10,6 +10,7 @@ import {
   SpawnMessageButton,
   SendMessageButton,
   EmojiPickerPopoverButton,
+  BotPickerPopoverButton,
   ChatLengthWarning,
   PermissionMessageGroup
 } from "./ChatSidebar";
@@ -23,6 +24,7 @@ import { usePermissions } from "./hooks/usePermissions";
 import { useRoomPermissions } from "./hooks/useRoomPermissions";
 import { useRole } from "./hooks/useRole";
 import { ChatContext } from "./contexts/ChatContext";
+import { parseBotMention, roomBots } from "../../utils/bot-chat";
 
 const chatSidebarMessages = defineMessages({
   emmptyRoom: {
@@ -63,6 +65,7 @@ export function ChatSidebarContainer({
   const [onScrollList, listRef, scrolledToBottom] = useMaintainScrollPosition(messageGroups);
   const [message, setMessage] = useState(initialValue || "");
   const [isCommand, setIsCommand] = useState(false);
+  const [bots, setBots] = useState(() => roomBots(scene));
   const { text_chat: canTextChat } = usePermissions();
   const isMod = useRole("owner");
   const { text_chat: textChatEnabled } = useRoomPermissions();
@@ -126,6 +129,17 @@ export function ChatSidebarContainer({
     [setMessage, inputRef]
   );
 
+  const onSelectBot = useCallback(
+    botId => {
+      setMessage(message => {
+        const mention = parseBotMention(message);
+        return `@${botId} ${mention ? mention.text : message}`;
+      });
+      inputRef.current.focus();
+    },
+    [setMessage, inputRef]
+  );
+
   useEffect(() => {
     if (autoFocus) {
       inputRef.current.focus();
@@ -143,6 +157,13 @@ export function ChatSidebarContainer({
     }
   }, [messageGroups, scrolledToBottom, setMessagesRead]);
 
+  useEffect(() => {
+    const onBotsChanged = () => setBots(roomBots(scene));
+    onBotsChanged();
+    scene.addEventListener("bots-changed", onBotsChanged);
+    return () => scene.removeEventListener("bots-changed", onBotsChanged);
+  }, [scene]);
+
   const discordBridges = discordBridgesForPresences(presences);
   const discordSnippet = discordBridges.map(ch => "#" + ch).join(", ");
   let placeholder;
@@ -206,6 +227,7 @@ export function ChatSidebarContainer({
         afterInput={
           <>
             {!isMobile && <EmojiPickerPopoverButton onSelectEmoji={onSelectEmoji} />}
+            {bots.length > 0 && <BotPickerPopoverButton bots={bots} onSelectBot={onSelectBot} />}
             {message.length === 0 && canSpawnMessages ? (
               <MessageAttachmentButton onChange={onUploadAttachments} />
             ) : (
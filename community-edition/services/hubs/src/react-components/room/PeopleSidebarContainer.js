@@ -2,6 +2,7 @@ import React, { useCallback, useEffect, useState } from "react";
 import PropTypes from "prop-types";
 import { PeopleSidebar } from "./PeopleSidebar";
 import { getMicrophonePresences } from "../../utils/microphone-presence";
+import { isBotRunnerPresence } from "../../utils/bot-avatar-utils";
 import ProfileEntryPanel from "../profile-entry-panel";
 import { UserProfileSidebarContainer } from "./UserProfileSidebarContainer";
 import { useCan } from "./hooks/useCan";
@@ -28,9 +29,11 @@ function usePeopleList(presences, mySessionId, micUpdateFrequency = 500) {
       const micPresences = getMicrophonePresences();
 
       setPeople(
-        Object.entries(presences).map(([id, presence]) => {
-          return userFromPresence(id, presence, micPresences, mySessionId, voiceChatEnabled);
-        })
+        Object.entries(presences)
+          .filter(([, presence]) => !isBotRunnerPresence(presence))
+          .map(([id, presence]) => {
+            return userFromPresence(id, presence, micPresences, mySessionId, voiceChatEnabled);
+          })
       );
 
       timeout = setTimeout(updateMicrophoneState, micUpdateFrequency);
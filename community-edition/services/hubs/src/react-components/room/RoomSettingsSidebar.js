@@ -16,6 +16,8 @@ import { BackButton } from "../input/BackButton";
 import { SceneInfo } from "./RoomSidebar";
 import { Column } from "../layout/Column";
 import { InviteLinkInputField } from "./InviteLinkInputField";
+import { BotSettingsInputField } from "./BotSettingsInputField";
+import { botFormValues, DEFAULT_BOT_LIMITS } from "../../utils/bot-config";
 
 export function RoomSettingsSidebar({
   showBackButton,
@@ -29,7 +31,12 @@ export function RoomSettingsSidebar({
   onSubmit,
   onClose,
   canChangeScene,
-  onChangeScene
+  onChangeScene,
+  showBotSettings,
+  botLimits,
+  botApproval,
+  botRunner,
+  loadingBotStatus
 }) {
   const intl = useIntl();
   const {
@@ -39,7 +46,8 @@ export function RoomSettingsSidebar({
     formState: { errors },
     setValue
   } = useForm({
-    defaultValues: room
+    mode: "onChange",
+    defaultValues: { ...room, user_data: { ...room.user_data, bots: botFormValues(room.user_data?.bots) } }
   });
 
   const entryMode = watch("entry_mode");
@@ -216,6 +224,17 @@ export function RoomSettingsSidebar({
             {...register("user_data.hubs_use_bitecs_based_client")}
           />
         </InputField>
+        {showBotSettings && (
+          <BotSettingsInputField
+            register={register}
+            watch={watch}
+            errors={errors}
+            limits={botLimits || DEFAULT_BOT_LIMITS}
+            approval={botApproval}
+            runner={botRunner}
+            loadingStatus={loadingBotStatus}
+          />
+        )}
         <ApplyButton type="submit" />
       </Column>
     </Sidebar>
@@ -235,5 +254,10 @@ RoomSettingsSidebar.propTypes = {
   onSubmit: PropTypes.func,
   onClose: PropTypes.func,
   canChangeScene: PropTypes.bool,
-  onChangeScene: PropTypes.func
+  onChangeScene: PropTypes.func,
+  showBotSettings: PropTypes.bool,
+  botLimits: PropTypes.object,
+  botApproval: PropTypes.object,
+  botRunner: PropTypes.object,
+  loadingBotStatus: PropTypes.bool
 };
@@ -45,3 +45,23 @@ const room = {
 export const Base = () => (
   <RoomLayout sidebar={<RoomSettingsSidebar room={room} onSubmit={e => console.log(e)} canChangeScene />} />
 );
+
+export const WithBots = () => (
+  <RoomLayout
+    sidebar={
+      <RoomSettingsSidebar
+        room={{
+          ...room,
+          user_data: {
+            bots: { enabled: true, count: 2, mobility: "low", chat_enabled: true, prompt: "Museum of modern art." }
+          }
+        }}
+        onSubmit={e => console.log(e)}
+        canChangeScene
+        showBotSettings
+        botApproval={{ state: "quarantined", runtime_approved: false, pending_review: true }}
+        botRunner={{ lifecycle: "running", navigation_status: "blocked", ready: false }}
+      />
+    }
+  />
+);
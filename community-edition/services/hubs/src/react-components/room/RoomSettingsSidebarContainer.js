@@ -3,6 +3,8 @@ import PropTypes from "prop-types";
 import { RoomSettingsSidebar } from "./RoomSettingsSidebar";
 import configs from "../../utils/configs";
 import { useInviteUrl } from "./hooks/useInviteUrl";
+import { useBotStatus } from "./hooks/useBotStatus";
+import { mergeBotSettings } from "../../utils/bot-config";
 
 const NotifiablePermissions = ["text_chat", "voice_chat"];
 
@@ -11,8 +13,18 @@ export function RoomSettingsSidebarContainer({ showBackButton, room, hubChannel,
 
   const { fetchingInvite, inviteUrl, revokeInvite } = useInviteUrl(hubChannel);
 
+  const showBotSettings = hubChannel.can("update_hub");
+  const botStatus = useBotStatus(room.hub_id, !showBotSettings);
+
   const applyChanges = useCallback(
     settings => {
+      const bots = mergeBotSettings(room.user_data?.bots, settings.user_data.bots);
+      if (bots) {
+        settings.user_data.bots = bots;
+      } else {
+        delete settings.user_data.bots;
+      }
+
       hubChannel.updateHub(settings);
       onClose();
 
@@ -28,7 +40,7 @@ export function RoomSettingsSidebarContainer({ showBackButton, room, hubChannel,
         }
       });
     },
-    [hubChannel, onClose]
+    [hubChannel, onClose, room]
   );
 
   return (
@@ -44,6 +56,11 @@ export function RoomSettingsSidebarContainer({ showBackButton, room, hubChannel,
       canChangeScene
       onChangeScene={onChangeScene}
       onClose={onClose}
+      showBotSettings={showBotSettings}
+      botLimits={botStatus.limits}
+      botApproval={botStatus.approval}
+      botRunner={botStatus.runner}
+      loadingBotStatus={botStatus.loading}
     />
   );
 }
@@ -96,6 +96,7 @@ function updateMessageGroups(messageGroups: any[], newMessage: NewMessageT) {
     case "photo":
     case "video":
     case "permission":
+    case "bot_chat":
       return processChatMessage(messageGroups, newMessage);
     default:
       return messageGroups;
@@ -120,7 +121,7 @@ export function ChatContextProvider({ messageDispatch, children }: ChatContextPr
 
       setMessageGroups(messages => updateMessageGroups(messages, newMessage));
 
-      if (["chat", "image", "photo", "video", "permission"].includes(newMessage.type)) {
+      if (["chat", "image", "photo", "video", "permission", "bot_chat"].includes(newMessage.type)) {
         setUnreadMessages(true);
       }
     }
@@ -0,0 +1,39 @@
+import { useEffect, useState } from "react";
+import { fetchReticulumAuthenticated } from "../../../utils/phoenix-utils";
+import { botLimitsFromResponse } from "../../../utils/bot-config";
+
+// Review state of the room's bot settings and whether the runner is up. Both
+// endpoints answer only room owners; anything else leaves the field empty.
+export function useBotStatus(hubId, disabled = false) {
+  const [status, setStatus] = useState({ loading: !disabled, limits: null, approval: null, runner: null });
+
+  useEffect(() => {
+    if (disabled) {
+      setStatus({ loading: false, limits: null, approval: null, runner: null });
+      return;
+    }
+
+    let cancelled = false;
+    setStatus(status => ({ ...status, loading: true }));
+
+    Promise.all([
+      fetchReticulumAuthenticated(`/api/v1/hubs/${hubId}/bots/approval`).catch(() => null),
+      fetchReticulumAuthenticated(`/api/v1/hubs/${hubId}/bots/scene_diagnostics`).catch(() => null)
+    ]).then(([approvalResponse, diagnosticsResponse]) => {
+      if (cancelled) return;
+      const hasApproval = approvalResponse && typeof approvalResponse === "object";
+      setStatus({
+        loading: false,
+        limits: botLimitsFromResponse(hasApproval ? approvalResponse.limits : null),
+        approval: hasApproval ? approvalResponse.approval : null,
+        runner: (diagnosticsResponse && typeof diagnosticsResponse === "object" && diagnosticsResponse.runner) || null
+      });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [hubId, disabled]);
+
+  return status;
+}
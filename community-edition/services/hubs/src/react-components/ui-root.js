@@ -37,6 +37,7 @@ import RTCDebugPanel from "./debug-panel/RtcDebugPanel.js";
 import { showFullScreenIfAvailable, showFullScreenIfWasFullScreen } from "../utils/fullscreen";
 import { handleExitTo2DInterstitial, exit2DInterstitialAndEnterVR, isIn2DInterstitial } from "../utils/vr-interstitial";
 import maskEmail from "../utils/mask-email";
+import { isBotRunnerPresence } from "../utils/bot-avatar-utils";
 
 import qsTruthy from "../utils/qs_truthy";
 import { LoadingScreenContainer } from "./room/LoadingScreenContainer";
@@ -726,7 +727,8 @@ class UIRoot extends Component {
   };
 
   occupantCount = () => {
-    return this.props.presences ? Object.entries(this.props.presences).length : 0;
+    if (!this.props.presences) return 0;
+    return Object.values(this.props.presences).filter(presence => !isBotRunnerPresence(presence)).length;
   };
 
   hasEmbedPresence = () => {
@@ -30,6 +30,7 @@ import { AudioZonesSystem } from "./audio-zones-system";
 import { GainSystem } from "./audio-gain-system";
 import { EnvironmentSystem } from "./environment-system";
 import { NameTagVisibilitySystem } from "./name-tag-visibility-system";
+import { VideoViewportSystem } from "./video-viewport-system";
 
 // new world
 import { networkReceiveSystem } from "../bit-systems/network-receive-system";
@@ -150,6 +151,7 @@ AFRAME.registerSystem("hubs-systems", {
     this.gainSystem = new GainSystem();
     this.environmentSystem = new EnvironmentSystem(this.el);
     this.nameTagSystem = new NameTagVisibilitySystem(this.el);
+    this.videoViewportSystem = new VideoViewportSystem(this.el);
 
     window.$S = this;
   },
@@ -281,6 +283,7 @@ export function mainTick(xrFrame: XRFrame, renderer: WebGLRenderer, scene: Scene
   audioTargetSystem(world, hubsSystems.audioSystem);
   hubsSystems.gainSystem.tick();
   hubsSystems.nameTagSystem.tick();
+  hubsSystems.videoViewportSystem.tick();
   simpleWaterSystem(world);
   linearTransformSystem(world);
   quackSystem(world);
@@ -0,0 +1,72 @@
+// Tells dialog how large each remote webcam or screen share appears on screen,
+// so it can send smaller layers of videos that are small, far away or hidden.
+// Components showing a `hubs://clients/<client id>/video` stream register the
+// object they draw it on.
+const REPORT_INTERVAL_MS = 1000;
+
+function isVisible(object3D) {
+  for (let o = object3D; o; o = o.parent) {
+    if (!o.visible) return false;
+  }
+  return true;
+}
+
+export class VideoViewportSystem {
+  constructor(sceneEl) {
+    this.sceneEl = sceneEl;
+    this.views = new Map();
+    this.lastReportTime = 0;
+  }
+
+  register(clientId, object3D) {
+    this.views.set(object3D, clientId);
+  }
+
+  unregister(object3D) {
+    this.views.delete(object3D);
+  }
+
+  tick = (function () {
+    const box = new THREE.Box3();
+    const sphere = new THREE.Sphere();
+    const frustum = new THREE.Frustum();
+    const projScreenMatrix = new THREE.Matrix4();
+    const cameraPos = new THREE.Vector3();
+    return function tick() {
+      const now = performance.now();
+      if (!APP.dialog.hasServerLayerPolicy || now - this.lastReportTime < REPORT_INTERVAL_MS) return;
+      this.lastReportTime = now;
+
+      const camera = this.sceneEl.camera;
+      projScreenMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+      frustum.setFromProjectionMatrix(projScreenMatrix);
+      camera.getWorldPosition(cameraPos);
+      const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+
+      // A client can be shown in several places; the largest one counts.
+      const viewports = new Map();
+      this.views.forEach((clientId, object3D) => {
+        box.setFromObject(object3D);
+        if (box.isEmpty()) return;
+        box.getBoundingSphere(sphere);
+
+        const distance = cameraPos.distanceTo(sphere.center);
+        const visible = isVisible(object3D) && frustum.intersectsSphere(sphere);
+        // Share of the screen height covered by the object, squared into a share of its area.
+        const height = Math.min(1, sphere.radius / (Math.max(distance, camera.near) * tanHalfFov));
+        const screenArea = visible ? Math.min(1, (height * height) / camera.aspect) : 0;
+
+        const viewport = viewports.get(clientId);
+        if (!viewport) {
+          viewports.set(clientId, { visible, distance, screenArea });
+        } else {
+          viewport.visible = viewport.visible || visible;
+          viewport.distance = Math.min(viewport.distance, distance);
+          viewport.screenArea = Math.max(viewport.screenArea, screenArea);
+        }
+      });
+
+      APP.dialog.reportVideoViewports(viewports);
+    };
+  })();
+}
@@ -0,0 +1,62 @@
+// Helpers for the `#remote-bot-avatar` template spawned by the room bot runner.
+// Reticulum only lets an authenticated runner session create these entities,
+// but the payloads still come off the network, so everything here is defensive.
+
+const PATH_FIELDS = ["sx", "sy", "sz", "ex", "ey", "ez", "t0", "dur", "yaw0", "yaw1"];
+const MAX_SEGMENT_DURATION_MS = 10 * 60 * 1000;
+const AVATAR_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Returns a copy of a bot path payload (`buildBotPathSegment` or
+// `buildBotPathFreeze` in the runner) with numeric fields, or null when it is
+// not usable.
+export function sanitizeBotPath(path) {
+  if (!path || typeof path !== "object") return null;
+  const sanitized = {};
+  for (const field of PATH_FIELDS) {
+    const value = Number(path[field]);
+    if (!Number.isFinite(value)) return null;
+    sanitized[field] = value;
+  }
+  sanitized.dur = Math.min(Math.max(sanitized.dur, 0), MAX_SEGMENT_DURATION_MS);
+  return sanitized;
+}
+
+function shortestAngleDeltaDeg(from, to) {
+  return ((((to - from) % 360) + 540) % 360) - 180;
+}
+
+// Interpolates a path segment at the given server time. Before `t0` the bot
+// stays at the start and after `t0 + dur` at the end, so late or early packets
+// never extrapolate it through walls. Yaw turns the short way round.
+export function interpolateBotPath(path, serverTimeMs, out = { x: 0, y: 0, z: 0, yawDeg: 0 }) {
+  const progress = path.dur > 0 ? Math.min(Math.max((serverTimeMs - path.t0) / path.dur, 0), 1) : 1;
+  out.x = path.sx + (path.ex - path.sx) * progress;
+  out.y = path.sy + (path.ey - path.sy) * progress;
+  out.z = path.sz + (path.ez - path.sz) * progress;
+  out.yawDeg = path.yaw0 + shortestAngleDeltaDeg(path.yaw0, path.yaw1) * progress;
+  return out;
+}
+
+// The runner sends the featured avatar ref (`gltfs.avatar` from the avatar
+// listings) as `avatarId`. Only the avatar id is taken from it so the model is
+// always resolved through this Reticulum, never from an arbitrary URL.
+export function botAvatarIdFromRef(ref) {
+  if (typeof ref !== "string" || !ref) return null;
+  if (AVATAR_ID.test(ref)) return ref;
+  try {
+    const segments = new URL(ref, "https://featured.invalid").pathname.split("/");
+    const index = segments.indexOf("avatars");
+    const avatarId = index === -1 ? null : segments[index + 1];
+    return avatarId && AVATAR_ID.test(avatarId) ? avatarId : null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+// The runner's own hub channel session joins presence with
+// `context.bot_runner`; it is infrastructure, not a visitor.
+export function isBotRunnerPresence(presence) {
+  const metas = presence && presence.metas;
+  const meta = metas && metas[metas.length - 1];
+  return !!(meta && meta.context && meta.context.bot_runner === true);
+}
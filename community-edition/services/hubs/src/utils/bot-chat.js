@@ -0,0 +1,108 @@
+import { getReticulumFetchUrl } from "./phoenix-utils";
+
+// Chat messages starting with `@bot-N` are sent to that room bot through
+// Reticulum (`POST /api/v1/hubs/:hub_sid/bots/:bot_id/chat`) instead of the room.
+const BOT_MENTION = /^@(bot-(?:10|[1-9]))(?![\w-])\s*/i;
+const BOT_ID = /^bot-(?:10|[1-9])$/;
+const MAX_CONTEXT_WAYPOINTS = 64;
+const WAYPOINT_CUE_DURATION_MS = 6000;
+
+export const BotChatStatus = {
+  reply: "reply",
+  rateLimited: "rate_limited",
+  moderated: "moderated",
+  signInRequired: "sign_in_required",
+  notPresent: "not_present",
+  unavailable: "unavailable"
+};
+
+export function parseBotMention(message) {
+  if (typeof message !== "string") return null;
+  const match = message.match(BOT_MENTION);
+  if (!match) return null;
+  return { botId: match[1].toLowerCase(), text: message.slice(match[0].length).trim() };
+}
+
+// Bots currently rendered in the scene, in bot number order. Only the runner
+// can spawn `#remote-bot-avatar`, so this is the list a visitor can address.
+export function roomBots(scene) {
+  return Array.from(scene.querySelectorAll("[bot-info]"))
+    .filter(el => el.components["bot-info"])
+    .map(el => {
+      const { botId, displayName } = el.components["bot-info"].data;
+      return { botId, displayName: displayName || botId };
+    })
+    .filter(({ botId }) => BOT_ID.test(botId))
+    .sort((a, b) => parseInt(a.botId.slice(4), 10) - parseInt(b.botId.slice(4), 10));
+}
+
+function sceneWaypointNames(scene) {
+  const names = new Set();
+  scene.object3D.traverse(obj => {
+    if (names.size < MAX_CONTEXT_WAYPOINTS && obj.name && obj.name.toLowerCase().startsWith("spawbot-")) {
+      names.add(obj.name.toLowerCase());
+    }
+  });
+  return Array.from(names);
+}
+
+// Reticulum answers refused turns with a JSON `{ "error": <code> }`.
+function statusForHttpError(status, errorCode) {
+  if (status === 401) return BotChatStatus.signInRequired;
+  if (status === 403 && errorCode === "not_present") return BotChatStatus.notPresent;
+  return BotChatStatus.unavailable;
+}
+
+export async function sendBotChat({ hubId, botId, text, capability, token, scene }) {
+  if (!token || !capability) return { status: BotChatStatus.signInRequired };
+
+  let res;
+  try {
+    res = await fetch(getReticulumFetchUrl(`/api/v1/hubs/${hubId}/bots/${botId}/chat`), {
+      method: "POST",
+      headers: { "content-type": "application/json", authorization: `bearer ${token}` },
+      body: JSON.stringify({
+        message: text,
+        bot_chat_capability: capability,
+        context: { waypoints: sceneWaypointNames(scene) }
+      })
+    });
+  } catch (e) {
+    console.warn("Bot chat request failed.", e);
+    return { status: BotChatStatus.unavailable };
+  }
+
+  if (!res.ok) {
+    const body = await res.json().catch(() => null);
+    const errorCode = typeof body?.error === "string" ? body.error : null;
+    return { status: statusForHttpError(res.status, errorCode), error: errorCode };
+  }
+
+  const { reply, action, rate_limited, moderated } = await res.json();
+  if (rate_limited) return { status: BotChatStatus.rateLimited, reply };
+  if (moderated) return { status: BotChatStatus.moderated, reply };
+  return { status: BotChatStatus.reply, reply, action: action || null };
+}
+
+// Briefly marks the waypoint a bot was sent to, so the visitor can see where it is heading.
+export function showWaypointCue(scene, waypoint) {
+  const target = scene.object3D.getObjectByName(waypoint);
+  if (!target) return false;
+
+  const cue = new THREE.Mesh(
+    new THREE.RingBufferGeometry(0.35, 0.5, 32),
+    new THREE.MeshBasicMaterial({ color: 0x7ed3ff, transparent: true, opacity: 0.8, side: THREE.DoubleSide })
+  );
+  target.getWorldPosition(cue.position);
+  cue.position.y += 0.02;
+  cue.rotation.x = -Math.PI / 2;
+  cue.matrixNeedsUpdate = true;
+  scene.object3D.add(cue);
+
+  setTimeout(() => {
+    scene.object3D.remove(cue);
+    cue.geometry.dispose();
+    cue.material.dispose();
+  }, WAYPOINT_CUE_DURATION_MS);
+  return true;
+}
@@ -0,0 +1,86 @@
+// Room bot settings (`hub.user_data.bots`) as edited from the room settings
+// sidebar. Reticulum's `Ret.BotConfig` and the bot orchestrator clamp whatever
+// is stored; these helpers only keep the form within the same bounds.
+
+export const BOT_MOBILITIES = ["static", "low", "medium", "high"];
+
+// Used until `GET /api/v1/hubs/:hub_sid/bots/approval` answers with the
+// server's own limits. Mirrors `Ret.BotConfig.limits/0`.
+export const DEFAULT_BOT_LIMITS = {
+  maxCount: 10,
+  maxPromptCodepoints: 1500,
+  maxPromptBytes: 6000
+};
+
+const DEFAULT_BOTS = {
+  enabled: false,
+  count: 1,
+  mobility: "medium",
+  chat_enabled: false,
+  prompt: ""
+};
+
+export function botLimitsFromResponse(limits) {
+  if (!limits) return DEFAULT_BOT_LIMITS;
+  const bound = (value, fallback) => (Number.isInteger(value) && value > 0 ? Math.min(value, fallback) : fallback);
+  return {
+    maxCount: bound(limits.max_count, DEFAULT_BOT_LIMITS.maxCount),
+    maxPromptCodepoints: bound(limits.max_prompt_codepoints, DEFAULT_BOT_LIMITS.maxPromptCodepoints),
+    maxPromptBytes: bound(limits.max_prompt_bytes, DEFAULT_BOT_LIMITS.maxPromptBytes)
+  };
+}
+
+// The prompt is counted as typed. The server trims boundary whitespace before
+// applying its limits, so this can only be stricter than the orchestrator.
+export function promptSize(prompt) {
+  const text = typeof prompt === "string" ? prompt : "";
+  return { codepoints: Array.from(text).length, bytes: new TextEncoder().encode(text).length };
+}
+
+export function validateBotCount(count, limits = DEFAULT_BOT_LIMITS) {
+  if (!Number.isInteger(count)) return "count_not_integer";
+  if (count < 0 || count > limits.maxCount) return "count_out_of_range";
+  return null;
+}
+
+export function validateBotPrompt(prompt, limits = DEFAULT_BOT_LIMITS) {
+  const { codepoints, bytes } = promptSize(prompt);
+  if (codepoints > limits.maxPromptCodepoints) return "prompt_too_long";
+  if (bytes > limits.maxPromptBytes) return "prompt_too_large";
+  return null;
+}
+
+// Form values for the five room-wide fields, filled with defaults where the
+// stored config has none or an unusable value.
+export function botFormValues(bots) {
+  const stored = bots && typeof bots === "object" ? bots : {};
+  const count = typeof stored.count === "string" ? parseInt(stored.count, 10) : stored.count;
+  return {
+    enabled: stored.enabled === true,
+    count: Number.isInteger(count) ? count : DEFAULT_BOTS.count,
+    mobility: BOT_MOBILITIES.includes(stored.mobility) ? stored.mobility : DEFAULT_BOTS.mobility,
+    chat_enabled: stored.chat_enabled === true,
+    prompt: typeof stored.prompt === "string" ? stored.prompt : DEFAULT_BOTS.prompt
+  };
+}
+
+// The `bots` object to save. Any change to it sends the room back to admin
+// review, so an untouched form returns the stored object as-is, a room that
+// never had bots keeps none until they are enabled, and fields the form does
+// not edit (profiles, routines, chat_provider, ...) are carried over.
+export function mergeBotSettings(storedBots, formBots) {
+  const stored = storedBots && typeof storedBots === "object" ? storedBots : null;
+  const next = {
+    enabled: !!formBots.enabled,
+    count: Number(formBots.count),
+    mobility: formBots.mobility,
+    chat_enabled: !!formBots.chat_enabled,
+    prompt: typeof formBots.prompt === "string" ? formBots.prompt : ""
+  };
+
+  if (!stored) return next.enabled ? next : undefined;
+
+  const current = botFormValues(stored);
+  const unchanged = Object.keys(next).every(key => next[key] === current[key]);
+  return unchanged ? stored : { ...stored, ...next };
+}
@@ -45,6 +45,8 @@ export default class HubChannel extends EventTarget {
     this._signedIn = !!this.store.state.credentials.token;
     this._permissions = {};
     this._blockedSessionIds = new Set();
+    // Proves to the bot chat API that requests come from this entered channel. Rotated on sign in.
+    this.botChatCapability = null;
 
     store.addEventListener("profilechanged", this.sendProfileUpdate.bind(this));
   }
@@ -141,6 +143,7 @@ export default class HubChannel extends EventTarget {
     this.hubId = data.hubs[0].hub_id;
 
     this.setPermissionsFromToken(data.perms_token);
+    this.botChatCapability = data.bot_chat_capability || null;
 
     if (presenceBindings) {
       this.presence.onJoin(presenceBindings.onJoin);
@@ -336,8 +339,9 @@ export default class HubChannel extends EventTarget {
 
       this.channel
         .push("sign_in", { token, creator_assignment_token })
-        .receive("ok", ({ perms_token }) => {
+        .receive("ok", ({ perms_token, bot_chat_capability }) => {
           this.setPermissionsFromToken(perms_token);
+          this.botChatCapability = bot_chat_capability || null;
           this._signedIn = true;
           resolve();
         })
@@ -360,6 +364,7 @@ export default class HubChannel extends EventTarget {
         .push("sign_out")
         .receive("ok", async () => {
           this._signedIn = false;
+          this.botChatCapability = null;
           const params = this.channel.params();
           delete params.auth_token;
           delete params.perms_token;
@@ -1,4 +1,5 @@
 import configs from "./configs";
+import { isBotRunnerPresence } from "./bot-avatar-utils";
 export function getCurrentHubId() {
   const qs = new URLSearchParams(location.search);
   const defaultRoomId = configs.feature("default_room_id");
@@ -11,13 +12,17 @@ export function getCurrentHubId() {
   );
 }
 
+function visitorCount(presence) {
+  return Object.values(presence.state).filter(state => !isBotRunnerPresence(state)).length;
+}
+
 export function updateVRHudPresenceCount({ presence }) {
-  const occupantCount = Object.getOwnPropertyNames(presence.state).length;
+  const occupantCount = visitorCount(presence);
   const vrHudPresenceCount = document.querySelector("#hud-presence-count");
   vrHudPresenceCount.setAttribute("text", "value", occupantCount.toString());
 }
 export function updateSceneCopresentState(presence, scene) {
-  const occupantCount = Object.getOwnPropertyNames(presence.state).length;
+  const occupantCount = visitorCount(presence);
   if (occupantCount > 1) {
     scene.addState("copresent");
   } else {
@@ -21,6 +21,8 @@ export const getMicrophonePresences = (() => {
         let talking = false;
         if (playerInfo.isLocalPlayerInfo) {
           talking = sceneEl.systems["local-audio-analyser"].volume > MIC_PRESENCE_VOLUME_THRESHOLD;
+        } else if (window.APP.dialog.hasServerAudioLevels) {
+          talking = window.APP.dialog.isSpeaking(playerSessionId);
         }
         if (sessionIds.indexOf(playerSessionId) === -1) {
           sessionIds.push(playerSessionId);
@@ -37,7 +39,7 @@ export const getMicrophonePresences = (() => {
     }
 
     const networkedAudioAnalysers = window.APP.componentRegistry["networked-audio-analyser"];
-    if (networkedAudioAnalysers) {
+    if (networkedAudioAnalysers && !window.APP.dialog.hasServerAudioLevels) {
       for (let i = 0; i < networkedAudioAnalysers.length; i++) {
         const networkedAudioAnalyser = networkedAudioAnalysers[i];
         if (
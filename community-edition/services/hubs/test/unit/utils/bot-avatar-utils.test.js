@@ -0,0 +1,42 @@
+import test from "ava";
+import {
+  botAvatarIdFromRef,
+  interpolateBotPath,
+  isBotRunnerPresence,
+  sanitizeBotPath
+} from "../../../src/utils/bot-avatar-utils";
+
+const segment = { sx: 0, sy: 0, sz: 0, ex: 4, ey: 0, ez: -2, t0: 1000, dur: 2000, yaw0: 350, yaw1: 10 };
+
+test("interpolateBotPath clamps to the segment and turns the short way", t => {
+  const path = sanitizeBotPath(segment);
+
+  t.deepEqual(interpolateBotPath(path, 0), { x: 0, y: 0, z: 0, yawDeg: 350 });
+  t.deepEqual(interpolateBotPath(path, 2000), { x: 2, y: 0, z: -1, yawDeg: 360 });
+  t.deepEqual(interpolateBotPath(path, 9000), { x: 4, y: 0, z: -2, yawDeg: 370 });
+
+  const freeze = sanitizeBotPath({ ...segment, ex: 0, ez: 0, dur: 0, yaw1: 350 });
+  t.deepEqual(interpolateBotPath(freeze, 0), { x: 0, y: 0, z: 0, yawDeg: 350 });
+});
+
+test("sanitizeBotPath rejects incomplete or non-numeric payloads", t => {
+  t.is(sanitizeBotPath(null), null);
+  t.is(sanitizeBotPath({ ...segment, ex: "east" }), null);
+  t.is(sanitizeBotPath({ ...segment, t0: undefined }), null);
+  t.is(sanitizeBotPath({ ...segment, dur: -5 }).dur, 0);
+});
+
+test("botAvatarIdFromRef only accepts avatar ids", t => {
+  t.is(botAvatarIdFromRef("https://hubs.example/api/v1/avatars/abc123/avatar.gltf?v=2"), "abc123");
+  t.is(botAvatarIdFromRef("/api/v1/avatars/abc123/avatar.gltf"), "abc123");
+  t.is(botAvatarIdFromRef("abc123"), "abc123");
+  t.is(botAvatarIdFromRef("https://evil.example/model.glb"), null);
+  t.is(botAvatarIdFromRef(""), null);
+});
+
+test("isBotRunnerPresence reads the latest presence meta", t => {
+  t.true(isBotRunnerPresence({ metas: [{ context: { bot_runner: true } }] }));
+  t.false(isBotRunnerPresence({ metas: [{ context: { bot_runner: false, mobile: true } }] }));
+  t.false(isBotRunnerPresence({ metas: [{ context: { bot_runner: true } }, { context: {} }] }));
+  t.false(isBotRunnerPresence({ metas: [] }));
+});
@@ -0,0 +1,54 @@
+import test from "ava";
+import {
+  botFormValues,
+  botLimitsFromResponse,
+  mergeBotSettings,
+  promptSize,
+  validateBotCount,
+  validateBotPrompt
+} from "../../../src/utils/bot-config";
+
+const limits = { maxCount: 10, maxPromptCodepoints: 1500, maxPromptBytes: 6000 };
+
+test("validateBotCount accepts 0 through the room limit", t => {
+  t.is(validateBotCount(0, limits), null);
+  t.is(validateBotCount(10, limits), null);
+  t.is(validateBotCount(11, limits), "count_out_of_range");
+  t.is(validateBotCount(NaN, limits), "count_not_integer");
+  t.is(validateBotCount(3, { ...limits, maxCount: 2 }), "count_out_of_range");
+});
+
+test("validateBotPrompt counts code points and UTF-8 bytes like the orchestrator", t => {
+  t.deepEqual(promptSize("🤖é"), { codepoints: 2, bytes: 6 });
+  t.is(validateBotPrompt("a".repeat(1500), limits), null);
+  t.is(validateBotPrompt("a".repeat(1501), limits), "prompt_too_long");
+  t.is(validateBotPrompt("🤖".repeat(1500), limits), null);
+  t.is(validateBotPrompt("🤖".repeat(1500), { ...limits, maxPromptBytes: 5999 }), "prompt_too_large");
+});
+
+test("botLimitsFromResponse never loosens the client defaults", t => {
+  t.deepEqual(botLimitsFromResponse(null), limits);
+  t.deepEqual(botLimitsFromResponse({ max_count: 4, max_prompt_codepoints: 9000, max_prompt_bytes: "6000" }), {
+    ...limits,
+    maxCount: 4
+  });
+});
+
+test("mergeBotSettings keeps an untouched config byte-for-byte", t => {
+  const stored = { enabled: true, count: "2", mobility: "low", schema_version: 2, profiles: [{ name: "Guía" }] };
+  t.is(mergeBotSettings(stored, botFormValues(stored)), stored);
+
+  const changed = mergeBotSettings(stored, { ...botFormValues(stored), count: 3 });
+  t.deepEqual(changed, { ...stored, count: 3, chat_enabled: false, prompt: "" });
+});
+
+test("mergeBotSettings adds no config to a room until bots are enabled", t => {
+  t.is(mergeBotSettings(undefined, botFormValues(undefined)), undefined);
+  t.deepEqual(mergeBotSettings(null, { ...botFormValues(null), enabled: true }), {
+    enabled: true,
+    count: 1,
+    mobility: "medium",
+    chat_enabled: false,
+    prompt: ""
+  });
+});
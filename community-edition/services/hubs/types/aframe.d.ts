@@ -65,6 +65,7 @@ declare module "aframe" {
     gainSystem: GainSystem;
     environmentSystem: EnvironmentSystem;
     nameTagSystem: NameTagVisibilitySystem;
+    videoViewportSystem: VideoViewportSystem;
 
     DOMContentDidLoad: bool;
   }
@@ -1,53 +1,67 @@
-const lambda = require("./index");
-const express = require("express");
+"use strict";
 
-const app = express();
+const express = require("express");
 
-// app.get('/_healthz', function (req, res) {
-//   res.send('1');
-// });
+const lambda = require("./index");
 
-app.get("/thumbnail/:b64url", function(req, res) {
-  console.log("req.url",req.url);
+const DEFAULT_PORT = 5000;
 
-  lambda.handler(
-    {
-      queryStringParameters: req.query,
-      pathParameters: {
-        url: req.url.replace("/thumbnail/", "")
+function invokeThumbnail(request) {
+  return new Promise((resolve, reject) => {
+    lambda.handler(
+      {
+        queryStringParameters: request.query,
+        pathParameters: { url: request.params.b64url },
+        headers: request.headers
+      },
+      null,
+      (error, response) => {
+        if (error) reject(error);
+        else resolve(response);
       }
-    },
-    null,
-    async function(something, callback) {
-      console.log("callback: ", callback.statusCode, callback.headers);
-
-      res
-        .status(callback.statusCode)
-        .header(callback.headers)
-        .send(Buffer.from(callback.body, 'base64'))
+    );
+  });
+}
+
+function createApp() {
+  const app = express();
+
+  app.disable("x-powered-by");
+
+  app.get("/_healthz", (_request, response) => response.status(200).send("1"));
+
+  app.get("/thumbnail/:b64url", async (request, response) => {
+    try {
+      const result = await invokeThumbnail(request);
+      const body = result.isBase64Encoded ? Buffer.from(result.body, "base64") : result.body;
+      response.status(result.statusCode).set(result.headers || {}).send(body);
+    } catch (error) {
+      console.error("thumbnail request failed", error?.name || "Error");
+      response.status(500).send("thumbnail failed");
     }
-  );
-});
-// app.get("/thumbnail", function(req, res) {
-//   console.log("req.url",req.url);
-
-//   lambda.handler(
-//     {
-//       queryStringParameters: req.query,
-//       pathParameters: {
-//         url: req.url.replace("/thumbnail", "")
-//       }
-//     },
-//     null,
-//     async function(something, callback) {
-//       console.log("callback: ", callback.statusCode, callback.headers);
-//       res
-//         .status(callback.statusCode)
-//         .header(callback.headers)
-//         .send(callback.body)
-//     }
-//   );
-// });
-app.listen(5000, function() {
-  console.log("listening on :5000");
-});
+  });
+
+  return app;
+}
+
+function main() {
+  const app = createApp();
+  const port = Number.parseInt(process.env.PORT || String(DEFAULT_PORT), 10);
+  const server = app.listen(port, "0.0.0.0", () => console.log(`listening on :${port}`));
+  server.headersTimeout = 10_000;
+  server.requestTimeout = 30_000;
+  server.keepAliveTimeout = 5_000;
+
+  const shutdown = signal => {
+    console.log(`received ${signal}; shutting down`);
+    server.close(() => process.exit(0));
+  };
+  process.once("SIGTERM", () => shutdown("SIGTERM"));
+  process.once("SIGINT", () => shutdown("SIGINT"));
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { createApp, invokeThumbnail };
@@ -0,0 +1,103 @@
+"use strict";
+
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+const ENTRY_RE = /^([0-9a-f]{64})\.([a-z]+)$/;
+
+function cacheKey(parts) {
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+}
+
+// Least recently used cache of thumbnails on disk, bounded by total size.
+// Entries are `<key>.<format>` files; their modification time records the
+// last use, so the order survives restarts.
+async function createDiskCache({ directory, maxBytes }) {
+  await fs.mkdir(directory, { recursive: true });
+
+  // Oldest first: Map iteration follows insertion order.
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const names = await fs.readdir(directory);
+  const found = [];
+  for (const name of names) {
+    const file = path.join(directory, name);
+    const match = ENTRY_RE.exec(name);
+    if (!match) {
+      // Leftover of a write interrupted by a restart.
+      await fs.rm(file, { force: true });
+      continue;
+    }
+    const stat = await fs.stat(file);
+    found.push({ key: match[1], format: match[2], size: stat.size, mtimeMs: stat.mtimeMs });
+  }
+  found.sort((a, b) => a.mtimeMs - b.mtimeMs);
+  for (const { key, format, size } of found) {
+    entries.set(key, { format, size });
+    totalBytes += size;
+  }
+
+  const fileFor = (key, format) => path.join(directory, `${key}.${format}`);
+
+  async function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    totalBytes -= entry.size;
+    await fs.rm(fileFor(key, entry.format), { force: true });
+  }
+
+  async function evict() {
+    for (const key of entries.keys()) {
+      if (totalBytes <= maxBytes) break;
+      await remove(key);
+    }
+  }
+
+  async function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    let data;
+    try {
+      data = await fs.readFile(fileFor(key, entry.format));
+    } catch (_error) {
+      await remove(key);
+      return null;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    const now = new Date();
+    fs.utimes(fileFor(key, entry.format), now, now).catch(() => undefined);
+
+    return { data, format: entry.format };
+  }
+
+  async function set(key, format, data) {
+    if (data.length > maxBytes) return;
+
+    const tmp = path.join(directory, `${key}.${process.pid}.${crypto.randomUUID()}.tmp`);
+    await fs.writeFile(tmp, data);
+    await remove(key);
+    await fs.rename(tmp, fileFor(key, format));
+
+    entries.set(key, { format, size: data.length });
+    totalBytes += data.length;
+    await evict();
+  }
+
+  await evict();
+
+  return {
+    get,
+    set,
+    get size() {
+      return totalBytes;
+    }
+  };
+}
+
+module.exports = { cacheKey, createDiskCache };
@@ -0,0 +1,94 @@
+"use strict";
+
+const http = require("node:http");
+const https = require("node:https");
+
+const { publicLookup, validatePublicHttpUrl } = require("./url-policy");
+
+const DEFAULT_MAX_BYTES = 20 * 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 10_000;
+const DEFAULT_MAX_REDIRECTS = 3;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Errors carry the status nearspark answers with.
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function get(url, { lookup, signal }) {
+  const client = url.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, { lookup, signal, headers: { accept: "image/*" } }, resolve);
+    request.on("error", reject);
+  });
+}
+
+function readBody(response, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+
+    response.on("data", chunk => {
+      length += chunk.length;
+      if (length > maxBytes) {
+        response.destroy(httpError("image too large", 413));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on("end", () => resolve(Buffer.concat(chunks)));
+    response.on("error", reject);
+  });
+}
+
+// Downloads an image from a public http(s) URL, following a few redirects.
+// Every URL, redirects included, has to pass the URL policy, and connections
+// only go to addresses it allows. The whole download is bounded in time and
+// size.
+async function fetchImage(rawUrl, options = {}) {
+  const {
+    maxBytes = DEFAULT_MAX_BYTES,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+    validateUrl = validatePublicHttpUrl,
+    lookup = publicLookup
+  } = options;
+  const signal = AbortSignal.timeout(timeoutMs);
+
+  try {
+    let url = await validateUrl(rawUrl);
+
+    for (let redirects = 0; ; redirects++) {
+      const response = await get(url, { lookup, signal });
+      const { statusCode, headers } = response;
+
+      if (REDIRECT_STATUSES.has(statusCode) && headers.location) {
+        response.resume();
+        if (redirects >= maxRedirects) throw httpError("too many redirects", 502);
+        url = await validateUrl(new URL(headers.location, url).href);
+        continue;
+      }
+
+      if (statusCode !== 200) {
+        response.resume();
+        throw httpError(`upstream status ${statusCode}`, statusCode === 404 || statusCode === 410 ? 404 : 502);
+      }
+
+      if (Number(headers["content-length"]) > maxBytes) {
+        response.destroy();
+        throw httpError("image too large", 413);
+      }
+
+      return { data: await readBody(response, maxBytes), contentType: headers["content-type"] };
+    }
+  } catch (error) {
+    if (signal.aborted) throw httpError("upstream timed out", 504);
+    if (error.code === "URL_NOT_ALLOWED" || error.statusCode) throw error;
+    throw httpError(`upstream request failed: ${error.code || error.name}`, 502);
+  }
+}
+
+module.exports = { fetchImage, httpError };
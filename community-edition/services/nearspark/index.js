@@ -1,67 +1,233 @@
-const request = require("request");
+"use strict";
+
+const os = require("node:os");
+const path = require("node:path");
 const sharp = require("sharp");
 
-module.exports.handler = function handler(event, context, callback) {
-  const queryStringParameters = event.queryStringParameters || {};
-  const {
-    w,
-    h,
-    fit,
-    position,
-    gravity,
-    strategy,
-    background,
-    withoutEnlargement
-  } = queryStringParameters;
-
-  let base64url = event.pathParameters.url;
-
-  // Drop extension, if present (for compatibility with imgproxy, which has extension passed for CDN caching)
-  if (base64url.includes(".")) {
-    base64url = base64url.substring(0, base64url.indexOf("."));
+const { cacheKey, createDiskCache } = require("./cache");
+const { fetchImage, httpError } = require("./fetch-image");
+const { safeUrlForLog } = require("./url-policy");
+
+const MAX_DIMENSION = 4096;
+const KEPT_FORMATS = new Set(["jpeg", "png", "gif"]);
+const NEGOTIATED_FORMATS = ["avif", "webp"];
+const ENCODER_OPTIONS = {
+  avif: { quality: 50, effort: 4 },
+  webp: { quality: 80 },
+  jpeg: { quality: 80, mozjpeg: true },
+  png: {},
+  gif: {}
+};
+
+function positiveInt(name, value, max) {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw httpError(`${name} must be an integer between 1 and ${max}`, 400);
+  }
+  return number;
+}
+
+function option(name, value, values) {
+  if (value === undefined) return undefined;
+  if (typeof value !== "string" || !Object.hasOwn(values, value)) throw httpError(`invalid ${name}`, 400);
+  return values[value];
+}
+
+// Query string of the original Lambda: w, h, fit, position | gravity | strategy,
+// background and withoutEnlargement. `format` forces one output format.
+function parseParams(query = {}) {
+  if (query.background !== undefined && (typeof query.background !== "string" || query.background.length > 64)) {
+    throw httpError("invalid background", 400);
   }
+  if (query.format !== undefined && !NEGOTIATED_FORMATS.includes(query.format) && !KEPT_FORMATS.has(query.format)) {
+    throw httpError("invalid format", 400);
+  }
+
+  return {
+    width: positiveInt("w", query.w, MAX_DIMENSION),
+    height: positiveInt("h", query.h, MAX_DIMENSION),
+    fit: option("fit", query.fit, sharp.fit) || "cover",
+    position:
+      option("position", query.position, sharp.position) ??
+      option("gravity", query.gravity, sharp.gravity) ??
+      option("strategy", query.strategy, sharp.strategy) ??
+      sharp.position.centre,
+    background: query.background || { r: 0, g: 0, b: 0, alpha: 1 },
+    withoutEnlargement: query.withoutEnlargement === "true",
+    format: query.format
+  };
+}
+
+// Thumbnail URLs carry the image URL as unpadded base64url, optionally
+// followed by an extension for CDN caching.
+function decodeImageUrl(encoded) {
+  const base64url = encoded.includes(".") ? encoded.substring(0, encoded.indexOf(".")) : encoded;
+  try {
+    return decodeURIComponent(Buffer.from(base64url, "base64url").toString());
+  } catch (_error) {
+    throw httpError("invalid url encoding", 400);
+  }
+}
 
-  const url = decodeURIComponent(
-    new Buffer.from(base64url, "base64").toString()
-  );
-  const sharpFit = fit || "cover";
+// Best format the client accepts, or null to keep the source format.
+function negotiateFormat(accept = "") {
+  const accepted = accept
+    .split(",")
+    .map(part => part.trim().split(";"))
+    .filter(([, ...params]) => !params.some(param => /^\s*q=0(\.0*)?\s*$/.test(param)))
+    .map(([type]) => type.trim().toLowerCase());
 
-  let sharpPosition = sharp.position.centre;
+  return NEGOTIATED_FORMATS.find(format => accepted.includes(`image/${format}`)) || null;
+}
 
-  if (position) {
-    sharpPosition = sharp.position[position];
-  } else if (gravity) {
-    sharpPosition = sharp.gravity[gravity];
-  } else if (strategy) {
-    sharpPosition = sharp.strategy[strategy];
+function sharpError(error) {
+  if (/pixel limit/i.test(error.message)) return httpError("image too large", 413);
+  if (/unsupported image format|corrupt|premature end|bad seek|vips/i.test(error.message)) {
+    return httpError("unsupported image", 422);
   }
+  return error;
+}
 
-  const sharpBackground = background || { r: 0, g: 0, b: 0, alpha: 1 };
+async function render(data, params, requestedFormat, limits) {
+  const input = { limitInputPixels: limits.maxInputPixels, failOn: "error" };
 
-  request.get({ url, encoding: null }, (_, __, body) => {
-    sharp(body)
+  let metadata;
+  try {
+    metadata = await sharp(data, input).metadata();
+  } catch (error) {
+    throw sharpError(error);
+  }
+  const format = requestedFormat || (KEPT_FORMATS.has(metadata.format) ? metadata.format : "png");
+
+  let pipeline;
+  try {
+    pipeline = sharp(data, input)
+      .rotate()
       .resize({
-        width: parseInt(w),
-        height: parseInt(h),
-        fit: sharpFit,
-        position: sharpPosition,
-        background: sharpBackground,
-        withoutEnlargement: withoutEnlargement === "true"
+        width: params.width,
+        height: params.height,
+        fit: params.fit,
+        position: params.position,
+        background: params.background,
+        withoutEnlargement: params.withoutEnlargement
       })
-      .withMetadata()
-      .toBuffer({ resolveWithObject: true })
-      .then(({ data, info }) => {
-        const headers = {
-          "Content-Type": `image/${info.format}`,
-          "Cache-Control": "max-age=86400"
-        };
-
-        callback(null, {
-          statusCode: 200,
-          body: data.toString("base64"),
-          isBase64Encoded: true,
-          headers
-        });
+      .toFormat(format, ENCODER_OPTIONS[format]);
+  } catch (_error) {
+    // sharp validates resize options synchronously, e.g. a bad background color.
+    throw httpError("invalid resize parameters", 400);
+  }
+
+  try {
+    return { data: await pipeline.toBuffer(), format };
+  } catch (error) {
+    throw sharpError(error);
+  }
+}
+
+function limitsFromEnv(env = process.env) {
+  return {
+    maxInputBytes: Number(env.MAX_INPUT_BYTES || 20 * 1024 * 1024),
+    maxInputPixels: Number(env.MAX_INPUT_PIXELS || 50_000_000),
+    fetchTimeoutMs: Number(env.FETCH_TIMEOUT_MS || 10_000),
+    cacheDir: env.CACHE_DIR || path.join(os.tmpdir(), "nearspark-cache"),
+    cacheMaxBytes: Number(env.CACHE_MAX_BYTES ?? 512 * 1024 * 1024)
+  };
+}
+
+// Builds the thumbnail function. `fetchOptions` is passed to fetchImage(),
+// which tests use to reach local servers.
+function createThumbnailer(limits = limitsFromEnv(), fetchOptions = {}) {
+  const cachePromise = limits.cacheMaxBytes > 0
+    ? createDiskCache({ directory: limits.cacheDir, maxBytes: limits.cacheMaxBytes })
+    : Promise.resolve(null);
+  // The same thumbnail asked for again while it is being made waits for it.
+  const inFlight = new Map();
+
+  async function make(imageUrl, params, format, key, cache) {
+    const { data } = await fetchImage(imageUrl, {
+      maxBytes: limits.maxInputBytes,
+      timeoutMs: limits.fetchTimeoutMs,
+      ...fetchOptions
+    });
+    const thumbnail = await render(data, params, format, limits);
+    if (cache) {
+      await cache.set(key, thumbnail.format, thumbnail.data).catch(error => {
+        console.error("cache write failed", error?.code || error?.name || "Error");
       });
-  });
+    }
+    return { ...thumbnail, cached: false };
+  }
+
+  return async function thumbnail({ encodedUrl, query, accept }) {
+    const imageUrl = decodeImageUrl(encodedUrl);
+    const params = parseParams(query);
+    const format = params.format || negotiateFormat(accept);
+    const key = cacheKey([imageUrl, { ...params, format }]);
+
+    const cache = await cachePromise.catch(error => {
+      console.error("cache unavailable", error?.code || error?.name || "Error");
+      return null;
+    });
+    const hit = cache && (await cache.get(key));
+    if (hit) return { ...hit, cached: true };
+
+    if (!inFlight.has(key)) {
+      const pending = make(imageUrl, params, format, key, cache).finally(() => inFlight.delete(key));
+      inFlight.set(key, pending);
+    }
+    return inFlight.get(key);
+  };
+}
+
+let defaultThumbnailer = null;
+
+module.exports.handler = async function handler(event, _context, callback) {
+  defaultThumbnailer = defaultThumbnailer || createThumbnailer();
+  const headers = event?.headers || {};
+  const encodedUrl = event?.pathParameters?.url || "";
+
+  try {
+    const { data, format, cached } = await defaultThumbnailer({
+      encodedUrl,
+      query: event?.queryStringParameters || {},
+      accept: headers.accept || headers.Accept
+    });
+    callback(null, {
+      statusCode: 200,
+      body: data.toString("base64"),
+      isBase64Encoded: true,
+      headers: {
+        "Cache-Control": "max-age=86400",
+        "Content-Type": `image/${format}`,
+        Vary: "Accept",
+        "X-Cache": cached ? "HIT" : "MISS"
+      }
+    });
+  } catch (error) {
+    const statusCode = error?.code === "URL_NOT_ALLOWED" ? 403 : error?.statusCode || 500;
+    let logUrl = "invalid-url";
+    try {
+      logUrl = safeUrlForLog(decodeImageUrl(encodedUrl));
+    } catch (_error) {
+      // Already reported as a 400.
+    }
+    console.error(`thumbnail failed for ${logUrl}`, statusCode, statusCode === 500 ? error : error.message);
+    callback(null, {
+      statusCode,
+      body: statusCode === 403 ? "forbidden" : statusCode === 500 ? "thumbnail failed" : error.message,
+      isBase64Encoded: false,
+      headers: {
+        // Let the CDN remember broken sources for a while, not server errors.
+        "Cache-Control": statusCode >= 500 ? "no-store" : "max-age=300",
+        "Content-Type": "text/plain"
+      }
+    });
+  }
 };
+
+module.exports.createThumbnailer = createThumbnailer;
+module.exports.decodeImageUrl = decodeImageUrl;
+module.exports.limitsFromEnv = limitsFromEnv;
+module.exports.negotiateFormat = negotiateFormat;
+module.exports.parseParams = parseParams;
@@ -0,0 +1,52 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+const { cacheKey, createDiskCache } = require("../cache");
+
+async function tempDir(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), "nearspark-cache-test-"));
+  t.after(() => fs.rm(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+test("keys entries by url and parameters", () => {
+  assert.equal(cacheKey(["https://example.com/a.png", { width: 10 }]), cacheKey(["https://example.com/a.png", { width: 10 }]));
+  assert.notEqual(cacheKey(["https://example.com/a.png", { width: 10 }]), cacheKey(["https://example.com/a.png", { width: 20 }]));
+});
+
+test("evicts the least recently used entries past its size", async t => {
+  const directory = await tempDir(t);
+  const cache = await createDiskCache({ directory, maxBytes: 10 });
+  const [a, b, c] = ["a", "b", "c"].map(name => cacheKey([name]));
+
+  await cache.set(a, "png", Buffer.alloc(4, 1));
+  await cache.set(b, "webp", Buffer.alloc(4, 2));
+  assert.deepEqual(await cache.get(a), { data: Buffer.alloc(4, 1), format: "png" });
+
+  await cache.set(c, "avif", Buffer.alloc(4, 3));
+  assert.equal(await cache.get(b), null);
+  assert.ok(await cache.get(a));
+  assert.ok(await cache.get(c));
+  assert.equal(cache.size, 8);
+
+  await cache.set(cacheKey(["huge"]), "png", Buffer.alloc(11));
+  assert.equal(cache.size, 8);
+  assert.deepEqual((await fs.readdir(directory)).sort(), [`${a}.png`, `${c}.avif`].sort());
+});
+
+test("picks up its entries after a restart and drops partial writes", async t => {
+  const directory = await tempDir(t);
+  const key = cacheKey(["a"]);
+  const first = await createDiskCache({ directory, maxBytes: 100 });
+  await first.set(key, "jpeg", Buffer.from("thumbnail"));
+  await fs.writeFile(path.join(directory, `${key}.1.x.tmp`), "partial");
+
+  const second = await createDiskCache({ directory, maxBytes: 100 });
+  assert.deepEqual(await second.get(key), { data: Buffer.from("thumbnail"), format: "jpeg" });
+  assert.deepEqual(await fs.readdir(directory), [`${key}.jpeg`]);
+});
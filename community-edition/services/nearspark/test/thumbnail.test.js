@@ -0,0 +1,145 @@
+"use strict";
+
+const assert = require("node:assert/strict");
+const dns = require("node:dns");
+const fs = require("node:fs/promises");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+
+const sharp = require("sharp");
+
+const { createThumbnailer, handler, negotiateFormat, parseParams } = require("../index");
+const { fetchImage } = require("../fetch-image");
+
+// Test servers run on loopback, which the real URL policy blocks.
+const loopbackPolicy = { validateUrl: async rawUrl => new URL(rawUrl), lookup: dns.lookup };
+
+function encode(url) {
+  return Buffer.from(url).toString("base64url");
+}
+
+async function imageServer(t, routes) {
+  const hits = {};
+  const server = http.createServer((request, response) => {
+    hits[request.url] = (hits[request.url] || 0) + 1;
+    const route = routes[request.url];
+    if (!route) {
+      response.writeHead(404).end();
+      return;
+    }
+    route(request, response);
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+  return { url: `http://127.0.0.1:${server.address().port}`, hits };
+}
+
+const send = (body, type = "image/png") => (_request, response) => {
+  response.writeHead(200, { "content-type": type, "content-length": body.length }).end(body);
+};
+
+async function thumbnailer(t, limits = {}) {
+  const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), "nearspark-test-"));
+  t.after(() => fs.rm(cacheDir, { recursive: true, force: true }));
+  return createThumbnailer(
+    {
+      maxInputBytes: 1024 * 1024,
+      maxInputPixels: 1000 * 1000,
+      fetchTimeoutMs: 2000,
+      cacheDir,
+      cacheMaxBytes: 1024 * 1024,
+      ...limits
+    },
+    loopbackPolicy
+  );
+}
+
+const png = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: { r: 200, g: 50, b: 50 } } }).png().toBuffer();
+
+test("negotiates AVIF and WebP from Accept and keeps the source format otherwise", () => {
+  assert.equal(negotiateFormat("image/avif,image/webp,*/*"), "avif");
+  assert.equal(negotiateFormat("image/avif;q=0, image/webp"), "webp");
+  assert.equal(negotiateFormat("image/png,*/*;q=0.8"), null);
+  assert.equal(negotiateFormat(undefined), null);
+});
+
+test("rejects invalid resize parameters", () => {
+  assert.throws(() => parseParams({ w: "0" }), { statusCode: 400 });
+  assert.throws(() => parseParams({ w: "5000" }), { statusCode: 400 });
+  assert.throws(() => parseParams({ fit: "toString" }), { statusCode: 400 });
+  assert.throws(() => parseParams({ format: "tiff" }), { statusCode: 400 });
+  assert.equal(parseParams({ w: "64", fit: "contain" }).width, 64);
+});
+
+test("resizes, converts and caches thumbnails", async t => {
+  const server = await imageServer(t, { "/a.png": send(await png(300, 200)) });
+  const thumbnail = await thumbnailer(t);
+  const request = accept => thumbnail({ encodedUrl: `${encode(`${server.url}/a.png`)}.png`, query: { w: "64", h: "64" }, accept });
+
+  const webp = await request("image/webp,*/*");
+  assert.equal(webp.format, "webp");
+  assert.equal(webp.cached, false);
+  assert.deepEqual(
+    await sharp(webp.data).metadata().then(({ format, width, height }) => ({ format, width, height })),
+    { format: "webp", width: 64, height: 64 }
+  );
+
+  assert.equal((await request("image/webp,*/*")).cached, true);
+  assert.equal((await request("image/avif,image/webp")).format, "avif");
+  assert.equal((await request(undefined)).format, "png");
+  assert.equal(server.hits["/a.png"], 3);
+});
+
+test("answers with 4xx and 5xx errors instead of hanging", async t => {
+  const server = await imageServer(t, {
+    "/big.png": send(Buffer.alloc(2048)),
+    "/huge.png": send(await png(2000, 1000)),
+    "/text": send(Buffer.from("not an image"), "text/plain"),
+    "/slow.png": () => {},
+    "/redirect": (_request, response) => response.writeHead(302, { location: "http://localhost/a.png" }).end()
+  });
+  const thumbnail = await thumbnailer(t, { maxInputBytes: 1024, fetchTimeoutMs: 300 });
+  const status = file =>
+    thumbnail({ encodedUrl: encode(`${server.url}${file}`), query: {} }).then(
+      () => 200,
+      error => error.statusCode
+    );
+
+  assert.equal(await status("/big.png"), 413);
+  assert.equal(await status("/missing.png"), 404);
+  assert.equal(await status("/slow.png"), 504);
+
+  const pixelLimited = await thumbnailer(t, { maxInputPixels: 1000 });
+  const pixelStatus = await pixelLimited({ encodedUrl: encode(`${server.url}/huge.png`), query: {} }).catch(e => e.statusCode);
+  assert.equal(pixelStatus, 413);
+
+  const textStatus = await (await thumbnailer(t))({ encodedUrl: encode(`${server.url}/text`), query: {} }).catch(e => e.statusCode);
+  assert.equal(textStatus, 422);
+
+  // Redirects go through the URL policy again.
+  const noLocalhost = {
+    lookup: dns.lookup,
+    validateUrl: async rawUrl => {
+      const url = new URL(rawUrl);
+      if (url.hostname === "localhost") throw Object.assign(new Error("blocked"), { code: "URL_NOT_ALLOWED" });
+      return url;
+    }
+  };
+  await assert.rejects(fetchImage(`${server.url}/redirect`, noLocalhost), { code: "URL_NOT_ALLOWED" });
+});
+
+test("handler refuses internal addresses with 403", async () => {
+  process.env.CACHE_MAX_BYTES = "0";
+  const response = await new Promise(resolve =>
+    handler({ pathParameters: { url: encode("http://169.254.169.254/latest/meta-data") }, queryStringParameters: {} }, null, (_e, r) => resolve(r))
+  );
+  assert.equal(response.statusCode, 403);
+  assert.equal(response.body, "forbidden");
+  assert.equal(response.headers["Cache-Control"], "max-age=300");
+});
@@ -0,0 +1,139 @@
+"use strict";
+
+// Same address policy as photomnemonic/url-policy.js. Addresses are also
+// checked again when the socket connects, so a host cannot pass validation
+// and then resolve to an internal address for the actual request.
+const dns = require("node:dns");
+const net = require("node:net");
+
+const MAX_URL_LENGTH = 2048;
+const NETWORK_PROTOCOLS = new Set(["http:", "https:"]);
+// Keep families separate: Node maps IPv4 checks into ::ffff/96 when a mixed
+// BlockList is used, which would make an IPv6 mapped-address rule block all IPv4.
+const blockedIPv4 = new net.BlockList();
+const blockedIPv6 = new net.BlockList();
+
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+]) {
+  blockedIPv4.addSubnet(network, prefix, "ipv4");
+}
+
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["::ffff:0:0", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+]) {
+  blockedIPv6.addSubnet(network, prefix, "ipv6");
+}
+
+function notAllowed(message) {
+  const error = new Error(message);
+  error.code = "URL_NOT_ALLOWED";
+  return error;
+}
+
+function normalizeHostname(hostname) {
+  return hostname.startsWith("[") && hostname.endsWith("]") ? hostname.slice(1, -1) : hostname;
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return family === 6 ? blockedIPv6.check(address, "ipv6") : blockedIPv4.check(address, "ipv4");
+}
+
+async function resolvePublicAddresses(hostname, lookup = dns.promises.lookup) {
+  const normalized = normalizeHostname(hostname);
+  const literalFamily = net.isIP(normalized);
+  let addresses;
+
+  if (literalFamily) {
+    addresses = [{ address: normalized, family: literalFamily }];
+  } else {
+    const result = await lookup(normalized, { all: true, verbatim: true });
+    addresses = Array.isArray(result) ? result : [result];
+  }
+
+  if (!addresses.length || addresses.some(entry => !entry?.address || isBlockedAddress(entry.address))) {
+    throw notAllowed("host resolves to a blocked address");
+  }
+  return addresses;
+}
+
+async function validatePublicHttpUrl(rawUrl, options = {}) {
+  if (typeof rawUrl !== "string" || rawUrl.length === 0 || rawUrl.length > MAX_URL_LENGTH) {
+    throw notAllowed("invalid url length");
+  }
+
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (_error) {
+    throw notAllowed("invalid url");
+  }
+
+  if (
+    !NETWORK_PROTOCOLS.has(url.protocol) ||
+    !url.hostname ||
+    url.username ||
+    url.password ||
+    (url.port && url.port !== "80" && url.port !== "443")
+  ) {
+    throw notAllowed("unsupported url");
+  }
+  await resolvePublicAddresses(url.hostname, options.lookup || dns.promises.lookup);
+  return url;
+}
+
+// Drop-in for the `lookup` option of http.request() and net.connect(), failing
+// the connection when the host resolves to a blocked address.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    if (!addresses.length || addresses.some(({ address }) => isBlockedAddress(address))) {
+      callback(notAllowed("host resolves to a blocked address"));
+      return;
+    }
+    if (options.all) callback(null, addresses);
+    else callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function safeUrlForLog(rawUrl) {
+  try {
+    const url = new URL(rawUrl);
+    return NETWORK_PROTOCOLS.has(url.protocol) ? `${url.protocol}//${url.host}` : "unsupported-url";
+  } catch (_error) {
+    return "invalid-url";
+  }
+}
+
+module.exports = {
+  isBlockedAddress,
+  publicLookup,
+  resolvePublicAddresses,
+  safeUrlForLog,
+  validatePublicHttpUrl
+};
@@ -12,12 +12,12 @@ defmodule Ret.BotChatPresence do
 
   def start_link(_options), do: GenServer.start_link(__MODULE__, %{}, name: __MODULE__)
 
-  def track(channel_pid, hub_sid, account_id, capability)
+  def track(channel_pid, hub_sid, account_id, capability, session_id \\ nil)
       when is_pid(channel_pid) and is_binary(hub_sid) and not is_nil(account_id) and
-             is_binary(capability) do
+             is_binary(capability) and (is_nil(session_id) or is_binary(session_id)) do
     GenServer.call(
       __MODULE__,
-      {:track, channel_pid, hub_sid, to_string(account_id), capability}
+      {:track, channel_pid, hub_sid, to_string(account_id), capability, session_id}
     )
   end
 
@@ -29,6 +29,27 @@ defmodule Ret.BotChatPresence do
 
   def present?(_hub_sid, _account_id, _capability), do: false
 
+  # Streamed chat replies are pushed to exactly the channel that proved
+  # presence, never broadcast to the hub.
+  def channel_pid(hub_sid, account_id, capability)
+      when is_binary(hub_sid) and not is_nil(account_id) and is_binary(capability) and
+             byte_size(capability) <= 64 do
+    GenServer.call(__MODULE__, {:channel_pid, hub_sid, to_string(account_id), capability})
+  end
+
+  def channel_pid(_hub_sid, _account_id, _capability), do: :error
+
+  # Follow requests name the requester's NAF session so the bot runner can find
+  # their avatar. The session id comes from the entered channel, never from the
+  # client request or the model.
+  def session_id(hub_sid, account_id, capability)
+      when is_binary(hub_sid) and not is_nil(account_id) and is_binary(capability) and
+             byte_size(capability) <= 64 do
+    GenServer.call(__MODULE__, {:session_id, hub_sid, to_string(account_id), capability})
+  end
+
+  def session_id(_hub_sid, _account_id, _capability), do: :error
+
   def untrack(channel_pid) when is_pid(channel_pid) do
     GenServer.call(__MODULE__, {:untrack, channel_pid})
   end
@@ -37,7 +58,11 @@ defmodule Ret.BotChatPresence do
   def init(_initial), do: {:ok, %{by_pid: %{}, by_key: %{}}}
 
   @impl true
-  def handle_call({:track, channel_pid, hub_sid, account_id, capability}, _from, state) do
+  def handle_call(
+        {:track, channel_pid, hub_sid, account_id, capability, session_id},
+        _from,
+        state
+      ) do
     state = remove_entry(state, channel_pid)
     key = {hub_sid, account_id, capability}
 
@@ -53,6 +78,7 @@ defmodule Ret.BotChatPresence do
       hub_sid: hub_sid,
       account_id: account_id,
       capability: capability,
+      session_id: session_id,
       key: key,
       monitor_ref: ref
     }
@@ -67,28 +93,29 @@ defmodule Ret.BotChatPresence do
   end
 
   def handle_call({:present?, hub_sid, account_id, capability}, _from, state) do
-    key = {hub_sid, account_id, capability}
+    {lookup, state} = live_channel(state, {hub_sid, account_id, capability})
+    {:reply, match?({:ok, _channel_pid}, lookup), state}
+  end
 
-    {present, state} =
-      case Map.get(state.by_key, key) do
-        channel_pid when is_pid(channel_pid) ->
-          case Map.get(state.by_pid, channel_pid) do
-            %{key: ^key} ->
-              if Process.alive?(channel_pid) do
-                {true, state}
-              else
-                {false, remove_entry(state, channel_pid)}
-              end
-
-            _entry ->
-              {false, %{state | by_key: Map.delete(state.by_key, key)}}
-          end
+  def handle_call({:channel_pid, hub_sid, account_id, capability}, _from, state) do
+    {lookup, state} = live_channel(state, {hub_sid, account_id, capability})
+    {:reply, lookup, state}
+  end
 
-        _missing ->
-          {false, state}
-      end
+  def handle_call({:session_id, hub_sid, account_id, capability}, _from, state) do
+    case live_channel(state, {hub_sid, account_id, capability}) do
+      {{:ok, channel_pid}, state} ->
+        case Map.get(state.by_pid, channel_pid) do
+          %{session_id: session_id} when is_binary(session_id) ->
+            {:reply, {:ok, session_id}, state}
 
-    {:reply, present, state}
+          _entry ->
+            {:reply, :error, state}
+        end
+
+      {lookup, state} ->
+        {:reply, lookup, state}
+    end
   end
 
   def handle_call({:untrack, channel_pid}, _from, state) do
@@ -106,6 +133,26 @@ defmodule Ret.BotChatPresence do
     {:noreply, state}
   end
 
+  defp live_channel(state, key) do
+    case Map.get(state.by_key, key) do
+      channel_pid when is_pid(channel_pid) ->
+        case Map.get(state.by_pid, channel_pid) do
+          %{key: ^key} ->
+            if Process.alive?(channel_pid) do
+              {{:ok, channel_pid}, state}
+            else
+              {:error, remove_entry(state, channel_pid)}
+            end
+
+          _entry ->
+            {:error, %{state | by_key: Map.delete(state.by_key, key)}}
+        end
+
+      _missing ->
+        {:error, state}
+    end
+  end
+
   defp remove_entry(state, channel_pid) do
     case Map.pop(state.by_pid, channel_pid) do
       {nil, _by_pid} ->
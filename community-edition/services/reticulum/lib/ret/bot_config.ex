@@ -8,6 +8,35 @@ defmodule Ret.BotConfig do
   @max_prompt_codepoints 1_500
   @max_prompt_bytes 6_000
   @max_prompt_input_bytes 16_384
+  # Mirrors CHAT_PROVIDER_IDS in bot-orchestrator/chat-providers.js.
+  @chat_provider_ids ["openai_responses", "openai_compatible", "scripted"]
+  # Schema 2 per-bot profiles. Mirrors the MAX_BOT_* bounds in
+  # bot-orchestrator/app.js, which keep the worst case within 16 KiB.
+  @schema_version 2
+  @max_name_codepoints 32
+  @max_name_bytes 96
+  @max_name_input_bytes 256
+  @max_persona_codepoints 120
+  @max_persona_bytes 360
+  @max_persona_input_bytes 4_096
+  @language_tag ~r/\A[A-Za-z]{2,3}(?:-[A-Za-z0-9]{2,8}){0,2}\z/
+  @avatar_id ~r/\A[A-Za-z0-9_-]{1,64}\z/
+  @mobilities ["static", "low", "medium", "high"]
+  # Schema 2 routines. Mirrors bot-orchestrator/bot-routines.js and the
+  # MAX_ROUTINE_ANNOUNCEMENT_* bounds in bot-orchestrator/app.js.
+  @max_routines 4
+  @max_routine_stops 8
+  @max_dwell_seconds 900
+  @max_announcement_codepoints 160
+  @max_announcement_bytes 480
+  @max_announcement_input_bytes 4_096
+  @max_schedule_length 64
+  @min_utc_offset_minutes -720
+  @max_utc_offset_minutes 840
+  @routine_bot_id ~r/\Abot-(?:[1-9]|10)\z/
+  @routine_waypoint ~r/\Aspawbot-[a-z0-9_-]{1,56}\z/i
+  @cron_field_part ~r/\A(?:\*|(\d{1,2})(?:-(\d{1,2}))?)(?:\/(\d{1,2}))?\z/
+  @cron_field_bounds [{0, 59}, {0, 23}, {1, 31}, {1, 12}, {0, 7}]
 
   # Explicitly shared with bot-orchestrator/app.js. In particular, include
   # both U+0085 (trimmed by Elixir but not ECMAScript) and U+FEFF (trimmed by
@@ -41,6 +70,17 @@ defmodule Ret.BotConfig do
     "\uFEFF"
   ]
 
+  # The bounds room settings validate against before saving. normalize/1
+  # still clamps whatever is stored.
+  def limits do
+    %{
+      max_count: @max_count,
+      max_prompt_codepoints: @max_prompt_codepoints,
+      max_prompt_bytes: @max_prompt_bytes,
+      mobilities: @mobilities
+    }
+  end
+
   def normalize(user_data) do
     bots = map_get(user_data || %{}, "bots") || %{}
 
@@ -51,6 +91,10 @@ defmodule Ret.BotConfig do
       "chat_enabled" => normalize_bool(map_get(bots, "chat_enabled")),
       "prompt" => normalize_prompt(map_get(bots, "prompt"))
     }
+    |> put_optional("chat_provider", normalize_chat_provider(map_get(bots, "chat_provider")))
+    |> put_optional("language", normalize_language(map_get(bots, "language")))
+    |> put_profiles(map_get(bots, "schema_version"), map_get(bots, "profiles"))
+    |> put_routines(map_get(bots, "schema_version"), map_get(bots, "routines"))
   end
 
   def active?(user_data) do
@@ -111,6 +155,217 @@ defmodule Ret.BotConfig do
 
   def normalize_prompt(_), do: ""
 
+  defp put_profiles(map, @schema_version, profiles) do
+    map
+    |> Map.put("schema_version", @schema_version)
+    |> Map.put("profiles", normalize_profiles(profiles))
+  end
+
+  defp put_profiles(map, _version, _profiles), do: map
+
+  # Empty profiles stay in place so entry i keeps applying to bot-(i + 1).
+  defp normalize_profiles(profiles) when is_list(profiles) do
+    profiles
+    |> Enum.take(@max_count)
+    |> Enum.map(&normalize_profile/1)
+  end
+
+  defp normalize_profiles(_), do: []
+
+  defp normalize_profile(profile) when is_map(profile) do
+    %{}
+    |> put_optional(
+      "name",
+      normalize_profile_text(
+        map_get(profile, "name"),
+        @max_name_input_bytes,
+        @max_name_codepoints,
+        @max_name_bytes
+      )
+    )
+    |> put_optional(
+      "persona",
+      normalize_profile_text(
+        map_get(profile, "persona"),
+        @max_persona_input_bytes,
+        @max_persona_codepoints,
+        @max_persona_bytes
+      )
+    )
+    |> put_optional("language", normalize_language(map_get(profile, "language")))
+    |> put_optional("mobility", normalize_profile_mobility(map_get(profile, "mobility")))
+    |> put_optional("avatar_id", normalize_avatar_id(map_get(profile, "avatar_id")))
+  end
+
+  defp normalize_profile(_), do: %{}
+
+  defp normalize_profile_text(value, max_input_bytes, _max_codepoints, _max_bytes)
+       when is_binary(value) and byte_size(value) > max_input_bytes,
+       do: nil
+
+  defp normalize_profile_text(value, _max_input_bytes, max_codepoints, max_bytes)
+       when is_binary(value) do
+    value
+    |> String.codepoints()
+    |> Enum.reject(&control_codepoint?/1)
+    |> trim_boundary_whitespace()
+    |> Enum.take(max_codepoints)
+    |> take_codepoints_within_bytes(max_bytes)
+    |> blank_to_nil()
+  end
+
+  defp normalize_profile_text(_value, _max_input_bytes, _max_codepoints, _max_bytes), do: nil
+
+  # Routines are omitted when none survive so schema 2 configs approved before
+  # routines existed keep their normalized map.
+  defp put_routines(map, @schema_version, routines) do
+    case normalize_routines(routines) do
+      [] -> map
+      normalized -> Map.put(map, "routines", normalized)
+    end
+  end
+
+  defp put_routines(map, _version, _routines), do: map
+
+  defp normalize_routines(routines) when is_list(routines) do
+    routines
+    |> Enum.take(@max_routines)
+    |> Enum.map(&normalize_routine/1)
+    |> Enum.reject(&is_nil/1)
+  end
+
+  defp normalize_routines(_), do: []
+
+  defp normalize_routine(routine) when is_map(routine) do
+    bot_id = map_get(routine, "bot_id")
+    schedule = map_get(routine, "schedule")
+
+    stops =
+      case map_get(routine, "stops") do
+        stops when is_list(stops) ->
+          stops
+          |> Enum.take(@max_routine_stops)
+          |> Enum.map(&normalize_routine_stop/1)
+          |> Enum.reject(&is_nil/1)
+
+        _ ->
+          []
+      end
+
+    if is_binary(bot_id) and Regex.match?(@routine_bot_id, bot_id) and valid_schedule?(schedule) and
+         stops != [] do
+      %{"bot_id" => bot_id, "schedule" => schedule, "stops" => stops}
+      |> put_optional(
+        "utc_offset_minutes",
+        normalize_utc_offset(integral_value(map_get(routine, "utc_offset_minutes")))
+      )
+    end
+  end
+
+  defp normalize_routine(_), do: nil
+
+  defp normalize_routine_stop(stop) when is_map(stop) do
+    waypoint = map_get(stop, "waypoint")
+
+    if is_binary(waypoint) and Regex.match?(@routine_waypoint, waypoint) do
+      %{"waypoint" => String.downcase(waypoint)}
+      |> put_optional(
+        "dwell_seconds",
+        normalize_dwell_seconds(integral_value(map_get(stop, "dwell_seconds")))
+      )
+      |> put_optional(
+        "announcement",
+        normalize_profile_text(
+          map_get(stop, "announcement"),
+          @max_announcement_input_bytes,
+          @max_announcement_codepoints,
+          @max_announcement_bytes
+        )
+      )
+    end
+  end
+
+  defp normalize_routine_stop(_), do: nil
+
+  # JSON numbers such as 30.0 are integers to the orchestrator.
+  defp integral_value(value) when is_integer(value), do: value
+
+  defp integral_value(value) when is_float(value) do
+    if Float.floor(value) == value, do: trunc(value), else: nil
+  end
+
+  defp integral_value(_), do: nil
+
+  defp normalize_dwell_seconds(seconds) when is_integer(seconds) and seconds > 0,
+    do: min(seconds, @max_dwell_seconds)
+
+  defp normalize_dwell_seconds(_), do: nil
+
+  defp normalize_utc_offset(minutes)
+       when is_integer(minutes) and minutes != 0 and minutes >= @min_utc_offset_minutes and
+              minutes <= @max_utc_offset_minutes,
+       do: minutes
+
+  defp normalize_utc_offset(_), do: nil
+
+  # Five single-space separated cron fields, as parsed by parseCronSchedule.
+  defp valid_schedule?(schedule)
+       when is_binary(schedule) and byte_size(schedule) <= @max_schedule_length do
+    fields = String.split(schedule, " ")
+
+    length(fields) == length(@cron_field_bounds) and
+      fields
+      |> Enum.zip(@cron_field_bounds)
+      |> Enum.all?(fn {field, bounds} ->
+        field |> String.split(",") |> Enum.all?(&valid_cron_part?(&1, bounds))
+      end)
+  end
+
+  defp valid_schedule?(_), do: false
+
+  defp valid_cron_part?(part, {min, max}) do
+    case Regex.run(@cron_field_part, part) do
+      nil ->
+        false
+
+      [_match | groups] ->
+        [start_text, end_text, step_text] = groups ++ List.duplicate("", 3 - length(groups))
+        start = if start_text == "", do: min, else: String.to_integer(start_text)
+
+        finish =
+          cond do
+            start_text == "" -> max
+            end_text != "" -> String.to_integer(end_text)
+            step_text == "" -> start
+            true -> max
+          end
+
+        step = if step_text == "", do: 1, else: String.to_integer(step_text)
+        start >= min and finish <= max and start <= finish and step >= 1
+    end
+  end
+
+  defp control_codepoint?(<<codepoint::utf8>>), do: codepoint < 0x20 or codepoint == 0x7F
+  defp control_codepoint?(_), do: false
+
+  defp blank_to_nil(""), do: nil
+  defp blank_to_nil(value), do: value
+
+  defp normalize_language(value) when is_binary(value) do
+    if Regex.match?(@language_tag, value), do: String.downcase(value), else: nil
+  end
+
+  defp normalize_language(_), do: nil
+
+  defp normalize_profile_mobility(value) when value in @mobilities, do: value
+  defp normalize_profile_mobility(_), do: nil
+
+  defp normalize_avatar_id(value) when is_binary(value) do
+    if Regex.match?(@avatar_id, value), do: value, else: nil
+  end
+
+  defp normalize_avatar_id(_), do: nil
+
   defp trim_boundary_whitespace(codepoints) do
     codepoints
     |> Enum.drop_while(&(&1 in @boundary_whitespace))
@@ -157,6 +412,14 @@ defmodule Ret.BotConfig do
   defp normalize_bool(1), do: true
   defp normalize_bool(_), do: false
 
+  defp normalize_chat_provider(value) when value in @chat_provider_ids, do: value
+  defp normalize_chat_provider(_), do: nil
+
+  # Optional fields are omitted when unset so configs approved before the field
+  # existed keep the same normalized map and approval fingerprint.
+  defp put_optional(map, _key, nil), do: map
+  defp put_optional(map, key, value), do: Map.put(map, key, value)
+
   defp normalize_mobility("low"), do: "low"
   defp normalize_mobility("high"), do: "high"
   defp normalize_mobility("static"), do: "static"
@@ -432,6 +432,33 @@ defmodule Ret.BotConfigApproval do
     }
   end
 
+  # What a room owner may see about their own room: the review state and
+  # whether the saved config is the approved one, without fingerprints or the
+  # administrators' account ids.
+  def owner_status(%Hub{} = hub) do
+    case Repo.get(BotConfigApproval, hub.hub_id) do
+      %BotConfigApproval{} = approval ->
+        %{
+          state: approval.state,
+          runtime_approved: runtime_approved?(hub, approval) and hub.entry_mode != :deny,
+          pending_review: !exact_json_equal?(approval.approved_bots, raw_bots(hub.user_data)),
+          approved_at: approval.approved_at,
+          last_quarantined_at: approval.last_quarantined_at,
+          last_quarantine_reason: approval.last_quarantine_reason
+        }
+
+      nil ->
+        %{
+          state: capability_contract().legacy_default,
+          runtime_approved: false,
+          pending_review: is_map(raw_bots(hub.user_data)),
+          approved_at: nil,
+          last_quarantined_at: nil,
+          last_quarantine_reason: nil
+        }
+    end
+  end
+
   def inventory_entry(%BotConfigApproval{} = approval, %Hub{} = hub) do
     inventory_entry(approval, hub, persisted_jsonb_bytes(approval.candidate_bots))
   end
@@ -447,6 +474,7 @@ defmodule Ret.BotConfigApproval do
       approved_config_fingerprint: fingerprint_or_nil(approval.approved_bots),
       current_config_fingerprint: fingerprint_or_nil(current_bots),
       candidate_summary: redacted_summary(approval.candidate_bots),
+      approved_summary: redacted_summary(approval.approved_bots),
       current_summary: redacted_summary(current_bots),
       runtime_approved: runtime_approved?(hub, approval) and hub.entry_mode != :deny,
       created_by_account_id: hub.created_by_account_id,
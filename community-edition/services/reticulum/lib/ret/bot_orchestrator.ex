@@ -7,6 +7,11 @@ defmodule Ret.BotOrchestrator do
 
   @protocol "yenhubs-bot-runtime-v2"
   @request_timeout_ms 5_000
+  # Covers the orchestrator's own streamed-reply budget (BOT_CHAT_STREAM_TOTAL_MS,
+  # capped at 60s) plus connection setup.
+  @stream_timeout_ms 65_000
+  @max_stream_bytes 65_536
+  @max_stream_partial_bytes 2_048
   @max_safe_integer 9_007_199_254_740_991
   @canonical_uuid_v4 ~r/\A[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}\z/
 
@@ -15,6 +20,45 @@ defmodule Ret.BotOrchestrator do
   # public best-effort room_config/room_stop shortcuts.
   def chat(%{} = payload), do: post_chat_json("/internal/bots/chat", payload)
 
+  # Last scene diagnostics report of the room's current runner process.
+  def scene_diagnostics(hub_sid) when is_binary(hub_sid),
+    do: post_chat_json("/internal/bots/scene-diagnostics", %{hub_sid: hub_sid})
+
+  # Per-room runner rows (pod, generations, restart backoff, readiness reason)
+  # for the admin console. Unlike /health it names rooms by hub_sid.
+  def fleet, do: post_chat_json("/internal/bots/fleet", %{})
+
+  # Streamed chat hands `typing` and `partial` events to `on_event` as they
+  # arrive and returns the single `final` event so the caller can apply the
+  # same approval and authority fence as chat/1 before any action runs.
+  def chat_stream(%{} = payload, on_event) when is_function(on_event, 1) do
+    path = "/internal/bots/chat-stream"
+
+    with {:ok, access_key} <- validated_access_key(),
+         {:ok, id} <- request_stream(path, payload, access_key) do
+      deadline = System.monotonic_time(:millisecond) + @stream_timeout_ms
+      receive_stream(id, path, on_event, %{buffer: "", bytes: 0, deadline: deadline})
+    end
+  end
+
+  @doc false
+  def decode_stream_event(line) when is_binary(line) do
+    case Poison.decode(line) do
+      {:ok, %{"type" => "typing"}} ->
+        {:ok, %{"type" => "typing"}}
+
+      {:ok, %{"type" => "partial", "text" => text}}
+      when is_binary(text) and byte_size(text) <= @max_stream_partial_bytes ->
+        {:ok, %{"type" => "partial", "text" => text}}
+
+      {:ok, %{"type" => "final"} = event} ->
+        {:ok, event}
+
+      _ ->
+        :error
+    end
+  end
+
   def deliver_runtime_event(%{
         event_kind: "config",
         operation_id: operation_id,
@@ -205,6 +249,105 @@ defmodule Ret.BotOrchestrator do
     end
   end
 
+  defp request_stream(path, payload, access_key) do
+    url = "#{endpoint()}#{path}"
+
+    headers = [
+      {"Content-Type", "application/json"},
+      {"Accept", "application/x-ndjson"},
+      {"x-ret-bot-orchestrator-access-key", access_key}
+    ]
+
+    case http_client().request(:post, url, Poison.encode!(payload), headers,
+           stream_to: self(),
+           timeout: @request_timeout_ms,
+           recv_timeout: @stream_timeout_ms
+         ) do
+      {:ok, %HTTPoison.AsyncResponse{id: id}} ->
+        {:ok, id}
+
+      {:error, %HTTPoison.Error{reason: reason}} ->
+        Logger.warning("Bot orchestrator request failed path=#{path} reason=#{inspect(reason)}")
+        {:error, request_error_code(reason)}
+
+      _other ->
+        Logger.warning("Bot orchestrator request returned an invalid client result path=#{path}")
+        {:error, :invalid_http_client_result}
+    end
+  end
+
+  defp receive_stream(id, path, on_event, state) do
+    remaining_ms = max(state.deadline - System.monotonic_time(:millisecond), 0)
+
+    receive do
+      %HTTPoison.AsyncStatus{id: ^id, code: status_code}
+      when status_code >= 200 and status_code < 300 ->
+        receive_stream(id, path, on_event, state)
+
+      %HTTPoison.AsyncStatus{id: ^id, code: status_code} ->
+        Logger.warning(
+          "Bot orchestrator request failed with status=#{status_code} path=#{path}"
+        )
+
+        {:error, {:http_error, status_code}}
+
+      %HTTPoison.AsyncHeaders{id: ^id} ->
+        receive_stream(id, path, on_event, state)
+
+      %HTTPoison.AsyncChunk{id: ^id, chunk: chunk} ->
+        bytes = state.bytes + byte_size(chunk)
+
+        if bytes > @max_stream_bytes do
+          {:error, :stream_too_large}
+        else
+          case consume_stream_lines(state.buffer <> chunk, on_event) do
+            {:final, event} ->
+              {:ok, event}
+
+            {:more, buffer} ->
+              receive_stream(id, path, on_event, %{state | buffer: buffer, bytes: bytes})
+
+            :error ->
+              {:error, :invalid_stream_event}
+          end
+        end
+
+      %HTTPoison.AsyncEnd{id: ^id} ->
+        {:error, :incomplete_stream}
+
+      %HTTPoison.Error{id: ^id, reason: reason} ->
+        Logger.warning("Bot orchestrator stream failed path=#{path} reason=#{inspect(reason)}")
+        {:error, request_error_code(reason)}
+    after
+      remaining_ms ->
+        {:error, :orchestrator_timeout}
+    end
+  end
+
+  defp consume_stream_lines(buffer, on_event) do
+    case String.split(buffer, "\n", parts: 2) do
+      [line, rest] ->
+        if String.trim(line) == "" do
+          consume_stream_lines(rest, on_event)
+        else
+          case decode_stream_event(line) do
+            {:ok, %{"type" => "final"} = event} ->
+              {:final, event}
+
+            {:ok, event} ->
+              on_event.(event)
+              consume_stream_lines(rest, on_event)
+
+            :error ->
+              :error
+          end
+        end
+
+      [incomplete] ->
+        {:more, incomplete}
+    end
+  end
+
   defp validated_access_key do
     case access_key() do
       key when is_binary(key) and byte_size(key) >= 32 ->
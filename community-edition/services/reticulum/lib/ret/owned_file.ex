@@ -28,6 +28,8 @@ defmodule Ret.OwnedFile do
     {"avatars", "normal_map_owned_file_id"},
     {"avatars", "orm_map_owned_file_id"},
     {"avatars", "thumbnail_owned_file_id"},
+    {"project_revisions", "project_owned_file_id"},
+    {"project_revisions", "thumbnail_owned_file_id"},
     {"projects", "project_owned_file_id"},
     {"projects", "thumbnail_owned_file_id"},
     {"scene_listings", "model_owned_file_id"},
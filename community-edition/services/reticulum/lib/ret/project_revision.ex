@@ -0,0 +1,86 @@
+defmodule Ret.ProjectRevision do
+  @moduledoc """
+  A snapshot of a project's file and thumbnail, recorded every time the project is saved so
+  that earlier versions can be browsed and restored.
+  """
+
+  use Ecto.Schema
+  import Ecto.Changeset
+  import Ecto.Query
+
+  alias Ret.{Repo, Project, ProjectRevision, OwnedFile}
+
+  @type t :: %__MODULE__{}
+
+  # Older revisions are dropped so a project doesn't keep every file it has ever been saved with.
+  @max_revisions_per_project 50
+
+  @schema_prefix "ret0"
+  @primary_key {:project_revision_id, :id, autogenerate: true}
+  schema "project_revisions" do
+    field :name, :string
+    field :author_name, :string
+
+    belongs_to :project, Project, references: :project_id
+    belongs_to :created_by_account, Ret.Account, references: :account_id
+    belongs_to :project_owned_file, OwnedFile, references: :owned_file_id
+    belongs_to :thumbnail_owned_file, OwnedFile, references: :owned_file_id
+
+    timestamps()
+  end
+
+  def max_revisions_per_project, do: @max_revisions_per_project
+
+  def revisions_for_project(%Project{project_id: project_id}) do
+    Repo.all(
+      from r in ProjectRevision,
+        where: r.project_id == ^project_id,
+        preload: [:project_owned_file, :thumbnail_owned_file],
+        order_by: [desc: r.inserted_at, desc: r.project_revision_id]
+    )
+  end
+
+  # Records the files a project was just saved with. Returns the files of the revisions that
+  # were pruned, which the caller should mark inactive once the transaction has been committed.
+  def record_revision(%Project{} = project, account, params \\ %{}) do
+    with {:ok, _revision} <- project |> changeset(account, params) |> Repo.insert() do
+      {:ok, prune_revisions(project)}
+    end
+  end
+
+  def owned_files_for_project(%Project{project_id: project_id}) do
+    Repo.all(
+      from r in ProjectRevision,
+        where: r.project_id == ^project_id,
+        preload: [:project_owned_file, :thumbnail_owned_file]
+    )
+    |> Enum.flat_map(&[&1.project_owned_file, &1.thumbnail_owned_file])
+  end
+
+  defp prune_revisions(%Project{project_id: project_id}) do
+    pruned_revisions =
+      Repo.all(
+        from r in ProjectRevision,
+          where: r.project_id == ^project_id,
+          preload: [:project_owned_file, :thumbnail_owned_file],
+          order_by: [desc: r.inserted_at, desc: r.project_revision_id],
+          offset: @max_revisions_per_project
+      )
+
+    pruned_ids = pruned_revisions |> Enum.map(& &1.project_revision_id)
+    Repo.delete_all(from r in ProjectRevision, where: r.project_revision_id in ^pruned_ids)
+
+    pruned_revisions |> Enum.flat_map(&[&1.project_owned_file, &1.thumbnail_owned_file])
+  end
+
+  def changeset(%Project{} = project, account, params) do
+    %ProjectRevision{}
+    |> cast(params, [:author_name])
+    |> validate_length(:author_name, max: 64)
+    |> put_change(:name, project.name)
+    |> put_change(:project_id, project.project_id)
+    |> put_change(:project_owned_file_id, project.project_owned_file_id)
+    |> put_change(:thumbnail_owned_file_id, project.thumbnail_owned_file_id)
+    |> put_assoc(:created_by_account, account)
+  end
+end
@@ -1530,6 +1530,17 @@ defmodule RetWeb.HubChannel do
     {:noreply, socket}
   end
 
+  # Sent by RetWeb.Api.V1.BotController only to the channel that requested the
+  # streamed reply.
+  def handle_info({:bot_chat_stream, stream_id, bot_id, %{} = event}, socket) do
+    push(
+      socket,
+      "bot_chat_stream",
+      Map.merge(event, %{"stream_id" => stream_id, "bot_id" => bot_id})
+    )
+    {:noreply, socket}
+  end
+
   def handle_info(:close_channel, socket) do
     GenServer.cast(self(), :close)
     {:noreply, socket}
@@ -2139,7 +2150,8 @@ defmodule RetWeb.HubChannel do
             self(),
             socket.assigns.hub_sid,
             account_id,
-            socket.assigns.bot_chat_capability
+            socket.assigns.bot_chat_capability,
+            socket.assigns.session_id
           )
 
       _account ->
@@ -2155,7 +2167,14 @@ defmodule RetWeb.HubChannel do
     socket = assign(socket, :bot_chat_capability, capability)
 
     if socket.assigns[:presence] == :room do
-      :ok = BotChatPresence.track(self(), socket.assigns.hub_sid, account_id, capability)
+      :ok =
+        BotChatPresence.track(
+          self(),
+          socket.assigns.hub_sid,
+          account_id,
+          capability,
+          socket.assigns.session_id
+        )
     end
 
     socket
@@ -0,0 +1,124 @@
+defmodule RetWeb.SpokeChannel do
+  @moduledoc """
+  Ret Web Channel for editing a Spoke project with other sessions. Like saving the project,
+  joining is limited to the account that owns it, so the sessions are that account's editors.
+  """
+
+  use RetWeb, :channel
+
+  alias Ret.{Account, Project, Statix}
+  alias RetWeb.{Presence}
+
+  intercept ["sync_response"]
+
+  # Operations are relayed as-is, so cap their size to keep a single client from flooding
+  # the others. Larger messages get a "too_many_operations" error reply; clients split them.
+  @max_operations_per_message 500
+  @max_sync_operations 50_000
+
+  def join("spoke:" <> project_sid, %{"auth_token" => auth_token} = params, socket) do
+    with {:ok, %Account{} = account, _claims} <- Ret.Guardian.resource_from_token(auth_token),
+         %Project{} <- Project.project_by_sid_for_account(project_sid, account) do
+      send(self(), {:begin_tracking, socket.assigns.session_id, profile_from_params(params)})
+
+      Statix.increment("ret.channels.spoke.joins.ok")
+
+      socket = socket |> assign(:account_id, account.account_id)
+      {:ok, %{session_id: socket.assigns.session_id}, socket}
+    else
+      _ ->
+        Statix.increment("ret.channels.spoke.joins.unauthorized")
+        {:error, %{message: "Not allowed to edit this project", reason: "unauthorized"}}
+    end
+  end
+
+  def join("spoke:" <> _project_sid, _params, _socket) do
+    {:error, %{message: "Not allowed to edit this project", reason: "unauthorized"}}
+  end
+
+  def handle_in("ops" = event, %{"operations" => operations} = payload, socket)
+      when is_list(operations) and length(operations) <= @max_operations_per_message do
+    broadcast_from!(socket, event, payload |> with_session_id(socket))
+    {:noreply, socket}
+  end
+
+  def handle_in("presence" = event, %{} = payload, socket) do
+    broadcast_from!(
+      socket,
+      event,
+      payload |> Map.take(["selection", "cursor"]) |> with_session_id(socket)
+    )
+
+    {:noreply, socket}
+  end
+
+  def handle_in("sync_request" = event, _payload, socket) do
+    broadcast_from!(socket, event, %{} |> with_session_id(socket))
+    {:noreply, socket}
+  end
+
+  def handle_in(
+        "sync_response" = event,
+        %{"target_session_id" => target_session_id, "operations" => operations} = payload,
+        socket
+      )
+      when is_binary(target_session_id) and is_list(operations) and
+             length(operations) <= @max_sync_operations do
+    broadcast_from!(socket, event, payload |> with_session_id(socket))
+    {:noreply, socket}
+  end
+
+  # Only batches over the limits above get this far.
+  def handle_in("ops", %{"operations" => operations}, socket) when is_list(operations) do
+    {:reply, {:error, %{reason: "too_many_operations"}}, socket}
+  end
+
+  def handle_in(
+        "sync_response",
+        %{"target_session_id" => target_session_id, "operations" => operations},
+        socket
+      )
+      when is_binary(target_session_id) and is_list(operations) do
+    {:reply, {:error, %{reason: "too_many_operations"}}, socket}
+  end
+
+  def handle_in(_event, _payload, socket) do
+    {:noreply, socket}
+  end
+
+  def handle_out(
+        "sync_response" = event,
+        %{"target_session_id" => target_session_id} = payload,
+        socket
+      ) do
+    if target_session_id == socket.assigns.session_id do
+      push(socket, event, payload)
+    end
+
+    {:noreply, socket}
+  end
+
+  def handle_info({:begin_tracking, session_id, profile}, socket) do
+    push(socket, "presence_state", Presence.list(socket))
+
+    {:ok, _} =
+      Presence.track(socket, session_id, %{
+        display_name: profile |> Map.get("displayName") |> display_name_for_profile(),
+        joined_at: System.system_time(:millisecond)
+      })
+
+    {:noreply, socket}
+  end
+
+  defp profile_from_params(%{"profile" => %{} = profile}), do: profile
+  defp profile_from_params(_params), do: %{}
+
+  defp display_name_for_profile(display_name) when is_binary(display_name),
+    do: display_name |> String.slice(0, 64)
+
+  defp display_name_for_profile(_display_name), do: nil
+
+  defp with_session_id(payload, socket) do
+    payload |> Map.put("session_id", socket.assigns.session_id)
+  end
+end
@@ -105,13 +105,19 @@ defmodule RetWeb.ApiInternal.V1.BotsController do
       %{
         hub_sid: hub_sid,
         runtime_revision: runtime_revision,
-        bots: %{
-          enabled: enabled,
-          count: count,
-          mobility: bots["mobility"],
-          chat_enabled: bots["chat_enabled"],
-          prompt: bots["prompt"]
-        },
+        bots:
+          %{
+            enabled: enabled,
+            count: count,
+            mobility: bots["mobility"],
+            chat_enabled: bots["chat_enabled"],
+            prompt: bots["prompt"]
+          }
+          |> maybe_put(:chat_provider, bots["chat_provider"])
+          |> maybe_put(:language, bots["language"])
+          |> maybe_put(:schema_version, bots["schema_version"])
+          |> maybe_put(:profiles, bots["profiles"])
+          |> maybe_put(:routines, bots["routines"]),
         last_active_at: serialize_datetime(last_active_at)
       }
     else
@@ -119,6 +125,9 @@ defmodule RetWeb.ApiInternal.V1.BotsController do
     end
   end
 
+  defp maybe_put(map, _key, nil), do: map
+  defp maybe_put(map, key, value), do: Map.put(map, key, value)
+
   defp serialize_datetime(nil), do: nil
   defp serialize_datetime(%NaiveDateTime{} = value), do: NaiveDateTime.to_iso8601(value)
   defp serialize_datetime(%DateTime{} = value), do: DateTime.to_iso8601(value)
@@ -6,6 +6,7 @@ defmodule RetWeb.Api.V1.BotController do
   alias Ret.{
     AppConfig,
     BotChatPresence,
+    BotConfig,
     BotConfigApproval,
     BotOrchestrator,
     BotRunnerLease,
@@ -16,9 +17,89 @@ defmodule RetWeb.Api.V1.BotController do
   @max_message_length 800
   @max_waypoints 64
   @max_waypoint_length 64
+  @bot_id ~r/\Abot-(?:[1-9]|10)\z/
 
   def chat(conn, %{"hub_sid" => hub_sid, "bot_id" => bot_id, "message" => message} = params)
       when is_binary(message) do
+    with_entered_hub(conn, hub_sid, params, fn account, hub ->
+      chat_with_hub(conn, account, hub, bot_id, message, params)
+    end)
+  end
+
+  def chat(conn, _params), do: conn |> send_resp(400, "message is required")
+
+  # Accepts the turn with 202 and pushes `bot_chat_stream` events (typing,
+  # partial, final) to the exact channel that proved presence. Partials are
+  # display-only; the final event is fenced like chat/2 before any action runs.
+  def chat_stream(
+        conn,
+        %{"hub_sid" => hub_sid, "bot_id" => bot_id, "message" => message} = params
+      )
+      when is_binary(message) do
+    with_entered_hub(conn, hub_sid, params, fn account, hub ->
+      stream_with_hub(conn, account, hub, bot_id, message, params)
+    end)
+  end
+
+  def chat_stream(conn, _params), do: conn |> send_resp(400, "message is required")
+
+  # Room owners see why their bots are not spawning: the current runner's
+  # navmesh, waypoint, collider and scene policy findings. No presence needed.
+  def scene_diagnostics(conn, %{"hub_sid" => hub_sid}) do
+    account = Guardian.Plug.current_resource(conn)
+
+    case Hub
+         |> Repo.get_by(hub_sid: hub_sid)
+         |> Repo.preload([:created_by_account, :hub_bindings, :hub_role_memberships]) do
+      %Hub{} = hub ->
+        if account |> can?(update_hub(hub)) do
+          send_scene_diagnostics(conn, BotOrchestrator.scene_diagnostics(hub.hub_sid))
+        else
+          conn |> send_resp(401, "unauthorized")
+        end
+
+      _ ->
+        conn |> send_resp(404, "not found")
+    end
+  end
+
+  # The room settings bots section: review state of the saved config and the
+  # limits its form validates against. Runner readiness comes from
+  # scene_diagnostics/2 so an orchestrator outage cannot hide the review state.
+  def approval(conn, %{"hub_sid" => hub_sid}) do
+    account = Guardian.Plug.current_resource(conn)
+
+    case Hub
+         |> Repo.get_by(hub_sid: hub_sid)
+         |> Repo.preload([:created_by_account, :hub_bindings, :hub_role_memberships]) do
+      %Hub{} = hub ->
+        if account |> can?(update_hub(hub)) do
+          conn
+          |> put_resp_header("cache-control", "no-store")
+          |> json(%{approval: BotConfigApproval.owner_status(hub), limits: BotConfig.limits()})
+        else
+          conn |> send_resp(401, "unauthorized")
+        end
+
+      _ ->
+        conn |> send_resp(404, "not found")
+    end
+  end
+
+  defp send_scene_diagnostics(conn, {:ok, %{"runner" => runner, "diagnostics" => diagnostics}})
+       when is_map(runner) and (is_map(diagnostics) or is_nil(diagnostics)) do
+    conn
+    |> put_resp_header("cache-control", "no-store")
+    |> json(%{runner: runner, diagnostics: diagnostics})
+  end
+
+  defp send_scene_diagnostics(conn, {:error, {:http_error, 404}}),
+    do: conn |> send_resp(404, "bots are not running in this room")
+
+  defp send_scene_diagnostics(conn, _result),
+    do: conn |> send_resp(502, "bot service unavailable")
+
+  defp with_entered_hub(conn, hub_sid, params, fun) do
     if !AppConfig.get_cached_config_value("features|enable_bot_chat") do
       conn |> send_resp(404, "not found")
     else
@@ -37,10 +118,10 @@ defmodule RetWeb.Api.V1.BotController do
               account.account_id,
               params["bot_chat_capability"]
             ) ->
-              conn |> send_resp(403, "not present in room")
+              send_chat_error(conn, :not_present)
 
             true ->
-              chat_with_hub(conn, account, hub, bot_id, message, params["context"])
+              fun.(account, hub)
           end
 
         _ ->
@@ -49,9 +130,7 @@ defmodule RetWeb.Api.V1.BotController do
     end
   end
 
-  def chat(conn, _params), do: conn |> send_resp(400, "message is required")
-
-  defp chat_with_hub(conn, account, hub, bot_id, message, context) do
+  defp chat_with_hub(conn, account, hub, bot_id, message, params) do
     with {:ok, approval_decision} <- validate_bot_config_approval(hub),
          {:ok, bots} <- validate_bots_config(hub.user_data),
          :ok <- validate_bot_id(bot_id, bots["count"]),
@@ -62,7 +141,7 @@ defmodule RetWeb.Api.V1.BotController do
              bot_id: bot_id,
              requester_id: to_string(account.account_id),
              message: String.trim(message),
-             context: normalize_context(context)
+             context: normalize_context(params["context"])
            }),
          {:ok, delivered_conn} <-
            deliver_if_approval_is_current(
@@ -71,33 +150,139 @@ defmodule RetWeb.Api.V1.BotController do
              hub.hub_sid,
              bot_id,
              approval_decision,
-             response
+             response,
+             {account.account_id, params["bot_chat_capability"]}
            ) do
       delivered_conn
     else
-      {:error, :bots_disabled} ->
-        conn |> send_resp(403, "bots are disabled for this room")
+      {:error, reason} -> send_chat_error(conn, reason)
+    end
+  end
+
+  defp stream_with_hub(conn, account, hub, bot_id, message, params) do
+    with {:ok, approval_decision} <- validate_bot_config_approval(hub),
+         {:ok, bots} <- validate_bots_config(hub.user_data),
+         :ok <- validate_bot_id(bot_id, bots["count"]),
+         :ok <- validate_message(message),
+         {:ok, channel_pid} <-
+           channel_for_stream(hub.hub_sid, account.account_id, params["bot_chat_capability"]) do
+      stream_id = Ecto.UUID.generate()
+
+      payload = %{
+        hub_sid: hub.hub_sid,
+        bot_id: bot_id,
+        requester_id: to_string(account.account_id),
+        message: String.trim(message),
+        context: normalize_context(params["context"])
+      }
+
+      requester = {account.account_id, params["bot_chat_capability"]}
+
+      {:ok, _pid} =
+        Task.start(fn ->
+          relay_chat_stream(
+            channel_pid,
+            stream_id,
+            hub,
+            bot_id,
+            approval_decision,
+            payload,
+            requester
+          )
+        end)
+
+      conn
+      |> put_resp_content_type("application/json")
+      |> send_resp(202, Poison.encode!(%{stream_id: stream_id}))
+    else
+      {:error, reason} -> send_chat_error(conn, reason)
+    end
+  end
 
-      {:error, :bot_config_unapproved} ->
-        conn |> send_resp(403, "bot configuration is not approved")
+  defp channel_for_stream(hub_sid, account_id, capability) do
+    case BotChatPresence.channel_pid(hub_sid, account_id, capability) do
+      {:ok, channel_pid} -> {:ok, channel_pid}
+      :error -> {:error, :not_present}
+    end
+  end
 
-      {:error, :chat_disabled} ->
-        conn |> send_resp(403, "bot chat is disabled for this room")
+  defp relay_chat_stream(
+         channel_pid,
+         stream_id,
+         hub,
+         bot_id,
+         approval_decision,
+         payload,
+         requester
+       ) do
+    relay = fn event -> send(channel_pid, {:bot_chat_stream, stream_id, bot_id, event}) end
+
+    final =
+      with {:ok, response} <- BotOrchestrator.chat_stream(payload, relay),
+           {:ok, final} <-
+             fence_chat_action(
+               hub.hub_id,
+               hub.hub_sid,
+               bot_id,
+               approval_decision,
+               response,
+               requester
+             ) do
+        final
+      else
+        {:error, _reason} ->
+          %{
+            "type" => "final",
+            "reply" => nil,
+            "action" => nil,
+            "error" => "bot service unavailable"
+          }
+      end
 
-      {:error, :invalid_bot_id} ->
-        conn |> send_resp(400, "invalid bot id")
+    relay.(final)
+  end
 
-      {:error, :invalid_message} ->
-        conn |> send_resp(400, "message must be non-empty")
+  defp fence_chat_action(hub_id, hub_sid, bot_id, approval_decision, response, requester) do
+    reply = map_get(response, "reply") || "El bot no ha devuelto una respuesta."
 
-      {:error, :message_too_long} ->
-        conn |> send_resp(400, "message too long")
+    action =
+      response
+      |> map_get("action")
+      |> normalize_action(bot_id)
+      |> bind_requester_session(hub_sid, requester)
 
-      {:error, _reason} ->
-        conn |> send_resp(502, "bot service unavailable")
-    end
+    BotConfigApproval.with_current_runtime_decision(hub_id, approval_decision, fn ->
+      BotRunnerLease.with_current_authority(hub_sid, fn fence ->
+        if action, do: broadcast_bot_command(hub_sid, bot_id, action, fence)
+
+        %{"type" => "final", "reply" => reply, "action" => action}
+        |> Map.merge(chat_notices(response))
+      end)
+    end)
+  end
+
+  # Rate-limited and moderated turns still carry a canned reply; the flags let
+  # the client show them as notices rather than as the bot speaking.
+  defp chat_notices(response) do
+    %{
+      "rate_limited" => map_get(response, "rate_limited") === true,
+      "moderated" => map_get(response, "moderated") === true
+    }
   end
 
+  @forbidden_chat_errors [:not_present, :bots_disabled, :bot_config_unapproved, :chat_disabled]
+  @invalid_chat_errors [:invalid_bot_id, :invalid_message, :message_too_long]
+
+  # Clients branch on the error code, so it must stay stable.
+  defp send_chat_error(conn, reason) when reason in @forbidden_chat_errors,
+    do: conn |> render_error_json(403, Atom.to_string(reason))
+
+  defp send_chat_error(conn, reason) when reason in @invalid_chat_errors,
+    do: conn |> render_error_json(400, Atom.to_string(reason))
+
+  defp send_chat_error(conn, _reason),
+    do: conn |> render_error_json(502, "bot_service_unavailable")
+
   defp validate_bot_config_approval(hub) do
     BotConfigApproval.runtime_decision(hub)
   end
@@ -108,29 +293,27 @@ defmodule RetWeb.Api.V1.BotController do
          hub_sid,
          bot_id,
          approval_decision,
-         response
+         response,
+         requester
        ) do
-    reply = map_get(response, "reply") || "El bot no ha devuelto una respuesta."
-    action = normalize_action(map_get(response, "action"))
-
-    BotConfigApproval.with_current_runtime_decision(hub_id, approval_decision, fn ->
-      BotRunnerLease.with_current_authority(hub_sid, fn fence ->
-        if action do
-          RetWeb.Endpoint.broadcast("hub:#{hub_sid}", "message", %{
-            type: "bot_command",
-            body: Map.put(action, "bot_id", bot_id),
-            session_id: "reticulum",
-            from_session_id: "reticulum",
-            bot_runner_lease_id: fence.lease_id,
-            bot_runner_authority_epoch: fence.authority_epoch
-          })
-        end
+    with {:ok, %{"reply" => _reply} = final} <-
+           fence_chat_action(hub_id, hub_sid, bot_id, approval_decision, response, requester) do
+      {:ok,
+       conn
+       |> put_resp_content_type("application/json")
+       |> send_resp(200, Poison.encode!(Map.delete(final, "type")))}
+    end
+  end
 
-        conn
-        |> put_resp_content_type("application/json")
-        |> send_resp(200, Poison.encode!(%{reply: reply, action: action}))
-      end)
-    end)
+  defp broadcast_bot_command(hub_sid, bot_id, action, fence) do
+    RetWeb.Endpoint.broadcast("hub:#{hub_sid}", "message", %{
+      type: "bot_command",
+      body: Map.put(action, "bot_id", bot_id),
+      session_id: "reticulum",
+      from_session_id: "reticulum",
+      bot_runner_lease_id: fence.lease_id,
+      bot_runner_authority_epoch: fence.authority_epoch
+    })
   end
 
   defp validate_message(message) do
@@ -177,7 +360,7 @@ defmodule RetWeb.Api.V1.BotController do
 
   defp validate_bot_id(_bot_id, _count), do: {:error, :invalid_bot_id}
 
-  defp normalize_action(%{} = action) do
+  defp normalize_action(%{} = action, bot_id) do
     type = map_get(action, "type")
 
     case type do
@@ -191,12 +374,40 @@ defmodule RetWeb.Api.V1.BotController do
           nil
         end
 
+      "follow_user" ->
+        %{"type" => "follow_user"}
+
+      "follow_bot" ->
+        leader = map_get(action, "leader")
+
+        if is_binary(leader) and Regex.match?(@bot_id, leader) and leader != bot_id do
+          %{"type" => "follow_bot", "leader" => leader}
+        else
+          nil
+        end
+
+      "stop_following" ->
+        %{"type" => "stop_following"}
+
       _ ->
         nil
     end
   end
 
-  defp normalize_action(_), do: nil
+  defp normalize_action(_action, _bot_id), do: nil
+
+  # The bot follows the requester's own avatar, named by the NAF session of the
+  # channel that proved presence. Without a live session the action is dropped.
+  defp bind_requester_session(%{"type" => "follow_user"} = action, hub_sid, requester) do
+    {account_id, capability} = requester
+
+    case BotChatPresence.session_id(hub_sid, account_id, capability) do
+      {:ok, session_id} -> Map.put(action, "session_id", session_id)
+      :error -> nil
+    end
+  end
+
+  defp bind_requester_session(action, _hub_sid, _requester), do: action
 
   defp normalize_context(%{} = context) do
     waypoints =
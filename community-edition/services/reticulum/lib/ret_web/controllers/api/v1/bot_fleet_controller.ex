@@ -0,0 +1,21 @@
+defmodule RetWeb.Api.V1.BotFleetController do
+  use RetWeb, :controller
+
+  alias Ret.BotOrchestrator
+
+  # The orchestrator's runner table for the admin console. It lives in the
+  # orchestrator's memory, so an outage is reported rather than shown as empty.
+  def show(conn, _params) do
+    conn = put_resp_header(conn, "cache-control", "no-store")
+
+    case BotOrchestrator.fleet() do
+      {:ok, %{"runners" => runners} = fleet} when is_list(runners) ->
+        json(conn, fleet)
+
+      _ ->
+        conn
+        |> put_status(502)
+        |> json(%{error: "bot_service_unavailable"})
+    end
+  end
+end
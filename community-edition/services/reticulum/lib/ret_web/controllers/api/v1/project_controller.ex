@@ -2,7 +2,7 @@ defmodule RetWeb.Api.V1.ProjectController do
   use RetWeb, :controller
   require Logger
 
-  alias Ret.{OwnedFile, Project, Repo, Storage, Scene, SceneListing}
+  alias Ret.{OwnedFile, Project, ProjectRevision, Repo, Storage, Scene, SceneListing}
 
   # Limit to 1 TPS
   plug RetWeb.Plugs.RateLimit when action in [:create]
@@ -114,10 +114,25 @@ defmodule RetWeb.Api.V1.ProjectController do
          parent_scene,
          params
        ) do
-    case project
-         |> Project.changeset(account, project_file, thumbnail_file, parent_scene, params)
-         |> Repo.insert() do
-      {:ok, updated_project} -> {:ok, updated_project, []}
+    case Repo.transaction(fn ->
+           with {:ok, updated_project} <-
+                  project
+                  |> Project.changeset(
+                    account,
+                    project_file,
+                    thumbnail_file,
+                    parent_scene,
+                    params
+                  )
+                  |> Repo.insert(),
+                {:ok, pruned_files} <-
+                  ProjectRevision.record_revision(updated_project, account, params) do
+             {updated_project, pruned_files}
+           else
+             {:error, error} -> Repo.rollback(error)
+           end
+         end) do
+      {:ok, {updated_project, pruned_files}} -> {:ok, updated_project, pruned_files}
       {:error, error} -> {:error, error}
     end
   end
@@ -141,16 +156,20 @@ defmodule RetWeb.Api.V1.ProjectController do
                  locked_project.thumbnail_owned_file
                ]
 
-               case locked_project
-                    |> Project.changeset(
-                      account,
-                      project_file,
-                      thumbnail_file,
-                      parent_scene,
-                      params
-                    )
-                    |> Repo.update() do
-                 {:ok, updated_project} -> {updated_project, replaced_files}
+               with {:ok, updated_project} <-
+                      locked_project
+                      |> Project.changeset(
+                        account,
+                        project_file,
+                        thumbnail_file,
+                        parent_scene,
+                        params
+                      )
+                      |> Repo.update(),
+                    {:ok, pruned_files} <-
+                      ProjectRevision.record_revision(updated_project, account, params) do
+                 {updated_project, replaced_files ++ pruned_files}
+               else
                  {:error, error} -> Repo.rollback(error)
                end
            end
@@ -174,10 +193,12 @@ defmodule RetWeb.Api.V1.ProjectController do
                    Repo.rollback(:not_found)
 
                  locked_project ->
-                   replaced_files = [
-                     locked_project.project_owned_file,
-                     locked_project.thumbnail_owned_file
-                   ]
+                   # Revisions are deleted along with the project, so their files are released.
+                   replaced_files =
+                     [
+                       locked_project.project_owned_file,
+                       locked_project.thumbnail_owned_file
+                     ] ++ ProjectRevision.owned_files_for_project(locked_project)
 
                    case Repo.delete(locked_project) do
                      {:ok, _deleted_project} -> replaced_files
@@ -0,0 +1,17 @@
+defmodule RetWeb.Api.V1.ProjectRevisionController do
+  use RetWeb, :controller
+
+  alias Ret.{Project, ProjectRevision}
+
+  def index(conn, %{"project_id" => project_sid}) do
+    account = Guardian.Plug.current_resource(conn)
+
+    case Project.project_by_sid_for_account(project_sid, account) do
+      %Project{} = project ->
+        render(conn, "index.json", revisions: ProjectRevision.revisions_for_project(project))
+
+      nil ->
+        render_error_json(conn, :not_found)
+    end
+  end
+end
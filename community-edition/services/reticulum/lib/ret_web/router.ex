@@ -173,6 +173,9 @@ defmodule RetWeb.Router do
       resources "/avatars", Api.V1.AvatarController, only: [:create, :update, :delete]
       resources "/hubs", Api.V1.HubController, only: [:update]
       post "/hubs/:hub_sid/bots/:bot_id/chat", Api.V1.BotController, :chat
+      post "/hubs/:hub_sid/bots/:bot_id/chat/stream", Api.V1.BotController, :chat_stream
+      get "/hubs/:hub_sid/bots/scene_diagnostics", Api.V1.BotController, :scene_diagnostics
+      get "/hubs/:hub_sid/bots/approval", Api.V1.BotController, :approval
       resources "/assets", Api.V1.AssetsController, only: [:create, :delete]
 
       post "/twitter/tweets", Api.V1.TwitterController, :tweets
@@ -182,6 +185,7 @@ defmodule RetWeb.Router do
         post "/publish", Api.V1.ProjectController, :publish
 
         resources "/assets", Api.V1.ProjectAssetsController, only: [:index, :create, :delete]
+        resources "/revisions", Api.V1.ProjectRevisionController, only: [:index]
       end
     end
 
@@ -201,6 +205,8 @@ defmodule RetWeb.Router do
       post "/bot_config_approvals/:hub_sid/quarantine",
            Api.V1.BotConfigApprovalController,
            :quarantine
+
+      get "/bot_fleet", Api.V1.BotFleetController, :show
     end
   end
 
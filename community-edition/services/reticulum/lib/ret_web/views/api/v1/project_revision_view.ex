@@ -0,0 +1,25 @@
+defmodule RetWeb.Api.V1.ProjectRevisionView do
+  use RetWeb, :view
+  alias Ret.{OwnedFile}
+
+  defp render_revision(revision) do
+    %{
+      revision_id: revision.project_revision_id,
+      name: revision.name,
+      author: revision.author_name,
+      project_url: OwnedFile.url_or_nil_for(revision.project_owned_file),
+      thumbnail_url: OwnedFile.url_or_nil_for(revision.thumbnail_owned_file),
+      inserted_at: render_datetime(revision.inserted_at)
+    }
+  end
+
+  # Timestamps are stored in UTC, so mark them as such for the client.
+  defp render_datetime(datetime),
+    do: datetime |> DateTime.from_naive!("Etc/UTC") |> DateTime.to_iso8601()
+
+  def render("index.json", %{revisions: revisions}) do
+    %{
+      revisions: Enum.map(revisions, fn r -> render_revision(r) end)
+    }
+  end
+end
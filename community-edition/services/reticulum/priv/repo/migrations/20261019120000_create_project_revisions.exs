@@ -0,0 +1,22 @@
+defmodule Ret.Repo.Migrations.CreateProjectRevisions do
+  use Ecto.Migration
+
+  def change do
+    create table(:project_revisions, primary_key: false) do
+      add :project_revision_id, :bigint, default: fragment("ret0.next_id()"), primary_key: true
+
+      add :project_id, references(:projects, column: :project_id, on_delete: :delete_all),
+        null: false
+
+      add :created_by_account_id, references(:accounts, column: :account_id), null: false
+      add :project_owned_file_id, :bigint, null: false
+      add :thumbnail_owned_file_id, :bigint, null: false
+      add :name, :string, null: false
+      add :author_name, :string
+
+      timestamps()
+    end
+
+    create index(:project_revisions, [:project_id, :inserted_at])
+  end
+end
@@ -27,4 +27,30 @@ defmodule Ret.BotChatPresenceTest do
     assert :ok = BotChatPresence.untrack(self())
     refute BotChatPresence.present?("room-b", "account-b", "capability-b")
   end
+
+  test "resolves the exact entered channel for streamed replies" do
+    assert :ok = BotChatPresence.track(self(), "room-a", "account-a", "capability-a")
+
+    assert {:ok, channel_pid} = BotChatPresence.channel_pid("room-a", "account-a", "capability-a")
+    assert channel_pid == self()
+    assert :error = BotChatPresence.channel_pid("room-a", "account-a", "capability-b")
+    assert :error = BotChatPresence.channel_pid("room-a", "account-a", nil)
+
+    assert :ok = BotChatPresence.untrack(self())
+    assert :error = BotChatPresence.channel_pid("room-a", "account-a", "capability-a")
+  end
+
+  test "resolves the entered channel's session only for follow requests that name it" do
+    assert :ok = BotChatPresence.track(self(), "room-a", "account-a", "capability-a")
+    assert :error = BotChatPresence.session_id("room-a", "account-a", "capability-a")
+
+    assert :ok =
+             BotChatPresence.track(self(), "room-a", "account-a", "capability-a", "session-a")
+
+    assert {:ok, "session-a"} = BotChatPresence.session_id("room-a", "account-a", "capability-a")
+    assert :error = BotChatPresence.session_id("room-a", "account-a", "capability-b")
+
+    assert :ok = BotChatPresence.untrack(self())
+    assert :error = BotChatPresence.session_id("room-a", "account-a", "capability-a")
+  end
 end
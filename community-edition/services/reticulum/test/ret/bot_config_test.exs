@@ -37,6 +37,125 @@ defmodule Ret.BotConfigTest do
            }
   end
 
+  test "keeps the optional chat provider only when it names a known provider" do
+    refute Map.has_key?(BotConfig.normalize(%{"bots" => %{"enabled" => true}}), "chat_provider")
+
+    assert BotConfig.normalize(%{"bots" => %{"chat_provider" => "openai_compatible"}})[
+             "chat_provider"
+           ] == "openai_compatible"
+
+    refute Map.has_key?(
+             BotConfig.normalize(%{"bots" => %{"chat_provider" => "another-vendor"}}),
+             "chat_provider"
+           )
+  end
+
+  test "keeps the optional room language only as a lowercased language tag" do
+    refute Map.has_key?(BotConfig.normalize(%{"bots" => %{"enabled" => true}}), "language")
+    assert BotConfig.normalize(%{"bots" => %{"language" => "EN-us"}})["language"] == "en-us"
+    refute Map.has_key?(BotConfig.normalize(%{"bots" => %{"language" => "english"}}), "language")
+  end
+
+  test "normalizes schema 2 profiles and omits them from legacy configs" do
+    refute Map.has_key?(
+             BotConfig.normalize(%{"bots" => %{"profiles" => [%{"name" => "Guía"}]}}),
+             "profiles"
+           )
+
+    bots =
+      BotConfig.normalize(%{
+        "bots" => %{
+          "schema_version" => 2,
+          "profiles" => [
+            %{
+              "name" => "  Guía\u0007 ",
+              "persona" => String.duplicate("ñ", 300),
+              "language" => "ES-es",
+              "mobility" => "static",
+              "avatar_id" => "abc_123",
+              "extra" => "dropped"
+            },
+            "not a profile",
+            %{"language" => "spanish", "mobility" => "fast", "avatar_id" => "../x"}
+          ]
+        }
+      })
+
+    assert bots["schema_version"] == 2
+
+    assert [
+             %{
+               "name" => "Guía",
+               "persona" => persona,
+               "language" => "es-es",
+               "mobility" => "static",
+               "avatar_id" => "abc_123"
+             },
+             %{},
+             %{}
+           ] = bots["profiles"]
+
+    assert String.length(persona) == 120
+  end
+
+  test "normalizes schema 2 routines like the orchestrator and drops invalid ones" do
+    refute Map.has_key?(
+             BotConfig.normalize(%{
+               "bots" => %{
+                 "routines" => [
+                   %{"bot_id" => "bot-1", "schedule" => "0 10 * * *", "stops" => [%{"waypoint" => "spawbot-a"}]}
+                 ]
+               }
+             }),
+             "routines"
+           )
+
+    refute Map.has_key?(
+             BotConfig.normalize(%{"bots" => %{"schema_version" => 2, "routines" => "none"}}),
+             "routines"
+           )
+
+    bots =
+      BotConfig.normalize(%{
+        "bots" => %{
+          "schema_version" => 2,
+          "routines" => [
+            %{
+              "bot_id" => "bot-2",
+              "schedule" => "0,30 10-18/2 * * 1-5",
+              "utc_offset_minutes" => 60.0,
+              "stops" => [
+                %{"waypoint" => "SpawBot-Hall", "dwell_seconds" => 5_000, "announcement" => " Hola\u0007 "},
+                %{"waypoint" => " spawbot-hall"},
+                %{"waypoint" => "spawbot-exit", "dwell_seconds" => 1.5, "announcement" => 7}
+              ]
+            },
+            %{"bot_id" => "bot-1", "schedule" => "0 25 * * *", "stops" => [%{"waypoint" => "spawbot-a"}]},
+            %{"bot_id" => "bot-1", "schedule" => "0  10 * * *", "stops" => [%{"waypoint" => "spawbot-a"}]},
+            %{
+              "bot_id" => "bot-1",
+              "schedule" => "*/15 * * * 7",
+              "utc_offset_minutes" => 900,
+              "stops" => [%{"waypoint" => "spawbot-a"}]
+            }
+          ]
+        }
+      })
+
+    assert bots["routines"] == [
+             %{
+               "bot_id" => "bot-2",
+               "schedule" => "0,30 10-18/2 * * 1-5",
+               "utc_offset_minutes" => 60,
+               "stops" => [
+                 %{"waypoint" => "spawbot-hall", "dwell_seconds" => 900, "announcement" => "Hola"},
+                 %{"waypoint" => "spawbot-exit"}
+               ]
+             },
+             %{"bot_id" => "bot-1", "schedule" => "*/15 * * * 7", "stops" => [%{"waypoint" => "spawbot-a"}]}
+           ]
+  end
+
   test "rejects oversized textual counts before integer parsing" do
     assert BotConfig.normalize(%{
              "bots" => %{
@@ -269,6 +269,58 @@ defmodule Ret.BotOrchestratorTest do
     }
   end
 
+  test "chat stream relays typing and partial events and returns only the final event" do
+    final = %{"type" => "final", "reply" => "Hola. ¿Qué tal?", "action" => nil}
+
+    stream(200, [
+      ~s({"type":"typing"}\n{"type":"par),
+      ~s(tial","text":"Hola."}\n\n),
+      Poison.encode!(final) <> "\n"
+    ])
+
+    test_pid = self()
+
+    assert {:ok, ^final} =
+             BotOrchestrator.chat_stream(%{hub_sid: "Room_1", bot_id: "bot-1"}, fn event ->
+               send(test_pid, {:relayed, event})
+             end)
+
+    assert_receive {:bot_orchestrator_request, :post,
+                    "http://bot-orchestrator.test:5001/internal/bots/chat-stream", _body, headers,
+                    options}
+
+    assert {"x-ret-bot-orchestrator-access-key", @access_key} in headers
+    assert options[:stream_to] == self()
+    assert_received {:relayed, %{"type" => "typing"}}
+    assert_received {:relayed, %{"type" => "partial", "text" => "Hola."}}
+  end
+
+  test "chat stream fails closed on truncated, malformed and non-2xx streams" do
+    relay = fn _event -> :ok end
+
+    stream(200, [~s({"type":"typing"}\n)])
+    assert {:error, :incomplete_stream} = BotOrchestrator.chat_stream(%{}, relay)
+
+    stream(200, [~s({"type":"partial","text":1}\n)])
+    assert {:error, :invalid_stream_event} = BotOrchestrator.chat_stream(%{}, relay)
+
+    stream(503, [])
+    assert {:error, {:http_error, 503}} = BotOrchestrator.chat_stream(%{}, relay)
+
+    assert :error =
+             BotOrchestrator.decode_stream_event(
+               Poison.encode!(%{type: "partial", text: String.duplicate("x", 2_049)})
+             )
+  end
+
+  defp stream(status, chunks) do
+    Application.put_env(
+      :ret,
+      Ret.BotOrchestratorTestHttpClient,
+      {self(), {:stream, status, chunks}}
+    )
+  end
+
   defp respond(status, body) do
     Application.put_env(
       :ret,
@@ -0,0 +1,97 @@
+defmodule RetWeb.SpokeChannelTest do
+  use RetWeb.ChannelCase
+  import Ret.TestHelpers
+
+  alias RetWeb.{SessionSocket}
+
+  setup [
+    :create_account,
+    :create_project_owned_file,
+    :create_thumbnail_owned_file,
+    :create_project
+  ]
+
+  setup do
+    {:ok, socket} = connect(SessionSocket, %{})
+    {:ok, socket2} = connect(SessionSocket, %{})
+    {:ok, socket: socket, socket2: socket2}
+  end
+
+  describe "authorization" do
+    test "project owner can join", %{socket: socket, account: account, project: project} do
+      {:ok, %{session_id: _session_id}, _socket} =
+        subscribe_and_join(socket, "spoke:#{project.project_sid}", join_params(account))
+    end
+
+    test "other accounts can not join", %{socket: socket, account2: account2, project: project} do
+      {:error, %{reason: "unauthorized"}} =
+        subscribe_and_join(socket, "spoke:#{project.project_sid}", join_params(account2))
+    end
+
+    test "anonymous sessions can not join", %{socket: socket, project: project} do
+      {:error, %{reason: "unauthorized"}} =
+        subscribe_and_join(socket, "spoke:#{project.project_sid}", %{})
+    end
+  end
+
+  describe "editing" do
+    setup %{socket: socket, socket2: socket2, account: account, project: project} do
+      {:ok, %{session_id: session_id}, socket} =
+        subscribe_and_join(socket, "spoke:#{project.project_sid}", join_params(account))
+
+      {:ok, %{session_id: session_id2}, socket2} =
+        subscribe_and_join(socket2, "spoke:#{project.project_sid}", join_params(account))
+
+      {:ok, socket: socket, socket2: socket2, session_id: session_id, session_id2: session_id2}
+    end
+
+    test "operations are relayed with the sender's session id", %{
+      socket: socket,
+      session_id: session_id
+    } do
+      operations = [%{"type" => "remove", "uuid" => "abc", "clock" => 1}]
+      push(socket, "ops", %{"operations" => operations})
+
+      assert_broadcast("ops", %{"operations" => ^operations, "session_id" => ^session_id})
+    end
+
+    test "oversized operation batches are rejected", %{
+      socket: socket,
+      session_id2: session_id2
+    } do
+      operations = for i <- 1..501, do: %{"type" => "remove", "uuid" => "#{i}", "clock" => i}
+      ref = push(socket, "ops", %{"operations" => operations})
+
+      assert_reply(ref, :error, %{reason: "too_many_operations"})
+      refute_broadcast("ops", %{})
+
+      operation = %{"type" => "remove", "uuid" => "abc", "clock" => 1}
+      operations = List.duplicate(operation, 50_001)
+
+      ref =
+        push(socket, "sync_response", %{
+          "target_session_id" => session_id2,
+          "operations" => operations
+        })
+
+      assert_reply(ref, :error, %{reason: "too_many_operations"})
+      refute_broadcast("sync_response", %{})
+    end
+
+    test "sync responses are only pushed to the requesting session", %{
+      socket: socket,
+      session_id2: session_id2
+    } do
+      push(socket, "sync_response", %{"target_session_id" => "someone-else", "operations" => []})
+      refute_push("sync_response", %{})
+
+      push(socket, "sync_response", %{"target_session_id" => session_id2, "operations" => []})
+      assert_push("sync_response", %{"target_session_id" => ^session_id2})
+    end
+  end
+
+  defp join_params(account) do
+    {:ok, token, _claims} = Ret.Guardian.encode_and_sign(account)
+    %{"auth_token" => token, "profile" => %{"displayName" => "test"}}
+  end
+end
@@ -97,6 +97,7 @@ defmodule RetWeb.BotConfigApprovalControllerTest do
              "prompt_present" => true
            }
 
+    assert Map.has_key?(entry, "approved_summary")
     assert entry["created_by_account_id"] == admin.account_id
     assert entry["entry_mode"] == "allow"
     refute Map.has_key?(entry, "candidate_bots")
@@ -41,6 +41,78 @@ defmodule RetWeb.BotControllerTest do
     end
   end
 
+  defmodule FollowingHttpClient do
+    def request(_method, _url, _body, _headers, _options) do
+      {:ok,
+       %HTTPoison.Response{
+         status_code: 200,
+         body:
+           Poison.encode!(%{
+             reply: "te sigo",
+             action: %{type: "follow_user", session_id: "forged-session"}
+           })
+       }}
+    end
+  end
+
+  defmodule RateLimitedHttpClient do
+    def request(_method, _url, _body, _headers, _options) do
+      {:ok,
+       %HTTPoison.Response{
+         status_code: 200,
+         body:
+           Poison.encode!(%{
+             reply: "Espera un momento antes de volver a escribir.",
+             action: nil,
+             rate_limited: true
+           })
+       }}
+    end
+  end
+
+  defmodule SceneDiagnosticsHttpClient do
+    def request(method, url, body, _headers, _options) do
+      test_pid = Application.fetch_env!(:ret, __MODULE__)
+      send(test_pid, {:scene_diagnostics_request, method, url, body})
+
+      {:ok,
+       %HTTPoison.Response{
+         status_code: 200,
+         body:
+           Poison.encode!(%{
+             hub_sid: "ignored",
+             runner: %{lifecycle: "running", navigation_status: "blocked", ready: false},
+             diagnostics: %{
+               unprojected_waypoints: [%{name: "spawbot-void", position: [40, 0, 40]}]
+             }
+           })
+       }}
+    end
+  end
+
+  defmodule StreamingHttpClient do
+    def request(method, url, body, headers, options) do
+      test_pid = Application.fetch_env!(:ret, __MODULE__)
+      send(test_pid, {:streaming_bot_chat_request, method, url, body, headers, options})
+      id = make_ref()
+
+      chunks = [
+        ~s({"type":"typing"}\n),
+        ~s({"type":"partial","text":"Voy al escenario."}\n),
+        Poison.encode!(%{
+          type: "final",
+          reply: "Voy al escenario.",
+          action: %{type: "go_to_waypoint", waypoint: "spawbot-stage"}
+        }) <> "\n"
+      ]
+
+      send(self(), %HTTPoison.AsyncStatus{id: id, code: 200})
+      Enum.each(chunks, &send(self(), %HTTPoison.AsyncChunk{id: id, chunk: &1}))
+      send(self(), %HTTPoison.AsyncEnd{id: id})
+      {:ok, %HTTPoison.AsyncResponse{id: id}}
+    end
+  end
+
   setup [:create_account, :create_owned_file, :create_scene, :create_hub]
 
   setup do
@@ -70,9 +142,9 @@ defmodule RetWeb.BotControllerTest do
 
     approve_config!(hub, account)
 
-    conn
-    |> post("/api/v1/hubs/#{hub.hub_sid}/bots/bot-1/chat", %{message: "hola"})
-    |> response(403)
+    assert conn
+           |> post("/api/v1/hubs/#{hub.hub_sid}/bots/bot-1/chat", %{message: "hola"})
+           |> json_response(403) == %{"error" => "not_present"}
   end
 
   @tag :authenticated
@@ -141,12 +213,12 @@ defmodule RetWeb.BotControllerTest do
     })
     |> Repo.update!()
 
-    conn
-    |> post("/api/v1/hubs/#{hub.hub_sid}/bots/bot-1/chat", %{
-      message: "hola",
-      bot_chat_capability: capability
-    })
-    |> response(403)
+    assert conn
+           |> post("/api/v1/hubs/#{hub.hub_sid}/bots/bot-1/chat", %{
+             message: "hola",
+             bot_chat_capability: capability
+           })
+           |> json_response(403) == %{"error" => "bot_config_unapproved"}
 
     assert :ok = BotChatPresence.untrack(self())
   end
@@ -294,6 +366,357 @@ defmodule RetWeb.BotControllerTest do
     assert :ok = BotChatPresence.untrack(self())
   end
 
+  @tag :authenticated
+  test "a streamed reply reaches only the entered channel and fences its final action", %{
+    account: account,
+    conn: conn,
+    hub: hub
+  } do
+    capability = Ecto.UUID.generate()
+    assert :ok = BotChatPresence.track(self(), hub.hub_sid, account.account_id, capability)
+
+    hub =
+      hub
+      |> Ecto.Changeset.change(%{
+        user_data: %{
+          "bots" => %{
+            "enabled" => true,
+            "chat_enabled" => true,
+            "count" => 1,
+            "mobility" => "static",
+            "prompt" => ""
+          }
+        }
+      })
+      |> Repo.update!()
+
+    approve_config!(hub, account)
+
+    {:ok, lease} =
+      BotRunnerLease.register_for_session(
+        hub.hub_sid,
+        Ecto.UUID.generate(),
+        generation_claims(hub.hub_sid)
+      )
+
+    previous_orchestrator = Application.get_env(:ret, Ret.BotOrchestrator)
+    previous_client = Application.get_env(:ret, StreamingHttpClient)
+
+    Application.put_env(
+      :ret,
+      Ret.BotOrchestrator,
+      endpoint: "http://bot-orchestrator.test",
+      access_key: String.duplicate("k", 32),
+      http_client: StreamingHttpClient
+    )
+
+    Application.put_env(:ret, StreamingHttpClient, self())
+
+    on_exit(fn ->
+      restore_application_env(:ret, Ret.BotOrchestrator, previous_orchestrator)
+      restore_application_env(:ret, StreamingHttpClient, previous_client)
+    end)
+
+    :ok = RetWeb.Endpoint.subscribe("hub:#{hub.hub_sid}")
+
+    conn
+    |> post("/api/v1/hubs/#{hub.hub_sid}/bots/bot-1/chat/stream", %{
+      message: "ve al escenario",
+      bot_chat_capability: Ecto.UUID.generate()
+    })
+    |> response(403)
+
+    %{"stream_id" => stream_id} =
+      build_conn()
+      |> auth_with_account(account)
+      |> post("/api/v1/hubs/#{hub.hub_sid}/bots/bot-1/chat/stream", %{
+        message: "ve al escenario",
+        bot_chat_capability: capability
+      })
+      |> json_response(202)
+
+    assert_receive {:streaming_bot_chat_request, :post,
+                    "http://bot-orchestrator.test/internal/bots/chat-stream", _body, _headers,
+                    _options}
+
+    assert_receive {:bot_chat_stream, ^stream_id, "bot-1", %{"type" => "typing"}}
+
+    assert_receive {:bot_chat_stream, ^stream_id, "bot-1",
+                    %{"type" => "partial", "text" => "Voy al escenario."}}
+
+    assert_receive {:bot_chat_stream, ^stream_id, "bot-1",
+                    %{
+                      "type" => "final",
+                      "reply" => "Voy al escenario.",
+                      "action" => %{"type" => "go_to_waypoint", "waypoint" => "spawbot-stage"}
+                    }}
+
+    assert_receive %Phoenix.Socket.Broadcast{
+      event: "message",
+      payload: %{type: "bot_command", bot_runner_lease_id: lease_id}
+    }
+
+    assert lease_id == lease.lease_id
+    assert :ok = BotRunnerLease.unregister(hub.hub_sid, lease.lease_id)
+    assert :ok = BotChatPresence.untrack(self())
+  end
+
+  @tag :authenticated
+  test "a follow request targets the requester's entered session, never a supplied one", %{
+    account: account,
+    conn: conn,
+    hub: hub
+  } do
+    capability = Ecto.UUID.generate()
+
+    assert :ok =
+             BotChatPresence.track(
+               self(),
+               hub.hub_sid,
+               account.account_id,
+               capability,
+               "session-a"
+             )
+
+    hub =
+      hub
+      |> Ecto.Changeset.change(%{
+        user_data: %{
+          "bots" => %{
+            "enabled" => true,
+            "chat_enabled" => true,
+            "count" => 2,
+            "mobility" => "medium",
+            "prompt" => ""
+          }
+        }
+      })
+      |> Repo.update!()
+
+    approve_config!(hub, account)
+
+    {:ok, lease} =
+      BotRunnerLease.register_for_session(
+        hub.hub_sid,
+        Ecto.UUID.generate(),
+        generation_claims(hub.hub_sid)
+      )
+
+    previous_orchestrator = Application.get_env(:ret, Ret.BotOrchestrator)
+
+    Application.put_env(
+      :ret,
+      Ret.BotOrchestrator,
+      endpoint: "http://bot-orchestrator.test",
+      access_key: String.duplicate("k", 32),
+      http_client: FollowingHttpClient
+    )
+
+    on_exit(fn -> restore_application_env(:ret, Ret.BotOrchestrator, previous_orchestrator) end)
+
+    :ok = RetWeb.Endpoint.subscribe("hub:#{hub.hub_sid}")
+
+    assert %{"action" => %{"type" => "follow_user", "session_id" => "session-a"}} =
+             conn
+             |> post("/api/v1/hubs/#{hub.hub_sid}/bots/bot-2/chat", %{
+               message: "sígueme",
+               bot_chat_capability: capability
+             })
+             |> json_response(200)
+
+    assert_receive %Phoenix.Socket.Broadcast{
+      event: "message",
+      payload: %{
+        type: "bot_command",
+        body: %{"type" => "follow_user", "session_id" => "session-a", "bot_id" => "bot-2"}
+      }
+    }
+
+    assert :ok = BotRunnerLease.unregister(hub.hub_sid, lease.lease_id)
+    assert :ok = BotChatPresence.untrack(self())
+  end
+
+  @tag :authenticated
+  test "a rate-limited turn is flagged for the client and broadcasts no command", %{
+    account: account,
+    conn: conn,
+    hub: hub
+  } do
+    capability = Ecto.UUID.generate()
+
+    assert :ok =
+             BotChatPresence.track(
+               self(),
+               hub.hub_sid,
+               account.account_id,
+               capability,
+               "session-a"
+             )
+
+    hub =
+      hub
+      |> Ecto.Changeset.change(%{
+        user_data: %{
+          "bots" => %{
+            "enabled" => true,
+            "chat_enabled" => true,
+            "count" => 1,
+            "mobility" => "medium",
+            "prompt" => ""
+          }
+        }
+      })
+      |> Repo.update!()
+
+    approve_config!(hub, account)
+
+    {:ok, lease} =
+      BotRunnerLease.register_for_session(
+        hub.hub_sid,
+        Ecto.UUID.generate(),
+        generation_claims(hub.hub_sid)
+      )
+
+    previous_orchestrator = Application.get_env(:ret, Ret.BotOrchestrator)
+
+    Application.put_env(
+      :ret,
+      Ret.BotOrchestrator,
+      endpoint: "http://bot-orchestrator.test",
+      access_key: String.duplicate("k", 32),
+      http_client: RateLimitedHttpClient
+    )
+
+    on_exit(fn -> restore_application_env(:ret, Ret.BotOrchestrator, previous_orchestrator) end)
+
+    :ok = RetWeb.Endpoint.subscribe("hub:#{hub.hub_sid}")
+
+    assert %{
+             "reply" => "Espera un momento antes de volver a escribir.",
+             "action" => nil,
+             "rate_limited" => true,
+             "moderated" => false
+           } =
+             conn
+             |> post("/api/v1/hubs/#{hub.hub_sid}/bots/bot-1/chat", %{
+               message: "hola",
+               bot_chat_capability: capability
+             })
+             |> json_response(200)
+
+    refute_receive %Phoenix.Socket.Broadcast{event: "message", payload: %{type: "bot_command"}}
+    assert :ok = BotRunnerLease.unregister(hub.hub_sid, lease.lease_id)
+    assert :ok = BotChatPresence.untrack(self())
+  end
+
+  @tag :authenticated
+  test "only a room owner can read the runner's scene diagnostics", %{
+    account: account,
+    conn: conn,
+    hub: hub
+  } do
+    previous_orchestrator = Application.get_env(:ret, Ret.BotOrchestrator)
+    previous_client = Application.get_env(:ret, SceneDiagnosticsHttpClient)
+
+    Application.put_env(
+      :ret,
+      Ret.BotOrchestrator,
+      endpoint: "http://bot-orchestrator.test",
+      access_key: String.duplicate("k", 32),
+      http_client: SceneDiagnosticsHttpClient
+    )
+
+    Application.put_env(:ret, SceneDiagnosticsHttpClient, self())
+
+    on_exit(fn ->
+      restore_application_env(:ret, Ret.BotOrchestrator, previous_orchestrator)
+      restore_application_env(:ret, SceneDiagnosticsHttpClient, previous_client)
+    end)
+
+    conn
+    |> get("/api/v1/hubs/#{hub.hub_sid}/bots/scene_diagnostics")
+    |> response(401)
+
+    refute_received {:scene_diagnostics_request, _method, _url, _body}
+
+    assign_creator(hub, account)
+
+    assert %{
+             "runner" => %{"navigation_status" => "blocked", "ready" => false},
+             "diagnostics" => %{
+               "unprojected_waypoints" => [%{"name" => "spawbot-void"}]
+             }
+           } =
+             response =
+             conn
+             |> recycle()
+             |> auth_with_account(account)
+             |> get("/api/v1/hubs/#{hub.hub_sid}/bots/scene_diagnostics")
+             |> json_response(200)
+
+    refute Map.has_key?(response, "hub_sid")
+
+    assert_received {:scene_diagnostics_request, :post,
+                     "http://bot-orchestrator.test/internal/bots/scene-diagnostics", body}
+
+    assert Poison.decode!(body) == %{"hub_sid" => hub.hub_sid}
+  end
+
+  @tag :authenticated
+  test "a room owner sees the review state of the saved config without admin details", %{
+    account: account,
+    conn: conn,
+    hub: hub
+  } do
+    conn
+    |> get("/api/v1/hubs/#{hub.hub_sid}/bots/approval")
+    |> response(401)
+
+    hub = assign_creator(hub, account)
+
+    bots = %{
+      "enabled" => true,
+      "chat_enabled" => true,
+      "count" => 2,
+      "mobility" => "low",
+      "prompt" => "Guide visitors."
+    }
+
+    hub =
+      hub
+      |> Ecto.Changeset.change(%{user_data: %{"bots" => bots}})
+      |> Repo.update!()
+
+    assert %{
+             "approval" => %{
+               "state" => "quarantined",
+               "runtime_approved" => false,
+               "pending_review" => true
+             },
+             "limits" => %{"max_count" => 10, "max_prompt_codepoints" => 1_500}
+           } =
+             conn
+             |> recycle()
+             |> auth_with_account(account)
+             |> get("/api/v1/hubs/#{hub.hub_sid}/bots/approval")
+             |> json_response(200)
+
+    approve_config!(hub, account)
+
+    assert %{"approval" => approval} =
+             conn
+             |> recycle()
+             |> auth_with_account(account)
+             |> get("/api/v1/hubs/#{hub.hub_sid}/bots/approval")
+             |> json_response(200)
+
+    assert %{"state" => "approved", "runtime_approved" => true, "pending_review" => false} =
+             approval
+
+    refute Map.has_key?(approval, "approved_by_account_id")
+    refute Map.has_key?(approval, "approved_config_fingerprint")
+  end
+
   defp approve_config!(hub, account) do
     bots = hub.user_data["bots"]
 
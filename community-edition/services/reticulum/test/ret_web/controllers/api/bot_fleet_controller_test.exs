@@ -0,0 +1,94 @@
+defmodule RetWeb.BotFleetControllerTest do
+  use RetWeb.ConnCase
+
+  import Ret.TestHelpers
+
+  setup [:create_account]
+
+  setup do
+    admin = create_account("bot-fleet-api-admin-#{System.unique_integer([:positive])}", true)
+    original_orchestrator_config = Application.get_env(:ret, Ret.BotOrchestrator)
+    original_test_receiver = Application.get_env(:ret, Ret.BotOrchestratorTestHttpClient)
+
+    Application.put_env(
+      :ret,
+      Ret.BotOrchestrator,
+      endpoint: "http://bot-orchestrator.test",
+      access_key: String.duplicate("k", 32),
+      http_client: Ret.BotOrchestratorTestHttpClient
+    )
+
+    on_exit(fn ->
+      restore_application_env(:ret, Ret.BotOrchestrator, original_orchestrator_config)
+      restore_application_env(:ret, Ret.BotOrchestratorTestHttpClient, original_test_receiver)
+    end)
+
+    {:ok, admin: admin}
+  end
+
+  test "only a global administrator reads the runner fleet", %{
+    account: account,
+    admin: admin,
+    conn: conn
+  } do
+    fleet = %{
+      "runners" => [
+        %{
+          "hub_sid" => "abc1234",
+          "pod" => "bot-runner-abc1234",
+          "lifecycle" => "running",
+          "ready" => false,
+          "reason" => "navigation_not_ready",
+          "restart_failures" => 1
+        }
+      ],
+      "queued_rooms" => 0,
+      "max_active_rooms" => 5
+    }
+
+    Application.put_env(
+      :ret,
+      Ret.BotOrchestratorTestHttpClient,
+      {self(), {:ok, %HTTPoison.Response{status_code: 200, body: Poison.encode!(fleet)}}}
+    )
+
+    conn
+    |> auth_with_account(account)
+    |> get("/api/v1/bot_fleet")
+    |> response(401)
+
+    refute_received {:bot_orchestrator_request, _method, _url, _body, _headers, _options}
+
+    admin_conn =
+      conn
+      |> recycle()
+      |> auth_with_account(admin)
+      |> get("/api/v1/bot_fleet")
+
+    assert get_resp_header(admin_conn, "cache-control") == ["no-store"]
+    assert json_response(admin_conn, 200) == fleet
+
+    assert_received {:bot_orchestrator_request, :post,
+                     "http://bot-orchestrator.test/internal/bots/fleet", "{}", _headers, _options}
+  end
+
+  test "an orchestrator outage is reported instead of an empty fleet", %{
+    admin: admin,
+    conn: conn
+  } do
+    Application.put_env(
+      :ret,
+      Ret.BotOrchestratorTestHttpClient,
+      {self(), {:ok, %HTTPoison.Response{status_code: 503, body: "{}"}}}
+    )
+
+    assert %{"error" => "bot_service_unavailable"} =
+             conn
+             |> auth_with_account(admin)
+             |> get("/api/v1/bot_fleet")
+             |> json_response(502)
+  end
+
+  defp restore_application_env(app, key, nil), do: Application.delete_env(app, key)
+  defp restore_application_env(app, key, value), do: Application.put_env(app, key, value)
+end
@@ -0,0 +1,119 @@
+defmodule RetWeb.ProjectRevisionsControllerTest do
+  use RetWeb.ConnCase
+  import Ret.TestHelpers
+
+  alias Ret.{OwnedFile, Project, ProjectRevision, Repo}
+
+  setup [
+    :create_account,
+    :create_project_owned_file,
+    :create_thumbnail_owned_file,
+    :create_project
+  ]
+
+  setup do
+    on_exit(fn ->
+      clear_all_stored_files()
+    end)
+  end
+
+  defp save_project(conn, account, project, name) do
+    project_file = generate_temp_owned_file(account)
+    thumbnail_file = generate_temp_owned_file(account)
+
+    params = %{
+      project: %{
+        name: name,
+        author_name: "test",
+        thumbnail_file_id: thumbnail_file.owned_file_uuid,
+        thumbnail_file_token: thumbnail_file.key,
+        project_file_id: project_file.owned_file_uuid,
+        project_file_token: project_file.key
+      }
+    }
+
+    conn
+    |> patch(api_v1_project_path(conn, :update, project.project_sid, params))
+    |> json_response(200)
+
+    {project_file, thumbnail_file}
+  end
+
+  test "project revisions index 401's when not logged in", %{conn: conn, project: project} do
+    conn
+    |> get(api_v1_project_project_revision_path(conn, :index, project.project_sid))
+    |> response(401)
+  end
+
+  @tag :authenticated
+  test "project revisions index 404's for another account's project", %{
+    conn: conn,
+    project_owned_file: project_owned_file,
+    thumbnail_owned_file: thumbnail_owned_file
+  } do
+    other_account = Ret.Account.find_or_create_account_for_email("test2@mozilla.com")
+
+    {:ok, project} =
+      %Project{}
+      |> Project.changeset(other_account, project_owned_file, thumbnail_owned_file, %{
+        name: "Other Project"
+      })
+      |> Repo.insert()
+
+    conn
+    |> get(api_v1_project_project_revision_path(conn, :index, project.project_sid))
+    |> response(404)
+  end
+
+  @tag :authenticated
+  test "saving a project records a revision, newest first", %{
+    conn: conn,
+    account: account,
+    project: project
+  } do
+    {first_file, _} = save_project(conn, account, project, "First Save")
+    {second_file, _} = save_project(conn, account, project, "Second Save")
+
+    %{"revisions" => [newest, oldest]} =
+      conn
+      |> get(api_v1_project_project_revision_path(conn, :index, project.project_sid))
+      |> json_response(200)
+
+    assert newest["name"] == "Second Save"
+    assert newest["author"] == "test"
+    assert newest["project_url"] =~ second_file.owned_file_uuid
+    assert newest["thumbnail_url"] != nil
+    assert newest["inserted_at"] != nil
+    assert oldest["name"] == "First Save"
+    assert oldest["project_url"] =~ first_file.owned_file_uuid
+  end
+
+  @tag :authenticated
+  test "files replaced by a save stay active while a revision references them", %{
+    conn: conn,
+    account: account,
+    project: project
+  } do
+    {first_file, first_thumbnail} = save_project(conn, account, project, "First Save")
+    save_project(conn, account, project, "Second Save")
+
+    assert Repo.get(OwnedFile, first_file.owned_file_id).state == :active
+    assert Repo.get(OwnedFile, first_thumbnail.owned_file_id).state == :active
+  end
+
+  @tag :authenticated
+  test "deleting a project releases its revision files", %{
+    conn: conn,
+    account: account,
+    project: project
+  } do
+    {first_file, first_thumbnail} = save_project(conn, account, project, "First Save")
+    save_project(conn, account, project, "Second Save")
+
+    conn |> delete(api_v1_project_path(conn, :delete, project.project_sid)) |> response(200)
+
+    assert Repo.all(ProjectRevision) == []
+    assert Repo.get(OwnedFile, first_file.owned_file_id).state == :inactive
+    assert Repo.get(OwnedFile, first_thumbnail.owned_file_id).state == :inactive
+  end
+end
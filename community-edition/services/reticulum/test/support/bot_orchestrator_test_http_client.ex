@@ -3,6 +3,17 @@ defmodule Ret.BotOrchestratorTestHttpClient do
 
   def request(method, url, body, headers, options) do
     case Application.get_env(:ret, __MODULE__) do
+      {pid, {:stream, status_code, chunks}} when is_pid(pid) ->
+        send(pid, {:bot_orchestrator_request, method, url, body, headers, options})
+        id = make_ref()
+        # Async responses are delivered to the requesting process, as HTTPoison
+        # does for `stream_to: self()`.
+        send(self(), %HTTPoison.AsyncStatus{id: id, code: status_code})
+        send(self(), %HTTPoison.AsyncHeaders{id: id, headers: []})
+        Enum.each(chunks, &send(self(), %HTTPoison.AsyncChunk{id: id, chunk: &1}))
+        send(self(), %HTTPoison.AsyncEnd{id: id})
+        {:ok, %HTTPoison.AsyncResponse{id: id}}
+
       {pid, response} when is_pid(pid) ->
         send(pid, {:bot_orchestrator_request, method, url, body, headers, options})
         response
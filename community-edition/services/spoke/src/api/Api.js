@@ -10,6 +10,7 @@ import PerformanceCheckDialog from "../ui/dialogs/PerformanceCheckDialog";
 import jwtDecode from "jwt-decode";
 import { buildAbsoluteURL } from "url-toolkit";
 import PublishedSceneDialog from "./PublishedSceneDialog";
+import ProjectSession from "./ProjectSession";
 import { matchesFileTypes, AudioFileTypes } from "../ui/assets/fileTypes";
 import { RethrownError } from "../editor/utils/errors";
 
@@ -250,6 +251,60 @@ export default class Project extends EventEmitter {
     return json;
   }
 
+  // Lists the snapshots Reticulum records every time the project is saved, newest first.
+  async getProjectRevisions(projectId) {
+    const token = this.getToken();
+
+    const headers = {
+      "content-type": "application/json",
+      authorization: `Bearer ${token}`
+    };
+
+    const response = await this.fetch(`https://${RETICULUM_SERVER}/api/v1/projects/${projectId}/revisions`, {
+      headers
+    });
+
+    const json = await response.json();
+
+    if (!Array.isArray(json.revisions)) {
+      throw new Error(`Error fetching project history: ${json.error || "Unknown error."}`);
+    }
+
+    return json.revisions;
+  }
+
+  // Joins the channel shared by everyone editing the project, so edits can be synced between their editors.
+  async joinProjectSession(projectId) {
+    const socket = new Socket(`wss://${RETICULUM_SERVER}/socket`);
+    socket.connect();
+
+    const channel = socket.channel(`spoke:${projectId}`, {
+      auth_token: this.getToken(),
+      profile: { displayName: this.getDisplayName() }
+    });
+
+    try {
+      const { session_id: sessionId } = await new Promise((resolve, reject) =>
+        channel
+          .join()
+          .receive("ok", resolve)
+          .receive("error", ({ message }) => reject(new Error(message)))
+          .receive("timeout", () => reject(new Error("Timed out joining the project session")))
+      );
+
+      return new ProjectSession(socket, channel, sessionId);
+    } catch (error) {
+      socket.disconnect();
+      throw new RethrownError("Error joining the project session", error);
+    }
+  }
+
+  getDisplayName() {
+    const store = JSON.parse(localStorage.getItem(LOCAL_STORE_KEY));
+    const email = store && store.credentials && store.credentials.email;
+    return email ? email.split("@")[0] : null;
+  }
+
   async getProjectlessScenes() {
     const token = this.getToken();
 
@@ -507,6 +562,7 @@ export default class Project extends EventEmitter {
 
     const project = {
       name: scene.name,
+      author_name: this.getDisplayName(),
       thumbnail_file_id,
       thumbnail_file_token,
       project_file_id,
@@ -634,6 +690,7 @@ export default class Project extends EventEmitter {
 
     const project = {
       name: editor.scene.name,
+      author_name: this.getDisplayName(),
       thumbnail_file_id,
       thumbnail_file_token,
       project_file_id,
@@ -825,7 +882,9 @@ export default class Project extends EventEmitter {
       });
 
       // Clone the existing scene, process it for exporting, and then export as a glb blob
-      const { glbBlob, scores } = await editor.exportScene(abortController.signal, { scores: true });
+      const { glbBlob, scores, compressionReport } = await editor.exportScene(abortController.signal, {
+        scores: true
+      });
 
       if (signal.aborted) {
         const error = new Error("Publish project aborted");
@@ -836,6 +895,7 @@ export default class Project extends EventEmitter {
       const performanceCheckResult = await new Promise(resolve => {
         showDialog(PerformanceCheckDialog, {
           scores,
+          compressionReport,
           onCancel: () => resolve(false),
           onConfirm: () => resolve(true)
         });
@@ -0,0 +1,50 @@
+import EventEmitter from "eventemitter3";
+import { Presence } from "phoenix";
+
+const ChannelEvents = ["ops", "presence", "sync_request", "sync_response"];
+
+// Connects to the Reticulum channel shared by every session editing a project. Used as the transport of a CollabSession.
+export default class ProjectSession extends EventEmitter {
+  constructor(socket, channel, sessionId) {
+    super();
+    this.socket = socket;
+    this.channel = channel;
+    this.sessionId = sessionId;
+    this.joinedAt = Date.now();
+    this.presence = new Presence(channel);
+
+    for (const event of ChannelEvents) {
+      channel.on(event, payload => this.emit(event, payload));
+    }
+
+    this.presence.onSync(this.onPresenceSync);
+  }
+
+  onPresenceSync = () => {
+    const peers = this.presence.list((sessionId, { metas }) => ({
+      sessionId,
+      displayName: metas[0].display_name,
+      joinedAt: metas[0].joined_at
+    }));
+
+    const self = peers.find(peer => peer.sessionId === this.sessionId);
+
+    if (self) {
+      this.joinedAt = self.joinedAt;
+    }
+
+    this.emit("peers", peers);
+  };
+
+  send(event, payload) {
+    this.channel.push(event, payload).receive("error", ({ reason }) => {
+      console.warn(`Project channel rejected "${event}": ${reason}`);
+    });
+  }
+
+  disconnect() {
+    this.removeAllListeners();
+    this.channel.leave();
+    this.socket.disconnect();
+  }
+}
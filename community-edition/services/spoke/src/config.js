@@ -24,6 +24,8 @@ import SpawnPointNode from "./editor/nodes/SpawnPointNode";
 import SpawnPointNodeEditor from "./ui/properties/SpawnPointNodeEditor";
 import WayPointNode from "./editor/nodes/WayPointNode";
 import WayPointNodeEditor from "./ui/properties/WayPointNodeEditor";
+import BotWaypointNode from "./editor/nodes/BotWaypointNode";
+import BotWaypointNodeEditor from "./ui/properties/BotWaypointNodeEditor";
 import SkyboxNode from "./editor/nodes/SkyboxNode";
 import SkyboxNodeEditor from "./ui/properties/SkyboxNodeEditor";
 import FloorPlanNode from "./editor/nodes/FloorPlanNode";
@@ -84,6 +86,7 @@ export function createEditor(api, settings) {
   editor.registerNode(PointLightNode, PointLightNodeEditor);
   editor.registerNode(SpawnPointNode, SpawnPointNodeEditor);
   editor.registerNode(WayPointNode, WayPointNodeEditor);
+  editor.registerNode(BotWaypointNode, BotWaypointNodeEditor);
   editor.registerNode(SkyboxNode, SkyboxNodeEditor);
   editor.registerNode(FloorPlanNode, FloorPlanNodeEditor);
   editor.registerNode(ImageNode, ImageNodeEditor);
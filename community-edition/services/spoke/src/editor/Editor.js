@@ -39,6 +39,8 @@ import { generateImageFileThumbnail, generateVideoFileThumbnail } from "./utils/
 import resizeShadowCameraFrustum from "./utils/resizeShadowCameraFrustum";
 import isInputSelected from "./utils/isInputSelected";
 import { calculateGLTFPerformanceScores } from "./utils/performance";
+import compressChunks from "./compression/compressChunks";
+import { isCompressionEnabled } from "./compression/compressGLTF";
 
 import InputManager from "./controls/InputManager";
 import FlyControls from "./controls/FlyControls";
@@ -88,6 +90,7 @@ import ImageNode from "./nodes/ImageNode";
 import AudioNode from "./nodes/AudioNode";
 import LinkNode from "./nodes/LinkNode";
 import AssetManifestSource from "../ui/assets/AssetManifestSource";
+import CollabSession from "./collab/CollabSession";
 
 const tempMatrix1 = new Matrix4();
 const tempMatrix2 = new Matrix4();
@@ -165,6 +168,7 @@ export default class Editor extends EventEmitter {
     this.initializing = false;
     this.initialized = false;
     this.sceneLoading = false;
+    this.collab = null;
   }
 
   registerNode(nodeConstructor, nodeEditor) {
@@ -281,6 +285,9 @@ export default class Editor extends EventEmitter {
   }
 
   async loadProject(projectFile) {
+    // Edits can't be shared once the scene is replaced, the new project has to be joined again.
+    this.stopCollaboration();
+
     this.removeListener("objectsChanged", this.onEmitSceneModified);
     this.removeListener("sceneGraphChanged", this.onEmitSceneModified);
 
@@ -439,16 +446,35 @@ export default class Editor extends EventEmitter {
 
     json.asset.generator = `Mozilla Spoke ${process.env.BUILD_VERSION}`;
 
+    const compressionSettings = scene.getCompressionSettings();
+    let compressionReport = null;
+
+    if (isCompressionEnabled(compressionSettings)) {
+      try {
+        compressionReport = await compressChunks(chunks, compressionSettings, signal);
+      } catch (error) {
+        if (error.aborted) {
+          throw error;
+        }
+
+        throw new RethrownError("Error compressing scene", error);
+      }
+    }
+
     try {
       const glbBlob = await exporter.exportGLBBlob(chunks);
 
+      if (compressionReport) {
+        compressionReport.after = glbBlob.size;
+      }
+
       let scores;
 
       if (options.scores) {
         scores = calculateGLTFPerformanceScores(scene, glbBlob, chunks);
       }
 
-      return { glbBlob, chunks, scores };
+      return { glbBlob, chunks, scores, compressionReport };
     } catch (error) {
       throw new RethrownError("Error creating glb blob", error);
     }
@@ -1770,7 +1796,7 @@ export default class Editor extends EventEmitter {
     object.onChange();
 
     if (emitEvent) {
-      this.emit("objectsChanged", [object]);
+      this.emit("objectsChanged", [object], undefined, Object.keys(properties));
     }
 
     return object;
@@ -1786,7 +1812,7 @@ export default class Editor extends EventEmitter {
     }
 
     if (emitEvent) {
-      this.emit("objectsChanged", objects);
+      this.emit("objectsChanged", objects, undefined, Object.keys(properties));
     }
 
     return objects;
@@ -2001,7 +2027,21 @@ export default class Editor extends EventEmitter {
     this.emit("gridVisibilityChanged", this.grid.visible);
   }
 
+  startCollaboration(transport) {
+    this.stopCollaboration();
+    this.collab = new CollabSession(this, transport);
+    this.collab.start();
+  }
+
+  stopCollaboration() {
+    if (this.collab) {
+      this.collab.stop();
+      this.collab = null;
+    }
+  }
+
   dispose() {
+    this.stopCollaboration();
     this.clearCaches();
 
     if (this.renderer) {
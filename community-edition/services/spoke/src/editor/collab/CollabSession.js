@@ -0,0 +1,708 @@
+import { Vector2, Vector3 } from "three";
+import OperationLog, { OperationType } from "./OperationLog";
+import { serializeValue, deserializeValue } from "./values";
+import RemotePeerHelper from "../helpers/RemotePeerHelper";
+
+// Local edits are batched so that a drag sends a handful of operations instead of one per frame.
+const FLUSH_INTERVAL = 50;
+const PRESENCE_INTERVAL = 100;
+
+// Reticulum rejects larger "ops" and "sync_response" messages (see RetWeb.SpokeChannel), so they are split.
+export const MAX_OPERATIONS_PER_MESSAGE = 500;
+
+export const MAX_SYNC_OPERATIONS = 50000;
+
+const TransformProperties = ["position", "rotation", "scale"];
+
+const PeerColors = ["#ff6b6b", "#ffa94d", "#ffd43b", "#69db7c", "#38d9a9", "#4dabf7", "#9775fa", "#f783ac"];
+
+export function getPeerColor(sessionId) {
+  let hash = 0;
+
+  for (let i = 0; i < sessionId.length; i++) {
+    hash = (hash * 31 + sessionId.charCodeAt(i)) | 0;
+  }
+
+  return PeerColors[Math.abs(hash) % PeerColors.length];
+}
+
+function getSceneGraph(scene) {
+  const nodes = [];
+  const parents = new Map();
+  const children = new Map();
+
+  scene.traverse(object => {
+    if (!object.isNode) return;
+
+    nodes.push(object);
+    children.set(object.uuid, object.children.filter(child => child.isNode).map(child => child.uuid));
+
+    if (object !== scene) {
+      parents.set(object.uuid, object.parent.uuid);
+    }
+  });
+
+  return { nodes, parents, children };
+}
+
+function splitIntoChunks(array, size) {
+  const chunks = [];
+
+  for (let i = 0; i < array.length; i += size) {
+    chunks.push(array.slice(i, i + size));
+  }
+
+  return chunks;
+}
+
+function arraysEqual(a, b) {
+  return a.length === b.length && a.every((value, i) => value === b[i]);
+}
+
+/**
+ * Shares the edits made in an editor with the other sessions editing the same project and applies theirs.
+ *
+ * Edits are picked up from the editor's change events rather than from individual commands, so undo and redo are
+ * shared like any other edit. The transport is an EventEmitter with a sessionId, send(event, payload) and disconnect()
+ * that emits "ops", "presence", "peers", "sync_request" and "sync_response" events. Its joinedAt is compared with the
+ * peers' to pick the session that answers sync requests.
+ */
+export default class CollabSession {
+  constructor(editor, transport) {
+    this.editor = editor;
+    this.transport = transport;
+    this.sessionId = transport.sessionId;
+    this.log = new OperationLog(transport.sessionId);
+
+    this.peers = new Map();
+    this.pending = [];
+    this.pendingKeys = new Set();
+    this.serializedNodes = new Map();
+    this.sceneGraph = null;
+    this.applyingRemote = false;
+    this.applyQueue = Promise.resolve();
+    this.mousePosition = null;
+    this.presenceChanged = true;
+    this.peerHelpersChanged = false;
+    this.started = false;
+  }
+
+  start() {
+    const editor = this.editor;
+
+    this.sceneGraph = getSceneGraph(editor.scene);
+
+    for (const node of this.sceneGraph.nodes) {
+      if (node !== editor.scene) {
+        this.serializedNodes.set(node.uuid, JSON.stringify(node.serialize()));
+      }
+    }
+
+    editor.addListener("objectsChanged", this.onObjectsChanged);
+    editor.addListener("sceneGraphChanged", this.onSceneGraphChanged);
+    editor.addListener("selectionChanged", this.onSelectionChanged);
+
+    const canvas = editor.renderer && editor.renderer.canvas;
+
+    if (canvas) {
+      canvas.addEventListener("mousemove", this.onMouseMove);
+      canvas.addEventListener("mouseleave", this.onMouseLeave);
+    }
+
+    this.transport.on("ops", this.onRemoteOperations);
+    this.transport.on("presence", this.onRemotePresence);
+    this.transport.on("peers", this.onPeersChanged);
+    this.transport.on("sync_request", this.onSyncRequest);
+    this.transport.on("sync_response", this.onRemoteOperations);
+
+    this.flushInterval = setInterval(this.flush, FLUSH_INTERVAL);
+    this.presenceInterval = setInterval(this.updatePresence, PRESENCE_INTERVAL);
+
+    this.started = true;
+
+    this.transport.send("sync_request", {});
+  }
+
+  stop() {
+    if (!this.started) return;
+
+    this.started = false;
+
+    this.flush();
+
+    clearInterval(this.flushInterval);
+    clearInterval(this.presenceInterval);
+
+    const editor = this.editor;
+
+    editor.removeListener("objectsChanged", this.onObjectsChanged);
+    editor.removeListener("sceneGraphChanged", this.onSceneGraphChanged);
+    editor.removeListener("selectionChanged", this.onSelectionChanged);
+
+    const canvas = editor.renderer && editor.renderer.canvas;
+
+    if (canvas) {
+      canvas.removeEventListener("mousemove", this.onMouseMove);
+      canvas.removeEventListener("mouseleave", this.onMouseLeave);
+    }
+
+    this.transport.removeListener("ops", this.onRemoteOperations);
+    this.transport.removeListener("presence", this.onRemotePresence);
+    this.transport.removeListener("peers", this.onPeersChanged);
+    this.transport.removeListener("sync_request", this.onSyncRequest);
+    this.transport.removeListener("sync_response", this.onRemoteOperations);
+    this.transport.disconnect();
+
+    for (const peer of this.peers.values()) {
+      this.removePeerHelper(peer);
+    }
+
+    this.peers.clear();
+
+    editor.emit("collabPeersChanged");
+  }
+
+  getPeers() {
+    return Array.from(this.peers.values());
+  }
+
+  getSelectingPeers(node) {
+    return this.getPeers().filter(peer => peer.selection.indexOf(node.uuid) !== -1);
+  }
+
+  getNode(uuid) {
+    const node = this.editor.scene.getObjectByUUID(uuid);
+    return node && node.isNode ? node : null;
+  }
+
+  isInScene(object) {
+    let curObject = object;
+
+    while (curObject) {
+      if (curObject === this.editor.scene) {
+        return true;
+      }
+
+      curObject = curObject.parent;
+    }
+
+    return false;
+  }
+
+  queue(entry) {
+    if (entry.type === OperationType.Set || entry.type === OperationType.Update || entry.type === OperationType.Order) {
+      const key = `${entry.type}/${entry.node.uuid}/${entry.property}`;
+
+      if (this.pendingKeys.has(key)) return;
+
+      this.pendingKeys.add(key);
+    }
+
+    this.pending.push(entry);
+  }
+
+  onObjectsChanged = (objects, propertyName, propertyNames) => {
+    if (this.applyingRemote) return;
+
+    for (const object of objects) {
+      if (!object.isNode) continue;
+
+      let properties;
+
+      if (propertyName === "matrix") {
+        properties = TransformProperties;
+      } else if (propertyName !== undefined) {
+        properties = [propertyName];
+      } else if (propertyNames) {
+        properties = propertyNames;
+      } else {
+        properties = [];
+      }
+
+      // Changes that aren't tied to a property the node exposes are sent as a whole node update.
+      if (properties.length === 0 || properties.some(property => !(property in object))) {
+        if (object !== this.editor.scene) {
+          this.queue({ type: OperationType.Update, node: object });
+        }
+
+        continue;
+      }
+
+      for (const property of properties) {
+        this.queue({ type: OperationType.Set, node: object, property });
+      }
+    }
+
+    this.peerHelpersChanged = true;
+  };
+
+  onSceneGraphChanged = () => {
+    const prevGraph = this.sceneGraph;
+    const graph = getSceneGraph(this.editor.scene);
+
+    this.sceneGraph = graph;
+    this.peerHelpersChanged = true;
+
+    if (this.applyingRemote || !prevGraph) return;
+
+    for (const node of graph.nodes) {
+      if (node === this.editor.scene) continue;
+
+      const prevParent = prevGraph.parents.get(node.uuid);
+
+      if (prevParent === undefined) {
+        this.queue({ type: OperationType.Add, node });
+      } else if (prevParent !== graph.parents.get(node.uuid)) {
+        this.queue({ type: OperationType.Reparent, node });
+      }
+    }
+
+    // Only the roots of removed subtrees are sent, removing them removes their children on the other end.
+    for (const [uuid, prevParent] of prevGraph.parents) {
+      if (!graph.parents.has(uuid) && (graph.parents.has(prevParent) || prevParent === this.editor.scene.uuid)) {
+        this.queue({ type: OperationType.Remove, uuid });
+      }
+    }
+
+    // Added and reparented nodes are appended to their parent on the other end, so the order is sent when it differs.
+    for (const node of graph.nodes) {
+      const children = graph.children.get(node.uuid);
+      const prevChildren = prevGraph.children.get(node.uuid);
+
+      if (!prevChildren) continue;
+
+      const keptChildren = prevChildren.filter(uuid => children.indexOf(uuid) !== -1);
+      const expectedChildren = keptChildren.concat(children.filter(uuid => keptChildren.indexOf(uuid) === -1));
+
+      if (!arraysEqual(children, expectedChildren)) {
+        this.queue({ type: OperationType.Order, node });
+      }
+    }
+  };
+
+  onSelectionChanged = () => {
+    this.presenceChanged = true;
+  };
+
+  onMouseMove = event => {
+    this.mousePosition = new Vector2(event.clientX, event.clientY);
+    this.presenceChanged = true;
+  };
+
+  onMouseLeave = () => {
+    this.mousePosition = null;
+    this.presenceChanged = true;
+  };
+
+  // Values are read when the batch is sent, so repeated changes to the same property are sent once.
+  flush = () => {
+    if (this.pending.length === 0) return;
+
+    const pending = this.pending;
+    this.pending = [];
+    this.pendingKeys.clear();
+
+    const operations = [];
+
+    for (const entry of pending) {
+      const operation = this.createOperation(entry);
+
+      if (operation) {
+        operations.push(this.log.stamp(operation));
+      }
+    }
+
+    for (const chunk of splitIntoChunks(operations, MAX_OPERATIONS_PER_MESSAGE)) {
+      this.transport.send("ops", { operations: chunk });
+    }
+  };
+
+  createOperation(entry) {
+    const node = entry.node;
+
+    if (entry.type === OperationType.Remove) {
+      this.serializedNodes.delete(entry.uuid);
+      return { type: OperationType.Remove, uuid: entry.uuid };
+    }
+
+    if (!this.isInScene(node)) {
+      return null;
+    }
+
+    switch (entry.type) {
+      case OperationType.Set: {
+        let value;
+
+        try {
+          value = serializeValue(node[entry.property]);
+        } catch (error) {
+          return this.createUpdateOperation(node);
+        }
+
+        if (node !== this.editor.scene) {
+          this.serializedNodes.set(node.uuid, JSON.stringify(node.serialize()));
+        }
+
+        return { type: OperationType.Set, uuid: node.uuid, property: entry.property, value };
+      }
+      case OperationType.Update:
+        return this.createUpdateOperation(node);
+      case OperationType.Add: {
+        const json = node.serialize();
+        this.serializedNodes.set(node.uuid, JSON.stringify(json));
+        return { type: OperationType.Add, uuid: node.uuid, parent: node.parent.uuid, json };
+      }
+      case OperationType.Reparent:
+        return {
+          type: OperationType.Reparent,
+          uuid: node.uuid,
+          parent: node.parent.uuid,
+          transform: {
+            position: node.position.toArray(),
+            rotation: node.rotation.toArray(),
+            scale: node.scale.toArray()
+          }
+        };
+      case OperationType.Order:
+        return {
+          type: OperationType.Order,
+          uuid: node.uuid,
+          children: node.children.filter(child => child.isNode).map(child => child.uuid)
+        };
+      default:
+        return null;
+    }
+  }
+
+  createUpdateOperation(node) {
+    if (node === this.editor.scene) {
+      return null;
+    }
+
+    const json = node.serialize();
+    const serialized = JSON.stringify(json);
+
+    // Nodes report changes when they finish loading, which usually leaves their saved state as it was.
+    if (serialized === this.serializedNodes.get(node.uuid)) {
+      return null;
+    }
+
+    this.serializedNodes.set(node.uuid, serialized);
+
+    return { type: OperationType.Update, uuid: node.uuid, json };
+  }
+
+  onRemoteOperations = ({ operations }) => {
+    this.applyQueue = this.applyQueue.then(async () => {
+      for (const operation of operations) {
+        if (!this.started) return;
+
+        if (!this.log.receive(operation)) continue;
+
+        try {
+          await this.applyOperation(operation);
+        } catch (error) {
+          console.error(`Error applying remote "${operation.type}" operation to node "${operation.uuid}"`, error);
+        }
+      }
+    });
+  };
+
+  applyRemote(callback) {
+    this.applyingRemote = true;
+
+    try {
+      callback();
+    } finally {
+      this.applyingRemote = false;
+    }
+  }
+
+  async applyOperation(operation) {
+    const editor = this.editor;
+
+    switch (operation.type) {
+      case OperationType.Set: {
+        const node = this.getNode(operation.uuid);
+
+        if (!node) return;
+
+        const value = deserializeValue(operation.value, editor.scene);
+        const isNodeReference = !!(value && value.isObject3D);
+
+        this.applyRemote(() => editor.setProperty(node, operation.property, value, false, true, isNodeReference));
+
+        if (node !== editor.scene) {
+          this.serializedNodes.set(node.uuid, JSON.stringify(node.serialize()));
+        }
+
+        break;
+      }
+      case OperationType.Add: {
+        if (this.getNode(operation.uuid) || !this.getNode(operation.parent)) return;
+
+        const node = await this.deserializeNode(operation.json, operation.parent, operation.uuid);
+
+        // The scene may have changed while the node was loading.
+        const parent = this.getNode(operation.parent);
+
+        if (!parent || this.getNode(operation.uuid)) return;
+
+        this.applyRemote(() => {
+          editor.addObject(node, parent, undefined, false, true, false);
+          node.onChange();
+        });
+
+        this.serializedNodes.set(node.uuid, JSON.stringify(operation.json));
+
+        break;
+      }
+      case OperationType.Update: {
+        const node = this.getNode(operation.uuid);
+
+        if (!node || node === editor.scene) return;
+
+        const newNode = await this.deserializeNode(operation.json, node.parent.uuid, operation.uuid);
+        const oldNode = this.getNode(operation.uuid);
+
+        if (!oldNode) return;
+
+        this.applyRemote(() => this.replaceNode(oldNode, newNode));
+
+        this.serializedNodes.set(newNode.uuid, JSON.stringify(operation.json));
+
+        break;
+      }
+      case OperationType.Remove: {
+        const node = this.getNode(operation.uuid);
+
+        if (!node || node === editor.scene) return;
+
+        node.traverse(child => {
+          if (child.isNode) {
+            this.serializedNodes.delete(child.uuid);
+          }
+        });
+
+        this.applyRemote(() => editor.removeObject(node, false, true, true));
+
+        break;
+      }
+      case OperationType.Reparent: {
+        const node = this.getNode(operation.uuid);
+        const parent = this.getNode(operation.parent);
+
+        if (!node || !parent || node === editor.scene) return;
+
+        // A concurrent reparent on another session could make the node its own ancestor, which is dropped.
+        let ancestor = parent;
+
+        while (ancestor) {
+          if (ancestor === node) return;
+          ancestor = ancestor.parent;
+        }
+
+        const { position, rotation, scale } = operation.transform;
+
+        this.applyRemote(() => {
+          if (node.parent !== parent) {
+            editor.reparent(node, parent, undefined, false, true, false);
+          }
+
+          node.position.fromArray(position);
+          node.rotation.fromArray(rotation);
+          node.scale.fromArray(scale);
+          node.updateMatrixWorld(true);
+
+          editor.emit("objectsChanged", [node], "matrix");
+        });
+
+        break;
+      }
+      case OperationType.Order: {
+        const node = this.getNode(operation.uuid);
+
+        if (!node) return;
+
+        const childNodes = node.children.filter(child => child.isNode);
+        const orderedNodes = operation.children
+          .map(uuid => childNodes.find(child => child.uuid === uuid))
+          .filter(child => !!child);
+        const unorderedNodes = childNodes.filter(child => orderedNodes.indexOf(child) === -1);
+        const otherChildren = node.children.filter(child => !child.isNode);
+
+        node.children.splice(0, node.children.length, ...otherChildren, ...orderedNodes, ...unorderedNodes);
+
+        this.applyRemote(() => editor.emit("sceneGraphChanged"));
+
+        break;
+      }
+    }
+  }
+
+  async deserializeNode(json, parentUUID, uuid) {
+    const editor = this.editor;
+    const entityJson = Object.assign({}, json, { parent: parentUUID });
+
+    let EntityNodeConstructor;
+
+    for (const NodeConstructor of editor.nodeTypes) {
+      if (NodeConstructor.shouldDeserialize(entityJson)) {
+        EntityNodeConstructor = NodeConstructor;
+        break;
+      }
+    }
+
+    if (!EntityNodeConstructor) {
+      throw new Error(`No node constructor found for entity "${json.name}"`);
+    }
+
+    // Assets keep loading in the background, the node is added to the scene right away.
+    const loadAsync = promise => promise.catch(error => console.error(error));
+    const onError = (object, error) => console.error(error);
+
+    const node = await EntityNodeConstructor.deserialize(editor, entityJson, loadAsync, onError);
+    node.uuid = uuid;
+
+    return node;
+  }
+
+  // Swaps a node for a new copy of it, keeping its place in the hierarchy, its children and the selection.
+  replaceNode(oldNode, newNode) {
+    const editor = this.editor;
+    const parent = oldNode.parent;
+    const children = oldNode.children.filter(child => child.isNode);
+    const siblings = parent.children;
+    const before = siblings.slice(siblings.indexOf(oldNode) + 1).find(sibling => sibling.isNode);
+    const wasSelected = editor.selected.indexOf(oldNode) !== -1;
+
+    for (const child of children) {
+      editor.removeObject(child, false, false, false);
+    }
+
+    editor.removeObject(oldNode, false, false, true);
+    editor.addObject(newNode, parent, before, false, false, false);
+
+    for (const child of children) {
+      editor.addObject(child, newNode, undefined, false, false, false);
+    }
+
+    newNode.onChange();
+
+    if (wasSelected) {
+      editor.select(newNode, false, false);
+    }
+
+    editor.emit("sceneGraphChanged");
+    editor.emit("selectionChanged");
+  }
+
+  onSyncRequest = ({ session_id: sessionId }) => {
+    // The session that has been editing the longest answers, so late joiners get a single copy of the history.
+    const responder = this.getSortedSessions().find(session => session.sessionId !== sessionId);
+
+    if (responder && responder.sessionId === this.sessionId) {
+      for (const chunk of splitIntoChunks(this.log.getLatestOperations(), MAX_SYNC_OPERATIONS)) {
+        this.transport.send("sync_response", { target_session_id: sessionId, operations: chunk });
+      }
+    }
+  };
+
+  getSortedSessions() {
+    const sessions = this.getPeers().concat({ sessionId: this.sessionId, joinedAt: this.transport.joinedAt });
+
+    return sessions.sort((a, b) => {
+      if (a.joinedAt !== b.joinedAt) {
+        return a.joinedAt - b.joinedAt;
+      }
+
+      return a.sessionId < b.sessionId ? -1 : 1;
+    });
+  }
+
+  onPeersChanged = peers => {
+    const remotePeers = peers.filter(peer => peer.sessionId !== this.sessionId);
+
+    for (const peer of this.peers.values()) {
+      if (!remotePeers.find(remotePeer => remotePeer.sessionId === peer.sessionId)) {
+        this.removePeerHelper(peer);
+        this.peers.delete(peer.sessionId);
+      }
+    }
+
+    for (const { sessionId, displayName, joinedAt } of remotePeers) {
+      let peer = this.peers.get(sessionId);
+
+      if (!peer) {
+        const color = getPeerColor(sessionId);
+
+        peer = { sessionId, color, selection: [], cursor: null, helper: new RemotePeerHelper(color) };
+        this.editor.helperScene.add(peer.helper);
+        this.peers.set(sessionId, peer);
+
+        // Let the new peer know what we have selected.
+        this.presenceChanged = true;
+      }
+
+      peer.displayName = displayName || "Anonymous";
+      peer.joinedAt = joinedAt;
+    }
+
+    this.editor.emit("collabPeersChanged");
+  };
+
+  onRemotePresence = ({ session_id: sessionId, selection, cursor }) => {
+    const peer = this.peers.get(sessionId);
+
+    if (!peer) return;
+
+    const prevSelection = peer.selection;
+
+    peer.selection = Array.isArray(selection) ? selection : [];
+    peer.cursor = Array.isArray(cursor) ? cursor : null;
+
+    this.updatePeerHelper(peer);
+
+    // Cursor movements only change the viewport, the hierarchy is updated when the selection changes.
+    if (!arraysEqual(prevSelection, peer.selection)) {
+      this.editor.emit("collabPeersChanged");
+    }
+  };
+
+  updatePeerHelper(peer) {
+    peer.helper.setCursor(peer.cursor);
+    peer.helper.setSelection(peer.selection.map(uuid => this.getNode(uuid)).filter(node => !!node));
+  }
+
+  removePeerHelper(peer) {
+    this.editor.helperScene.remove(peer.helper);
+    peer.helper.dispose();
+  }
+
+  updatePresence = () => {
+    if (this.peerHelpersChanged) {
+      this.peerHelpersChanged = false;
+
+      for (const peer of this.peers.values()) {
+        this.updatePeerHelper(peer);
+      }
+    }
+
+    if (!this.presenceChanged) return;
+
+    this.presenceChanged = false;
+
+    let cursor = null;
+
+    if (this.mousePosition) {
+      const position = new Vector3();
+      this.editor.getCursorSpawnPosition(this.mousePosition, position);
+      cursor = position.toArray();
+    }
+
+    this.transport.send("presence", {
+      selection: this.editor.selected.map(object => object.uuid),
+      cursor
+    });
+  };
+}
@@ -0,0 +1,96 @@
+// Scene edits are shared between collaborators as plain JSON operations:
+//   { type: "set", uuid, property, value }         a property of a node changed
+//   { type: "add", uuid, parent, json }            a node was added, json is what node.serialize() returns
+//   { type: "update", uuid, json }                 a node changed in a way that isn't tied to a single property
+//   { type: "remove", uuid }                       a node and its children were removed
+//   { type: "reparent", uuid, parent, transform }  the node moved to another parent, keeping its world transform
+//   { type: "order", uuid, children }              the children of a node were reordered
+// Every operation is stamped with a Lamport clock and the id of the session that made it. Conflicts are resolved per
+// node uuid: for each property, the node's place in the hierarchy and its existence, the newest stamp wins.
+
+export const OperationType = {
+  Set: "set",
+  Add: "add",
+  Update: "update",
+  Remove: "remove",
+  Reparent: "reparent",
+  Order: "order"
+};
+
+export function compareStamps(a, b) {
+  if (a.clock !== b.clock) {
+    return a.clock - b.clock;
+  }
+
+  if (a.sessionId === b.sessionId) {
+    return 0;
+  }
+
+  return a.sessionId < b.sessionId ? -1 : 1;
+}
+
+function getOperationKey(operation) {
+  switch (operation.type) {
+    case OperationType.Set:
+      return `${operation.uuid}/${operation.property}`;
+    case OperationType.Update:
+      return `${operation.uuid}/json`;
+    case OperationType.Reparent:
+      return `${operation.uuid}/parent`;
+    case OperationType.Order:
+      return `${operation.uuid}/children`;
+    default:
+      return `${operation.uuid}/exists`;
+  }
+}
+
+export default class OperationLog {
+  constructor(sessionId) {
+    this.sessionId = sessionId;
+    this.clock = 0;
+    // The newest operation for each part of each node, by getOperationKey. Older ones are dropped as they are replaced.
+    this.operations = new Map();
+  }
+
+  // Stamps an operation that was already applied locally.
+  stamp(operation) {
+    this.clock++;
+    const stampedOperation = Object.assign({}, operation, { clock: this.clock, sessionId: this.sessionId });
+    this.record(stampedOperation);
+    return stampedOperation;
+  }
+
+  // Returns true if a remote operation is newer than what was applied to the same part of the node, and records it.
+  // Operations that were already received, including our own, are ignored.
+  receive(operation) {
+    this.clock = Math.max(this.clock, operation.clock);
+
+    const latest = this.operations.get(getOperationKey(operation));
+
+    if (latest && compareStamps(operation, latest) <= 0) {
+      return false;
+    }
+
+    // Edits that were made concurrently with the node's removal are dropped.
+    if (operation.type !== OperationType.Add && operation.type !== OperationType.Remove) {
+      const existence = this.operations.get(`${operation.uuid}/exists`);
+
+      if (existence && existence.type === OperationType.Remove && compareStamps(operation, existence) < 0) {
+        return false;
+      }
+    }
+
+    this.record(operation);
+
+    return true;
+  }
+
+  // The operations that are still in effect, oldest first. Replaying them on a copy of the project brings it up to date.
+  getLatestOperations() {
+    return Array.from(this.operations.values()).sort(compareStamps);
+  }
+
+  record(operation) {
+    this.operations.set(getOperationKey(operation), operation);
+  }
+}
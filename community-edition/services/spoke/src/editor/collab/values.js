@@ -0,0 +1,98 @@
+import { Color, Euler, Quaternion, Vector2, Vector3, Vector4 } from "three";
+
+// Node property values are sent as JSON. Three.js math types and references to other nodes are tagged so they can be
+// turned back into the same types on the other side.
+
+const mathTypes = {
+  Vector2,
+  Vector3,
+  Vector4,
+  Quaternion,
+  Euler
+};
+
+function getMathType(value) {
+  if (value.isVector2) return "Vector2";
+  if (value.isVector3) return "Vector3";
+  if (value.isVector4) return "Vector4";
+  if (value.isQuaternion) return "Quaternion";
+  if (value.isEuler) return "Euler";
+  return null;
+}
+
+export function serializeValue(value) {
+  if (value === undefined) {
+    return { $type: "undefined" };
+  }
+
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(serializeValue);
+  }
+
+  const mathType = getMathType(value);
+
+  if (mathType) {
+    return { $type: mathType, value: value.toArray() };
+  }
+
+  if (value.isColor) {
+    return { $type: "Color", value: value.getHex() };
+  }
+
+  if (value.isObject3D) {
+    return { $type: "Node", uuid: value.uuid };
+  }
+
+  if (Object.getPrototypeOf(value) !== Object.prototype) {
+    throw new Error(`Can't sync a value of type "${value.constructor.name}".`);
+  }
+
+  const serialized = {};
+
+  for (const key in value) {
+    if (!Object.prototype.hasOwnProperty.call(value, key)) continue;
+    serialized[key] = serializeValue(value[key]);
+  }
+
+  return serialized;
+}
+
+export function deserializeValue(value, scene) {
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => deserializeValue(item, scene));
+  }
+
+  switch (value.$type) {
+    case "undefined":
+      return undefined;
+    case "Color":
+      return new Color(value.value);
+    case "Node":
+      return (scene && scene.getObjectByProperty("uuid", value.uuid)) || null;
+    case undefined:
+      break;
+    default:
+      if (mathTypes[value.$type]) {
+        return new mathTypes[value.$type]().fromArray(value.value);
+      }
+
+      throw new Error(`Unknown value type "${value.$type}".`);
+  }
+
+  const deserialized = {};
+
+  for (const key in value) {
+    if (!Object.prototype.hasOwnProperty.call(value, key)) continue;
+    deserialized[key] = deserializeValue(value[key], scene);
+  }
+
+  return deserialized;
+}
@@ -50,7 +50,7 @@ export default class SetPropertiesMultipleCommand extends Command {
       this.editor.setProperties(this.objects[i], this.objectsOldProperties[i], false, false);
     }
 
-    this.editor.emit("objectsChanged", this.objects);
+    this.editor.emit("objectsChanged", this.objects, undefined, Object.keys(this.newProperties));
   }
 
   toString() {
@@ -0,0 +1,76 @@
+import configs from "../../configs";
+import DracoWorker from "./draco.worker";
+import * as dracoEncoderWasmUrl from "draco3d/draco_encoder.wasm";
+
+export default class DracoClient {
+  constructor() {
+    this.worker = new DracoWorker();
+    this.working = false;
+  }
+
+  async encodeMesh({ indices, attributes }, options, signal) {
+    if (this.working) {
+      throw new Error("Already encoding mesh");
+    }
+
+    this.working = true;
+
+    const encodePromise = new Promise((resolve, reject) => {
+      let onMessage = null;
+      let onError = null;
+      let onAbort = null;
+
+      const cleanUp = () => {
+        signal.removeEventListener("abort", onAbort);
+        this.worker.removeEventListener("message", onMessage);
+        this.worker.removeEventListener("error", onError);
+        this.working = false;
+      };
+
+      onMessage = event => {
+        resolve(event.data);
+        cleanUp();
+      };
+
+      onAbort = () => {
+        this.worker.terminate();
+        this.worker = new DracoWorker();
+        const error = new Error("Canceled mesh compression.");
+        error.aborted = true;
+        reject(error);
+        cleanUp();
+      };
+
+      onError = error => {
+        reject(error);
+        cleanUp();
+      };
+
+      signal.addEventListener("abort", onAbort);
+      this.worker.addEventListener("message", onMessage);
+      this.worker.addEventListener("error", onError);
+    });
+
+    this.worker.postMessage(
+      {
+        indices,
+        attributes,
+        options,
+        wasmUrl: new URL(dracoEncoderWasmUrl, configs.BASE_ASSETS_PATH || window.location).href
+      },
+      [indices.buffer, ...attributes.map(attribute => attribute.array.buffer)]
+    );
+
+    const result = await encodePromise;
+
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    return result;
+  }
+
+  terminate() {
+    this.worker.terminate();
+  }
+}
@@ -0,0 +1,83 @@
+import configs from "../../configs";
+import KTX2Worker from "./ktx2.worker";
+
+// The Basis Universal encoder is an ES module that webpack 4 can't bundle, so it is copied to the build output as is
+// and imported by the worker at runtime. See webpack.config.js.
+function getBasisEncoderUrl(fileName) {
+  return new URL((configs.BASE_ASSETS_PATH || "/") + "assets/js/basis/" + fileName, window.location).href;
+}
+
+export default class KTX2Client {
+  constructor() {
+    this.worker = new KTX2Worker();
+    this.working = false;
+  }
+
+  // Resolves to the KTX2 data or null if the image can't be compressed.
+  async encodeTexture(data, mimeType, options, signal) {
+    if (this.working) {
+      throw new Error("Already encoding texture");
+    }
+
+    this.working = true;
+
+    const encodePromise = new Promise((resolve, reject) => {
+      let onMessage = null;
+      let onError = null;
+      let onAbort = null;
+
+      const cleanUp = () => {
+        signal.removeEventListener("abort", onAbort);
+        this.worker.removeEventListener("message", onMessage);
+        this.worker.removeEventListener("error", onError);
+        this.working = false;
+      };
+
+      onMessage = event => {
+        resolve(event.data);
+        cleanUp();
+      };
+
+      onAbort = () => {
+        this.worker.terminate();
+        this.worker = new KTX2Worker();
+        const error = new Error("Canceled texture compression.");
+        error.aborted = true;
+        reject(error);
+        cleanUp();
+      };
+
+      onError = error => {
+        reject(error);
+        cleanUp();
+      };
+
+      signal.addEventListener("abort", onAbort);
+      this.worker.addEventListener("message", onMessage);
+      this.worker.addEventListener("error", onError);
+    });
+
+    this.worker.postMessage(
+      {
+        data,
+        mimeType,
+        options,
+        encoderUrl: getBasisEncoderUrl("basis_encoder.js"),
+        wasmUrl: getBasisEncoderUrl("basis_encoder.wasm")
+      },
+      [data.buffer]
+    );
+
+    const result = await encodePromise;
+
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    return result.data;
+  }
+
+  terminate() {
+    this.worker.terminate();
+  }
+}
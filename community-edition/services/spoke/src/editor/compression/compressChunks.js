@@ -0,0 +1,45 @@
+import DracoClient from "./DracoClient";
+import KTX2Client from "./KTX2Client";
+import { compressGLTF, getGLBByteLength, MeshCompression, TextureCompression } from "./compressGLTF";
+
+// Runs the compression passes on the chunks returned by GLTFExporter.exportChunks, replacing the binary chunk.
+export default async function compressChunks(chunks, settings, signal) {
+  const bin = chunks.buffers.length > 0 ? new Uint8Array(await new Response(chunks.buffers[0]).arrayBuffer()) : null;
+
+  if (!bin) {
+    return null;
+  }
+
+  const before = getGLBByteLength(chunks.json, bin.byteLength);
+
+  const dracoClient = settings.meshCompression === MeshCompression.Draco ? new DracoClient() : null;
+  const ktx2Client = settings.textureCompression !== TextureCompression.None ? new KTX2Client() : null;
+
+  let result;
+
+  try {
+    result = await compressGLTF(
+      chunks.json,
+      bin,
+      settings,
+      {
+        encodeMesh: (...args) => dracoClient.encodeMesh(...args),
+        encodeTexture: (...args) => ktx2Client.encodeTexture(...args)
+      },
+      signal
+    );
+  } finally {
+    if (dracoClient) dracoClient.terminate();
+    if (ktx2Client) ktx2Client.terminate();
+  }
+
+  if (signal.aborted) {
+    const error = new Error("Canceled scene compression.");
+    error.aborted = true;
+    throw error;
+  }
+
+  chunks.buffers = [new Blob([result.bin], { type: "application/octet-stream" })];
+
+  return Object.assign({ before, after: getGLBByteLength(chunks.json, result.bin.byteLength) }, result.report);
+}
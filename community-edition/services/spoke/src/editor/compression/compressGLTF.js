@@ -0,0 +1,479 @@
+// Export-time compression passes that operate on the chunks produced by GLTFExporter. The encoders are passed in so
+// that the glTF bookkeeping here stays independent of the WASM workers that do the actual encoding.
+
+export const MeshCompression = {
+  None: "none",
+  Draco: "draco"
+};
+
+export const TextureCompression = {
+  None: "none",
+  ETC1S: "etc1s",
+  UASTC: "uastc"
+};
+
+export const CompressionDefaults = {
+  meshCompression: MeshCompression.None,
+  meshPositionBits: 14,
+  meshNormalBits: 10,
+  meshTexcoordBits: 12,
+  textureCompression: TextureCompression.None,
+  textureQuality: 128
+};
+
+export function isCompressionEnabled(settings) {
+  return settings.meshCompression !== MeshCompression.None || settings.textureCompression !== TextureCompression.None;
+}
+
+const GL_UNSIGNED_BYTE = 5121;
+const GL_UNSIGNED_SHORT = 5123;
+const GL_UNSIGNED_INT = 5125;
+const GL_FLOAT = 5126;
+const GL_TRIANGLES = 4;
+
+const itemSizes = {
+  SCALAR: 1,
+  VEC2: 2,
+  VEC3: 3,
+  VEC4: 4,
+  MAT4: 16
+};
+
+const componentArrays = {
+  [GL_UNSIGNED_BYTE]: Uint8Array,
+  [GL_UNSIGNED_SHORT]: Uint16Array,
+  [GL_UNSIGNED_INT]: Uint32Array,
+  [GL_FLOAT]: Float32Array
+};
+
+const GLB_HEADER_BYTES = 12;
+const GLB_CHUNK_PREFIX_BYTES = 8;
+
+function pad4(byteLength) {
+  return Math.ceil(byteLength / 4) * 4;
+}
+
+// Size of the .glb GLTFExporter.exportGLBBlob would write for this json and binary chunk.
+export function getGLBByteLength(json, binByteLength) {
+  const jsonByteLength = new TextEncoder().encode(JSON.stringify(json)).byteLength;
+  let byteLength = GLB_HEADER_BYTES + GLB_CHUNK_PREFIX_BYTES + pad4(jsonByteLength);
+
+  if (binByteLength > 0) {
+    byteLength += GLB_CHUNK_PREFIX_BYTES + pad4(binByteLength);
+  }
+
+  return byteLength;
+}
+
+function readAccessor(json, bin, accessorIndex) {
+  const accessor = json.accessors[accessorIndex];
+  const bufferView = json.bufferViews[accessor.bufferView];
+  const TypedArray = componentArrays[accessor.componentType];
+  const elementByteLength = itemSizes[accessor.type] * TypedArray.BYTES_PER_ELEMENT;
+  const byteStride = bufferView.byteStride || elementByteLength;
+  const byteOffset = bin.byteOffset + (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+
+  if (byteStride === elementByteLength) {
+    return new TypedArray(bin.buffer.slice(byteOffset, byteOffset + accessor.count * elementByteLength));
+  }
+
+  const bytes = new Uint8Array(accessor.count * elementByteLength);
+
+  for (let i = 0; i < accessor.count; i++) {
+    bytes.set(new Uint8Array(bin.buffer, byteOffset + i * byteStride, elementByteLength), i * elementByteLength);
+  }
+
+  return new TypedArray(bytes.buffer);
+}
+
+function getDracoAttributeType(attributeName) {
+  if (attributeName === "POSITION") return "POSITION";
+  if (attributeName === "NORMAL") return "NORMAL";
+  if (attributeName.startsWith("TEXCOORD_")) return "TEX_COORD";
+  if (attributeName.startsWith("COLOR_")) return "COLOR";
+  return "GENERIC";
+}
+
+function isDracoCompressible(json, primitive) {
+  if (primitive.mode !== undefined && primitive.mode !== GL_TRIANGLES) return false;
+  if (primitive.targets || (primitive.extensions && primitive.extensions.KHR_draco_mesh_compression)) return false;
+  if (primitive.attributes.POSITION === undefined) return false;
+
+  // Skinned meshes use integer joint indices, which Draco would have to quantize as generic attributes.
+  return Object.values(primitive.attributes).every(accessorIndex => {
+    const accessor = json.accessors[accessorIndex];
+    return accessor.componentType === GL_FLOAT && accessor.bufferView !== undefined && !accessor.sparse;
+  });
+}
+
+async function compressMeshes(json, bin, settings, encodeMesh, addBufferView, signal) {
+  let compressed = 0;
+
+  for (const mesh of json.meshes || []) {
+    for (const primitive of mesh.primitives) {
+      if (signal && signal.aborted) return compressed;
+
+      if (!isDracoCompressible(json, primitive)) continue;
+
+      const attributeNames = Object.keys(primitive.attributes);
+      const attributes = attributeNames.map(name => {
+        const accessor = json.accessors[primitive.attributes[name]];
+        return {
+          name,
+          type: getDracoAttributeType(name),
+          itemSize: itemSizes[accessor.type],
+          array: readAccessor(json, bin, primitive.attributes[name])
+        };
+      });
+
+      let indices;
+
+      if (primitive.indices !== undefined) {
+        indices = Uint32Array.from(readAccessor(json, bin, primitive.indices));
+      } else {
+        const vertexCount = json.accessors[primitive.attributes.POSITION].count;
+        indices = new Uint32Array(vertexCount);
+
+        for (let i = 0; i < vertexCount; i++) {
+          indices[i] = i;
+        }
+      }
+
+      if (indices.length < 3) continue;
+
+      const result = await encodeMesh(
+        { indices, attributes },
+        {
+          positionBits: settings.meshPositionBits,
+          normalBits: settings.meshNormalBits,
+          texcoordBits: settings.meshTexcoordBits
+        },
+        signal
+      );
+
+      // The decoded mesh has its own vertex order and count, so it gets new accessors without buffer views.
+      for (const name of attributeNames) {
+        const sourceAccessor = json.accessors[primitive.attributes[name]];
+        const accessor = { componentType: GL_FLOAT, count: result.pointCount, type: sourceAccessor.type };
+
+        if (sourceAccessor.min) accessor.min = sourceAccessor.min;
+        if (sourceAccessor.max) accessor.max = sourceAccessor.max;
+
+        json.accessors.push(accessor);
+        primitive.attributes[name] = json.accessors.length - 1;
+      }
+
+      json.accessors.push({
+        componentType: result.pointCount > 65535 ? GL_UNSIGNED_INT : GL_UNSIGNED_SHORT,
+        count: result.faceCount * 3,
+        type: "SCALAR"
+      });
+      primitive.indices = json.accessors.length - 1;
+
+      primitive.extensions = primitive.extensions || {};
+      primitive.extensions.KHR_draco_mesh_compression = {
+        bufferView: addBufferView(result.data),
+        attributes: result.attributeIds
+      };
+
+      compressed++;
+    }
+  }
+
+  return compressed;
+}
+
+// Normal maps and data textures (metallic/roughness, occlusion) are stored linearly, everything else as sRGB color.
+function getImageUsages(json) {
+  const usages = new Map();
+
+  const addUsage = (textureInfo, usage) => {
+    if (!textureInfo || !json.textures || !json.textures[textureInfo.index]) return;
+
+    const source = json.textures[textureInfo.index].source;
+
+    if (source === undefined) return;
+
+    const imageUsages = usages.get(source) || new Set();
+    imageUsages.add(usage);
+    usages.set(source, imageUsages);
+  };
+
+  for (const material of json.materials || []) {
+    const pbr = material.pbrMetallicRoughness || {};
+    addUsage(pbr.baseColorTexture, "color");
+    addUsage(material.emissiveTexture, "color");
+    addUsage(pbr.metallicRoughnessTexture, "linear");
+    addUsage(material.occlusionTexture, "linear");
+    addUsage(material.normalTexture, "normal");
+  }
+
+  return usages;
+}
+
+async function compressTextures(json, bin, settings, encodeTexture, addBufferView, signal) {
+  let compressed = 0;
+
+  if (!json.images) return compressed;
+
+  const usages = getImageUsages(json);
+  const ktx2Images = new Set();
+
+  for (let i = 0; i < json.images.length; i++) {
+    if (signal && signal.aborted) return compressed;
+
+    const image = json.images[i];
+
+    if (image.bufferView === undefined || (image.mimeType !== "image/png" && image.mimeType !== "image/jpeg")) {
+      continue;
+    }
+
+    const imageUsages = usages.get(i) || new Set(["color"]);
+    const isNormalMap = imageUsages.size === 1 && imageUsages.has("normal");
+    const isColor = imageUsages.has("color");
+
+    const bufferView = json.bufferViews[image.bufferView];
+    const byteOffset = bin.byteOffset + (bufferView.byteOffset || 0);
+    const data = new Uint8Array(bin.buffer.slice(byteOffset, byteOffset + bufferView.byteLength));
+
+    const ktx2Data = await encodeTexture(
+      data,
+      image.mimeType,
+      {
+        uastc: settings.textureCompression === TextureCompression.UASTC,
+        quality: settings.textureQuality,
+        srgb: isColor,
+        normalMap: isNormalMap
+      },
+      signal
+    );
+
+    // The encoder skips images it can't compress without resizing; those keep their original format.
+    if (!ktx2Data) continue;
+
+    image.mimeType = "image/ktx2";
+    image.bufferView = addBufferView(ktx2Data);
+    ktx2Images.add(i);
+    compressed++;
+  }
+
+  for (const texture of json.textures || []) {
+    if (!ktx2Images.has(texture.source)) continue;
+
+    texture.extensions = texture.extensions || {};
+    texture.extensions.KHR_texture_basisu = { source: texture.source };
+    delete texture.source;
+  }
+
+  return compressed;
+}
+
+// Drops accessors and buffer views that are no longer referenced and rewrites the binary chunk without them.
+function pruneAndRepack(json, bin, addedBufferViews) {
+  const usedAccessors = new Set();
+
+  for (const mesh of json.meshes || []) {
+    for (const primitive of mesh.primitives) {
+      Object.values(primitive.attributes).forEach(index => usedAccessors.add(index));
+
+      if (primitive.indices !== undefined) usedAccessors.add(primitive.indices);
+
+      for (const target of primitive.targets || []) {
+        Object.values(target).forEach(index => usedAccessors.add(index));
+      }
+    }
+  }
+
+  for (const animation of json.animations || []) {
+    for (const sampler of animation.samplers) {
+      usedAccessors.add(sampler.input);
+      usedAccessors.add(sampler.output);
+    }
+  }
+
+  for (const skin of json.skins || []) {
+    if (skin.inverseBindMatrices !== undefined) usedAccessors.add(skin.inverseBindMatrices);
+  }
+
+  const accessorMap = new Map();
+  const accessors = [];
+
+  (json.accessors || []).forEach((accessor, index) => {
+    if (usedAccessors.has(index)) {
+      accessorMap.set(index, accessors.length);
+      accessors.push(accessor);
+    }
+  });
+
+  const usedBufferViews = new Set();
+
+  for (const accessor of accessors) {
+    if (accessor.bufferView !== undefined) usedBufferViews.add(accessor.bufferView);
+  }
+
+  for (const image of json.images || []) {
+    if (image.bufferView !== undefined) usedBufferViews.add(image.bufferView);
+  }
+
+  for (const mesh of json.meshes || []) {
+    for (const primitive of mesh.primitives) {
+      const draco = primitive.extensions && primitive.extensions.KHR_draco_mesh_compression;
+      if (draco) usedBufferViews.add(draco.bufferView);
+    }
+  }
+
+  const bufferViewMap = new Map();
+  const bufferViews = [];
+  const parts = [];
+  let byteLength = 0;
+
+  (json.bufferViews || []).forEach((bufferView, index) => {
+    if (!usedBufferViews.has(index)) return;
+
+    let data = addedBufferViews.get(index);
+
+    if (!data) {
+      const byteOffset = bin.byteOffset + (bufferView.byteOffset || 0);
+      data = new Uint8Array(bin.buffer, byteOffset, bufferView.byteLength);
+    }
+
+    bufferViewMap.set(index, bufferViews.length);
+    bufferViews.push(Object.assign({}, bufferView, { buffer: 0, byteOffset: byteLength, byteLength: data.byteLength }));
+    parts.push({ byteOffset: byteLength, data });
+    byteLength += pad4(data.byteLength);
+  });
+
+  const repacked = new Uint8Array(byteLength);
+
+  for (const { byteOffset, data } of parts) {
+    repacked.set(data, byteOffset);
+  }
+
+  for (const accessor of accessors) {
+    if (accessor.bufferView !== undefined) accessor.bufferView = bufferViewMap.get(accessor.bufferView);
+  }
+
+  for (const image of json.images || []) {
+    if (image.bufferView !== undefined) image.bufferView = bufferViewMap.get(image.bufferView);
+  }
+
+  for (const mesh of json.meshes || []) {
+    for (const primitive of mesh.primitives) {
+      for (const name of Object.keys(primitive.attributes)) {
+        primitive.attributes[name] = accessorMap.get(primitive.attributes[name]);
+      }
+
+      if (primitive.indices !== undefined) primitive.indices = accessorMap.get(primitive.indices);
+
+      for (const target of primitive.targets || []) {
+        for (const name of Object.keys(target)) {
+          target[name] = accessorMap.get(target[name]);
+        }
+      }
+
+      const draco = primitive.extensions && primitive.extensions.KHR_draco_mesh_compression;
+      if (draco) draco.bufferView = bufferViewMap.get(draco.bufferView);
+    }
+  }
+
+  for (const animation of json.animations || []) {
+    for (const sampler of animation.samplers) {
+      sampler.input = accessorMap.get(sampler.input);
+      sampler.output = accessorMap.get(sampler.output);
+    }
+  }
+
+  for (const skin of json.skins || []) {
+    if (skin.inverseBindMatrices !== undefined) skin.inverseBindMatrices = accessorMap.get(skin.inverseBindMatrices);
+  }
+
+  if (accessors.length > 0) {
+    json.accessors = accessors;
+  } else {
+    delete json.accessors;
+  }
+
+  if (bufferViews.length > 0) {
+    json.bufferViews = bufferViews;
+    json.buffers = [{ byteLength }];
+  } else {
+    delete json.bufferViews;
+    delete json.buffers;
+  }
+
+  return repacked;
+}
+
+function getByteLengths(json) {
+  const imageBufferViews = new Set((json.images || []).map(image => image.bufferView));
+  let geometry = 0;
+  let textures = 0;
+
+  (json.bufferViews || []).forEach((bufferView, index) => {
+    if (imageBufferViews.has(index)) {
+      textures += bufferView.byteLength;
+    } else {
+      geometry += bufferView.byteLength;
+    }
+  });
+
+  return { geometry, textures };
+}
+
+function addExtension(json, name) {
+  json.extensionsUsed = json.extensionsUsed || [];
+  json.extensionsRequired = json.extensionsRequired || [];
+
+  if (json.extensionsUsed.indexOf(name) === -1) json.extensionsUsed.push(name);
+  if (json.extensionsRequired.indexOf(name) === -1) json.extensionsRequired.push(name);
+}
+
+/**
+ * Compresses the geometry and textures of an exported glb in place.
+ * @param  {Object} json  glTF json, modified in place
+ * @param  {Uint8Array} bin  contents of the glb's binary chunk
+ * @param  {Object} settings  see CompressionDefaults
+ * @param  {Object} encoders  encodeMesh({ indices, attributes }, options, signal) resolving to
+ *                            { data, attributeIds, pointCount, faceCount }, and
+ *                            encodeTexture(data, mimeType, options, signal) resolving to the KTX2 data or null
+ * @param  {AbortSignal} signal
+ * @return {Object}  the new binary chunk and a report of the geometry and texture bytes before and after
+ */
+export async function compressGLTF(json, bin, settings, encoders, signal) {
+  const before = getByteLengths(json);
+  const addedBufferViews = new Map();
+
+  const addBufferView = data => {
+    json.bufferViews = json.bufferViews || [];
+    json.bufferViews.push({ buffer: 0, byteLength: data.byteLength });
+    const index = json.bufferViews.length - 1;
+    addedBufferViews.set(index, data);
+    return index;
+  };
+
+  let meshes = 0;
+  let textures = 0;
+
+  if (settings.meshCompression === MeshCompression.Draco) {
+    meshes = await compressMeshes(json, bin, settings, encoders.encodeMesh, addBufferView, signal);
+
+    if (meshes > 0) addExtension(json, "KHR_draco_mesh_compression");
+  }
+
+  if (settings.textureCompression !== TextureCompression.None) {
+    textures = await compressTextures(json, bin, settings, encoders.encodeTexture, addBufferView, signal);
+
+    if (textures > 0) addExtension(json, "KHR_texture_basisu");
+  }
+
+  const repacked = meshes > 0 || textures > 0 ? pruneAndRepack(json, bin, addedBufferViews) : bin;
+  const after = getByteLengths(json);
+
+  return {
+    bin: repacked,
+    report: {
+      geometry: { before: before.geometry, after: after.geometry, compressed: meshes },
+      textures: { before: before.textures, after: after.textures, compressed: textures }
+    }
+  };
+}
@@ -0,0 +1,83 @@
+import DracoEncoderModule from "draco3d/draco_encoder_nodejs";
+
+let encoderModulePromise = null;
+
+function getEncoderModule(wasmUrl) {
+  if (!encoderModulePromise) {
+    encoderModulePromise = DracoEncoderModule({
+      locateFile(path) {
+        if (path.endsWith(".wasm")) {
+          return wasmUrl;
+        }
+
+        return path;
+      }
+    });
+  }
+
+  return encoderModulePromise;
+}
+
+self.onmessage = async event => {
+  const { indices, attributes, options, wasmUrl } = event.data;
+
+  try {
+    const draco = await getEncoderModule(wasmUrl);
+
+    const encoder = new draco.Encoder();
+    const meshBuilder = new draco.MeshBuilder();
+    const mesh = new draco.Mesh();
+    const dracoBuffer = new draco.DracoInt8Array();
+
+    try {
+      const vertexCount = attributes[0].array.length / attributes[0].itemSize;
+
+      meshBuilder.AddFacesToMesh(mesh, indices.length / 3, indices);
+
+      // The attribute ids are written to KHR_draco_mesh_compression so the loader can match them to glTF attributes.
+      const attributeIds = {};
+
+      for (const { name, type, itemSize, array } of attributes) {
+        attributeIds[name] = meshBuilder.AddFloatAttributeToMesh(mesh, draco[type], vertexCount, itemSize, array);
+      }
+
+      encoder.SetAttributeQuantization(draco.POSITION, options.positionBits);
+      encoder.SetAttributeQuantization(draco.NORMAL, options.normalBits);
+      encoder.SetAttributeQuantization(draco.TEX_COORD, options.texcoordBits);
+      encoder.SetAttributeQuantization(draco.COLOR, 8);
+      encoder.SetSpeedOptions(5, 5);
+      encoder.SetEncodingMethod(draco.MESH_EDGEBREAKER_ENCODING);
+      encoder.SetTrackEncodedProperties(true);
+
+      const byteLength = encoder.EncodeMeshToDracoBuffer(mesh, dracoBuffer);
+
+      if (byteLength <= 0) {
+        self.postMessage({ error: "error encoding mesh" });
+        return;
+      }
+
+      const data = new Uint8Array(byteLength);
+
+      for (let i = 0; i < byteLength; i++) {
+        data[i] = dracoBuffer.GetValue(i);
+      }
+
+      self.postMessage(
+        {
+          data,
+          attributeIds,
+          pointCount: encoder.GetNumberOfEncodedPoints(),
+          faceCount: encoder.GetNumberOfEncodedFaces()
+        },
+        [data.buffer]
+      );
+    } finally {
+      draco.destroy(dracoBuffer);
+      draco.destroy(mesh);
+      draco.destroy(meshBuilder);
+      draco.destroy(encoder);
+    }
+  } catch (error) {
+    self.postMessage({ error: error.message || "unknown error" });
+  }
+};
@@ -0,0 +1,108 @@
+// Matches BasisTextureType.cBASISTexType2D and SourceType.RAW in the Basis Universal encoder.
+const BASIS_TEX_TYPE_2D = 0;
+const SOURCE_TYPE_RAW = 0;
+
+let basisModulePromise = null;
+
+function getBasisModule(encoderUrl, wasmUrl) {
+  if (!basisModulePromise) {
+    basisModulePromise = (async () => {
+      const { default: BASIS } = await import(/* webpackIgnore: true */ encoderUrl);
+
+      const response = await fetch(wasmUrl);
+
+      if (!response.ok) {
+        throw new Error(`error loading texture encoder: ${response.status}`);
+      }
+
+      const basis = await BASIS({ wasmBinary: await response.arrayBuffer() });
+      basis.initializeBasis();
+      return basis;
+    })();
+
+    basisModulePromise.catch(() => {
+      basisModulePromise = null;
+    });
+  }
+
+  return basisModulePromise;
+}
+
+async function decodeImage(data, mimeType) {
+  const bitmap = await createImageBitmap(new Blob([data], { type: mimeType }), {
+    premultiplyAlpha: "none",
+    colorSpaceConversion: "none"
+  });
+
+  const { width, height } = bitmap;
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  return ctx.getImageData(0, 0, width, height);
+}
+
+self.onmessage = async event => {
+  const { data, mimeType, options, encoderUrl, wasmUrl } = event.data;
+
+  try {
+    const basis = await getBasisModule(encoderUrl, wasmUrl);
+    const image = await decodeImage(data, mimeType);
+
+    // Block compressed formats need dimensions that are multiples of 4. Those images are left as PNG/JPEG.
+    if (image.width % 4 !== 0 || image.height % 4 !== 0) {
+      self.postMessage({ data: null });
+      return;
+    }
+
+    const encoder = new basis.BasisEncoder();
+
+    try {
+      encoder.setDebug(false);
+      encoder.setCreateKTX2File(true);
+      encoder.setTexType(BASIS_TEX_TYPE_2D);
+      encoder.setMipGen(true);
+      encoder.setUASTC(options.uastc);
+      encoder.setKTX2UASTCSupercompression(true);
+
+      if (encoder.setKTX2AndBasisSRGBTransferFunc) {
+        encoder.setKTX2AndBasisSRGBTransferFunc(options.srgb);
+      } else {
+        encoder.setKTX2SRGBTransferFunc(options.srgb);
+      }
+
+      encoder.setPerceptual(options.srgb);
+
+      if (options.normalMap) {
+        if (encoder.setNormalMapPreset) {
+          encoder.setNormalMapPreset();
+        } else {
+          encoder.setNormalMap();
+        }
+      }
+
+      if (!options.uastc) {
+        encoder.setQualityLevel(options.quality);
+      }
+
+      encoder.setSliceSourceImage(0, new Uint8Array(image.data.buffer), image.width, image.height, SOURCE_TYPE_RAW);
+
+      // Uncompressed RGBA with mipmaps plus room for the KTX2 header is always enough.
+      const output = new Uint8Array(Math.ceil((image.width * image.height * 4 * 4) / 3) + 65536);
+      const byteLength = encoder.encode(output);
+
+      if (byteLength === 0) {
+        self.postMessage({ error: "error encoding texture" });
+        return;
+      }
+
+      const ktx2Data = output.slice(0, byteLength);
+      self.postMessage({ data: ktx2Data }, [ktx2Data.buffer]);
+    } finally {
+      encoder.delete();
+    }
+  } catch (error) {
+    self.postMessage({ error: error.message || "unknown error" });
+  }
+};
@@ -0,0 +1,74 @@
+import { Box3, Box3Helper, Color, Group, Mesh, MeshBasicMaterial, SphereBufferGeometry, Vector3 } from "three";
+import { addIsHelperFlag } from "./utils";
+
+const emptyNodeSize = new Vector3(0.5, 0.5, 0.5);
+
+// Shows where a collaborator is pointing in the viewport and outlines the nodes they have selected.
+export default class RemotePeerHelper extends Group {
+  constructor(color) {
+    super();
+
+    this.name = "RemotePeerHelper";
+    this.color = new Color(color);
+
+    this.cursor = new Mesh(
+      new SphereBufferGeometry(0.08, 12, 8),
+      new MeshBasicMaterial({ color: this.color, depthTest: false, transparent: true, opacity: 0.9 })
+    );
+    this.cursor.layers.set(1);
+    this.cursor.visible = false;
+    this.add(this.cursor);
+
+    this.selectionBoxes = [];
+
+    this.layers.set(1);
+    addIsHelperFlag(this);
+  }
+
+  setCursor(position) {
+    if (position) {
+      this.cursor.position.fromArray(position);
+      this.cursor.visible = true;
+    } else {
+      this.cursor.visible = false;
+    }
+  }
+
+  setSelection(objects) {
+    while (this.selectionBoxes.length < objects.length) {
+      const selectionBox = new Box3Helper(new Box3(), this.color);
+      selectionBox.layers.set(1);
+      selectionBox.isHelper = true;
+      this.selectionBoxes.push(selectionBox);
+      this.add(selectionBox);
+    }
+
+    for (let i = 0; i < this.selectionBoxes.length; i++) {
+      const selectionBox = this.selectionBoxes[i];
+
+      if (i < objects.length) {
+        objects[i].updateMatrixWorld(true);
+        selectionBox.box.setFromObject(objects[i]);
+
+        // Nodes without geometry, like groups and spawn points, get a small box around their origin.
+        if (selectionBox.box.isEmpty()) {
+          selectionBox.box.setFromCenterAndSize(objects[i].getWorldPosition(selectionBox.box.min), emptyNodeSize);
+        }
+
+        selectionBox.visible = true;
+      } else {
+        selectionBox.visible = false;
+      }
+    }
+  }
+
+  dispose() {
+    this.cursor.geometry.dispose();
+    this.cursor.material.dispose();
+
+    for (const selectionBox of this.selectionBoxes) {
+      selectionBox.geometry.dispose();
+      selectionBox.material.dispose();
+    }
+  }
+}
@@ -0,0 +1,285 @@
+import {
+  BufferGeometry,
+  Float32BufferAttribute,
+  Line,
+  LineBasicMaterial,
+  Mesh,
+  MeshBasicMaterial,
+  Object3D,
+  RingBufferGeometry,
+  Vector3
+} from "three";
+import { GLTFLoader } from "../gltf/GLTFLoader";
+import EditorNodeMixin from "./EditorNodeMixin";
+import FloorPlanNode from "./FloorPlanNode";
+import wayPointModelUrl from "../../assets/spawn-point.glb";
+import {
+  MAX_BOT_WAYPOINTS,
+  createNavMeshIndex,
+  getBotWaypointIssues,
+  isBotWaypointName,
+  nextBotWaypointName,
+  validateBotWaypointName
+} from "../utils/botWaypoints";
+
+let botWaypointHelperModel = null;
+
+const navMeshIndices = new WeakMap();
+const pendingUpdates = new WeakSet();
+const navMeshListeners = new WeakSet();
+
+function getNavMeshIndex(navMesh) {
+  let navMeshIndex = navMeshIndices.get(navMesh.geometry);
+
+  if (!navMeshIndex) {
+    navMesh.updateMatrixWorld();
+    navMeshIndex = createNavMeshIndex(navMesh.geometry, navMesh.matrixWorld);
+    navMeshIndices.set(navMesh.geometry, navMeshIndex);
+  }
+
+  return navMeshIndex;
+}
+
+// Waypoints and spawn points named "spawbot-*" in scene order, like the ghost runner reads them from the export.
+function getSpawbotNodes(scene) {
+  const nodes = [];
+
+  scene.traverse(child => {
+    if (!child.isNode || !child.enabled) return;
+
+    if (child.constructor === BotWaypointNode) {
+      nodes.push(child);
+    } else if (
+      (child.constructor.componentName === "waypoint" || child.constructor.componentName === "spawn-point") &&
+      isBotWaypointName(child.name)
+    ) {
+      nodes.push(child);
+    }
+  });
+
+  return nodes;
+}
+
+function updateBotWaypoints(editor) {
+  pendingUpdates.delete(editor);
+
+  const scene = editor.scene;
+
+  if (!scene) return;
+
+  const floorPlanNode = scene.findNodeByType(FloorPlanNode, false);
+  const navMeshIndex = floorPlanNode && floorPlanNode.navMesh ? getNavMeshIndex(floorPlanNode.navMesh) : null;
+
+  scene.updateMatrixWorld();
+
+  const nodes = getSpawbotNodes(scene);
+  const results = getBotWaypointIssues(
+    nodes.map(node => ({ name: node.name, position: node.getWorldPosition(new Vector3()) })),
+    navMeshIndex
+  );
+
+  let issuesChanged = false;
+
+  nodes.forEach((node, i) => {
+    if (node.constructor !== BotWaypointNode) return;
+
+    if (JSON.stringify(node.issues) !== JSON.stringify(results[i].issues)) {
+      node.issues = results[i].issues;
+      issuesChanged = true;
+    }
+
+    node.hasNavMesh = !!navMeshIndex;
+    node.setNavMeshProjection(results[i].projection);
+  });
+
+  if (issuesChanged) {
+    // Refreshes the hierarchy's issue icons without marking the scene as modified.
+    editor.emit("selectionChanged");
+  }
+}
+
+// Issues depend on every bot waypoint in the scene, so changes are batched into one update.
+function scheduleBotWaypointUpdate(editor) {
+  if (pendingUpdates.has(editor)) return;
+  pendingUpdates.add(editor);
+  Promise.resolve().then(() => updateBotWaypoints(editor));
+}
+
+export default class BotWaypointNode extends EditorNodeMixin(Object3D) {
+  static componentName = "bot-waypoint";
+
+  static nodeName = "Bot Waypoint";
+
+  static async load() {
+    const { scene } = await new GLTFLoader(wayPointModelUrl).loadGLTF();
+
+    scene.traverse(child => {
+      if (child.isMesh) {
+        child.layers.set(1);
+      }
+    });
+
+    botWaypointHelperModel = scene;
+  }
+
+  static canAddNode(editor) {
+    return getSpawbotNodes(editor.scene).length < MAX_BOT_WAYPOINTS;
+  }
+
+  constructor(editor) {
+    super(editor);
+
+    if (botWaypointHelperModel) {
+      this.helper = botWaypointHelperModel.clone();
+      this.add(this.helper);
+    } else {
+      console.warn("BotWaypointNode: helper model was not loaded before creating a new BotWaypointNode");
+      this.helper = null;
+    }
+
+    this.hasNavMesh = false;
+    this.navMeshProjection = null;
+    this.snapHelper = this.createSnapHelper();
+    this.add(this.snapHelper);
+  }
+
+  createSnapHelper() {
+    const snapHelper = new Object3D();
+    snapHelper.name = "BotWaypointSnapHelper";
+
+    const marker = new Mesh(
+      new RingBufferGeometry(0.15, 0.25, 24).rotateX(-Math.PI / 2),
+      new MeshBasicMaterial({ color: 0x00ff88, depthTest: false })
+    );
+    marker.name = "SnapMarker";
+    marker.layers.set(1);
+    snapHelper.add(marker);
+
+    const lineGeometry = new BufferGeometry();
+    lineGeometry.addAttribute("position", new Float32BufferAttribute([0, 0, 0, 0, 0, 0], 3));
+    const line = new Line(lineGeometry, new LineBasicMaterial({ color: 0x00ff88, depthTest: false }));
+    line.name = "SnapLine";
+    line.layers.set(1);
+    snapHelper.add(line);
+
+    snapHelper.visible = false;
+
+    return snapHelper;
+  }
+
+  // Shows where bots will stand: the closest point on the generated floor plan.
+  setNavMeshProjection(projection) {
+    this.navMeshProjection = projection;
+
+    if (!this.snapHelper) return;
+
+    const [marker, line] = this.snapHelper.children;
+
+    if (projection) {
+      const localPosition = this.worldToLocal(projection.position.clone());
+      marker.position.copy(localPosition);
+      const linePositions = line.geometry.attributes.position;
+      linePositions.setXYZ(1, localPosition.x, localPosition.y, localPosition.z);
+      linePositions.needsUpdate = true;
+      line.geometry.computeBoundingSphere();
+    }
+
+    this.snapHelper.visible = !!projection && this.editor.selected.indexOf(this) !== -1;
+  }
+
+  getTakenBotWaypointNames() {
+    if (!this.editor.scene) return [];
+    return getSpawbotNodes(this.editor.scene)
+      .filter(node => node !== this)
+      .map(node => node.name);
+  }
+
+  validateName(name) {
+    return validateBotWaypointName(name, this.getTakenBotWaypointNames());
+  }
+
+  onAdd() {
+    if (!navMeshListeners.has(this.editor)) {
+      const editor = this.editor;
+      navMeshListeners.add(editor);
+      editor.addListener("navMeshChanged", () => scheduleBotWaypointUpdate(editor));
+    }
+
+    // New, duplicated and pasted waypoints get the next free "spawbot-<n>" name.
+    if (this.validateName(this.name)) {
+      this.name = nextBotWaypointName(this.getTakenBotWaypointNames());
+    }
+
+    scheduleBotWaypointUpdate(this.editor);
+  }
+
+  onChange() {
+    scheduleBotWaypointUpdate(this.editor);
+  }
+
+  onRemove() {
+    scheduleBotWaypointUpdate(this.editor);
+  }
+
+  onSelect() {
+    scheduleBotWaypointUpdate(this.editor);
+    this.snapHelper.visible = !!this.navMeshProjection;
+  }
+
+  onDeselect() {
+    this.snapHelper.visible = false;
+  }
+
+  copy(source, recursive = true) {
+    if (recursive) {
+      this.remove(this.helper);
+      this.remove(this.snapHelper);
+    }
+
+    super.copy(source, recursive);
+
+    if (recursive) {
+      const helperIndex = source.children.findIndex(child => child === source.helper);
+
+      if (helperIndex !== -1) {
+        this.helper = this.children[helperIndex];
+      }
+
+      const snapHelperIndex = source.children.findIndex(child => child === source.snapHelper);
+
+      if (snapHelperIndex !== -1) {
+        this.snapHelper = this.children[snapHelperIndex];
+      }
+    }
+
+    this.hasNavMesh = source.hasNavMesh;
+    this.navMeshProjection = source.navMeshProjection;
+
+    return this;
+  }
+
+  serialize() {
+    return super.serialize({
+      "bot-waypoint": {}
+    });
+  }
+
+  prepareForExport() {
+    super.prepareForExport();
+    this.remove(this.helper);
+    this.remove(this.snapHelper);
+    // Exported as a regular waypoint; the ghost runner recognizes it by its "spawbot-" name.
+    this.addGLTFComponent("waypoint", {
+      canBeSpawnPoint: false,
+      canBeOccupied: false,
+      canBeClicked: false,
+      willDisableMotion: false,
+      willDisableTeleporting: false,
+      snapToNavMesh: true,
+      willMaintainInitialOrientation: false
+    });
+    this.addGLTFComponent("networked", {
+      id: this.uuid
+    });
+  }
+}
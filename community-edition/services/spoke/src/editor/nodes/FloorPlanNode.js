@@ -100,8 +100,7 @@ export default class FloorPlanNode extends EditorNodeMixin(FloorPlan) {
       // Force reloading nav mesh since it was removed and this._navMeshSrc didn't change
       this.load(this._navMeshSrc, undefined, true).catch(console.error);
     } else if (this.navMesh) {
-      this.remove(this.navMesh);
-      this.navMesh = null;
+      this.setNavMesh(null);
     }
 
     this._navMeshMode = value;
@@ -126,8 +125,7 @@ export default class FloorPlanNode extends EditorNodeMixin(FloorPlan) {
     this.issues = [];
 
     if (this.navMesh) {
-      this.remove(this.navMesh);
-      this.navMesh = null;
+      this.setNavMesh(null);
     }
 
     try {
@@ -168,6 +166,11 @@ export default class FloorPlanNode extends EditorNodeMixin(FloorPlan) {
     this.editor.emit("selectionChanged");
   }
 
+  setNavMesh(object) {
+    super.setNavMesh(object);
+    this.editor.emit("navMeshChanged", this);
+  }
+
   onSelect() {
     if (this.navMesh) {
       this.navMesh.visible = true;
@@ -6,6 +6,25 @@ import cloneObject3D from "../utils/cloneObject3D";
 import { getComponents } from "../gltf/moz-hubs-components";
 import { RethrownError } from "../utils/errors";
 import { getObjectPerfIssues, maybeAddLargeFileIssue } from "../utils/performance";
+import { DefaultLODLevels, canGenerateLODs, createLODLevels, getSimplifiedGeometry } from "../utils/lods";
+import { getTriangleCount } from "../utils/simplifyGeometry";
+
+// Original geometries of the meshes currently showing a simplified level in the viewport.
+const lodPreviewGeometries = new WeakMap();
+
+function getMeshes(object) {
+  const meshes = [];
+
+  if (object) {
+    object.traverse(child => {
+      if (child.isMesh) {
+        meshes.push(child);
+      }
+    });
+  }
+
+  return meshes;
+}
 
 const defaultStats = {
   nodes: 0,
@@ -79,6 +98,13 @@ export default class ModelNode extends EditorNodeMixin(Model) {
         if (json.components.find(c => c.name === "billboard")) {
           node.billboard = true;
         }
+
+        const lodsComponent = json.components.find(c => c.name === "lods");
+
+        if (lodsComponent) {
+          node.generateLODs = true;
+          node.lodLevels = lodsComponent.props.levels;
+        }
       })()
     );
 
@@ -98,6 +124,9 @@ export default class ModelNode extends EditorNodeMixin(Model) {
     this.stats = defaultStats;
     this.gltfJson = null;
     this._billboard = false;
+    this.generateLODs = false;
+    this.lodLevels = DefaultLODLevels;
+    this._lodPreviewLevel = 0;
   }
 
   // Overrides Model's src property and stores the original (non-resolved) url.
@@ -148,6 +177,7 @@ export default class ModelNode extends EditorNodeMixin(Model) {
     this.issues = [];
     this.stats = defaultStats;
     this.gltfJson = null;
+    this._lodPreviewLevel = 0;
 
     if (this.model) {
       this.editor.renderer.removeBatchedObject(this.model);
@@ -285,6 +315,45 @@ export default class ModelNode extends EditorNodeMixin(Model) {
     return attributions;
   }
 
+  // Editor only: swaps the model's meshes for one of their simplified levels. 0 shows the full detail model.
+  get lodPreviewLevel() {
+    return this._lodPreviewLevel;
+  }
+
+  set lodPreviewLevel(value) {
+    const level = this.generateLODs && value <= this.lodLevels.length ? value : 0;
+    this._lodPreviewLevel = level;
+
+    if (!this.model) return;
+
+    this.editor.renderer.removeBatchedObject(this.model);
+
+    for (const mesh of getMeshes(this.model)) {
+      if (lodPreviewGeometries.has(mesh)) {
+        mesh.geometry = lodPreviewGeometries.get(mesh);
+        lodPreviewGeometries.delete(mesh);
+      }
+
+      if (level !== 0 && canGenerateLODs(mesh)) {
+        lodPreviewGeometries.set(mesh, mesh.geometry);
+        mesh.geometry = getSimplifiedGeometry(mesh.geometry, this.lodLevels[level - 1].ratio);
+      }
+    }
+
+    this.editor.renderer.addBatchedObject(this.model);
+  }
+
+  getLODPreviewTriangleCounts() {
+    const counts = { preview: 0, full: 0 };
+
+    for (const mesh of getMeshes(this.model)) {
+      counts.preview += getTriangleCount(mesh.geometry);
+      counts.full += getTriangleCount(lodPreviewGeometries.get(mesh) || mesh.geometry);
+    }
+
+    return counts;
+  }
+
   onAdd() {
     if (this.model) {
       this.editor.renderer.addBatchedObject(this.model);
@@ -297,6 +366,18 @@ export default class ModelNode extends EditorNodeMixin(Model) {
     }
   }
 
+  onChange(propertyName) {
+    if (this._lodPreviewLevel !== 0 && (propertyName === "generateLODs" || propertyName === "lodLevels")) {
+      this.lodPreviewLevel = this._lodPreviewLevel;
+    }
+  }
+
+  onDeselect() {
+    if (this._lodPreviewLevel !== 0) {
+      this.lodPreviewLevel = 0;
+    }
+  }
+
   onPlay() {
     this.playAnimation();
   }
@@ -374,6 +455,12 @@ export default class ModelNode extends EditorNodeMixin(Model) {
       components.billboard = {};
     }
 
+    if (this.generateLODs) {
+      components.lods = {
+        levels: this.lodLevels
+      };
+    }
+
     return super.serialize(components);
   }
 
@@ -394,6 +481,22 @@ export default class ModelNode extends EditorNodeMixin(Model) {
     this.walkable = source.walkable;
     this.combine = source.combine;
     this._billboard = source._billboard;
+    this.generateLODs = source.generateLODs;
+    this.lodLevels = source.lodLevels;
+
+    // Copies get the full detail geometry, even while the source previews a simplified level.
+    if (source.model && this.model && source._lodPreviewLevel !== 0) {
+      const sourceMeshes = getMeshes(source.model);
+      const meshes = getMeshes(this.model);
+
+      sourceMeshes.forEach((sourceMesh, i) => {
+        const originalGeometry = lodPreviewGeometries.get(sourceMesh);
+
+        if (originalGeometry && meshes[i]) {
+          meshes[i].geometry = originalGeometry;
+        }
+      });
+    }
 
     this.updateStaticModes();
 
@@ -429,5 +532,29 @@ export default class ModelNode extends EditorNodeMixin(Model) {
     if (this.billboard) {
       this.addGLTFComponent("billboard", {});
     }
+
+    if (this.generateLODs) {
+      this.addLODLevels();
+    }
+  }
+
+  // Exports simplified copies of each mesh as MSFT_lod levels. Hubs shows level n once the mesh covers less than
+  // MSFT_screencoverage[n - 1] of the screen.
+  addLODLevels() {
+    for (const mesh of getMeshes(this.model)) {
+      if (!canGenerateLODs(mesh)) continue;
+
+      const { meshes, coverages } = createLODLevels(mesh, this.lodLevels);
+
+      if (meshes.length === 0) continue;
+
+      mesh.userData.gltfExtensions = Object.assign({}, mesh.userData.gltfExtensions, {
+        MSFT_lod: { ids: meshes }
+      });
+      mesh.userData.MSFT_screencoverage = coverages;
+
+      // Combined meshes can't keep their own levels.
+      mesh._combine = false;
+    }
   }
 }
@@ -9,6 +9,7 @@ import serializeColor from "../utils/serializeColor";
 import { AvatarAudioDefaults, MediaAudioDefaults } from "../objects/AudioParams";
 import traverseFilteredSubtrees from "../utils/traverseFilteredSubtrees";
 import MigrateScene from "./SceneMigration";
+import { CompressionDefaults } from "../compression/compressGLTF";
 
 export const FogType = {
   Disabled: "disabled",
@@ -139,6 +140,18 @@ export default class SceneNode extends EditorNodeMixin(Scene) {
         node.mediaConeOuterAngle = props.mediaConeOuterAngle;
         node.mediaConeOuterGain = props.mediaConeOuterGain;
       }
+
+      const exportSettings = json.components.find(c => c.name === "export-settings");
+
+      if (exportSettings) {
+        const props = exportSettings.props;
+        node.meshCompression = props.meshCompression;
+        node.meshPositionBits = props.meshPositionBits;
+        node.meshNormalBits = props.meshNormalBits;
+        node.meshTexcoordBits = props.meshTexcoordBits;
+        node.textureCompression = props.textureCompression;
+        node.textureQuality = props.textureQuality;
+      }
     }
 
     return node;
@@ -167,6 +180,12 @@ export default class SceneNode extends EditorNodeMixin(Scene) {
     this.mediaConeInnerAngle = MediaAudioDefaults.coneInnerAngle;
     this.mediaConeOuterAngle = MediaAudioDefaults.coneOuterAngle;
     this.mediaConeOuterGain = MediaAudioDefaults.coneOuterGain;
+    this.meshCompression = CompressionDefaults.meshCompression;
+    this.meshPositionBits = CompressionDefaults.meshPositionBits;
+    this.meshNormalBits = CompressionDefaults.meshNormalBits;
+    this.meshTexcoordBits = CompressionDefaults.meshTexcoordBits;
+    this.textureCompression = CompressionDefaults.textureCompression;
+    this.textureQuality = CompressionDefaults.textureQuality;
     setStaticMode(this, StaticModes.Static);
   }
 
@@ -261,6 +280,12 @@ export default class SceneNode extends EditorNodeMixin(Scene) {
     this.mediaConeInnerAngle = source.mediaConeInnerAngle;
     this.mediaConeOuterAngle = source.mediaConeOuterAngle;
     this.mediaConeOuterGain = source.mediaConeOuterGain;
+    this.meshCompression = source.meshCompression;
+    this.meshPositionBits = source.meshPositionBits;
+    this.meshNormalBits = source.meshNormalBits;
+    this.meshTexcoordBits = source.meshTexcoordBits;
+    this.textureCompression = source.textureCompression;
+    this.textureQuality = source.textureQuality;
 
     return this;
   }
@@ -320,6 +345,16 @@ export default class SceneNode extends EditorNodeMixin(Scene) {
       }
     };
 
+    const compressionSettings = this.getCompressionSettings();
+
+    // Only written once changed so that projects that don't use compression serialize as before.
+    if (Object.keys(compressionSettings).some(key => compressionSettings[key] !== CompressionDefaults[key])) {
+      sceneJson.entities[this.uuid].components.push({
+        name: "export-settings",
+        props: compressionSettings
+      });
+    }
+
     this.traverse(child => {
       if (!child.isNode || child === this) {
         return;
@@ -519,4 +554,15 @@ export default class SceneNode extends EditorNodeMixin(Scene) {
     const existingMetadata = this.metadata || {};
     this.metadata = Object.assign(existingMetadata, newMetadata);
   }
+
+  getCompressionSettings() {
+    return {
+      meshCompression: this.meshCompression,
+      meshPositionBits: this.meshPositionBits,
+      meshNormalBits: this.meshNormalBits,
+      meshTexcoordBits: this.meshTexcoordBits,
+      textureCompression: this.textureCompression,
+      textureQuality: this.textureQuality
+    };
+  }
 }
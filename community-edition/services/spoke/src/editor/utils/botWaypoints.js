@@ -0,0 +1,228 @@
+import { Triangle, Vector3 } from "three";
+
+// These mirror the rules the ghost runner (bot-orchestrator) applies to exported scenes.
+export const BOT_WAYPOINT_PREFIX = "spawbot-";
+
+export const MAX_BOT_WAYPOINTS = 64;
+
+export const MAX_BOT_WAYPOINT_NAME_LENGTH = 64;
+
+// Default of GHOST_NAVMESH_MAX_SNAP_DISTANCE_M. Waypoints further than this from the navmesh are dropped.
+export const NAVMESH_SNAP_DISTANCE = 3;
+
+const botWaypointNamePattern = /^spawbot-[a-z0-9_-]+$/;
+
+// The ghost runner treats any waypoint or spawn point whose name starts with "spawbot-" as a bot waypoint.
+export function isBotWaypointName(name) {
+  if (typeof name !== "string") return false;
+  const normalizedName = name.trim().toLowerCase();
+  return normalizedName.startsWith(BOT_WAYPOINT_PREFIX);
+}
+
+// Returns an error message for an invalid name or null. takenNames are the names of the other bot waypoints.
+export function validateBotWaypointName(name, takenNames = []) {
+  if (typeof name !== "string" || name.length === 0) {
+    return "Name is required.";
+  }
+
+  if (name.length > MAX_BOT_WAYPOINT_NAME_LENGTH) {
+    return `Name must be at most ${MAX_BOT_WAYPOINT_NAME_LENGTH} characters.`;
+  }
+
+  if (!botWaypointNamePattern.test(name)) {
+    return `Name must be "${BOT_WAYPOINT_PREFIX}" followed by lowercase letters, digits, "-" or "_".`;
+  }
+
+  for (const takenName of takenNames) {
+    if (typeof takenName === "string" && takenName.trim().toLowerCase() === name) {
+      return `Another waypoint is already named "${name}".`;
+    }
+  }
+
+  return null;
+}
+
+export function nextBotWaypointName(takenNames = []) {
+  const taken = new Set(takenNames.map(name => name.trim().toLowerCase()));
+
+  let counter = 1;
+
+  while (taken.has(BOT_WAYPOINT_PREFIX + counter)) {
+    counter++;
+  }
+
+  return BOT_WAYPOINT_PREFIX + counter;
+}
+
+function vertexKey(position, index) {
+  // Same precision three-pathfinding uses to weld vertices before grouping polygons.
+  return [position.getX(index), position.getY(index), position.getZ(index)]
+    .map(value => Math.round(value * 1e4))
+    .join(",");
+}
+
+// Indexes a navmesh geometry the way three-pathfinding does: welded triangles that share an edge belong to the
+// same group, and groups are numbered in order of their first triangle.
+export function createNavMeshIndex(geometry, matrixWorld) {
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  const triangleCount = Math.floor((index ? index.count : position.count) / 3);
+
+  const vertexIds = new Map();
+  const weldedIds = [];
+
+  for (let i = 0; i < triangleCount * 3; i++) {
+    const key = vertexKey(position, index ? index.getX(i) : i);
+
+    if (!vertexIds.has(key)) {
+      vertexIds.set(key, vertexIds.size);
+    }
+
+    weldedIds.push(vertexIds.get(key));
+  }
+
+  const parents = new Array(triangleCount).fill(0).map((_, i) => i);
+
+  const find = i => {
+    while (parents[i] !== i) {
+      parents[i] = parents[parents[i]];
+      i = parents[i];
+    }
+
+    return i;
+  };
+
+  const edgeTriangles = new Map();
+
+  for (let t = 0; t < triangleCount; t++) {
+    for (let e = 0; e < 3; e++) {
+      const a = weldedIds[t * 3 + e];
+      const b = weldedIds[t * 3 + ((e + 1) % 3)];
+      const edgeKey = a < b ? `${a}:${b}` : `${b}:${a}`;
+
+      if (edgeTriangles.has(edgeKey)) {
+        const rootA = find(edgeTriangles.get(edgeKey));
+        const rootB = find(t);
+
+        if (rootA !== rootB) {
+          parents[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+        }
+      } else {
+        edgeTriangles.set(edgeKey, t);
+      }
+    }
+  }
+
+  const groupByRoot = new Map();
+  const triangles = [];
+
+  for (let t = 0; t < triangleCount; t++) {
+    const root = find(t);
+
+    if (!groupByRoot.has(root)) {
+      groupByRoot.set(root, groupByRoot.size);
+    }
+
+    const vertices = [0, 1, 2].map(v => {
+      const vertex = new Vector3().fromBufferAttribute(position, index ? index.getX(t * 3 + v) : t * 3 + v);
+      return matrixWorld ? vertex.applyMatrix4(matrixWorld) : vertex;
+    });
+
+    triangles.push({ group: groupByRoot.get(root), triangle: new Triangle(...vertices) });
+  }
+
+  const candidate = new Vector3();
+
+  return {
+    groupCount: groupByRoot.size,
+
+    // Closest point on the navmesh within maxDistance, or null if the point would not snap.
+    projectPoint(point, maxDistance = NAVMESH_SNAP_DISTANCE) {
+      let closest = null;
+      let closestDistanceSq = maxDistance * maxDistance;
+
+      for (const { group, triangle } of triangles) {
+        triangle.closestPointToPoint(point, candidate);
+        const distanceSq = candidate.distanceToSquared(point);
+
+        if (distanceSq > closestDistanceSq || (closest && distanceSq === closestDistanceSq)) continue;
+
+        closestDistanceSq = distanceSq;
+        closest = { group, position: candidate.clone() };
+      }
+
+      if (closest) {
+        closest.distance = Math.sqrt(closestDistanceSq);
+      }
+
+      return closest;
+    }
+  };
+}
+
+// waypoints are { name, position } in scene order, including generic waypoints named "spawbot-*". Returns the
+// hierarchy issues for each waypoint and its navmesh projection (null when off-mesh or without a navmesh).
+export function getBotWaypointIssues(waypoints, navMeshIndex) {
+  const results = waypoints.map(() => ({ issues: [], projection: null }));
+  const seenNames = [];
+
+  waypoints.forEach((waypoint, i) => {
+    const nameError = validateBotWaypointName(waypoint.name, seenNames);
+
+    if (nameError) {
+      results[i].issues.push({ severity: "error", message: nameError });
+    }
+
+    seenNames.push(waypoint.name);
+
+    if (i >= MAX_BOT_WAYPOINTS) {
+      results[i].issues.push({
+        severity: "error",
+        message: `Bots only use the first ${MAX_BOT_WAYPOINTS} waypoints. This one will be ignored.`
+      });
+    }
+  });
+
+  if (!navMeshIndex) {
+    return results;
+  }
+
+  const countByGroup = new Map();
+
+  waypoints.forEach((waypoint, i) => {
+    const projection = navMeshIndex.projectPoint(waypoint.position);
+    results[i].projection = projection;
+
+    if (!projection) {
+      results[i].issues.push({
+        severity: "warning",
+        message: `Waypoint is more than ${NAVMESH_SNAP_DISTANCE}m away from the floor plan. Bots will skip it.`
+      });
+    } else {
+      countByGroup.set(projection.group, (countByGroup.get(projection.group) || 0) + 1);
+    }
+  });
+
+  // Like the ghost runner, bots only spawn and patrol within the group holding the most bot waypoints (lowest group
+  // on ties).
+  let primaryGroup = null;
+
+  countByGroup.forEach((count, group) => {
+    const primaryCount = primaryGroup === null ? 0 : countByGroup.get(primaryGroup);
+
+    if (count > primaryCount || (count === primaryCount && group < primaryGroup)) {
+      primaryGroup = group;
+    }
+  });
+
+  for (const result of results) {
+    if (result.projection && result.projection.group !== primaryGroup) {
+      result.issues.push({
+        severity: "warning",
+        message: "Waypoint is cut off from the part of the floor plan with most bot waypoints. Bots will skip it."
+      });
+    }
+  }
+
+  return results;
+}
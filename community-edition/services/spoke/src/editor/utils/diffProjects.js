@@ -0,0 +1,94 @@
+function valuesEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function getParentName(project, entity) {
+  const parent = entity.parent && project.entities[entity.parent];
+  return parent ? parent.name : null;
+}
+
+function diffComponents(fromComponents = [], toComponents = []) {
+  const changes = [];
+
+  for (const fromComponent of fromComponents) {
+    const toComponent = toComponents.find(c => c.name === fromComponent.name);
+
+    if (!toComponent) {
+      changes.push({ kind: "componentRemoved", component: fromComponent.name });
+      continue;
+    }
+
+    const fromProps = fromComponent.props || {};
+    const toProps = toComponent.props || {};
+    const propertyNames = new Set([...Object.keys(fromProps), ...Object.keys(toProps)]);
+
+    for (const propertyName of propertyNames) {
+      if (!valuesEqual(fromProps[propertyName], toProps[propertyName])) {
+        changes.push({
+          kind: "property",
+          component: fromComponent.name,
+          property: propertyName,
+          oldValue: fromProps[propertyName],
+          newValue: toProps[propertyName]
+        });
+      }
+    }
+  }
+
+  for (const toComponent of toComponents) {
+    if (!fromComponents.some(c => c.name === toComponent.name)) {
+      changes.push({ kind: "componentAdded", component: toComponent.name });
+    }
+  }
+
+  return changes;
+}
+
+// Compares two serialized projects (see SceneNode.serialize) and lists the nodes that were added, removed or changed
+// going from one to the other. Reordering a node among its siblings is not reported.
+export default function diffProjects(fromProject, toProject) {
+  const fromEntities = fromProject.entities;
+  const toEntities = toProject.entities;
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const uuid of Object.keys(toEntities)) {
+    if (!fromEntities[uuid]) {
+      added.push({ uuid, name: toEntities[uuid].name });
+    }
+  }
+
+  for (const uuid of Object.keys(fromEntities)) {
+    const fromEntity = fromEntities[uuid];
+    const toEntity = toEntities[uuid];
+
+    if (!toEntity) {
+      removed.push({ uuid, name: fromEntity.name });
+      continue;
+    }
+
+    const changes = [];
+
+    if (fromEntity.name !== toEntity.name) {
+      changes.push({ kind: "name", oldValue: fromEntity.name, newValue: toEntity.name });
+    }
+
+    if (fromEntity.parent !== toEntity.parent) {
+      changes.push({
+        kind: "parent",
+        oldValue: getParentName(fromProject, fromEntity),
+        newValue: getParentName(toProject, toEntity)
+      });
+    }
+
+    changes.push(...diffComponents(fromEntity.components, toEntity.components));
+
+    if (changes.length > 0) {
+      changed.push({ uuid, name: toEntity.name, changes });
+    }
+  }
+
+  return { added, removed, changed };
+}
@@ -0,0 +1,77 @@
+import { Mesh } from "three";
+import simplifyGeometry, { getTriangleCount } from "./simplifyGeometry";
+
+export const MAX_LOD_LEVELS = 3;
+
+// Each level keeps `ratio` of the source triangles and is shown once the mesh covers less than `coverage` of the screen.
+export const DefaultLODLevels = [{ ratio: 0.5, coverage: 0.25 }, { ratio: 0.15, coverage: 0.08 }];
+
+// Meshes smaller than this aren't worth the extra draw calls and file size.
+const MIN_LOD_TRIANGLES = 64;
+
+// A level has to remove at least this share of the previous level's triangles to be exported.
+const MIN_LOD_REDUCTION = 0.1;
+
+const simplifiedGeometries = new WeakMap();
+
+export function canGenerateLODs(object) {
+  if (!object.isMesh || object.isSkinnedMesh || !object.geometry || !object.geometry.isBufferGeometry) {
+    return false;
+  }
+
+  const geometry = object.geometry;
+
+  if (!geometry.attributes.position || Object.keys(geometry.morphAttributes).length > 0) {
+    return false;
+  }
+
+  return getTriangleCount(geometry) >= MIN_LOD_TRIANGLES;
+}
+
+// Simplification is slow for large meshes, so results are cached per source geometry and ratio.
+export function getSimplifiedGeometry(geometry, ratio) {
+  let levels = simplifiedGeometries.get(geometry);
+
+  if (!levels) {
+    levels = new Map();
+    simplifiedGeometries.set(geometry, levels);
+  }
+
+  let simplified = levels.get(ratio);
+
+  if (!simplified) {
+    simplified = simplifyGeometry(geometry, ratio);
+    levels.set(ratio, simplified);
+  }
+
+  return simplified;
+}
+
+/**
+ * Creates the lower detail meshes for a mesh and the MSFT_screencoverage values for all of its levels.
+ * Levels that don't remove enough triangles are dropped, along with every level after them.
+ */
+export function createLODLevels(mesh, lodLevels) {
+  const meshes = [];
+  const coverages = [];
+  let previousTriangleCount = getTriangleCount(mesh.geometry);
+
+  for (let i = 0; i < lodLevels.length; i++) {
+    const { ratio, coverage } = lodLevels[i];
+    const geometry = getSimplifiedGeometry(mesh.geometry, ratio);
+    const triangleCount = getTriangleCount(geometry);
+
+    if (triangleCount > previousTriangleCount * (1 - MIN_LOD_REDUCTION)) break;
+
+    const lodMesh = new Mesh(geometry, mesh.material);
+    lodMesh.name = `${mesh.name}_LOD${i + 1}`;
+    meshes.push(lodMesh);
+    coverages.push(coverage);
+    previousTriangleCount = triangleCount;
+  }
+
+  // The last value is the coverage below which the mesh is culled. Hubs never culls, so it is kept at 0.
+  coverages.push(0);
+
+  return { meshes, coverages };
+}
@@ -0,0 +1,448 @@
+import { BufferAttribute, BufferGeometry, Vector3 } from "three";
+import { BufferGeometryUtils } from "three/examples/jsm/utils/BufferGeometryUtils";
+
+// Mesh simplification by quadric error edge collapse (Garland & Heckbert).
+// Vertices are only ever collapsed onto a neighbouring vertex and never moved, so every attribute (normals, uvs,
+// colors, skin weights) of the remaining vertices stays valid and is copied over unchanged.
+// Vertices on open edges, uv/normal seams and material group boundaries are locked to avoid cracks and stretching.
+
+const QUADRIC_SIZE = 10;
+
+const tempA = new Vector3();
+const tempB = new Vector3();
+const tempC = new Vector3();
+const tempNormalBefore = new Vector3();
+const tempNormalAfter = new Vector3();
+
+export function getTriangleCount(geometry) {
+  if (geometry.index) {
+    return Math.floor(geometry.index.count / 3);
+  }
+
+  return geometry.attributes.position ? Math.floor(geometry.attributes.position.count / 3) : 0;
+}
+
+// Adds the plane ax + by + cz + d = 0, weighted by the triangle area, to a symmetric 4x4 quadric stored as 10 floats.
+function addPlaneQuadric(quadrics, vertex, a, b, c, d, weight) {
+  const offset = vertex * QUADRIC_SIZE;
+  quadrics[offset] += a * a * weight;
+  quadrics[offset + 1] += a * b * weight;
+  quadrics[offset + 2] += a * c * weight;
+  quadrics[offset + 3] += a * d * weight;
+  quadrics[offset + 4] += b * b * weight;
+  quadrics[offset + 5] += b * c * weight;
+  quadrics[offset + 6] += b * d * weight;
+  quadrics[offset + 7] += c * c * weight;
+  quadrics[offset + 8] += c * d * weight;
+  quadrics[offset + 9] += d * d * weight;
+}
+
+// Error of moving vertex u onto the position of vertex v, using the sum of both quadrics.
+function getCollapseError(quadrics, positions, u, v) {
+  const qu = u * QUADRIC_SIZE;
+  const qv = v * QUADRIC_SIZE;
+  const x = positions[v * 3];
+  const y = positions[v * 3 + 1];
+  const z = positions[v * 3 + 2];
+  const q = i => quadrics[qu + i] + quadrics[qv + i];
+
+  const error =
+    q(0) * x * x +
+    2 * q(1) * x * y +
+    2 * q(2) * x * z +
+    2 * q(3) * x +
+    q(4) * y * y +
+    2 * q(5) * y * z +
+    2 * q(6) * y +
+    q(7) * z * z +
+    2 * q(8) * z +
+    q(9);
+
+  return Math.abs(error);
+}
+
+class CollapseQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  get length() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+
+    let i = items.length - 1;
+
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+
+      if (items[parent].error <= item.error) break;
+
+      items[i] = items[parent];
+      i = parent;
+    }
+
+    items[i] = item;
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      let i = 0;
+
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        let smallestError = last.error;
+
+        if (left < items.length && items[left].error < smallestError) {
+          smallest = left;
+          smallestError = items[left].error;
+        }
+
+        if (right < items.length && items[right].error < smallestError) {
+          smallest = right;
+        }
+
+        if (smallest === i) break;
+
+        items[i] = items[smallest];
+        i = smallest;
+      }
+
+      items[i] = last;
+    }
+
+    return top;
+  }
+}
+
+function getTriangleNormal(positions, a, b, c, target) {
+  tempA.fromArray(positions, a * 3);
+  tempB.fromArray(positions, b * 3).sub(tempA);
+  tempC.fromArray(positions, c * 3).sub(tempA);
+  return target.crossVectors(tempB, tempC);
+}
+
+function getAttributeComponent(attribute, index, component) {
+  switch (component) {
+    case 0:
+      return attribute.getX(index);
+    case 1:
+      return attribute.getY(index);
+    case 2:
+      return attribute.getZ(index);
+    default:
+      return attribute.getW(index);
+  }
+}
+
+/**
+ * Returns a simplified copy of an indexed or non-indexed BufferGeometry with at most `ratio` of its triangles.
+ * The target may not be reached when most vertices are locked; the result is never larger than the source.
+ */
+export default function simplifyGeometry(geometry, ratio) {
+  const source = geometry.index ? geometry : BufferGeometryUtils.mergeVertices(geometry);
+  const positionAttribute = source.attributes.position;
+  const vertexCount = positionAttribute.count;
+  const triangles = Uint32Array.from(source.index.array);
+  const triangleCount = Math.floor(triangles.length / 3);
+  const targetTriangleCount = Math.max(1, Math.floor(triangleCount * ratio));
+
+  const positions = new Float64Array(vertexCount * 3);
+
+  for (let i = 0; i < vertexCount; i++) {
+    positions[i * 3] = positionAttribute.getX(i);
+    positions[i * 3 + 1] = positionAttribute.getY(i);
+    positions[i * 3 + 2] = positionAttribute.getZ(i);
+  }
+
+  const groups =
+    source.groups.length > 0 ? source.groups : [{ start: 0, count: triangles.length, materialIndex: undefined }];
+  const triangleGroups = new Int32Array(triangleCount).fill(-1);
+
+  groups.forEach((group, groupIndex) => {
+    const start = Math.floor(group.start / 3);
+    const end = Math.min(triangleCount, start + Math.floor(group.count / 3));
+
+    for (let t = start; t < end; t++) {
+      triangleGroups[t] = groupIndex;
+    }
+  });
+
+  const locked = new Uint8Array(vertexCount);
+  const vertexGroups = new Int32Array(vertexCount).fill(-1);
+  const vertexTriangles = new Array(vertexCount);
+
+  for (let i = 0; i < vertexCount; i++) {
+    vertexTriangles[i] = [];
+  }
+
+  for (let t = 0; t < triangleCount; t++) {
+    for (let k = 0; k < 3; k++) {
+      const v = triangles[t * 3 + k];
+      vertexTriangles[v].push(t);
+
+      if (vertexGroups[v] === -1) {
+        vertexGroups[v] = triangleGroups[t];
+      } else if (vertexGroups[v] !== triangleGroups[t]) {
+        locked[v] = 1;
+      }
+    }
+  }
+
+  // Vertices sharing a position with another vertex sit on a uv, normal or color seam.
+  const positionIds = new Uint32Array(vertexCount);
+  const positionLookup = new Map();
+  const positionUsers = [];
+
+  for (let i = 0; i < vertexCount; i++) {
+    const key = `${positions[i * 3]},${positions[i * 3 + 1]},${positions[i * 3 + 2]}`;
+    let id = positionLookup.get(key);
+
+    if (id === undefined) {
+      id = positionUsers.length;
+      positionLookup.set(key, id);
+      positionUsers.push(0);
+    }
+
+    positionIds[i] = id;
+
+    if (vertexTriangles[i].length > 0) {
+      positionUsers[id]++;
+    }
+  }
+
+  for (let i = 0; i < vertexCount; i++) {
+    if (positionUsers[positionIds[i]] > 1) {
+      locked[i] = 1;
+    }
+  }
+
+  // Edges that don't have exactly two triangles across the seams are open or non-manifold.
+  const edgeCounts = new Map();
+  const getEdgeKey = (a, b) => {
+    const pa = positionIds[a];
+    const pb = positionIds[b];
+    return pa < pb ? pa * positionUsers.length + pb : pb * positionUsers.length + pa;
+  };
+
+  for (let t = 0; t < triangleCount; t++) {
+    for (let k = 0; k < 3; k++) {
+      const key = getEdgeKey(triangles[t * 3 + k], triangles[t * 3 + ((k + 1) % 3)]);
+      edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1);
+    }
+  }
+
+  for (let t = 0; t < triangleCount; t++) {
+    for (let k = 0; k < 3; k++) {
+      const a = triangles[t * 3 + k];
+      const b = triangles[t * 3 + ((k + 1) % 3)];
+
+      if (edgeCounts.get(getEdgeKey(a, b)) !== 2) {
+        locked[a] = 1;
+        locked[b] = 1;
+      }
+    }
+  }
+
+  const quadrics = new Float64Array(vertexCount * QUADRIC_SIZE);
+  const triangleAlive = new Uint8Array(triangleCount);
+  let aliveTriangleCount = 0;
+
+  for (let t = 0; t < triangleCount; t++) {
+    const a = triangles[t * 3];
+    const b = triangles[t * 3 + 1];
+    const c = triangles[t * 3 + 2];
+
+    if (a === b || b === c || a === c) continue;
+
+    triangleAlive[t] = 1;
+    aliveTriangleCount++;
+
+    const normal = getTriangleNormal(positions, a, b, c, tempNormalBefore);
+    const doubleArea = normal.length();
+
+    if (doubleArea === 0) continue;
+
+    normal.divideScalar(doubleArea);
+    const d = -normal.dot(tempA.fromArray(positions, a * 3));
+
+    for (let k = 0; k < 3; k++) {
+      addPlaneQuadric(quadrics, triangles[t * 3 + k], normal.x, normal.y, normal.z, d, doubleArea / 2);
+    }
+  }
+
+  if (aliveTriangleCount <= targetTriangleCount) {
+    return source === geometry ? geometry.clone() : source;
+  }
+
+  const versions = new Uint32Array(vertexCount);
+  const collapsed = new Uint8Array(vertexCount);
+  const queue = new CollapseQueue();
+
+  const forEachNeighbour = (v, callback) => {
+    for (const t of vertexTriangles[v]) {
+      if (!triangleAlive[t]) continue;
+
+      for (let k = 0; k < 3; k++) {
+        const w = triangles[t * 3 + k];
+
+        if (w !== v) {
+          callback(w);
+        }
+      }
+    }
+  };
+
+  const pushCollapses = u => {
+    if (locked[u] || collapsed[u]) return;
+
+    forEachNeighbour(u, v => {
+      queue.push({
+        error: getCollapseError(quadrics, positions, u, v),
+        u,
+        v,
+        uVersion: versions[u],
+        vVersion: versions[v]
+      });
+    });
+  };
+
+  // Rejects collapses that would flip or flatten a triangle around u.
+  const canCollapse = (u, v) => {
+    for (const t of vertexTriangles[u]) {
+      if (!triangleAlive[t]) continue;
+
+      const offset = t * 3;
+      const a = triangles[offset];
+      const b = triangles[offset + 1];
+      const c = triangles[offset + 2];
+
+      if (a === v || b === v || c === v) continue;
+
+      getTriangleNormal(positions, a, b, c, tempNormalBefore);
+      getTriangleNormal(positions, a === u ? v : a, b === u ? v : b, c === u ? v : c, tempNormalAfter);
+
+      const lengthBefore = tempNormalBefore.length();
+      const lengthAfter = tempNormalAfter.length();
+
+      if (lengthAfter === 0 || tempNormalBefore.dot(tempNormalAfter) < 0.2 * lengthBefore * lengthAfter) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+
+  for (let u = 0; u < vertexCount; u++) {
+    pushCollapses(u);
+  }
+
+  while (aliveTriangleCount > targetTriangleCount && queue.length > 0) {
+    const { u, v, uVersion, vVersion } = queue.pop();
+
+    if (collapsed[u] || collapsed[v] || versions[u] !== uVersion || versions[v] !== vVersion) continue;
+
+    if (!canCollapse(u, v)) continue;
+
+    for (const t of vertexTriangles[u]) {
+      if (!triangleAlive[t]) continue;
+
+      const offset = t * 3;
+
+      if (triangles[offset] === v || triangles[offset + 1] === v || triangles[offset + 2] === v) {
+        triangleAlive[t] = 0;
+        aliveTriangleCount--;
+      } else {
+        for (let k = 0; k < 3; k++) {
+          if (triangles[offset + k] === u) {
+            triangles[offset + k] = v;
+          }
+        }
+
+        vertexTriangles[v].push(t);
+      }
+    }
+
+    collapsed[u] = 1;
+    vertexTriangles[u] = [];
+
+    for (let i = 0; i < QUADRIC_SIZE; i++) {
+      quadrics[v * QUADRIC_SIZE + i] += quadrics[u * QUADRIC_SIZE + i];
+    }
+
+    vertexTriangles[v] = vertexTriangles[v].filter(t => triangleAlive[t]);
+
+    // The error of every collapse touching v changed, so queue them again.
+    const neighbours = new Set([v]);
+    forEachNeighbour(v, w => neighbours.add(w));
+
+    for (const w of neighbours) {
+      versions[w]++;
+    }
+
+    for (const w of neighbours) {
+      pushCollapses(w);
+    }
+  }
+
+  // Rebuild the index group by group and drop the vertices no triangle uses anymore.
+  const vertexRemap = new Int32Array(vertexCount).fill(-1);
+  const vertexMap = [];
+  const indices = [];
+  const simplified = new BufferGeometry();
+
+  groups.forEach((group, groupIndex) => {
+    const start = indices.length;
+
+    for (let t = 0; t < triangleCount; t++) {
+      if (!triangleAlive[t] || triangleGroups[t] !== groupIndex) continue;
+
+      for (let k = 0; k < 3; k++) {
+        const v = triangles[t * 3 + k];
+
+        if (vertexRemap[v] === -1) {
+          vertexRemap[v] = vertexMap.length;
+          vertexMap.push(v);
+        }
+
+        indices.push(vertexRemap[v]);
+      }
+    }
+
+    if (source.groups.length > 0) {
+      simplified.addGroup(start, indices.length - start, group.materialIndex);
+    }
+  });
+
+  for (const name in source.attributes) {
+    if (!Object.prototype.hasOwnProperty.call(source.attributes, name)) continue;
+    const attribute = source.attributes[name];
+    const itemSize = attribute.itemSize;
+    const array = new attribute.array.constructor(vertexMap.length * itemSize);
+
+    for (let i = 0; i < vertexMap.length; i++) {
+      for (let j = 0; j < itemSize; j++) {
+        array[i * itemSize + j] = getAttributeComponent(attribute, vertexMap[i], j);
+      }
+    }
+
+    simplified.addAttribute(name, new BufferAttribute(array, itemSize, attribute.normalized));
+  }
+
+  const IndexArray = vertexMap.length > 65535 ? Uint32Array : Uint16Array;
+  simplified.setIndex(new BufferAttribute(new IndexArray(indices), 1));
+  simplified.name = geometry.name;
+  simplified.computeBoundingBox();
+  simplified.computeBoundingSphere();
+
+  return simplified;
+}
@@ -29,6 +29,7 @@ import ProgressDialog from "./dialogs/ProgressDialog";
 import ConfirmDialog from "./dialogs/ConfirmDialog";
 import SaveNewProjectDialog from "./dialogs/SaveNewProjectDialog";
 import ExportProjectDialog from "./dialogs/ExportProjectDialog";
+import ProjectHistoryDialog from "./dialogs/ProjectHistoryDialog";
 
 import Onboarding from "./onboarding/Onboarding";
 import SupportDialog from "./dialogs/SupportDialog";
@@ -306,6 +307,8 @@ class EditorContainer extends Component {
       await editor.loadProject(projectFile);
 
       this.hideDialog();
+
+      this.joinProjectSession(projectId);
     } catch (error) {
       console.error(error);
 
@@ -323,6 +326,27 @@ class EditorContainer extends Component {
     }
   }
 
+  // Editing on your own still works if the project session can't be joined.
+  async joinProjectSession(projectId) {
+    const api = this.props.api;
+
+    if (!api.isAuthenticated()) return;
+
+    try {
+      const session = await api.joinProjectSession(projectId);
+
+      // Another project may have been opened while joining.
+      if (this.props.match.params.projectId !== projectId) {
+        session.disconnect();
+        return;
+      }
+
+      this.state.editor.startCollaboration(session);
+    } catch (error) {
+      console.warn("Unable to join the project session", error);
+    }
+  }
+
   updateModifiedState = then => {
     const nextModified = this.state.editor.sceneModified && !this.state.creatingProject;
 
@@ -355,6 +379,14 @@ class EditorContainer extends Component {
             name: "Save As",
             action: this.onDuplicateProject
           },
+          ...(this.state.project
+            ? [
+                {
+                  name: "Project History...",
+                  action: this.onOpenProjectHistory
+                }
+              ]
+            : []),
           {
             name: configs.isMoz() ? "Publish to Hubs..." : "Publish Scene...",
             action: this.onPublishProject
@@ -710,6 +742,98 @@ class EditorContainer extends Component {
     }
   };
 
+  onOpenProjectHistory = () => {
+    const { editor, project } = this.state;
+
+    this.showDialog(ProjectHistoryDialog, {
+      api: this.props.api,
+      editor,
+      projectId: project.project_id,
+      onRestore: this.onRestoreRevision,
+      onCancel: this.hideDialog
+    });
+  };
+
+  // Restoring saves the revision as the project's newest version, so the version it replaces stays in the history.
+  onRestoreRevision = async (revision, projectFile) => {
+    const { editor, project } = this.state;
+
+    // Other editors would sync their copy of the scene back over the restored one.
+    if (editor.collab && editor.collab.getPeers().length > 0) {
+      this.showDialog(ErrorDialog, {
+        title: "Error Restoring Revision",
+        message: "Other people are editing this project. Ask them to close it before restoring a revision."
+      });
+      return;
+    }
+
+    const confirm = await new Promise(resolve => {
+      this.showDialog(ConfirmDialog, {
+        title: "Restore Revision",
+        message: `This will replace the scene with the revision saved on ${new Date(
+          revision.inserted_at
+        ).toLocaleString()}. Unsaved changes will be lost. Are you sure you wish to continue?`,
+        onConfirm: () => resolve(true),
+        onCancel: () => resolve(false)
+      });
+    });
+
+    this.hideDialog();
+
+    if (!confirm) return;
+
+    const abortController = new AbortController();
+
+    this.showDialog(ProgressDialog, {
+      title: "Restoring Revision",
+      message: "Restoring revision..."
+    });
+
+    const previousProjectFile = editor.scene.serialize();
+    const previousSceneModified = editor.sceneModified;
+
+    try {
+      await editor.loadProject(projectFile);
+
+      const newProject = await this.props.api.saveProject(
+        project.project_id,
+        editor,
+        abortController.signal,
+        this.showDialog,
+        this.hideDialog
+      );
+
+      this.setState({ project: newProject });
+
+      editor.sceneModified = false;
+      this.updateModifiedState();
+
+      this.hideDialog();
+
+      this.joinProjectSession(project.project_id);
+
+      trackEvent("Project Revision Restored");
+    } catch (error) {
+      console.error(error);
+
+      this.showDialog(ErrorDialog, {
+        title: "Error Restoring Revision",
+        message: error.message || "There was an error when restoring the revision.",
+        error
+      });
+
+      // Put back the scene the restore started from. The project session is only rejoined over a known scene.
+      try {
+        await editor.loadProject(previousProjectFile);
+        editor.sceneModified = previousSceneModified;
+        this.updateModifiedState();
+        this.joinProjectSession(project.project_id);
+      } catch (revertError) {
+        console.error(revertError);
+      }
+    }
+  };
+
   onExportProject = async () => {
     const options = await new Promise(resolve => {
       this.showDialog(ExportProjectDialog, {
@@ -84,13 +84,54 @@ PerformanceCheckItem.propTypes = {
   learnMoreUrl: PropTypes.string.isRequired
 };
 
+const CompressionReportContainer = styled.div`
+  margin: 4px;
+  padding: 12px;
+  max-width: 560px;
+  background-color: ${props => props.theme.toolbar};
+  border: 1px solid ${props => props.theme.panel};
+  border-radius: 4px;
+  color: ${props => props.theme.text2};
+
+  h6 {
+    font-size: 16px;
+    color: white;
+  }
+
+  p {
+    margin: 4px 0 0;
+  }
+`;
+
+function CompressionReport({ report }) {
+  return (
+    <CompressionReportContainer>
+      <h6>
+        Compressed from {bytesToSize(report.before)} to {bytesToSize(report.after)}
+      </h6>
+      <p>
+        Geometry: {bytesToSize(report.geometry.before)} to {bytesToSize(report.geometry.after)} (
+        {report.geometry.compressed} meshes)
+      </p>
+      <p>
+        Textures: {bytesToSize(report.textures.before)} to {bytesToSize(report.textures.after)} (
+        {report.textures.compressed} textures)
+      </p>
+    </CompressionReportContainer>
+  );
+}
+
+CompressionReport.propTypes = {
+  report: PropTypes.object.isRequired
+};
+
 const scoreToValue = {
   Low: 0,
   Medium: 1,
   High: 2
 };
 
-export default function PerformanceCheckDialog({ scores, ...rest }) {
+export default function PerformanceCheckDialog({ scores, compressionReport, ...rest }) {
   const theme = useContext(ThemeContext);
 
   const scoreToColor = {
@@ -163,12 +204,14 @@ export default function PerformanceCheckDialog({ scores, ...rest }) {
           <ColoredText color={scoreToColor[scores.fileSize.score]}>{bytesToSize(scores.fileSize.value)}</ColoredText>
         </PerformanceCheckItem>
       </ul>
+      {compressionReport && <CompressionReport report={compressionReport} />}
     </Dialog>
   );
 }
 
 PerformanceCheckDialog.propTypes = {
   scores: PropTypes.object.isRequired,
+  compressionReport: PropTypes.object,
   tag: PropTypes.string.isRequired,
   onConfirm: PropTypes.func.isRequired,
   confirmLabel: PropTypes.string.isRequired
@@ -0,0 +1,379 @@
+import React, { useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import styled from "styled-components";
+import Dialog from "./Dialog";
+import { List, ListItem } from "../layout/List";
+import SelectInput from "../inputs/SelectInput";
+import diffProjects from "../../editor/utils/diffProjects";
+
+const HistoryContainer = styled.div`
+  display: flex;
+  flex: 1;
+  min-width: 720px;
+  min-height: 400px;
+`;
+
+const RevisionList = styled(List)`
+  width: 280px;
+  flex-shrink: 0;
+  border-right: 1px solid ${props => props.theme.border};
+`;
+
+const RevisionItem = styled(ListItem)`
+  padding: 4px;
+
+  img {
+    width: 64px;
+    height: 40px;
+    object-fit: cover;
+    margin-right: 8px;
+    border-radius: 2px;
+    flex-shrink: 0;
+  }
+
+  div {
+    display: flex;
+    flex-direction: column;
+    overflow: hidden;
+  }
+
+  span {
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+
+  small {
+    color: ${props => props.theme.text2};
+  }
+`;
+
+const DiffContainer = styled.div`
+  flex: 1;
+  overflow-y: auto;
+  padding: 0 12px;
+  color: ${props => props.theme.text};
+
+  h2 {
+    font-size: 14px;
+    margin: 12px 0 4px;
+  }
+
+  li {
+    margin: 4px 0 4px 8px;
+    line-height: 1.4em;
+  }
+
+  ul ul li {
+    color: ${props => props.theme.text2};
+    word-break: break-all;
+  }
+`;
+
+const CompareContainer = styled.div`
+  display: flex;
+  align-items: center;
+  margin-top: 8px;
+
+  label {
+    margin-right: 8px;
+    white-space: nowrap;
+  }
+`;
+
+const AddedText = styled.span`
+  color: ${props => props.theme.green};
+`;
+
+const RemovedText = styled.span`
+  color: ${props => props.theme.red};
+`;
+
+function formatValue(value) {
+  if (value === undefined) {
+    return "none";
+  }
+
+  const text = JSON.stringify(value);
+  return text.length > 60 ? text.slice(0, 57) + "..." : text;
+}
+
+function describeChange(change) {
+  switch (change.kind) {
+    case "name":
+      return `Renamed from "${change.oldValue}"`;
+    case "parent":
+      return `Moved from "${change.oldValue}" to "${change.newValue}"`;
+    case "componentAdded":
+      return `Added ${change.component}`;
+    case "componentRemoved":
+      return `Removed ${change.component}`;
+    default:
+      return `${change.component}.${change.property}: ${formatValue(change.oldValue)} → ${formatValue(
+        change.newValue
+      )}`;
+  }
+}
+
+function ProjectDiff({ diff }) {
+  const { added, removed, changed } = diff;
+
+  if (added.length === 0 && removed.length === 0 && changed.length === 0) {
+    return <p>There are no differences.</p>;
+  }
+
+  return (
+    <>
+      {added.length > 0 && (
+        <>
+          <h2>Added</h2>
+          <ul>
+            {added.map(node => (
+              <li key={node.uuid}>
+                <AddedText>+ {node.name}</AddedText>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+      {removed.length > 0 && (
+        <>
+          <h2>Removed</h2>
+          <ul>
+            {removed.map(node => (
+              <li key={node.uuid}>
+                <RemovedText>- {node.name}</RemovedText>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+      {changed.length > 0 && (
+        <>
+          <h2>Changed</h2>
+          <ul>
+            {changed.map(node => (
+              <li key={node.uuid}>
+                {node.name}
+                <ul>
+                  {node.changes.map((change, index) => (
+                    <li key={index}>{describeChange(change)}</li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </>
+  );
+}
+
+ProjectDiff.propTypes = {
+  diff: PropTypes.object.isRequired
+};
+
+const CurrentScene = "current";
+
+function formatRevision(revision) {
+  return `${revision.name}, ${new Date(revision.inserted_at).toLocaleString()}`;
+}
+
+/**
+ * Lists the revisions recorded each time the project was saved. The selected revision is compared with the one saved
+ * before it, or with any other revision or the current scene, showing what changed from the older to the newer one.
+ */
+export default function ProjectHistoryDialog({ api, editor, projectId, onRestore, onCancel }) {
+  const [revisions, setRevisions] = useState(null);
+  const [selectedRevision, setSelectedRevision] = useState(null);
+  const [compareTarget, setCompareTarget] = useState(CurrentScene);
+  // Project files of the revisions fetched so far, by revision id.
+  const [revisionProjects, setRevisionProjects] = useState({});
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let canceled = false;
+
+    api
+      .getProjectRevisions(projectId)
+      .then(revisions => {
+        if (!canceled) setRevisions(revisions);
+      })
+      .catch(error => {
+        console.error(error);
+        if (!canceled) setError(error.message || "There was an error fetching the project history.");
+      });
+
+    return () => {
+      canceled = true;
+    };
+  }, [api, projectId]);
+
+  const compareRevision =
+    revisions && compareTarget !== CurrentScene ? revisions.find(r => r.revision_id === compareTarget) : null;
+
+  useEffect(() => {
+    const missingRevisions = [selectedRevision, compareRevision].filter(
+      revision => revision && !revisionProjects[revision.revision_id]
+    );
+
+    if (missingRevisions.length === 0) return;
+
+    let canceled = false;
+
+    Promise.all(
+      missingRevisions.map(revision =>
+        api
+          .fetch(revision.project_url)
+          .then(response => response.json())
+          .then(project => [revision.revision_id, project])
+      )
+    )
+      .then(entries => {
+        if (canceled) return;
+
+        setRevisionProjects(projects => {
+          const nextProjects = { ...projects };
+
+          for (const [revisionId, project] of entries) {
+            nextProjects[revisionId] = project;
+          }
+
+          return nextProjects;
+        });
+      })
+      .catch(error => {
+        console.error(error);
+        if (!canceled) setError(error.message || "There was an error fetching the revision.");
+      });
+
+    return () => {
+      canceled = true;
+    };
+  }, [api, selectedRevision, compareRevision, revisionProjects]);
+
+  const onSelectRevision = useCallback(
+    revision => {
+      // Default to what the save of this revision changed.
+      const index = revisions.indexOf(revision);
+      const previousRevision = revisions[index + 1];
+      setSelectedRevision(revision);
+      setCompareTarget(previousRevision ? previousRevision.revision_id : CurrentScene);
+    },
+    [revisions]
+  );
+
+  const revisionProject = selectedRevision && revisionProjects[selectedRevision.revision_id];
+
+  const onConfirm = useCallback(
+    e => {
+      e.preventDefault();
+      onRestore(selectedRevision, revisionProject);
+    },
+    [onRestore, selectedRevision, revisionProject]
+  );
+
+  let details;
+
+  if (error) {
+    details = <p>{error}</p>;
+  } else if (!revisions) {
+    details = <p>Loading project history...</p>;
+  } else if (revisions.length === 0) {
+    details = <p>A revision is recorded every time you save the project. Save it to start its history.</p>;
+  } else if (!selectedRevision) {
+    details = <p>Select a revision to see what changed in it.</p>;
+  } else {
+    const compareOptions = [{ label: "Current scene", value: CurrentScene }].concat(
+      revisions
+        .filter(revision => revision !== selectedRevision)
+        .map(revision => ({ label: formatRevision(revision), value: revision.revision_id }))
+    );
+
+    let diff = null;
+
+    if (compareTarget === CurrentScene) {
+      diff = revisionProject && (
+        <>
+          <p>Changes from this revision to the current scene:</p>
+          <ProjectDiff diff={diffProjects(revisionProject, editor.scene.serialize())} />
+        </>
+      );
+    } else {
+      const compareProject = compareRevision && revisionProjects[compareRevision.revision_id];
+
+      if (revisionProject && compareProject) {
+        // Revisions are listed newest first.
+        const selectedIsNewer = revisions.indexOf(selectedRevision) < revisions.indexOf(compareRevision);
+        const [olderRevision, newerRevision] = selectedIsNewer
+          ? [compareRevision, selectedRevision]
+          : [selectedRevision, compareRevision];
+        const [olderProject, newerProject] = selectedIsNewer
+          ? [compareProject, revisionProject]
+          : [revisionProject, compareProject];
+
+        diff = (
+          <>
+            <p>
+              Changes from {formatRevision(olderRevision)} to {formatRevision(newerRevision)}:
+            </p>
+            <ProjectDiff diff={diffProjects(olderProject, newerProject)} />
+          </>
+        );
+      }
+    }
+
+    details = (
+      <>
+        <CompareContainer>
+          <label>Compare with</label>
+          <SelectInput
+            options={compareOptions}
+            value={compareTarget}
+            onChange={setCompareTarget}
+            styles={{ container: base => ({ ...base, width: "100%", maxWidth: "none" }) }}
+          />
+        </CompareContainer>
+        {diff || <p>Loading revision...</p>}
+      </>
+    );
+  }
+
+  return (
+    <Dialog
+      title="Project History"
+      onCancel={onCancel}
+      cancelLabel="Close"
+      onConfirm={revisionProject ? onConfirm : null}
+      confirmLabel="Restore Revision"
+    >
+      <HistoryContainer>
+        <RevisionList>
+          {(revisions || []).map(revision => (
+            <RevisionItem
+              key={revision.revision_id}
+              selected={revision === selectedRevision}
+              onClick={() => onSelectRevision(revision)}
+            >
+              {revision.thumbnail_url && <img src={revision.thumbnail_url} alt="" />}
+              <div>
+                <span>{revision.name}</span>
+                <small>{new Date(revision.inserted_at).toLocaleString()}</small>
+                <small>{revision.author || "Unknown author"}</small>
+              </div>
+            </RevisionItem>
+          ))}
+        </RevisionList>
+        <DiffContainer>{details}</DiffContainer>
+      </HistoryContainer>
+    </Dialog>
+  );
+}
+
+ProjectHistoryDialog.propTypes = {
+  api: PropTypes.object.isRequired,
+  editor: PropTypes.object.isRequired,
+  projectId: PropTypes.string.isRequired,
+  onRestore: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
@@ -18,6 +18,7 @@ import { ProjectDiagram } from "styled-icons/fa-solid/ProjectDiagram";
 import useUpload from "../assets/useUpload";
 import { AllFileTypes } from "../assets/fileTypes";
 import NodeIssuesIcon from "./NodeIssuesIcon";
+import NodePeersIcon from "./NodePeersIcon";
 
 const uploadOptions = {
   multiple: true,
@@ -174,7 +175,19 @@ function TreeNode({
   style
 }) {
   const node = nodes[index];
-  const { isLeaf, object, depth, selected, active, iconComponent, isExpanded, childIndex, lastChild, enabled } = node;
+  const {
+    isLeaf,
+    object,
+    depth,
+    selected,
+    active,
+    iconComponent,
+    isExpanded,
+    childIndex,
+    lastChild,
+    enabled,
+    peers
+  } = node;
 
   const editor = useContext(EditorContext);
 
@@ -458,6 +471,7 @@ function TreeNode({
                   </TreeNodeLabel>
                 )}
               </TreeNodeLabelContainer>
+              {peers.length > 0 && <NodePeersIcon peers={peers} />}
               {node.object.issues.length > 0 && <NodeIssuesIcon node={node.object} />}
             </TreeNodeSelectTarget>
           </TreeNodeContent>
@@ -489,7 +503,8 @@ TreeNode.propTypes = {
         isExpanded: PropTypes.bool,
         childIndex: PropTypes.number.isRequired,
         lastChild: PropTypes.bool.isRequired,
-        enabled: PropTypes.bool.isRequired
+        enabled: PropTypes.bool.isRequired,
+        peers: PropTypes.array.isRequired
       })
     ),
     renamingNode: PropTypes.object,
@@ -539,7 +554,8 @@ function* treeWalker(editor, expandedNodes) {
       active: editor.selected.length > 0 && object === editor.selected[editor.selected.length - 1],
       enabled,
       childIndex,
-      lastChild
+      lastChild,
+      peers: editor.collab ? editor.collab.getSelectingPeers(object) : []
     };
 
     if (object.children.length !== 0 && isExpanded) {
@@ -636,11 +652,13 @@ export default function HierarchyPanel() {
     editor.addListener("sceneGraphChanged", updateNodeHierarchy);
     editor.addListener("selectionChanged", updateNodeHierarchy);
     editor.addListener("objectsChanged", onObjectChanged);
+    editor.addListener("collabPeersChanged", updateNodeHierarchy);
 
     return () => {
       editor.removeListener("sceneGraphChanged", updateNodeHierarchy);
       editor.removeListener("selectionChanged", updateNodeHierarchy);
       editor.removeListener("objectsChanged", onObjectChanged);
+      editor.removeListener("collabPeersChanged", updateNodeHierarchy);
     };
   }, [editor, updateNodeHierarchy, onObjectChanged]);
 
@@ -0,0 +1,57 @@
+import React, { useCallback } from "react";
+import PropTypes from "prop-types";
+import styled from "styled-components";
+import Tooltip from "../layout/Tooltip";
+
+const PeersTooltipContainer = styled.div`
+  display: inline-block;
+  pointer-events: none;
+  background-color: rgba(21, 23, 27, 0.9);
+  border-radius: 3px;
+  padding: 8px;
+  max-width: 320px;
+  overflow: hidden;
+  overflow-wrap: break-word;
+  user-select: none;
+  font-size: 12px;
+`;
+
+const PeerDots = styled.div`
+  display: flex;
+  align-items: center;
+`;
+
+const PeerDot = styled.div`
+  width: 8px;
+  height: 8px;
+  margin-left: 2px;
+  border-radius: 50%;
+  background-color: ${props => props.color};
+`;
+
+// Shows which collaborators have the node selected.
+export default function NodePeersIcon({ peers }) {
+  const renderInfo = useCallback(() => {
+    return <PeersTooltipContainer>Selected by {peers.map(peer => peer.displayName).join(", ")}</PeersTooltipContainer>;
+  }, [peers]);
+
+  return (
+    <Tooltip renderContent={renderInfo}>
+      <PeerDots>
+        {peers.map(peer => (
+          <PeerDot key={peer.sessionId} color={peer.color} />
+        ))}
+      </PeerDots>
+    </Tooltip>
+  );
+}
+
+NodePeersIcon.propTypes = {
+  peers: PropTypes.arrayOf(
+    PropTypes.shape({
+      sessionId: PropTypes.string.isRequired,
+      displayName: PropTypes.string,
+      color: PropTypes.string.isRequired
+    })
+  ).isRequired
+};
@@ -0,0 +1,113 @@
+import React, { Component } from "react";
+import PropTypes from "prop-types";
+import styled from "styled-components";
+import NodeEditor from "./NodeEditor";
+import { Robot } from "styled-icons/fa-solid/Robot";
+import InputGroup from "../inputs/InputGroup";
+import StringInput from "../inputs/StringInput";
+import { MAX_BOT_WAYPOINT_NAME_LENGTH } from "../../editor/utils/botWaypoints";
+
+const ValidationMessage = styled.div`
+  padding: 0 8px 4px;
+  color: ${props => props.theme.red};
+  font-size: 12px;
+`;
+
+const SnapStatus = styled.div`
+  padding: 4px 8px;
+  color: ${props => (props.warning ? props.theme.yellow : props.theme.text2)};
+  font-size: 12px;
+`;
+
+const nameInfo =
+  `"spawbot-" followed by lowercase letters, digits, "-" or "_". ` +
+  `At most ${MAX_BOT_WAYPOINT_NAME_LENGTH} characters, unique in the scene.`;
+
+export default class BotWaypointNodeEditor extends Component {
+  static propTypes = {
+    editor: PropTypes.object,
+    node: PropTypes.object,
+    multiEdit: PropTypes.bool
+  };
+
+  static iconComponent = Robot;
+
+  static description =
+    "A point bots spawn at and walk between.\nBots are sent to waypoints by name, so names must be unique.";
+
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      name: null,
+      error: null,
+      editedNode: null
+    };
+  }
+
+  onChangeName = value => {
+    const name = value.toLowerCase();
+    this.setState({ name, error: this.props.node.validateName(name), editedNode: this.props.node });
+  };
+
+  commitName = () => {
+    const { name, error, editedNode } = this.state;
+    const { editor, node } = this.props;
+
+    // Invalid names are dropped. The selection may also have changed before the input was blurred.
+    if (name !== null && !error && editedNode === node && name !== node.name) {
+      editor.setProperty(node, "name", name);
+    }
+
+    this.setState({ name: null, error: null, editedNode: null });
+  };
+
+  onKeyUpName = e => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      this.commitName();
+    } else if (e.key === "Escape") {
+      this.setState({ name: null, error: null, editedNode: null });
+    }
+  };
+
+  renderSnapStatus() {
+    const { node } = this.props;
+
+    if (!node.hasNavMesh) {
+      return <SnapStatus>Regenerate the floor plan to preview where bots will stand.</SnapStatus>;
+    }
+
+    if (!node.navMeshProjection) {
+      return <SnapStatus warning>Too far from the floor plan. Bots will skip this waypoint.</SnapStatus>;
+    }
+
+    return <SnapStatus>Snaps to the floor plan {node.navMeshProjection.distance.toFixed(2)}m away.</SnapStatus>;
+  }
+
+  render() {
+    const { node, multiEdit } = this.props;
+    const { name, error, editedNode } = this.state;
+    const editing = name !== null && editedNode === node;
+
+    return (
+      <NodeEditor description={BotWaypointNodeEditor.description} {...this.props}>
+        {!multiEdit && (
+          <>
+            <InputGroup name="Waypoint Name" info={nameInfo}>
+              <StringInput
+                value={editing ? name : node.name}
+                maxLength={MAX_BOT_WAYPOINT_NAME_LENGTH}
+                onChange={this.onChangeName}
+                onBlur={this.commitName}
+                onKeyUp={this.onKeyUpName}
+              />
+            </InputGroup>
+            {editing && error && <ValidationMessage>{error}</ValidationMessage>}
+          </>
+        )}
+        {this.renderSnapStatus()}
+      </NodeEditor>
+    );
+  }
+}
@@ -1,13 +1,31 @@
 import React, { Component } from "react";
 import PropTypes from "prop-types";
+import styled from "styled-components";
 import NodeEditor from "./NodeEditor";
 import SelectInput from "../inputs/SelectInput";
 import InputGroup from "../inputs/InputGroup";
 import BooleanInput from "../inputs/BooleanInput";
+import NumericInputGroup from "../inputs/NumericInputGroup";
 import ModelInput from "../inputs/ModelInput";
 import { Cube } from "styled-icons/fa-solid/Cube";
 import { GLTFInfo } from "../inputs/GLTFInfo";
 import AttributionNodeEditor from "./AttributionNodeEditor";
+import { MAX_LOD_LEVELS } from "../../editor/utils/lods";
+
+const LODPreviewStatus = styled.div`
+  padding: 4px 8px;
+  color: ${props => props.theme.text2};
+  font-size: 12px;
+`;
+
+const LODLevelCountOptions = Array.from({ length: MAX_LOD_LEVELS }, (_, i) => ({ label: `${i + 1}`, value: i + 1 }));
+
+const toPercent = value => value * 100;
+const fromPercent = value => value / 100;
+
+const generateLODsInfo =
+  "Exports simplified copies of the model's meshes that Hubs shows at a distance. " +
+  "Vertices on open edges and UV seams are kept, so some meshes simplify less than requested.";
 
 export default class ModelNodeEditor extends Component {
   static propTypes = {
@@ -52,6 +70,31 @@ export default class ModelNodeEditor extends Component {
     this.props.editor.setPropertySelected("billboard", billboard);
   };
 
+  onChangeGenerateLODs = generateLODs => {
+    this.props.editor.setPropertySelected("generateLODs", generateLODs);
+  };
+
+  onChangeLODLevelCount = count => {
+    const lodLevels = this.props.node.lodLevels.slice(0, count);
+
+    while (lodLevels.length < count) {
+      const { ratio, coverage } = lodLevels[lodLevels.length - 1];
+      lodLevels.push({ ratio: ratio / 2, coverage: coverage / 2 });
+    }
+
+    this.props.editor.setPropertySelected("lodLevels", lodLevels);
+  };
+
+  onChangeLODLevel(index, key, value) {
+    const lodLevels = this.props.node.lodLevels.map((level, i) => (i === index ? { ...level, [key]: value } : level));
+    this.props.editor.setPropertySelected("lodLevels", lodLevels);
+  }
+
+  onChangeLODPreviewLevel = lodPreviewLevel => {
+    this.props.node.lodPreviewLevel = lodPreviewLevel;
+    this.forceUpdate();
+  };
+
   isAnimationPropertyDisabled() {
     const { multiEdit, editor, node } = this.props;
 
@@ -62,6 +105,82 @@ export default class ModelNodeEditor extends Component {
     return false;
   }
 
+  getLODPreviewOptions() {
+    return [{ label: "Full Detail", value: 0 }].concat(
+      this.props.node.lodLevels.map((level, i) => ({ label: `LOD ${i + 1}`, value: i + 1 }))
+    );
+  }
+
+  renderLODLevels() {
+    const { node, multiEdit } = this.props;
+    const triangleCounts = node.model ? node.getLODPreviewTriangleCounts() : null;
+
+    return (
+      <>
+        <InputGroup name="LOD Levels">
+          <SelectInput
+            options={LODLevelCountOptions}
+            value={node.lodLevels.length}
+            onChange={this.onChangeLODLevelCount}
+          />
+        </InputGroup>
+        {node.lodLevels.map((level, i) => {
+          // Each level has to be smaller and shown further away than the one before it.
+          const previousLevel = i > 0 ? node.lodLevels[i - 1] : { ratio: 1, coverage: 1 };
+
+          return (
+            <React.Fragment key={i}>
+              <NumericInputGroup
+                name={`LOD ${i + 1} Triangles`}
+                info="Share of the full detail triangles kept in this level."
+                smallStep={1}
+                mediumStep={5}
+                largeStep={10}
+                min={1}
+                max={toPercent(previousLevel.ratio)}
+                precision={0.1}
+                unit="%"
+                convertFrom={toPercent}
+                convertTo={fromPercent}
+                value={level.ratio}
+                onChange={value => this.onChangeLODLevel(i, "ratio", value)}
+              />
+              <NumericInputGroup
+                name={`LOD ${i + 1} Screen Coverage`}
+                info="This level is shown once the mesh covers less of the screen than this. Hubs switches at about 1 / coverage meters."
+                smallStep={0.1}
+                mediumStep={1}
+                largeStep={5}
+                min={0.1}
+                max={toPercent(previousLevel.coverage)}
+                precision={0.1}
+                unit="%"
+                convertFrom={toPercent}
+                convertTo={fromPercent}
+                value={level.coverage}
+                onChange={value => this.onChangeLODLevel(i, "coverage", value)}
+              />
+            </React.Fragment>
+          );
+        })}
+        {!multiEdit && node.model && (
+          <>
+            <InputGroup name="Preview LOD" info="Shows a level in the viewport. Not saved with the scene.">
+              <SelectInput
+                options={this.getLODPreviewOptions()}
+                value={node.lodPreviewLevel}
+                onChange={this.onChangeLODPreviewLevel}
+              />
+            </InputGroup>
+            <LODPreviewStatus>
+              Showing {triangleCounts.preview.toLocaleString()} of {triangleCounts.full.toLocaleString()} triangles.
+            </LODPreviewStatus>
+          </>
+        )}
+      </>
+    );
+  }
+
   render() {
     const node = this.props.node;
 
@@ -99,6 +218,10 @@ export default class ModelNodeEditor extends Component {
         <InputGroup name="Billboard" info="Model always faces user in Hubs. Does not billboard in Spoke.">
           <BooleanInput value={node.billboard} onChange={this.onChangeBillboard} />
         </InputGroup>
+        <InputGroup name="Generate LODs" info={generateLODsInfo}>
+          <BooleanInput value={node.generateLODs} onChange={this.onChangeGenerateLODs} />
+        </InputGroup>
+        {node.generateLODs && this.renderLODLevels()}
         {node.model && <GLTFInfo node={node} />}
         <AttributionNodeEditor name="Attribution" {...this.props} />
       </NodeEditor>
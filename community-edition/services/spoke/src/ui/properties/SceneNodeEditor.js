@@ -12,6 +12,7 @@ import useSetPropertySelected from "./useSetPropertySelected";
 import BooleanInput from "../inputs/BooleanInput";
 import { Defaults, DistanceModelOptions, DistanceModelType, SourceType } from "../../editor/objects/AudioParams";
 import useOptionalParam from "./useOptionalParam";
+import { MeshCompression, TextureCompression } from "../../editor/compression/compressGLTF";
 
 const FogTypeOptions = [
   {
@@ -28,6 +29,32 @@ const FogTypeOptions = [
   }
 ];
 
+const MeshCompressionOptions = [
+  {
+    label: "None",
+    value: MeshCompression.None
+  },
+  {
+    label: "Draco",
+    value: MeshCompression.Draco
+  }
+];
+
+const TextureCompressionOptions = [
+  {
+    label: "None",
+    value: TextureCompression.None
+  },
+  {
+    label: "KTX2 ETC1S (smaller)",
+    value: TextureCompression.ETC1S
+  },
+  {
+    label: "KTX2 UASTC (higher quality)",
+    value: TextureCompression.UASTC
+  }
+];
+
 export default function SceneNodeEditor(props) {
   const { editor, node } = props;
 
@@ -39,6 +66,13 @@ export default function SceneNodeEditor(props) {
   const onChangeFogDensity = useSetPropertySelected(editor, "fogDensity");
 
   const onChangeOverrideAudioSettings = useSetPropertySelected(editor, "overrideAudioSettings");
+
+  const onChangeMeshCompression = useSetPropertySelected(editor, "meshCompression");
+  const onChangeMeshPositionBits = useSetPropertySelected(editor, "meshPositionBits");
+  const onChangeMeshNormalBits = useSetPropertySelected(editor, "meshNormalBits");
+  const onChangeMeshTexcoordBits = useSetPropertySelected(editor, "meshTexcoordBits");
+  const onChangeTextureCompression = useSetPropertySelected(editor, "textureCompression");
+  const onChangeTextureQuality = useSetPropertySelected(editor, "textureQuality");
   const mediaParamProps = {
     gain: useOptionalParam(node, editor, "scene", "mediaVolume", Defaults[SourceType.MEDIA_VIDEO]["gain"]),
     distanceModel: useOptionalParam(
@@ -347,6 +381,76 @@ export default function SceneNodeEditor(props) {
           </InputGroup>
         </>
       )}
+      <InputGroup
+        name="Mesh Compression"
+        info="Compresses geometry with Draco when exporting or publishing. Reduces file size at the cost of decoding time when the scene loads."
+      >
+        <SelectInput options={MeshCompressionOptions} value={node.meshCompression} onChange={onChangeMeshCompression} />
+      </InputGroup>
+      {node.meshCompression === MeshCompression.Draco && (
+        <>
+          <NumericInputGroup
+            name="Position Bits"
+            info="Quantization bits for vertex positions. Fewer bits give smaller files but less precise geometry."
+            min={8}
+            max={16}
+            smallStep={1}
+            mediumStep={1}
+            largeStep={2}
+            precision={1}
+            value={node.meshPositionBits}
+            onChange={onChangeMeshPositionBits}
+          />
+          <NumericInputGroup
+            name="Normal Bits"
+            info="Quantization bits for vertex normals."
+            min={6}
+            max={16}
+            smallStep={1}
+            mediumStep={1}
+            largeStep={2}
+            precision={1}
+            value={node.meshNormalBits}
+            onChange={onChangeMeshNormalBits}
+          />
+          <NumericInputGroup
+            name="UV Bits"
+            info="Quantization bits for texture coordinates."
+            min={8}
+            max={16}
+            smallStep={1}
+            mediumStep={1}
+            largeStep={2}
+            precision={1}
+            value={node.meshTexcoordBits}
+            onChange={onChangeMeshTexcoordBits}
+          />
+        </>
+      )}
+      <InputGroup
+        name="Texture Compression"
+        info="Transcodes textures to KTX2 when exporting or publishing. KTX2 textures stay compressed on the GPU, which also reduces video memory."
+      >
+        <SelectInput
+          options={TextureCompressionOptions}
+          value={node.textureCompression}
+          onChange={onChangeTextureCompression}
+        />
+      </InputGroup>
+      {node.textureCompression === TextureCompression.ETC1S && (
+        <NumericInputGroup
+          name="Texture Quality"
+          info="ETC1S quality level from 1 to 255. Higher values give better looking textures and larger files."
+          min={1}
+          max={255}
+          smallStep={1}
+          mediumStep={16}
+          largeStep={64}
+          precision={1}
+          value={node.textureQuality}
+          onChange={onChangeTextureQuality}
+        />
+      )}
     </NodeEditor>
   );
 }
@@ -0,0 +1,78 @@
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import styled from "styled-components";
+
+const CollaboratorsContainer = styled.div`
+  position: absolute;
+  top: 8px;
+  left: 8px;
+  color: white;
+  padding: 8px;
+  text-shadow: 1px 1px 1px rgba(0, 0, 0, 0.5);
+  background-color: rgba(0, 0, 0, 0.5);
+  border-radius: 4px;
+  pointer-events: none;
+
+  h3 {
+    font-size: 14px;
+  }
+
+  ul {
+    margin: 8px 4px 0;
+  }
+
+  li {
+    display: flex;
+    align-items: center;
+    margin-bottom: 4px;
+  }
+`;
+
+const CollaboratorColor = styled.div`
+  width: 10px;
+  height: 10px;
+  margin-right: 6px;
+  border-radius: 50%;
+  background-color: ${props => props.color};
+`;
+
+// Lists the other sessions editing the project, in the colors used for their cursors and selections.
+export default function CollaboratorsList({ editor }) {
+  const [peers, setPeers] = useState([]);
+
+  useEffect(() => {
+    const onPeersChanged = () => {
+      setPeers(editor.collab ? editor.collab.getPeers() : []);
+    };
+
+    onPeersChanged();
+
+    editor.addListener("collabPeersChanged", onPeersChanged);
+
+    return () => {
+      editor.removeListener("collabPeersChanged", onPeersChanged);
+    };
+  }, [editor]);
+
+  if (peers.length === 0) {
+    return null;
+  }
+
+  return (
+    <CollaboratorsContainer>
+      <h3>Also editing:</h3>
+      <ul>
+        {peers.map(peer => (
+          <li key={peer.sessionId}>
+            <CollaboratorColor color={peer.color} />
+            {peer.displayName}
+          </li>
+        ))}
+      </ul>
+    </CollaboratorsContainer>
+  );
+}
+
+CollaboratorsList.propTypes = {
+  editor: PropTypes.object
+};
@@ -14,6 +14,7 @@ import AssetDropZone from "../assets/AssetDropZone";
 import { ChartArea } from "styled-icons/fa-solid/ChartArea";
 import { InfoTooltip } from "../layout/Tooltip";
 import Stats from "./Stats";
+import CollaboratorsList from "./CollaboratorsList";
 
 function borderColor(props, defaultColor) {
   if (props.canDrop) {
@@ -280,6 +281,7 @@ export default function ViewportPanelContainer() {
           <Viewport ref={canvasRef} tabIndex="-1" />
           <ControlsText>{controlsText}</ControlsText>
           {showStats && <Stats editor={editor} />}
+          <CollaboratorsList editor={editor} />
           <AssetDropZone afterUpload={onAfterUploadAssets} />
         </ViewportContainer>
         <AssetsPanel />
@@ -0,0 +1,156 @@
+import test from "ava";
+import EventEmitter from "eventemitter3";
+import { Object3D } from "three";
+import CollabSession, {
+  MAX_OPERATIONS_PER_MESSAGE,
+  MAX_SYNC_OPERATIONS
+} from "../../../src/editor/collab/CollabSession";
+
+class TestNode extends Object3D {
+  constructor(name) {
+    super();
+    this.isNode = true;
+    this.name = name;
+  }
+
+  getObjectByUUID(uuid) {
+    return this.getObjectByProperty("uuid", uuid);
+  }
+
+  serialize() {
+    return { name: this.name, components: [] };
+  }
+}
+
+class TestEditor extends EventEmitter {
+  constructor() {
+    super();
+    this.scene = new TestNode("Scene");
+    this.helperScene = new Object3D();
+    this.selected = [];
+  }
+
+  setProperty(object, propertyName, value, useHistory, emitEvent) {
+    object[propertyName] = value;
+
+    if (emitEvent) {
+      this.emit("objectsChanged", [object], propertyName);
+    }
+  }
+}
+
+class TestTransport extends EventEmitter {
+  constructor() {
+    super();
+    this.sessionId = "local";
+    this.joinedAt = 0;
+    this.sent = [];
+  }
+
+  send(event, payload) {
+    this.sent.push({ event, payload });
+  }
+
+  disconnect() {}
+}
+
+function createSession() {
+  const editor = new TestEditor();
+  const transport = new TestTransport();
+  const session = new CollabSession(editor, transport);
+  session.start();
+  transport.sent.length = 0;
+  return { editor, transport, session };
+}
+
+function getSentOperations(transport) {
+  return transport.sent
+    .filter(message => message.event === "ops")
+    .reduce((operations, message) => operations.concat(message.payload.operations), []);
+}
+
+test("scene graph changes are sent as operations", t => {
+  const { editor, transport, session } = createSession();
+
+  const group = new TestNode("Group");
+  const child = new TestNode("Child");
+  editor.scene.add(group);
+  editor.scene.add(child);
+  editor.emit("sceneGraphChanged");
+  session.flush();
+
+  t.deepEqual(getSentOperations(transport).map(({ type, uuid, parent }) => ({ type, uuid, parent })), [
+    { type: "add", uuid: group.uuid, parent: editor.scene.uuid },
+    { type: "add", uuid: child.uuid, parent: editor.scene.uuid }
+  ]);
+
+  transport.sent.length = 0;
+  group.add(child);
+  editor.emit("sceneGraphChanged");
+  editor.scene.remove(group);
+  editor.emit("sceneGraphChanged");
+  session.flush();
+
+  t.deepEqual(getSentOperations(transport).map(({ type, uuid }) => ({ type, uuid })), [
+    { type: "remove", uuid: group.uuid }
+  ]);
+
+  session.stop();
+});
+
+test("property changes are batched and remote changes aren't sent back", async t => {
+  const { editor, transport, session } = createSession();
+
+  const node = new TestNode("Node");
+  editor.scene.add(node);
+  editor.emit("sceneGraphChanged");
+  session.flush();
+  transport.sent.length = 0;
+
+  node.name = "First";
+  editor.emit("objectsChanged", [node], "name");
+  node.name = "Second";
+  editor.emit("objectsChanged", [node], "name");
+  session.flush();
+
+  const operations = getSentOperations(transport);
+  t.is(operations.length, 1);
+  t.is(operations[0].value, "Second");
+
+  transport.sent.length = 0;
+  transport.emit("ops", {
+    operations: [{ type: "set", uuid: node.uuid, property: "name", value: "Remote", clock: 10, sessionId: "remote" }]
+  });
+  await session.applyQueue;
+  session.flush();
+
+  t.is(node.name, "Remote");
+  t.is(getSentOperations(transport).length, 0);
+
+  session.stop();
+});
+
+test("large batches and sync responses are split to fit the server limits", t => {
+  const { editor, transport, session } = createSession();
+
+  for (let i = 0; i <= MAX_OPERATIONS_PER_MESSAGE; i++) {
+    editor.scene.add(new TestNode(`Node ${i}`));
+  }
+
+  editor.emit("sceneGraphChanged");
+  session.flush();
+
+  t.deepEqual(transport.sent.map(message => message.payload.operations.length), [MAX_OPERATIONS_PER_MESSAGE, 1]);
+
+  transport.sent.length = 0;
+  const operation = { type: "remove", uuid: "node", clock: 1, sessionId: "local" };
+  session.log.getLatestOperations = () => new Array(MAX_SYNC_OPERATIONS + 1).fill(operation);
+  transport.emit("sync_request", { session_id: "remote" });
+
+  t.deepEqual(
+    transport.sent.map(({ event, payload }) => [event, payload.target_session_id, payload.operations.length]),
+    [["sync_response", "remote", MAX_SYNC_OPERATIONS], ["sync_response", "remote", 1]]
+  );
+
+  session.stop();
+});
@@ -0,0 +1,63 @@
+import test from "ava";
+import OperationLog, { OperationType } from "../../../src/editor/collab/OperationLog";
+
+function setOperation(sessionId, clock, value) {
+  return { type: OperationType.Set, uuid: "node", property: "name", value, clock, sessionId };
+}
+
+test("receive keeps the newest operation for each property", t => {
+  const log = new OperationLog("a");
+
+  t.true(log.receive(setOperation("b", 2, "newer")));
+  t.false(log.receive(setOperation("c", 1, "older")));
+  t.false(log.receive(setOperation("b", 2, "newer")));
+  t.is(log.clock, 2);
+});
+
+test("concurrent operations are ordered by session id", t => {
+  const log = new OperationLog("a");
+
+  t.true(log.receive(setOperation("b", 1, "b")));
+  t.true(log.receive(setOperation("c", 1, "c")));
+  t.false(log.receive(setOperation("b", 1, "b")));
+});
+
+test("stamp orders local operations after the ones received", t => {
+  const log = new OperationLog("a");
+
+  log.receive(setOperation("b", 5, "remote"));
+  const operation = log.stamp({ type: OperationType.Set, uuid: "node", property: "name", value: "local" });
+
+  t.is(operation.clock, 6);
+  t.is(operation.sessionId, "a");
+  t.false(log.receive(setOperation("b", 5, "remote")));
+});
+
+test("edits made before a node was removed are dropped", t => {
+  const log = new OperationLog("a");
+
+  t.true(log.receive({ type: OperationType.Remove, uuid: "node", clock: 3, sessionId: "b" }));
+  t.false(log.receive(setOperation("c", 2, "stale")));
+  t.true(log.receive(setOperation("c", 4, "after undo")));
+});
+
+test("getLatestOperations returns the operations still in effect, oldest first", t => {
+  const log = new OperationLog("a");
+
+  log.receive(setOperation("b", 3, "third"));
+  log.receive({ type: OperationType.Add, uuid: "node", parent: "scene", json: {}, clock: 1, sessionId: "b" });
+  log.receive(setOperation("c", 4, "fourth"));
+
+  t.deepEqual(log.getLatestOperations().map(operation => operation.clock), [1, 4]);
+});
+
+test("only the newest operation for each part of a node is kept", t => {
+  const log = new OperationLog("a");
+
+  for (let clock = 1; clock <= 100; clock++) {
+    log.receive(setOperation("b", clock, `name ${clock}`));
+  }
+
+  t.is(log.operations.size, 1);
+  t.deepEqual(log.getLatestOperations().map(operation => operation.value), ["name 100"]);
+});
@@ -0,0 +1,40 @@
+import test from "ava";
+import { Color, Euler, Object3D, Vector3 } from "three";
+import { serializeValue, deserializeValue } from "../../../src/editor/collab/values";
+
+function roundTrip(value, scene) {
+  return deserializeValue(JSON.parse(JSON.stringify(serializeValue(value))), scene);
+}
+
+test("math types and colors keep their type", t => {
+  const position = roundTrip(new Vector3(1, 2, 3));
+  t.true(position.isVector3);
+  t.deepEqual(position.toArray(), [1, 2, 3]);
+
+  const rotation = roundTrip(new Euler(0.5, 0, 0, "YXZ"));
+  t.true(rotation.isEuler);
+  t.is(rotation.order, "YXZ");
+
+  const color = roundTrip(new Color(0xff0000));
+  t.true(color.isColor);
+  t.is(color.getHex(), 0xff0000);
+});
+
+test("undefined and nested values are preserved", t => {
+  t.is(roundTrip(undefined), undefined);
+  t.deepEqual(roundTrip({ a: [1, "b", null], c: { d: true } }), { a: [1, "b", null], c: { d: true } });
+});
+
+test("nodes are sent as references", t => {
+  const scene = new Object3D();
+  const target = new Object3D();
+  scene.add(target);
+
+  t.deepEqual(serializeValue(target), { $type: "Node", uuid: target.uuid });
+  t.is(roundTrip(target, scene), target);
+  t.is(roundTrip(new Object3D(), scene), null);
+});
+
+test("values that can't be synced throw", t => {
+  t.throws(() => serializeValue(new Map()), { message: /Map/ });
+});
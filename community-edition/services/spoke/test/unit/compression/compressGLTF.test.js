@@ -0,0 +1,138 @@
+import test from "ava";
+import {
+  compressGLTF,
+  getGLBByteLength,
+  MeshCompression,
+  TextureCompression,
+  CompressionDefaults
+} from "../../../src/editor/compression/compressGLTF";
+
+// A quad with positions and indices, an unused accessor and a normal map image, packed like GLTFExporter does.
+function createChunks() {
+  const positions = new Float32Array([0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0]);
+  const indices = new Uint16Array([0, 1, 2, 0, 2, 3]);
+  const image = new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]);
+
+  const bin = new Uint8Array(48 + 12 + 8);
+  bin.set(new Uint8Array(positions.buffer), 0);
+  bin.set(new Uint8Array(indices.buffer), 48);
+  bin.set(image, 60);
+
+  const json = {
+    asset: { version: "2.0" },
+    meshes: [{ primitives: [{ attributes: { POSITION: 1 }, indices: 2, material: 0 }] }],
+    materials: [{ normalTexture: { index: 0 } }],
+    textures: [{ sampler: 0, source: 0 }],
+    images: [{ mimeType: "image/png", bufferView: 2 }],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 1, type: "VEC3" },
+      { bufferView: 0, componentType: 5126, count: 4, type: "VEC3", min: [0, 0, 0], max: [1, 1, 0] },
+      { bufferView: 1, componentType: 5123, count: 6, type: "SCALAR" }
+    ],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: 48 },
+      { buffer: 0, byteOffset: 48, byteLength: 12 },
+      { buffer: 0, byteOffset: 60, byteLength: 8 }
+    ],
+    buffers: [{ byteLength: bin.byteLength }]
+  };
+
+  return { json, bin };
+}
+
+test("getGLBByteLength", t => {
+  const json = { asset: { version: "2.0" } };
+  const jsonByteLength = Math.ceil(JSON.stringify(json).length / 4) * 4;
+
+  t.is(getGLBByteLength(json, 0), 20 + jsonByteLength);
+  t.is(getGLBByteLength(json, 6), 20 + jsonByteLength + 8 + 8);
+});
+
+test("compressGLTF leaves the scene untouched when compression is disabled", async t => {
+  const { json, bin } = createChunks();
+  const expectedJson = JSON.parse(JSON.stringify(json));
+
+  const result = await compressGLTF(json, bin, CompressionDefaults, {});
+
+  t.is(result.bin, bin);
+  t.deepEqual(json, expectedJson);
+  t.deepEqual(result.report.geometry, { before: 60, after: 60, compressed: 0 });
+});
+
+test("compressGLTF compresses meshes and textures and repacks the buffer", async t => {
+  const { json, bin } = createChunks();
+  const meshRequests = [];
+  const textureRequests = [];
+
+  const encoders = {
+    async encodeMesh(mesh, options) {
+      meshRequests.push({ mesh, options });
+      return { data: new Uint8Array([9, 9, 9]), attributeIds: { POSITION: 0 }, pointCount: 4, faceCount: 2 };
+    },
+    async encodeTexture(data, mimeType, options) {
+      textureRequests.push({ data, mimeType, options });
+      return new Uint8Array([7, 7]);
+    }
+  };
+
+  const settings = Object.assign({}, CompressionDefaults, {
+    meshCompression: MeshCompression.Draco,
+    textureCompression: TextureCompression.UASTC
+  });
+
+  const result = await compressGLTF(json, bin, settings, encoders);
+
+  t.deepEqual(Array.from(meshRequests[0].mesh.indices), [0, 1, 2, 0, 2, 3]);
+  t.deepEqual(Array.from(meshRequests[0].mesh.attributes[0].array), [0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0]);
+  t.is(meshRequests[0].mesh.attributes[0].type, "POSITION");
+  t.is(meshRequests[0].options.positionBits, CompressionDefaults.meshPositionBits);
+
+  t.deepEqual(Array.from(textureRequests[0].data), [1, 2, 3, 4, 5, 6, 7, 8]);
+  t.deepEqual(textureRequests[0].options, { uastc: true, quality: 128, srgb: false, normalMap: true });
+
+  // The original geometry and image buffer views are dropped along with the unused accessor.
+  t.deepEqual(json.accessors, [
+    { componentType: 5126, count: 4, type: "VEC3", min: [0, 0, 0], max: [1, 1, 0] },
+    { componentType: 5123, count: 6, type: "SCALAR" }
+  ]);
+  t.deepEqual(json.meshes[0].primitives[0], {
+    attributes: { POSITION: 0 },
+    indices: 1,
+    material: 0,
+    extensions: { KHR_draco_mesh_compression: { bufferView: 0, attributes: { POSITION: 0 } } }
+  });
+  t.deepEqual(json.bufferViews, [
+    { buffer: 0, byteOffset: 0, byteLength: 3 },
+    { buffer: 0, byteOffset: 4, byteLength: 2 }
+  ]);
+  t.deepEqual(json.images, [{ mimeType: "image/ktx2", bufferView: 1 }]);
+  t.deepEqual(json.textures, [{ sampler: 0, extensions: { KHR_texture_basisu: { source: 0 } } }]);
+  t.deepEqual(json.extensionsRequired, ["KHR_draco_mesh_compression", "KHR_texture_basisu"]);
+  t.deepEqual(json.buffers, [{ byteLength: 8 }]);
+  t.deepEqual(Array.from(result.bin), [9, 9, 9, 0, 7, 7, 0, 0]);
+
+  t.deepEqual(result.report, {
+    geometry: { before: 60, after: 3, compressed: 1 },
+    textures: { before: 8, after: 2, compressed: 1 }
+  });
+});
+
+test("compressGLTF skips skinned meshes and images the encoder can't compress", async t => {
+  const { json, bin } = createChunks();
+  json.accessors.push({ bufferView: 1, componentType: 5123, count: 4, type: "VEC4" });
+  json.meshes[0].primitives[0].attributes.JOINTS_0 = 3;
+
+  const settings = Object.assign({}, CompressionDefaults, {
+    meshCompression: MeshCompression.Draco,
+    textureCompression: TextureCompression.ETC1S
+  });
+
+  const result = await compressGLTF(json, bin, settings, {
+    encodeMesh: () => t.fail(),
+    encodeTexture: async () => null
+  });
+
+  t.is(result.bin, bin);
+  t.is(json.extensionsRequired, undefined);
+  t.is(json.images[0].mimeType, "image/png");
+});
@@ -0,0 +1,76 @@
+import test from "ava";
+import { BufferGeometry, Float32BufferAttribute, Vector3 } from "three";
+import {
+  createNavMeshIndex,
+  getBotWaypointIssues,
+  nextBotWaypointName,
+  validateBotWaypointName
+} from "../../../src/editor/utils/botWaypoints";
+
+// Two unit squares on the ground, 10m apart, each made of two triangles.
+function createNavMeshGeometry() {
+  const square = x => [x, 0, 0, x + 1, 0, 0, x + 1, 0, 1, x, 0, 0, x + 1, 0, 1, x, 0, 1];
+  const geometry = new BufferGeometry();
+  geometry.addAttribute("position", new Float32BufferAttribute([...square(0), ...square(10)], 3));
+  return geometry;
+}
+
+test("validateBotWaypointName", t => {
+  t.is(validateBotWaypointName("spawbot-kitchen_1"), null);
+  t.truthy(validateBotWaypointName(""));
+  t.truthy(validateBotWaypointName("kitchen"));
+  t.truthy(validateBotWaypointName("spawbot-"));
+  t.truthy(validateBotWaypointName("spawbot-Kitchen"));
+  t.truthy(validateBotWaypointName("spawbot-two words"));
+  t.truthy(validateBotWaypointName("spawbot-" + "a".repeat(57)));
+  t.is(validateBotWaypointName("spawbot-" + "a".repeat(56)), null);
+  t.truthy(validateBotWaypointName("spawbot-kitchen", ["Spawbot-Kitchen "]));
+});
+
+test("nextBotWaypointName", t => {
+  t.is(nextBotWaypointName([]), "spawbot-1");
+  t.is(nextBotWaypointName(["spawbot-1", "spawbot-3"]), "spawbot-2");
+});
+
+test("createNavMeshIndex groups connected triangles and snaps points", t => {
+  const navMeshIndex = createNavMeshIndex(createNavMeshGeometry());
+
+  t.is(navMeshIndex.groupCount, 2);
+
+  const projection = navMeshIndex.projectPoint(new Vector3(0.5, 1, 0.5));
+  t.is(projection.group, 0);
+  t.true(projection.position.equals(new Vector3(0.5, 0, 0.5)));
+  t.is(projection.distance, 1);
+
+  t.is(navMeshIndex.projectPoint(new Vector3(10.5, 0, 0.5)).group, 1);
+  t.is(navMeshIndex.projectPoint(new Vector3(5.5, 0, 0.5)), null);
+});
+
+test("getBotWaypointIssues", t => {
+  const navMeshIndex = createNavMeshIndex(createNavMeshGeometry());
+
+  const results = getBotWaypointIssues(
+    [
+      { name: "spawbot-a", position: new Vector3(0.2, 0, 0.2) },
+      { name: "spawbot-b", position: new Vector3(0.8, 0, 0.8) },
+      { name: "spawbot-a", position: new Vector3(10.5, 0, 0.5) },
+      { name: "spawbot-c", position: new Vector3(5.5, 0, 0.5) }
+    ],
+    navMeshIndex
+  );
+
+  t.deepEqual(results[0].issues, []);
+  t.deepEqual(results[1].issues, []);
+  t.deepEqual(results[2].issues.map(issue => issue.severity), ["error", "warning"]);
+  t.regex(results[2].issues[1].message, /cut off/);
+  t.is(results[3].projection, null);
+  t.regex(results[3].issues[0].message, /away from the floor plan/);
+
+  const tooMany = getBotWaypointIssues(
+    new Array(65).fill(null).map((_, i) => ({ name: `spawbot-${i}`, position: new Vector3() })),
+    null
+  );
+
+  t.deepEqual(tooMany[63].issues, []);
+  t.is(tooMany[64].issues.length, 1);
+});
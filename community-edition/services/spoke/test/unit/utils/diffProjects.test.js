@@ -0,0 +1,78 @@
+import test from "ava";
+import diffProjects from "../../../src/editor/utils/diffProjects";
+
+function createProject(entities) {
+  return { version: 5, root: "scene", metadata: {}, entities };
+}
+
+const scene = { name: "Scene", components: [{ name: "background", props: { color: "#aaaaaa" } }] };
+
+function box(props = {}) {
+  return {
+    name: "Box",
+    parent: "scene",
+    index: 0,
+    components: [{ name: "transform", props: { position: { x: 0, y: 0, z: 0 }, ...props } }]
+  };
+}
+
+test("identical projects have no differences", t => {
+  const project = createProject({ scene, box: box() });
+  t.deepEqual(diffProjects(project, JSON.parse(JSON.stringify(project))), { added: [], removed: [], changed: [] });
+});
+
+test("lists added and removed nodes", t => {
+  const from = createProject({ scene, box: box() });
+  const to = createProject({ scene, light: { name: "Light", parent: "scene", index: 0, components: [] } });
+
+  const { added, removed, changed } = diffProjects(from, to);
+
+  t.deepEqual(added, [{ uuid: "light", name: "Light" }]);
+  t.deepEqual(removed, [{ uuid: "box", name: "Box" }]);
+  t.deepEqual(changed, []);
+});
+
+test("lists changed properties with their old and new values", t => {
+  const from = createProject({ scene, box: box() });
+  const to = createProject({ scene, box: box({ position: { x: 1, y: 0, z: 0 } }) });
+
+  t.deepEqual(diffProjects(from, to).changed, [
+    {
+      uuid: "box",
+      name: "Box",
+      changes: [
+        {
+          kind: "property",
+          component: "transform",
+          property: "position",
+          oldValue: { x: 0, y: 0, z: 0 },
+          newValue: { x: 1, y: 0, z: 0 }
+        }
+      ]
+    }
+  ]);
+});
+
+test("lists renames, moves and component changes but not reordering", t => {
+  const group = { name: "Group", parent: "scene", index: 1, components: [] };
+  const from = createProject({ scene, group, box: box() });
+  const movedBox = {
+    ...box(),
+    name: "Crate",
+    parent: "group",
+    index: 3,
+    components: [{ name: "shadow", props: { cast: true } }]
+  };
+  const to = createProject({ scene, group: { ...group, index: 0 }, box: movedBox });
+
+  const [change] = diffProjects(from, to).changed;
+
+  t.is(change.uuid, "box");
+  t.is(change.name, "Crate");
+  t.deepEqual(change.changes, [
+    { kind: "name", oldValue: "Box", newValue: "Crate" },
+    { kind: "parent", oldValue: "Scene", newValue: "Group" },
+    { kind: "componentRemoved", component: "transform" },
+    { kind: "componentAdded", component: "shadow" }
+  ]);
+});
@@ -0,0 +1,32 @@
+import test from "ava";
+import { Mesh, MeshBasicMaterial, PlaneBufferGeometry } from "three";
+import { canGenerateLODs, createLODLevels, DefaultLODLevels } from "../../../src/editor/utils/lods";
+import { getTriangleCount } from "../../../src/editor/utils/simplifyGeometry";
+
+test("canGenerateLODs skips small meshes", t => {
+  t.false(canGenerateLODs(new Mesh(new PlaneBufferGeometry(1, 1, 2, 2))));
+  t.true(canGenerateLODs(new Mesh(new PlaneBufferGeometry(1, 1, 10, 10))));
+});
+
+test("createLODLevels returns a mesh per level and the screen coverage of every level", t => {
+  const material = new MeshBasicMaterial();
+  const mesh = new Mesh(new PlaneBufferGeometry(1, 1, 20, 20), material);
+  mesh.name = "Floor";
+
+  const { meshes, coverages } = createLODLevels(mesh, DefaultLODLevels);
+
+  t.deepEqual(meshes.map(lodMesh => lodMesh.name), ["Floor_LOD1", "Floor_LOD2"]);
+  t.is(meshes[0].material, material);
+  t.true(getTriangleCount(meshes[0].geometry) <= 400);
+  t.true(getTriangleCount(meshes[1].geometry) < getTriangleCount(meshes[0].geometry));
+  t.deepEqual(coverages, [0.25, 0.08, 0]);
+});
+
+test("createLODLevels drops levels that don't remove enough triangles", t => {
+  const mesh = new Mesh(new PlaneBufferGeometry(1, 1, 20, 20));
+
+  const { meshes, coverages } = createLODLevels(mesh, [{ ratio: 0.5, coverage: 0.25 }, { ratio: 0.49, coverage: 0.1 }]);
+
+  t.is(meshes.length, 1);
+  t.deepEqual(coverages, [0.25, 0]);
+});
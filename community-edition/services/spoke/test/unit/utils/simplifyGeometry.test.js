@@ -0,0 +1,57 @@
+import test from "ava";
+import { PlaneBufferGeometry } from "three";
+import simplifyGeometry, { getTriangleCount } from "../../../src/editor/utils/simplifyGeometry";
+
+function getVertexKeys(geometry) {
+  const { position, uv } = geometry.attributes;
+  const keys = new Set();
+
+  for (let i = 0; i < position.count; i++) {
+    keys.add([position.getX(i), position.getY(i), position.getZ(i), uv.getX(i), uv.getY(i)].join());
+  }
+
+  return keys;
+}
+
+test("simplifyGeometry collapses a flat grid without moving its border", t => {
+  const geometry = new PlaneBufferGeometry(1, 1, 10, 10);
+  const simplified = simplifyGeometry(geometry, 0.25);
+
+  t.is(getTriangleCount(geometry), 200);
+  t.true(getTriangleCount(simplified) <= 50);
+  t.true(getTriangleCount(simplified) > 0);
+  t.deepEqual(Object.keys(simplified.attributes).sort(), ["normal", "position", "uv"]);
+
+  // Remaining vertices keep their original attributes.
+  const sourceKeys = getVertexKeys(geometry);
+
+  for (const key of getVertexKeys(simplified)) {
+    t.true(sourceKeys.has(key));
+  }
+
+  simplified.computeBoundingBox();
+  geometry.computeBoundingBox();
+  t.true(simplified.boundingBox.equals(geometry.boundingBox));
+});
+
+test("simplifyGeometry keeps material groups and handles non-indexed geometry", t => {
+  const geometry = new PlaneBufferGeometry(1, 1, 10, 10).toNonIndexed();
+  geometry.addGroup(0, 300, 0);
+  geometry.addGroup(300, 300, 1);
+
+  const simplified = simplifyGeometry(geometry, 0.5);
+
+  t.true(getTriangleCount(simplified) <= 100);
+  t.is(simplified.groups.length, 2);
+  t.deepEqual(simplified.groups.map(group => group.materialIndex), [0, 1]);
+  t.is(simplified.groups[1].start, simplified.groups[0].count);
+  t.is(simplified.groups[0].count + simplified.groups[1].count, simplified.index.count);
+});
+
+test("simplifyGeometry returns a copy when the ratio doesn't remove anything", t => {
+  const geometry = new PlaneBufferGeometry(1, 1, 2, 2);
+  const simplified = simplifyGeometry(geometry, 1);
+
+  t.not(simplified, geometry);
+  t.is(getTriangleCount(simplified), 8);
+});
@@ -249,6 +249,14 @@ module.exports = env => {
           to: "assets/images/favicon-editor.ico"
         }
       ]),
+      // Loaded at runtime by the KTX2 texture compression worker.
+      new CopyWebpackPlugin([
+        {
+          from: path.join(__dirname, "node_modules", "ktx2-encoder", "dist", "basis"),
+          to: "assets/js/basis",
+          ignore: ["*.d.ts"]
+        }
+      ]),
       new HTMLWebpackPlugin({
         template: path.join(__dirname, "src", "index.html"),
         faviconPath: (process.env.BASE_ASSETS_PATH || "/") + "assets/images/favicon.ico"